@@ -14,6 +14,7 @@
     const SHIP_NAMES = window.SHIP_NAMES || {};
     const SHIP_SPRITES = window.SHIP_SPRITES || {};
     const DEFAULT_SHIP_SPRITE = window.DEFAULT_SHIP_SPRITE || 'assets/ships/static/Unclaimed-Drone-ship.png';
+    const escapeHtml = PARALLAX_UTILS.escapeHtml;
 
     // =========================================================================
     // MOBILE VIEWPORT HEIGHT HELPER
@@ -99,9 +100,12 @@
       async get(ticker){
         const t = (ticker||"").toUpperCase();
         if (this.byTicker[t]) return this.byTicker[t];
+        const url = 'data/' + t.toLowerCase() + '.json';
         try{
-          const res = await fetch('data/' + t.toLowerCase() + '.json');
+          const res = await fetch(url);
+          if (!res.ok) throw new Error('HTTP ' + res.status);
           const data = await res.json();
+          if (typeof DataSchema !== 'undefined') DataSchema.check('candles', url, data, { ticker: t });
           const daily = Array.isArray(data.daily) ? data.daily : [];
           const intra = Array.isArray(data.intraday15) ? data.intraday15 : (Array.isArray(data.intraday) ? data.intraday : []);
           const closesDaily = daily.slice(-6).map(x=>Number(x.c)).filter(Number.isFinite);
@@ -141,6 +145,8 @@
           this.byTicker[t] = out;
           return out;
         } catch(e){
+          // Flat fallback keeps the loading fleet moving; the health panel says why
+          if (typeof DataSchema !== 'undefined') DataSchema.fail('candles', url, e);
           const out = { r1d: 0, vol: 0, mom: 0, closesIntra: [] };
           this.byTicker[t] = out;
           return out;
@@ -360,6 +366,9 @@
     let currentTicker = 'RKLB', currentTimeframe = '1D', currentRange = '3M', showMA = true;
     let priceChart = null, macdChart = null, tickerData = {}, statsData = {};
     let macdOrbitMode = true; // MACD orbital visualization mode (default: ORBIT)
+    let chartMode = 'line', showVolumeProfile = false; // price style: line | candles | heikin-ashi
+    let compareMode = false, compareRenderSeq = 0, fleetTickers = [];
+    let gridMode = false; // 2x2 multi-timeframe bridge screens
     
     const tickerColors = {
       'RKLB': '#33ff99', 'LUNR': '#47d4ff', 'ASTS': '#ffb347', 'ACHR': '#ff6b9d',
@@ -378,6 +387,11 @@
       'COHR': 'OPTICS', 'GE': 'INDUSTRIAL', 'LHX': 'DEFENSE', 'RTX': 'DEFENSE'
     };
     
+    const themeColors = {
+      'SPACE': '#33ff99', 'eVTOL': '#ff6b9d', 'DEFENSE': '#47d4ff', 'MEME': '#ff6b6b',
+      'MATERIALS': '#ffb347', 'INDUSTRIAL': '#b388ff', 'AEROSPACE': '#8cb4ff', 'OPTICS': '#2de8a0'
+    };
+    
     const rangeDays = { '1W': 7, '1M': 30, '3M': 90, '6M': 180, '1Y': 365, 'ALL': 9999 };
     
     // =========================================================================
@@ -493,7 +507,7 @@
         // Only glow line datasets (not bands/fills)
         const isLine = (ds.type || chart.config.type) === 'line';
         const isBand = ds.label && ds.label.startsWith('BAND');
-        if (!isLine || isBand) return;
+        if (!isLine || isBand || ds.isIndicator) return;
         
         ds.__glowSaved = true;
         const ctx = chart.ctx;
@@ -947,6 +961,149 @@
       }
     };
     
+    // =========================================================================
+    // CHART MODES — OHLC candles, Heikin-Ashi, volume-by-price profile
+    // =========================================================================
+    
+    const CANDLE_UP = '#33ff99';
+    const CANDLE_DOWN = '#ff6b6b';
+    const VOLUME_PROFILE_BINS = 32;
+    const VALUE_AREA_SHARE = 0.7;
+    
+    /**
+     * Heikin-Ashi bars from OHLC bars (seeded on the first bar, so compute on
+     * the full series and slice afterwards to keep it range-independent)
+     */
+    function toHeikinAshi(bars) {
+      const out = [];
+      bars.forEach((b, i) => {
+        const c = (b.o + b.h + b.l + b.c) / 4;
+        const o = i === 0 ? (b.o + b.c) / 2 : (out[i - 1].o + out[i - 1].c) / 2;
+        out.push({ t: b.t, o, h: Math.max(b.h, o, c), l: Math.min(b.l, o, c), c, v: b.v });
+      });
+      return out;
+    }
+    
+    /**
+     * Volume-by-price histogram. Each bar's volume is spread evenly across
+     * the price bins its high–low range touches.
+     * @returns {{ bins: Array<{lo, hi, volume}>, poc: number, valueArea: {lo, hi} } | null}
+     */
+    function buildVolumeProfile(bars, binCount = VOLUME_PROFILE_BINS) {
+      const valid = bars.filter(b => Number.isFinite(b.h) && Number.isFinite(b.l) && Number.isFinite(b.v) && b.v > 0);
+      if (!valid.length) return null;
+      const lo = Math.min(...valid.map(b => b.l));
+      const hi = Math.max(...valid.map(b => b.h));
+      const size = (hi - lo) / binCount || 1;
+      const bins = Array.from({ length: binCount }, (_, i) => ({ lo: lo + i * size, hi: lo + (i + 1) * size, volume: 0 }));
+      const binOf = p => Math.max(0, Math.min(binCount - 1, Math.floor((p - lo) / size)));
+      
+      valid.forEach(b => {
+        const first = binOf(b.l), last = binOf(b.h);
+        const share = b.v / (last - first + 1);
+        for (let i = first; i <= last; i++) bins[i].volume += share;
+      });
+      
+      // Point of control, then grow the value area toward the heavier neighbour
+      let poc = 0;
+      bins.forEach((b, i) => { if (b.volume > bins[poc].volume) poc = i; });
+      const total = bins.reduce((sum, b) => sum + b.volume, 0);
+      let a = poc, z = poc, covered = bins[poc].volume;
+      while (covered < total * VALUE_AREA_SHARE && (a > 0 || z < binCount - 1)) {
+        const below = a > 0 ? bins[a - 1].volume : -1;
+        const above = z < binCount - 1 ? bins[z + 1].volume : -1;
+        if (above >= below) covered += bins[++z].volume;
+        else covered += bins[--a].volume;
+      }
+      
+      return { bins, poc, valueArea: { lo: bins[a].lo, hi: bins[z].hi } };
+    }
+    
+    /**
+     * Chart.js plugin: draws candle bodies + wicks for the price dataset
+     * when it carries an `ohlc` array (line itself is transparent)
+     */
+    const candlestickPlugin = {
+      id: 'candlestickPlugin',
+      afterDatasetDraw(chart, args) {
+        if (args.index !== 0) return;
+        const ds = chart.data.datasets[0];
+        if (!ds || !ds.ohlc) return;
+        const points = chart.getDatasetMeta(0).data;
+        const y = chart.scales.y;
+        if (!points.length || !y) return;
+        
+        const spacing = points.length > 1 ? (points[points.length - 1].x - points[0].x) / (points.length - 1) : 8;
+        const bodyW = Math.max(1, Math.min(12, spacing * 0.65));
+        const ctx = chart.ctx;
+        ctx.save();
+        ctx.lineWidth = 1;
+        ds.ohlc.forEach((b, i) => {
+          const pt = points[i];
+          if (!b || !pt) return;
+          const color = b.c >= b.o ? CANDLE_UP : CANDLE_DOWN;
+          const yO = y.getPixelForValue(b.o), yC = y.getPixelForValue(b.c);
+          ctx.strokeStyle = color;
+          ctx.fillStyle = hexToRgba(color, b.c >= b.o ? 0.35 : 0.85);
+          ctx.beginPath();
+          ctx.moveTo(pt.x, y.getPixelForValue(b.h));
+          ctx.lineTo(pt.x, y.getPixelForValue(b.l));
+          ctx.stroke();
+          const top = Math.min(yO, yC), h = Math.max(1, Math.abs(yC - yO));
+          ctx.fillRect(pt.x - bodyW / 2, top, bodyW, h);
+          if (bodyW > 3) ctx.strokeRect(pt.x - bodyW / 2, top, bodyW, h);
+        });
+        ctx.restore();
+      }
+    };
+    
+    /**
+     * Chart.js plugin: horizontal volume-by-price bars anchored to the right
+     * edge, behind the price series. Reads `volumeProfile` off the price dataset.
+     */
+    const volumeProfilePlugin = {
+      id: 'volumeProfilePlugin',
+      beforeDatasetsDraw(chart) {
+        const profile = chart.data.datasets[0] && chart.data.datasets[0].volumeProfile;
+        if (!profile) return;
+        const { ctx, chartArea } = chart;
+        const y = chart.scales.y;
+        if (!chartArea || !y) return;
+        
+        const maxVol = Math.max(...profile.bins.map(b => b.volume)) || 1;
+        const maxW = (chartArea.right - chartArea.left) * 0.28;
+        const color = tickerColors[currentTicker] || '#33ff99';
+        
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(chartArea.left, chartArea.top, chartArea.right - chartArea.left, chartArea.bottom - chartArea.top);
+        ctx.clip();
+        profile.bins.forEach((b, i) => {
+          if (!b.volume) return;
+          const y1 = y.getPixelForValue(b.hi), y2 = y.getPixelForValue(b.lo);
+          const w = (b.volume / maxVol) * maxW;
+          const inValue = b.lo >= profile.valueArea.lo && b.hi <= profile.valueArea.hi;
+          ctx.fillStyle = i === profile.poc ? hexToRgba('#ffb347', 0.45) : hexToRgba(color, inValue ? 0.22 : 0.1);
+          ctx.fillRect(chartArea.right - w, y1 + 0.5, w, Math.max(1, y2 - y1 - 1));
+        });
+        
+        // POC line across the chart
+        const poc = profile.bins[profile.poc];
+        const yPoc = y.getPixelForValue((poc.lo + poc.hi) / 2);
+        ctx.strokeStyle = hexToRgba('#ffb347', 0.6);
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(chartArea.left, yPoc);
+        ctx.lineTo(chartArea.right, yPoc);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.fillStyle = '#ffb347';
+        ctx.font = "10px 'IBM Plex Mono', monospace";
+        ctx.fillText('POC $' + ((poc.lo + poc.hi) / 2).toFixed(2), chartArea.left + 4, yPoc - 4);
+        ctx.restore();
+      }
+    };
+    
     // =========================================================================
     // TICKER_PROFILES — Loaded from js/data/ticker-profiles.js
     // Access via: window.TICKER_PROFILES
@@ -972,39 +1129,16 @@
       return entry ? entry.flavor : '';
     }
     
-    // Get trend state based on price, MACD data, and volatility
-    function getTrendState(price, ma100, ma150, ma200, macdVal, volScore) {
-      if (!price || !ma200) return PARALLAX_GLOSSARY.trend_analyzing;
-      
-      const aboveMa100 = price > ma100;
-      const aboveMa150 = price > ma150;
-      const aboveMa200 = price > ma200;
-      const macdPositive = macdVal > 0;
-      const nearMa100 = Math.abs(price - ma100) / price < 0.015;
-      const volHigh = (volScore || 0) > 30;
-      
-      // FULL THRUST: Above all MAs with positive momentum and calm vol
-      if (aboveMa200 && aboveMa150 && macdPositive && !volHigh) {
-        return PARALLAX_GLOSSARY.trend_full_thrust;
-      }
-      
-      // REVERSAL ATTEMPT: Above short-term but below long-term, calm vol
-      if (aboveMa100 && !aboveMa200 && macdPositive && !volHigh) {
-        return PARALLAX_GLOSSARY.trend_reversal_attempt;
-      }
-      
-      // DRIFTING: Near MAs with weak momentum and tame vol
-      if (nearMa100 && Math.abs(macdVal) < 0.1 && !volHigh) {
-        return PARALLAX_GLOSSARY.trend_drifting;
+    // Trend badge state from the shared regime engine's latest label
+    function getTrendState(regime) {
+      if (!regime) return PARALLAX_GLOSSARY.trend_analyzing;
+      switch (regime.regime) {
+        case 'TREND_UP': return PARALLAX_GLOSSARY.trend_full_thrust;
+        case 'TREND_DOWN': return PARALLAX_GLOSSARY.trend_reentry_risk;
+        case 'BREAKOUT': return regime.dir > 0 ? PARALLAX_GLOSSARY.trend_reversal_attempt : PARALLAX_GLOSSARY.trend_reentry_risk;
+        case 'RANGE': return PARALLAX_GLOSSARY.trend_drifting;
+        default: return PARALLAX_GLOSSARY.trend_nebula;
       }
-      
-      // REENTRY RISK: Below long-term with negative momentum
-      if (!aboveMa200 && !macdPositive && !volHigh) {
-        return PARALLAX_GLOSSARY.trend_reentry_risk;
-      }
-      
-      // NEBULOUS: High volatility OR mixed signals
-      return PARALLAX_GLOSSARY.trend_nebula;
     }
     
     // Get MACD status
@@ -1074,30 +1208,10 @@
       logTerminal('forecast range → ' + days + ' days');
     }
     
-    // Scenario Engine: Update risk profile
-    function updateRiskProfile(level) {
-      const fill = document.getElementById('risk-fill');
-      const needle = document.getElementById('risk-needle');
-      const value = document.getElementById('risk-value');
-      
-      const profiles = {
-        conservative: { height: 30, angle: 25, label: 'CONSERVATIVE' },
-        moderate: { height: 50, angle: 65, label: 'MODERATE' },
-        aggressive: { height: 75, angle: 105, label: 'AGGRESSIVE' },
-        maximum: { height: 95, angle: 145, label: 'MAXIMUM' }
-      };
-      
-      const profile = profiles[level] || profiles.moderate;
-      if (fill) fill.style.height = profile.height + '%';
-      if (needle) needle.style.transform = 'rotate(' + profile.angle + 'deg)';
-      if (value) value.textContent = profile.label;
-      
-      logTerminal('risk exposure → ' + profile.label.toLowerCase());
-    }
-    
     // Get current price series for a ticker based on timeframe
     function getCurrentSeriesForTicker(data) {
       if (!data) return [];
+      if (currentTimeframe === '15') return data.intraday15 || [];
       return currentTimeframe === '1D' ? data.daily : data.intraday;
     }
     
@@ -1164,24 +1278,174 @@
       { ticker: 'GE', shares: 45, entry_price: 168.30, current_price: 175.60 }
     ];
     
+    // Demo fleet is only the fallback: imported broker positions win (js/state/portfolio.js)
+    if (window.Portfolio) {
+      Portfolio.setFallback(DEMO_STOCK_POSITIONS);
+    }
+    
+    // Active stock positions marked to the shared price snapshot (js/data/pricing.js)
+    function getFleetPositions() {
+      const positions = window.Portfolio ? Portfolio.getPositions() : DEMO_STOCK_POSITIONS;
+      if (window.Pricing) return Pricing.markPositions(positions);
+      return positions.map(pos => {
+        if (Number.isFinite(pos.current_price) && pos.current_price > 0) return pos;
+        return { ...pos, current_price: pos.entry_price };
+      });
+    }
+    
+    // Stale-price marker for tables and ship cards
+    function staleBadge(pos) {
+      if (!pos.stale) return '';
+      const asOf = pos.price_as_of ? new Date(pos.price_as_of).toLocaleDateString() : 'unknown';
+      return '<span class="price-stale" title="Stale price · last bar ' + asOf + '">⚠</span>';
+    }
+    
+    window.getFleetPositions = getFleetPositions;
+    
+    // Average open P&L % across the fleet (drives portfolio mood)
+    function getFleetAvgPnlPct(positions) {
+      if (!positions.length) return 0;
+      return positions.reduce((sum, pos) => {
+        return sum + (pos.current_price - pos.entry_price) / pos.entry_price * 100;
+      }, 0) / positions.length;
+    }
+    
+    // Total return % for a position: open P&L plus ledger realized P&L and dividends
+    function getPositionReturnPct(pos) {
+      const basis = pos.entry_price * pos.shares;
+      if (!basis) return 0;
+      const open = (pos.current_price - pos.entry_price) * pos.shares;
+      return (open + (pos.realized_pnl || 0) + (pos.dividends || 0)) / basis * 100;
+    }
+    
+    // Re-render every fleet view after the position source changes
+    function refreshFleetViews() {
+      renderStockPositions();
+      initFleetHolobay();
+      updatePortfolioMood(getFleetAvgPnlPct(getFleetPositions()));
+      if (window.FleetCommand && typeof FleetCommand.setPositions === 'function') {
+        FleetCommand.setPositions(getFleetPositions().map(p => p.ticker));
+      }
+    }
+    
+    if (window.PARALLAX_BUS) {
+      PARALLAX_BUS.on('pricing:update', (e) => {
+        refreshFleetViews();
+        renderOptionsPositions();
+        renderPositionCharts();
+        refreshRisk();
+        if (e.staleCount) {
+          pushMissionLog({
+            type: 'alert',
+            title: 'STALE PRICES',
+            subtitle: e.staleCount + ' of ' + e.tickers.length + ' vessels marked from old bars'
+          });
+        }
+      });
+      
+      PARALLAX_BUS.on('portfolio:change', (e) => {
+        refreshFleetViews();
+        hydrateFleetPrices();
+        pushMissionLog({
+          type: 'scenario',
+          title: e.source === 'DEMO' ? 'DEMO FLEET RESTORED' : 'MANIFEST UPLINKED',
+          subtitle: e.count + ' vessels · ' + e.source,
+          arcade: true
+        });
+      });
+    }
+    
+    // Option legs (js/data/options-model.js); `current` is the last broker mark,
+    // used only until the pricing engine has spot + price history
+    const DEMO_OPTION_EXPIRY = '2027-01-15';
+    
+    function leapCall(strike, expiry = DEMO_OPTION_EXPIRY) {
+      return [{ type: 'call', strike, expiry, qty: 1, multiplier: 100 }];
+    }
+    
+    function bullCallSpread(lower, upper, expiry = DEMO_OPTION_EXPIRY) {
+      return [
+        { type: 'call', strike: lower, expiry, qty: 1, multiplier: 100 },
+        { type: 'call', strike: upper, expiry, qty: -1, multiplier: 100 }
+      ];
+    }
+    
     const DEMO_OPTIONS = [
-      { ticker: 'RKLB', structure: 'Naked LEAP', strikes: '$5', entry: 1.85, current: 68.50, delta: 0.95, contracts: 3 },
-      { ticker: 'ASTS', structure: 'Bull Spread', strikes: '$5/$15', entry: 2.40, current: 9.85, delta: 0.48, contracts: 4 },
-      { ticker: 'LUNR', structure: 'Naked LEAP', strikes: '$5', entry: 1.20, current: 13.50, delta: 0.92, contracts: 5 },
-      { ticker: 'BKSY', structure: 'Bull Spread', strikes: '$2/$5', entry: 0.95, current: 2.80, delta: 0.55, contracts: 5 },
-      { ticker: 'RDW', structure: 'Bull Spread', strikes: '$4/$8', entry: 1.40, current: 3.90, delta: 0.62, contracts: 3 },
-      { ticker: 'PL', structure: 'Bull Spread', strikes: '$2/$4', entry: 0.55, current: 1.85, delta: 0.58, contracts: 5 },
-      { ticker: 'ACHR', structure: 'Naked LEAP', strikes: '$5', entry: 1.65, current: 4.20, delta: 0.72, contracts: 3 },
-      { ticker: 'JOBY', structure: 'Bull Spread', strikes: '$5/$10', entry: 1.80, current: 5.40, delta: 0.65, contracts: 3 },
-      { ticker: 'EVEX', structure: 'Bull Spread', strikes: '$3/$6', entry: 0.85, current: 0.35, delta: 0.28, contracts: 4 },
-      { ticker: 'GME', structure: 'Bull Spread', strikes: '$12/$20', entry: 3.20, current: 7.80, delta: 0.72, contracts: 2 },
-      { ticker: 'KTOS', structure: 'Bull Spread', strikes: '$18/$25', entry: 2.15, current: 5.40, delta: 0.68, contracts: 4 },
-      { ticker: 'COHR', structure: 'Naked LEAP', strikes: '$70', entry: 8.50, current: 24.20, delta: 0.88, contracts: 2 },
-      { ticker: 'RTX', structure: 'Bull Spread', strikes: '$100/$120', entry: 6.80, current: 18.50, delta: 0.75, contracts: 2 },
-      { ticker: 'LHX', structure: 'Naked LEAP', strikes: '$180', entry: 12.40, current: 42.80, delta: 0.82, contracts: 1 },
-      { ticker: 'GE', structure: 'Bull Spread', strikes: '$150/$180', entry: 8.20, current: 22.40, delta: 0.78, contracts: 2 }
+      { ticker: 'RKLB', structure: 'Naked LEAP', legs: leapCall(5), entry: 1.85, current: 68.50, contracts: 3 },
+      { ticker: 'ASTS', structure: 'Bull Spread', legs: bullCallSpread(5, 15), entry: 2.40, current: 9.85, contracts: 4 },
+      { ticker: 'LUNR', structure: 'Naked LEAP', legs: leapCall(5), entry: 1.20, current: 13.50, contracts: 5 },
+      { ticker: 'BKSY', structure: 'Bull Spread', legs: bullCallSpread(2, 5), entry: 0.95, current: 2.80, contracts: 5 },
+      { ticker: 'RDW', structure: 'Bull Spread', legs: bullCallSpread(4, 8), entry: 1.40, current: 3.90, contracts: 3 },
+      { ticker: 'PL', structure: 'Bull Spread', legs: bullCallSpread(2, 4), entry: 0.55, current: 1.85, contracts: 5 },
+      { ticker: 'ACHR', structure: 'Naked LEAP', legs: leapCall(5), entry: 1.65, current: 4.20, contracts: 3 },
+      { ticker: 'JOBY', structure: 'Bull Spread', legs: bullCallSpread(5, 10), entry: 1.80, current: 5.40, contracts: 3 },
+      { ticker: 'EVEX', structure: 'Bull Spread', legs: bullCallSpread(3, 6), entry: 0.85, current: 0.35, contracts: 4 },
+      { ticker: 'GME', structure: 'Bull Spread', legs: bullCallSpread(12, 20), entry: 3.20, current: 7.80, contracts: 2 },
+      { ticker: 'KTOS', structure: 'Bull Spread', legs: bullCallSpread(18, 25), entry: 2.15, current: 5.40, contracts: 4 },
+      { ticker: 'COHR', structure: 'Naked LEAP', legs: leapCall(70), entry: 8.50, current: 24.20, contracts: 2 },
+      { ticker: 'RTX', structure: 'Bull Spread', legs: bullCallSpread(100, 120), entry: 6.80, current: 18.50, contracts: 2 },
+      { ticker: 'LHX', structure: 'Naked LEAP', legs: leapCall(180), entry: 12.40, current: 42.80, contracts: 1 },
+      { ticker: 'GE', structure: 'Bull Spread', legs: bullCallSpread(150, 180), entry: 8.20, current: 22.40, contracts: 2 }
     ];
     
+    // Options book valued by the local Black-Scholes engine at historical vol
+    // (spot + daily closes from Pricing). The vol implied from the broker mark
+    // (pos.current) is reported alongside as a diagnostic only.
+    function getOptionBook() {
+      return DEMO_OPTIONS.map(pos => {
+        const quote = window.Pricing ? Pricing.getQuote(pos.ticker) : null;
+        const vol = window.OptionsModel && window.Pricing ? OptionsModel.historicalVol(Pricing.getHistory(pos.ticker)) : null;
+        // HV picks between the two vols a spread's premium can fit
+        const iv = window.OptionsModel && quote && pos.current > 0
+          ? OptionsModel.positionImpliedVol(pos.legs, pos.current, { spot: quote.price, vol })
+          : null;
+        const model = quote && vol ? OptionsModel.valuePosition(pos, { spot: quote.price, vol }) : null;
+        const current = model ? model.value : pos.current;
+        return {
+          ...pos,
+          strikes: window.OptionsModel ? OptionsModel.describeStrikes(pos.legs) : '',
+          spot: quote ? quote.price : null,
+          stale: quote ? quote.stale : true,
+          price_as_of: quote ? quote.asOf : null,
+          model,
+          iv,
+          current,
+          greeks: model ? model.greeks : null,
+          pnl: (current - pos.entry) * pos.contracts * 100,
+          pnlPct: (current - pos.entry) / pos.entry * 100
+        };
+      });
+    }
+    
+    window.getOptionBook = getOptionBook;
+    
+    // Alert sensitivity → VaR confidence (65% slider ≈ 95%)
+    function getRiskConfidence() {
+      const sensitivity = Number.isFinite(controlState.sensitivity) ? controlState.sensitivity : 65;
+      return Math.min(0.99, Math.max(0.9, 0.9 + sensitivity / 100 * 0.0769));
+    }
+    
+    // Combined book risk (stock value + option dollar delta) → Threat Board + risk needle
+    function refreshRisk() {
+      if (!window.Risk) return Promise.resolve(null);
+      const exposures = {};
+      let bookValue = 0;
+      getFleetPositions().forEach(pos => {
+        const value = pos.shares * pos.current_price;
+        exposures[pos.ticker] = (exposures[pos.ticker] || 0) + value;
+        bookValue += value;
+      });
+      getOptionBook().forEach(opt => {
+        if (!opt.model) return;
+        exposures[opt.ticker] = (exposures[opt.ticker] || 0) + opt.model.dollarGreeks.delta;
+        bookValue += opt.model.marketValue;
+      });
+      return Risk.analyze(exposures, { bookValue, confidence: getRiskConfidence() }).then(report => {
+        if (report) setRiskNeedle(report.score, 'VaR ' + (report.var.historical * 100).toFixed(1) + '%');
+        return report;
+      });
+    }
+    
     const DEMO_CATALYSTS = [
       { date: '2026-01-16', ticker: 'ALL', event: 'January Options Expiration', impact: 'HIGH' },
       { date: '2026-01-21', ticker: 'RKLB', event: 'Q4 Earnings Report', impact: 'HIGH' },
@@ -1194,15 +1458,9 @@
       { date: '2026-Q2', ticker: 'RKLB', event: 'Neutron Rocket First Flight', impact: 'HIGH' }
     ];
     
-    const DEMO_ACTIVITY = [
-      { type: 'trade', title: 'BUY LUNR', subtitle: '100 shares @ $15.20', time: '09:45' },
-      { type: 'alert', title: 'MACD Crossover', subtitle: 'LUNR bullish signal', time: '09:44' },
-      { type: 'trade', title: 'BUY ASTS', subtitle: '50 shares @ $78.20', time: 'PREV' },
-      { type: 'trade', title: 'BUY RKLB', subtitle: '75 shares @ $68.45', time: 'PREV' },
-      { type: 'alert', title: 'MACD Crossover', subtitle: 'ASTS bullish signal', time: 'JAN02' }
-    ];
-    
     // Arcade-style SVG icons
+    const tradeSvg = '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="23 6 13.5 15.5 8.5 10.5 1 18"/><polyline points="17 6 23 6 23 12"/></svg>';
+    const alertSvg = '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"/><line x1="12" y1="9" x2="12" y2="13"/><line x1="12" y1="17" x2="12.01" y2="17"/></svg>';
     const invaderSvg = '<svg viewBox="0 0 11 8" fill="currentColor"><rect x="2" y="0" width="1" height="1"/><rect x="8" y="0" width="1" height="1"/><rect x="3" y="1" width="1" height="1"/><rect x="7" y="1" width="1" height="1"/><rect x="2" y="2" width="7" height="1"/><rect x="1" y="3" width="2" height="1"/><rect x="4" y="3" width="3" height="1"/><rect x="8" y="3" width="2" height="1"/><rect x="0" y="4" width="11" height="1"/><rect x="0" y="5" width="1" height="1"/><rect x="2" y="5" width="7" height="1"/><rect x="10" y="5" width="1" height="1"/></svg>';
     const scenarioSvg = '<svg viewBox="0 0 14 14" fill="none" stroke="currentColor" stroke-width="1.5"><circle cx="7" cy="7" r="5"/><path d="M7 4v3l2 2"/></svg>';
     const bonusSvg = '<svg viewBox="0 0 14 14" fill="currentColor"><path d="M7 1l1.5 4.5H13l-3.5 3 1.5 4.5L7 10l-4 3 1.5-4.5L1 5.5h4.5z"/></svg>';
@@ -1231,6 +1489,80 @@
       }
     }
     
+    // Trade ledger → activity feed entry
+    function ledgerEntryToActivity(entry, realizedPnl) {
+      const time = new Date(entry.date).toLocaleDateString('en-US', { month: 'short', day: '2-digit' }).replace(' ', '').toUpperCase();
+      let subtitle;
+      if (entry.type === 'SPLIT') {
+        subtitle = entry.ratio + ':1 split';
+      } else if (entry.type === 'DIVIDEND') {
+        subtitle = '$' + entry.amount.toFixed(2) + ' dividend';
+      } else {
+        subtitle = (+entry.shares.toFixed(4)) + ' shares @ $' + entry.price.toFixed(2);
+        if (entry.type === 'SELL' && Number.isFinite(realizedPnl)) {
+          subtitle += ' · ' + (realizedPnl >= 0 ? '+' : '-') + '$' + Math.abs(realizedPnl).toFixed(0) + ' realized';
+        }
+      }
+      return { type: entry.type === 'SPLIT' ? 'alert' : 'trade', title: entry.type + ' ' + entry.ticker, subtitle, time };
+    }
+    
+    // Triggered alerts → mission log, audio cue, browser notification
+    function deliverAlerts(alerts) {
+      alerts.forEach(a => {
+        pushMissionLog({ type: 'alert', title: 'ALERT · ' + a.title, subtitle: a.detail });
+      });
+      
+      const sfxToggle = document.getElementById('sfx-toggle');
+      if (window.MechSFX && (!sfxToggle || sfxToggle.checked)) {
+        MechSFX.alert(900, 300, 0.3);
+      }
+      
+      if (Alerts.getNotify() && typeof window.Notification === 'function' && Notification.permission === 'granted') {
+        alerts.forEach(a => {
+          try {
+            new Notification('PARALLAX · ' + a.title, { body: a.detail, tag: a.ruleId });
+          } catch (e) {
+            console.warn('[Alerts] Notification failed:', e);
+          }
+        });
+      }
+    }
+    
+    function updateAlertsBadge() {
+      const badge = document.getElementById('alerts-badge');
+      if (!badge || !window.Alerts) return;
+      const unread = Alerts.getUnreadCount();
+      badge.textContent = unread > 99 ? '99+' : unread;
+      badge.hidden = unread === 0;
+    }
+    
+    if (window.PARALLAX_BUS) {
+      PARALLAX_BUS.on('alerts:triggered', (e) => deliverAlerts(e.alerts));
+      PARALLAX_BUS.on('indicators:change', () => updateCharts());
+      PARALLAX_BUS.on('compare:change', () => { if (compareMode) updateCharts(); });
+      PARALLAX_BUS.on('regime:change', (e) => {
+        // Initial classification isn't a shift; only announce fleet tickers
+        if (!e.from || e.timeframe !== '1D') return;
+        if (e.ticker !== currentTicker && !getFleetPositions().some(p => p.ticker === e.ticker)) return;
+        const to = Regime.REGIMES[e.to];
+        pushBridgeFeed(`${e.ticker} regime shift · ${Regime.REGIMES[e.from].label} → ${to.label} · ${e.why}`,
+          e.to === 'CHAOS' ? 'alert' : e.to === 'TREND_UP' ? 'positive' : e.to === 'TREND_DOWN' ? 'negative' : '');
+      });
+      PARALLAX_BUS.on('alerts:change', (e) => {
+        updateAlertsBadge();
+        if (e.reason === 'add' || e.reason === 'toggle') scanAlerts();
+      });
+      
+      PARALLAX_BUS.on('ledger:change', (e) => {
+        if (e.reason !== 'add' || !e.entry) {
+          renderActivity();
+          return;
+        }
+        const realized = (e.realized || []).reduce((sum, r) => sum + r.pnl, 0);
+        pushMissionLog(ledgerEntryToActivity(e.entry, realized));
+      });
+    }
+    
     // =========================================================================
     // FLEET HOLOBAY SYSTEM (Pro Ship Library with Universe Lore)
     // SHIP_LORE data object — Loaded from js/data/ship-data.js
@@ -1664,33 +1996,33 @@
 
       const fleet = [];
 
-      // Build fleet from DEMO_STOCK_POSITIONS with TICKER_PROFILES data
-      if (typeof DEMO_STOCK_POSITIONS !== 'undefined') {
-        DEMO_STOCK_POSITIONS.forEach(pos => {
-          const profile = TICKER_PROFILES[pos.ticker] || {};
-          const value = pos.shares * pos.current_price;
-          const pnlNum = ((pos.current_price - pos.entry_price) / pos.entry_price) * 100;
-          const pnlText = (pnlNum >= 0 ? '+' : '') + pnlNum.toFixed(1) + '%';
-          const sector = profile.sector || 'Unknown';
-          const meta = mapTickerToPixelShip(pos.ticker, sector, pnlNum);
-          const lore = getPixelShipLore(meta.pattern);
-
-          fleet.push({
-            ticker: pos.ticker,
-            sector: sector,
-            value: value,
-            pnlText: pnlText,
-            pnlNum: pnlNum,
-            shipClass: lore.label,
-            codename: profile.codename || pos.ticker,
-            isHero: meta.hero,
-            pattern: meta.pattern
-          });
+      // Build fleet from active portfolio positions with TICKER_PROFILES data
+      getFleetPositions().forEach(pos => {
+        const profile = TICKER_PROFILES[pos.ticker] || {};
+        const value = pos.shares * pos.current_price;
+        const pnlNum = ((pos.current_price - pos.entry_price) / pos.entry_price) * 100;
+        const pnlText = (pnlNum >= 0 ? '+' : '') + pnlNum.toFixed(1) + '%';
+        const sector = profile.sector || 'Unknown';
+        const meta = mapTickerToPixelShip(pos.ticker, sector, pnlNum);
+        const lore = getPixelShipLore(meta.pattern);
+
+        fleet.push({
+          ticker: pos.ticker,
+          sector: sector,
+          value: value,
+          pnlText: pnlText,
+          pnlNum: pnlNum,
+          shipClass: lore.label,
+          codename: profile.codename || pos.ticker,
+          isHero: meta.hero,
+          pattern: meta.pattern
         });
-      }
+      });
 
       if (!fleet.length) return;
 
+      strip.innerHTML = '';
+
       // Create thumbnails
       fleet.forEach(ship => {
         const thumb = document.createElement("div");
@@ -1767,11 +2099,58 @@
       setInterval(updateTime, 1000);
       try {
         const res = await fetch('data/stats.json');
+        if (!res.ok) throw new Error('HTTP ' + res.status);
         const data = await res.json();
+        if (typeof DataSchema !== 'undefined') DataSchema.check('stats', 'data/stats.json', data);
         statsData = data.stats;
+        if (window.Pricing) Pricing.setStats(data.stats, data.updated);
+        fleetTickers = data.tickers;
         buildWatchlist(data.tickers);
       } catch (e) {
-        buildWatchlist(['RKLB', 'LUNR', 'ASTS', 'ACHR', 'JOBY', 'BKSY', 'RDW', 'PL', 'EVEX', 'GME']);
+        if (typeof DataSchema !== 'undefined') DataSchema.fail('stats', 'data/stats.json', e);
+        fleetTickers = ['RKLB', 'LUNR', 'ASTS', 'ACHR', 'JOBY', 'BKSY', 'RDW', 'PL', 'EVEX', 'GME'];
+        buildWatchlist(fleetTickers);
+      }
+      if (window.SectorPanel) {
+        SectorPanel.init({
+          themes: tickerThemes,
+          themeColors,
+          colors: tickerColors,
+          getPositions: getFleetPositions,
+          loadSeries: fetchTickerData,
+          getRange: () => currentRange
+        });
+      }
+      if (window.AttributionPanel) {
+        AttributionPanel.init({
+          themes: tickerThemes,
+          colors: tickerColors,
+          getPositions: getFleetPositions,
+          loadSeries: fetchTickerData
+        });
+      }
+      if (window.SizingPanel) {
+        SizingPanel.init({
+          getTicker: () => currentTicker,
+          getTimeframe: () => currentTimeframe,
+          getPositions: getFleetPositions,
+          loadSeries: fetchTickerData,
+          onSimulate: applySizingToSim,
+          onMission: plan => {
+            if (window.SoundFX) SoundFX.play('click');
+            window.location.href = 'derivatives.html?ticker=' + encodeURIComponent(plan.ticker);
+          }
+        });
+      }
+      if (window.EventStudy) {
+        EventStudy.init({ loadSeries: fetchTickerData, catalysts: DEMO_CATALYSTS });
+      }
+      if (window.ChartDrawings) {
+        ChartDrawings.init({
+          canvasId: 'price-chart',
+          getChart: () => (compareMode ? null : priceChart),
+          getContext: () => ({ ticker: currentTicker, timeframe: currentTimeframe })
+        });
       }
       await loadTicker(currentTicker);
       renderStockPositions();
@@ -1788,15 +2167,26 @@
         FleetCommand.init('fleet-command-container');
       }
       
+      // Threat Board renders each risk:update
+      if (window.ThreatBoard) {
+        ThreatBoard.init('threat-board-container');
+      }
+      
+      // Event study card in the Catalysts tab runs on first visit
+      if (window.EventStudyPanel) {
+        EventStudyPanel.init({
+          containerId: 'event-study-container',
+          getTickers: () => fleetTickers.concat(EventStudy.BENCHMARK),
+          getTicker: () => currentTicker,
+          colors: tickerColors
+        });
+      }
+      
       // Initialize glossary tooltips
       attachGlossaryTooltips();
       
-      // Calculate and update portfolio mood based on demo data
-      const totalDailyPnl = DEMO_STOCK_POSITIONS.reduce((sum, pos) => {
-        const dailyChange = (pos.current_price - pos.entry_price) / pos.entry_price * 100;
-        return sum + dailyChange;
-      }, 0) / DEMO_STOCK_POSITIONS.length;
-      updatePortfolioMood(totalDailyPnl);
+      // Calculate and update portfolio mood from the active fleet
+      updatePortfolioMood(getFleetAvgPnlPct(getFleetPositions()));
       
       // Initialize volatility display using data-driven score
       const vol = getVolScoreForTicker(currentTicker);
@@ -1804,6 +2194,10 @@
         updateVolatilityDisplay(vol);
       }
       
+      // Mark the fleet to the latest candles in the background, then sweep alert rules
+      updateAlertsBadge();
+      hydrateFleetPrices().then(scanAlerts);
+      
       // Mission log startup message
       setTimeout(() => {
         pushMissionLog({ 
@@ -1882,11 +2276,57 @@
       }
     }
     
+    // Fetch + cache data/{ticker}.json, seeding the price snapshot
+    async function fetchTickerData(ticker) {
+      if (!tickerData[ticker]) {
+        const url = 'data/' + ticker.toLowerCase() + '.json';
+        let data;
+        try {
+          const res = await fetch(url);
+          if (!res.ok) throw new Error('HTTP ' + res.status);
+          data = await res.json();
+        } catch (e) {
+          if (typeof DataSchema !== 'undefined') DataSchema.fail('candles', url, e);
+          throw e;
+        }
+        if (typeof DataSchema !== 'undefined') DataSchema.check('candles', url, data, { ticker });
+        tickerData[ticker] = data;
+        if (window.Pricing) Pricing.ingestSeries(ticker, tickerData[ticker]);
+        if (window.Alerts) Alerts.evaluate(ticker, tickerData[ticker]);
+        if (window.Regime) Regime.ingest(ticker, tickerData[ticker]);
+      }
+      return tickerData[ticker];
+    }
+    
+    // Revalue every fleet ticker from its candle file (emits pricing:update)
+    function hydrateFleetPrices() {
+      if (!window.Pricing) return Promise.resolve();
+      const tickers = getFleetPositions().map(p => p.ticker).concat(DEMO_OPTIONS.map(o => o.ticker));
+      return Pricing.hydrate(tickers, fetchTickerData);
+    }
+    
+    // Evaluate alert rules for every armed ticker, loading any series not yet cached
+    async function scanAlerts() {
+      if (!window.Alerts) return;
+      for (const ticker of Alerts.getTickers()) {
+        if (tickerData[ticker]) {
+          Alerts.evaluate(ticker, tickerData[ticker]);
+          continue;
+        }
+        try {
+          await fetchTickerData(ticker);
+        } catch (e) {
+          console.warn('[Alerts] No candles for', ticker);
+        }
+      }
+    }
+    
     async function loadTicker(ticker) {
       if (!tickerData[ticker]) {
-        try { tickerData[ticker] = await (await fetch('data/' + ticker.toLowerCase() + '.json')).json(); } catch (e) { return; }
+        try { await fetchTickerData(ticker); } catch (e) { return; }
       }
       currentTicker = ticker;
+      if (window.ChartDrawings) ChartDrawings.reset();
       updateTickerDisplay();
       updateCharts();
       updateMACDDisplay();
@@ -1908,7 +2348,7 @@
       // Update sidebar ship profile
       const profile = TICKER_PROFILES[ticker] || {};
       const sector = profile.sector || 'Unknown';
-      const pos = DEMO_STOCK_POSITIONS.find(p => p.ticker === ticker);
+      const pos = getFleetPositions().find(p => p.ticker === ticker);
       const pnlNum = pos ? ((pos.current_price - pos.entry_price) / pos.entry_price) * 100 : 0;
       if (typeof updateSidebarShip === 'function') {
         updateSidebarShip(ticker, sector, pnlNum);
@@ -1936,76 +2376,170 @@
     function selectTicker(ticker) { loadTicker(ticker); }
     
     // P&L Simulation
+    // What-if basket (js/data/scenario-sim.js); empty basket = single leg from the form
+    const simBasket = [];
+    
     function resetSimulation() {
       const resultEl = document.getElementById('sim-result');
       resultEl.className = 'sim-result';
       resultEl.innerHTML = '<div class="sim-result-label">Select parameters above</div>';
+      const legTicker = document.getElementById('sim-leg-ticker');
+      if (legTicker) legTicker.textContent = currentTicker;
+    }
+    
+    // Read the sim form into a leg for the current ticker
+    function readSimLegForm() {
+      const num = id => parseFloat(document.getElementById(id).value);
+      return {
+        ticker: currentTicker,
+        entryDate: document.getElementById('sim-entry-date').value,
+        exitDate: document.getElementById('sim-exit-date').value || null,
+        capital: num('sim-capital') || 0,
+        stopLossPct: num('sim-stop') || 0,
+        takeProfitPct: num('sim-target') || 0,
+        dcaAmount: num('sim-dca-amount') || 0,
+        dcaEveryDays: num('sim-dca-every') || 0
+      };
     }
     
-    function runPnLSimulation() {
-      const data = tickerData[currentTicker];
-      if (!data || !data.daily || !data.daily.length) {
-        showSimError('No historical data available');
-        return;
-      }
-      
-      const dateInput = document.getElementById('sim-entry-date').value;
-      const capital = parseFloat(document.getElementById('sim-capital').value) || 0;
-      
-      if (!dateInput) {
+    function describeSimLeg(leg) {
+      const parts = ['$' + leg.capital.toLocaleString(), leg.entryDate + (leg.exitDate ? '→' + leg.exitDate : '')];
+      if (leg.stopLossPct) parts.push('SL ' + leg.stopLossPct + '%');
+      if (leg.takeProfitPct) parts.push('TP ' + leg.takeProfitPct + '%');
+      if (leg.dcaAmount) parts.push('DCA $' + leg.dcaAmount + '/' + leg.dcaEveryDays + 'd');
+      return parts.join(' · ');
+    }
+    
+    function renderSimBasket() {
+      const el = document.getElementById('sim-basket');
+      if (!el) return;
+      el.innerHTML = simBasket.map((leg, i) =>
+        '<div class="sim-leg"><span class="sim-leg-ticker" style="color: ' + (tickerColors[leg.ticker] || '#33ff99') + '">' + leg.ticker + '</span>' +
+        '<span class="sim-leg-detail" title="' + describeSimLeg(leg) + '">' + describeSimLeg(leg) + '</span>' +
+        '<button class="sim-leg-remove" onclick="removeSimLeg(' + i + ')" aria-label="Remove leg">×</button></div>'
+      ).join('');
+    }
+    
+    function addSimLeg() {
+      const leg = readSimLegForm();
+      if (!leg.entryDate) {
         showSimError('Please select an entry date');
         return;
       }
-      
-      if (capital < 100) {
+      if (leg.capital < 100) {
         showSimError('Minimum capital: $100');
         return;
       }
-      
-      const daily = data.daily;
-      const entryTs = new Date(dateInput).getTime();
-      const dataStartTs = daily[0].t;
-      const dataEndTs = daily[daily.length - 1].t;
-      
-      if (entryTs < dataStartTs) {
-        showSimError('Date before available data range');
+      simBasket.push(leg);
+      renderSimBasket();
+      logTerminal('sim basket + ' + leg.ticker + ' (' + simBasket.length + ' legs)');
+    }
+    
+    function removeSimLeg(index) {
+      simBasket.splice(index, 1);
+      renderSimBasket();
+    }
+    
+    // Inline SVG line for the sim panel
+    function simSparkline(values, color, invert) {
+      if (values.length < 2) return '';
+      const min = Math.min(...values);
+      const max = Math.max(...values);
+      const range = max - min || 1;
+      const pts = values.map((v, i) => {
+        const x = i / (values.length - 1) * 100;
+        const y = invert ? (v - min) / range * 40 + 2 : 42 - (v - min) / range * 40;
+        return x.toFixed(2) + ',' + y.toFixed(2);
+      });
+      return '<svg viewBox="0 0 100 44" preserveAspectRatio="none">' +
+        '<polyline points="' + pts.join(' ') + '" fill="none" stroke="' + color + '" stroke-width="1.2" vector-effect="non-scaling-stroke"/></svg>';
+    }
+    
+    async function runPnLSimulation() {
+      if (!window.ScenarioSim) {
+        showSimError('Simulator unavailable');
         return;
       }
       
-      // Find entry candle (first candle on or after entry date)
-      const entryCandle = daily.find(p => p.t >= entryTs);
-      if (!entryCandle) {
-        showSimError('No data for selected date');
-        return;
+      const legs = simBasket.length ? simBasket.slice() : [readSimLegForm()];
+      if (!simBasket.length) {
+        if (!legs[0].entryDate) {
+          showSimError('Please select an entry date');
+          return;
+        }
+        if (legs[0].capital < 100) {
+          showSimError('Minimum capital: $100');
+          return;
+        }
       }
       
-      const lastCandle = daily[daily.length - 1];
-      const entryPrice = entryCandle.c;
-      const lastPrice = lastCandle.c;
-      
-      const shares = Math.floor(capital / entryPrice);
-      const actualInvested = shares * entryPrice;
-      const currentValue = shares * lastPrice;
-      const pnl = currentValue - actualInvested;
-      const returnPct = ((lastPrice - entryPrice) / entryPrice) * 100;
+      const barsByTicker = {};
+      for (const leg of legs) {
+        try {
+          const data = await fetchTickerData(leg.ticker);
+          barsByTicker[leg.ticker] = data.daily || [];
+        } catch (e) {
+          showSimError('No historical data available for ' + leg.ticker);
+          return;
+        }
+      }
       
-      const entryDate = new Date(entryCandle.t).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
-      const holdDays = Math.floor((lastCandle.t - entryCandle.t) / 86400000);
+      const result = ScenarioSim.run(legs, barsByTicker);
+      if (!result.ok) {
+        showSimError(result.error);
+        return;
+      }
       
+      const totals = result.totals;
       const resultEl = document.getElementById('sim-result');
-      const isPositive = pnl >= 0;
+      const isPositive = totals.pnl >= 0;
+      const money = v => (v >= 0 ? '+' : '−') + '$' + Math.abs(v).toLocaleString(undefined, {maximumFractionDigits: 0});
+      
+      let meta;
+      if (result.legs.length === 1) {
+        const leg = result.legs[0];
+        const entryDate = new Date(leg.entryDate + 'T12:00:00').toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+        meta = leg.shares + ' shares @ $' + leg.avgCost.toFixed(2) + ' → $' + leg.exitPrice.toFixed(2) + '<br>' +
+          'Entry: ' + entryDate + ' • ' + leg.holdDays + ' days held' +
+          (leg.exitReason !== 'OPEN' ? ' • ' + leg.exitReason + ' ' + leg.exitDate : '') +
+          (leg.contributions ? '<br>' + leg.contributions + ' DCA buys' : '');
+      } else {
+        meta = result.legs.length + ' legs • $' + totals.invested.toLocaleString(undefined, {maximumFractionDigits: 0}) + ' deployed';
+      }
       
       resultEl.className = 'sim-result ' + (isPositive ? 'positive' : 'negative');
       resultEl.innerHTML = 
         '<div class="sim-result-label">Simulated P&L</div>' +
-        '<div class="sim-result-value ' + (isPositive ? 'positive' : 'negative') + '">' +
-          (isPositive ? '+' : '−') + '$' + Math.abs(pnl).toLocaleString(undefined, {minimumFractionDigits: 0, maximumFractionDigits: 0}) +
-        '</div>' +
-        '<div class="sim-result-pct">' + (isPositive ? '+' : '') + returnPct.toFixed(1) + '% return</div>' +
-        '<div class="sim-result-meta">' +
-          shares + ' shares @ $' + entryPrice.toFixed(2) + ' → $' + lastPrice.toFixed(2) + '<br>' +
-          'Entry: ' + entryDate + ' • ' + holdDays + ' days held' +
-        '</div>';
+        '<div class="sim-result-value ' + (isPositive ? 'positive' : 'negative') + '">' + money(totals.pnl) + '</div>' +
+        '<div class="sim-result-pct">' + (isPositive ? '+' : '') + totals.returnPct.toFixed(1) + '% return • TWR ' +
+          (totals.twrPct >= 0 ? '+' : '') + totals.twrPct.toFixed(1) + '% • MaxDD ' + (totals.maxDrawdown * 100).toFixed(1) + '%</div>' +
+        '<div class="sim-chart"><div class="sim-chart-label">Equity</div>' +
+          simSparkline(result.curve.map(p => p.value), isPositive ? 'var(--signal-up)' : 'var(--signal-down)') + '</div>' +
+        '<div class="sim-chart"><div class="sim-chart-label">Drawdown</div>' +
+          simSparkline(result.curve.map(p => p.drawdown), 'var(--signal-down)', true) + '</div>' +
+        (result.legs.length > 1 ?
+          '<table class="sim-legs-table"><thead><tr><th>Leg</th><th>In</th><th>Out</th><th>P&L</th></tr></thead><tbody>' +
+          result.legs.map(leg =>
+            '<tr><td style="color: ' + (tickerColors[leg.ticker] || '#33ff99') + '">' + leg.ticker + '</td>' +
+            '<td>$' + leg.invested.toFixed(0) + '</td><td>' + leg.exitReason + '</td>' +
+            '<td class="' + (leg.pnl >= 0 ? 'pnl-positive' : 'pnl-negative') + '">' + money(leg.pnl) + ' (' + leg.returnPct.toFixed(0) + '%)</td></tr>'
+          ).join('') + '</tbody></table>' : '') +
+        '<div class="sim-result-meta">' + meta + '</div>';
+    }
+    
+    // Position sizing → simulator form (capital = sized position, stop = plan stop %)
+    async function applySizingToSim(plan) {
+      // Legs are built for the current ticker; switching resets the form first
+      if (plan.ticker !== currentTicker) await loadTicker(plan.ticker);
+      document.getElementById('sim-capital').value = Math.round(plan.positionValue);
+      document.getElementById('sim-stop').value = plan.stopPct.toFixed(1);
+      const resultEl = document.getElementById('sim-result');
+      resultEl.className = 'sim-result';
+      resultEl.innerHTML = '<div class="sim-result-label">Sized ' + plan.shares + ' ' + plan.ticker + ' · risk $' +
+        Math.round(plan.dollarRisk).toLocaleString() + (plan.side === 'SHORT' ? ' · simulator replays longs only' : '') + '</div>';
+      const section = document.querySelector('.simulation-section');
+      if (section) section.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+      logTerminal('sizing → sim ' + plan.shares + ' ' + plan.ticker + ' stop ' + plan.stopPct.toFixed(1) + '%');
     }
     
     function showSimError(msg) {
@@ -2031,7 +2565,7 @@
     function updateMACDDisplay() {
       const data = tickerData[currentTicker];
       if (!data) return;
-      const source = currentTimeframe === '1D' ? data.daily : data.intraday;
+      const source = getCurrentSeriesForTicker(data);
       if (!source || !source.length) return;
       const latest = source[source.length - 1];
       
@@ -2068,8 +2602,9 @@
     }
     
     function updateTrendStatus(data) {
-      const source = currentTimeframe === '1D' ? data.daily : data.intraday;
+      const source = getCurrentSeriesForTicker(data);
       if (!source || !source.length) return;
+      updateRegimeStatus(source);
       
       // Find the last candle with MA data
       let last = null;
@@ -2091,10 +2626,6 @@
       const g100 = last.g100;
       const g150 = last.g150;
       const g200 = last.g200;
-      const macdVal = last.macd || 0;
-      
-      // Compute volatility score for current ticker
-      const volScore = getVolScoreForTicker(currentTicker);
       
       const badgeEl = document.getElementById('trend-status-badge');
       const labelEl = document.getElementById('trend-status-label');
@@ -2106,8 +2637,8 @@
       document.getElementById('ma150-val').textContent = g150 ? '$' + g150.toFixed(2) : '--';
       document.getElementById('ma200-val').textContent = g200 ? '$' + g200.toFixed(2) : '--';
       
-      // Use glossary-based trend state calculation with volatility
-      const trendState = getTrendState(price, g100, g150, g200, macdVal, volScore);
+      // Glossary state for the regime engine's label on this series
+      const trendState = getTrendState(window.Regime ? Regime.get(currentTicker, currentTimeframe) : null);
       
       // Determine CSS mode class
       let mode = 'neutral';
@@ -2134,8 +2665,32 @@
       }
     }
     
+    // Regime label + timeline strip for the visible range
+    function updateRegimeStatus(source) {
+      const labelEl = document.getElementById('trend-regime-label');
+      const stripEl = document.getElementById('trend-regime-strip');
+      if (!labelEl || !stripEl) return;
+      const regime = window.Regime ? Regime.get(currentTicker, currentTimeframe) : null;
+      if (!regime || !source || !source.length) {
+        labelEl.textContent = '--';
+        labelEl.style.color = '';
+        stripEl.innerHTML = '';
+        return;
+      }
+      labelEl.textContent = `${regime.label} · ${regime.age} BAR${regime.age === 1 ? '' : 'S'}`;
+      labelEl.style.color = regime.color;
+      labelEl.title = regime.why;
+      
+      const startT = filterToRange(source)[0].t;
+      const fmt = t => new Date(t).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+      stripEl.innerHTML = Regime.timeline(currentTicker, currentTimeframe, startT).map(seg => {
+        const meta = Regime.REGIMES[seg.regime];
+        return `<span style="flex-grow:${seg.bars};background:${meta.color}" title="${meta.label} · ${seg.bars} bars · ${fmt(seg.startT)} – ${fmt(seg.endT)}"></span>`;
+      }).join('');
+    }
+    
     function updateVolumeStatus(data) {
-      const source = currentTimeframe === '1D' ? data.daily : data.intraday;
+      const source = getCurrentSeriesForTicker(data);
       if (!source || source.length < 10) {
         document.getElementById('volume-status').textContent = '--';
         document.getElementById('volume-status').className = 'volume-badge';
@@ -2178,6 +2733,7 @@
     
     function setTimeframe(tf) {
       currentTimeframe = tf;
+      if (window.ChartDrawings) ChartDrawings.reset();
       document.querySelectorAll('.ctrl-btn[data-tf]').forEach(btn => btn.classList.toggle('active', btn.dataset.tf === tf));
       updateCharts();
       updateMACDDisplay();
@@ -2193,6 +2749,7 @@
       currentRange = range;
       document.querySelectorAll('.ctrl-btn[data-range]').forEach(btn => btn.classList.toggle('active', btn.dataset.range === range));
       updateCharts();
+      if (tickerData[currentTicker]) updateRegimeStatus(getCurrentSeriesForTicker(tickerData[currentTicker]));
     }
     
     function toggleMA() {
@@ -2201,6 +2758,43 @@
       updateCharts();
     }
     
+    function setChartMode(mode) {
+      chartMode = mode;
+      document.querySelectorAll('.ctrl-btn[data-chart-mode]').forEach(btn => btn.classList.toggle('active', btn.dataset.chartMode === mode));
+      updateCharts();
+    }
+    
+    function toggleVolumeProfile() {
+      showVolumeProfile = !showVolumeProfile;
+      document.getElementById('vprofile-toggle').classList.toggle('active', showVolumeProfile);
+      updateCharts();
+    }
+    
+    function toggleCompareMode() {
+      compareMode = !compareMode;
+      if (compareMode && gridMode) setGridMode(false);
+      document.getElementById('compare-toggle').classList.toggle('active', compareMode);
+      document.getElementById('compare-panel').hidden = !compareMode;
+      document.querySelector('.price-chart-wrapper').classList.toggle('comparing', compareMode);
+      if (window.ChartDrawings) ChartDrawings.reset();
+      updateCharts();
+    }
+    
+    function setGridMode(on) {
+      gridMode = on;
+      document.getElementById('grid-toggle').classList.toggle('active', gridMode);
+      document.getElementById('mtf-grid').hidden = !gridMode;
+      document.querySelector('.telemetry-chart-area').classList.toggle('grid-mode', gridMode);
+      if (!gridMode && window.MtfGrid) MtfGrid.destroy();
+    }
+    
+    function toggleGridMode() {
+      if (!gridMode && compareMode) toggleCompareMode();
+      setGridMode(!gridMode);
+      if (window.ChartDrawings) ChartDrawings.reset();
+      updateCharts();
+    }
+    
     // =========================================================================
     // CONTEXT BAY (Step 4)
     // =========================================================================
@@ -2280,11 +2874,163 @@
       }
     }
     
-    // Simple HTML sanitizer
-    function escapeHtml(s) {
-      return (s || '').replace(/[&<>"']/g, c => ({
-        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
-      }[c]));
+    // Bars inside the selected range (currentRange)
+    function filterToRange(source) {
+      // Smart date filtering: use data's own date range if "now" filtering returns nothing
+      const cutoff = Date.now() - (rangeDays[currentRange] * 86400000);
+      let filtered = source.filter(d => d.t > cutoff);
+      
+      // If filtering removed all data (historical data), use relative filtering from data's end date
+      if (filtered.length === 0 && source.length > 0) {
+        const dataEnd = source[source.length - 1].t;
+        const relativeCutoff = dataEnd - (rangeDays[currentRange] * 86400000);
+        filtered = source.filter(d => d.t > relativeCutoff);
+      }
+      
+      // If still no data, just use all available data
+      return filtered.length ? filtered : source;
+    }
+    
+    // =========================================================================
+    // MULTI-TIMEFRAME GRID — daily / 45m / 15m / weekly, synced crosshair
+    // =========================================================================
+    
+    function renderGrid() {
+      const data = tickerData[currentTicker];
+      if (!data || !window.MtfGrid) return;
+      const panes = document.getElementById('indicator-panes');
+      if (panes) panes.hidden = true;
+      MtfGrid.render('mtf-grid', {
+        ticker: currentTicker,
+        data,
+        color: tickerColors[currentTicker] || '#33ff99',
+        rangeDays: rangeDays[currentRange],
+        // MACD lines + orbit follow the focused pane
+        onFocus: (pane) => renderMacdPanel(pane.bars, pane.bars.map(b => new Date(b.t)))
+      });
+    }
+    
+    // =========================================================================
+    // COMPARISON MODE — fleet tickers + XAR rebased on one chart
+    // =========================================================================
+    
+    async function renderComparison() {
+      if (!window.Comparison || !window.ComparePanel) return;
+      const seq = ++compareRenderSeq;
+      const settings = ComparePanel.getSettings();
+      const benchmark = Comparison.BENCHMARK;
+      const tickers = [...new Set([currentTicker, ...settings.tickers, benchmark])];
+      
+      await Promise.allSettled(tickers.map(t => fetchTickerData(t)));
+      if (seq !== compareRenderSeq || !compareMode) return; // superseded
+      
+      const seriesMap = {}, missing = [];
+      tickers.forEach(t => {
+        const series = tickerData[t] && getCurrentSeriesForTicker(tickerData[t]);
+        if (series && series.length) seriesMap[t] = series;
+        else missing.push(t);
+      });
+      const anchor = seriesMap[benchmark] || seriesMap[currentTicker];
+      if (!anchor) return;
+      const inRange = filterToRange(anchor);
+      const result = Comparison.build(seriesMap, {
+        benchmark,
+        scale: settings.scale,
+        startT: inRange[0].t,
+        endT: inRange[inRange.length - 1].t
+      });
+      
+      const baseline = settings.scale === 'pct' ? 0 : 100;
+      const usedColors = new Set();
+      const datasets = result.lines.map(line => {
+        const color = line.isBenchmark ? '#e8f4f0' : (tickerColors[line.ticker] || '#33ff99');
+        // Several tickers share a palette color; dash the repeats so lines stay distinct
+        const repeat = !line.isBenchmark && usedColors.has(color);
+        usedColors.add(color);
+        return {
+          label: line.ticker,
+          data: line.values,
+          borderColor: color,
+          borderWidth: line.ticker === currentTicker ? 2.2 : line.isBenchmark ? 1.6 : 1.3,
+          borderDash: line.isBenchmark ? [6, 4] : repeat ? [3, 2] : [],
+          pointRadius: 0,
+          tension: 0.1,
+          spanGaps: true,
+          fill: false
+        };
+      });
+      datasets.push({
+        label: 'BASE',
+        data: result.times.map(() => baseline),
+        borderColor: 'rgba(90, 112, 104, 0.45)',
+        borderWidth: 1,
+        borderDash: [2, 4],
+        pointRadius: 0,
+        fill: false
+      });
+      const fmt = v => settings.scale === 'pct' ? (v >= 0 ? '+' : '') + v.toFixed(1) + '%' : v.toFixed(1);
+      
+      if (priceChart) priceChart.destroy();
+      priceChart = new Chart(document.getElementById('price-chart'), {
+        type: 'line',
+        data: { labels: result.times.map(t => new Date(t)), datasets },
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          animation: false,
+          interaction: { mode: 'index', intersect: false },
+          plugins: {
+            legend: {
+              display: true,
+              position: 'top',
+              labels: {
+                boxWidth: 12,
+                font: { size: 10, family: "'IBM Plex Mono', monospace" },
+                color: '#5a7068',
+                filter: (item) => item.text !== 'BASE'
+              }
+            },
+            tooltip: {
+              backgroundColor: 'rgba(10, 12, 15, 0.92)',
+              titleColor: '#33ff99',
+              bodyColor: '#e8f4f0',
+              borderColor: '#33ff99',
+              borderWidth: 1,
+              padding: 8,
+              titleFont: { family: "'IBM Plex Mono', monospace", size: 11 },
+              bodyFont: { family: "'IBM Plex Mono', monospace", size: 11 },
+              itemSort: (a, b) => b.parsed.y - a.parsed.y,
+              filter: (item) => item.dataset.label !== 'BASE' && item.parsed.y !== null,
+              callbacks: {
+                title: (items) => items.length ? new Date(items[0].parsed.x).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }) : '',
+                label: (item) => `${item.dataset.label}  ${fmt(item.parsed.y)}`
+              }
+            }
+          },
+          scales: {
+            x: {
+              type: 'time',
+              grid: { color: 'rgba(51, 255, 153, 0.05)' },
+              ticks: { color: '#3a4a44', font: { family: "'IBM Plex Mono', monospace", size: 10 }, maxTicksLimit: 8 }
+            },
+            y: {
+              position: 'right',
+              grid: { color: 'rgba(51, 255, 153, 0.05)' },
+              ticks: { color: '#5a7068', font: { family: "'IBM Plex Mono', monospace", size: 10 }, callback: fmt }
+            }
+          }
+        }
+      });
+      
+      const panes = document.getElementById('indicator-panes');
+      if (panes) panes.hidden = true;
+      ComparePanel.render('compare-panel', {
+        result,
+        available: fleetTickers.filter(t => t !== benchmark),
+        current: currentTicker,
+        missing,
+        colors: tickerColors
+      });
     }
     
     function updateCharts() {
@@ -2296,28 +3042,25 @@
         return;
       }
       
+      if (compareMode) {
+        renderComparison();
+        return;
+      }
+      if (gridMode) {
+        renderGrid();
+        return;
+      }
+      
       const data = tickerData[currentTicker];
       if (!data) return;
-      let source = currentTimeframe === '1D' ? data.daily : data.intraday;
+      let source = getCurrentSeriesForTicker(data);
       if (!source || !source.length) return;
+      const fullSource = source; // indicators warm up on the full series
       
-      // Smart date filtering: use data's own date range if "now" filtering returns nothing
-      const cutoff = Date.now() - (rangeDays[currentRange] * 86400000);
-      let filtered = source.filter(d => d.t > cutoff);
+      // Heikin-Ashi is seeded from the first bar, so derive it before range filtering
+      const haByTime = chartMode === 'heikin-ashi' ? new Map(toHeikinAshi(source).map(b => [b.t, b])) : null;
       
-      // If filtering removed all data (historical data), use relative filtering from data's end date
-      if (filtered.length === 0 && source.length > 0) {
-        const dataEnd = source[source.length - 1].t;
-        const relativeCutoff = dataEnd - (rangeDays[currentRange] * 86400000);
-        filtered = source.filter(d => d.t > relativeCutoff);
-      }
-      
-      // If still no data, just use all available data
-      if (filtered.length === 0) {
-        filtered = source;
-      }
-      
-      source = filtered;
+      source = filterToRange(source);
       
       if (!source.length) return;
       
@@ -2328,9 +3071,16 @@
       // Store closes for Context Bay access
       window.currentSeriesCloses = closes;
       
-      // Calculate proper Y-axis bounds with padding
-      const minPrice = Math.min(...closes);
-      const maxPrice = Math.max(...closes);
+      // Bars drawn by candlestickPlugin (null in line mode)
+      const ohlc = chartMode === 'line' ? null : source.map(d => haByTime ? haByTime.get(d.t) : d);
+      
+      // Overlay indicators from the registry (BB, VWAP, Ichimoku, ...)
+      const indicatorOverlays = window.IndicatorPanel ? IndicatorPanel.overlayDatasets(fullSource, source.length) : [];
+      const overlayValues = indicatorOverlays.flatMap(ds => ds.data).filter(Number.isFinite);
+      
+      // Calculate proper Y-axis bounds with padding (wicks and overlays count)
+      const minPrice = Math.min(...(ohlc ? ohlc.map(b => b.l) : closes), ...overlayValues);
+      const maxPrice = Math.max(...(ohlc ? ohlc.map(b => b.h) : closes), ...overlayValues);
       const priceRange = maxPrice - minPrice;
       const padding = priceRange * 0.08 || maxPrice * 0.02; // 8% padding, or 2% if flat
       
@@ -2349,11 +3099,14 @@
       
       const datasets = [];
       
-      // Main price trace (hero line)
+      // Main price trace (hero line; transparent carrier for candles so the
+      // tooltip, ship overlay and ribbon plugins keep their anchor)
       datasets.push({ 
         label: currentTicker, 
         data: closes, 
-        borderColor: color, 
+        ohlc,
+        volumeProfile: showVolumeProfile ? buildVolumeProfile(source) : null,
+        borderColor: ohlc ? 'rgba(0,0,0,0)' : color, 
         backgroundColor: 'rgba(0,0,0,0)', // Let ribbon provide the fill vibe
         borderWidth: 2, 
         fill: false, 
@@ -2411,6 +3164,8 @@
         }
       }
       
+      datasets.push(...indicatorOverlays);
+      
       priceChart = new Chart(document.getElementById('price-chart'), {
         type: 'line', 
         data: { labels, datasets },
@@ -2449,6 +3204,13 @@
                 label: (item) => {
                   // Only show main price line, hide everything else
                   if (item.dataset.label === 'RKLB' || item.datasetIndex === 0) {
+                    const bar = ohlc && ohlc[item.dataIndex];
+                    if (bar) {
+                      return [
+                        `O $${bar.o.toFixed(2)}  H $${bar.h.toFixed(2)}`,
+                        `L $${bar.l.toFixed(2)}  C $${bar.c.toFixed(2)}`
+                      ].concat(chartMode === 'heikin-ashi' ? [`Last $${item.parsed.y.toFixed(2)}`] : []);
+                    }
                     return '$' + item.parsed.y.toFixed(2);
                   }
                   return null;
@@ -2472,19 +3234,14 @@
             }
           }
         },
-        plugins: [terrainPlugin, arcadeCRTPlugin, ribbonEMGlitchPlugin, shipOverlayPlugin]
+        plugins: [terrainPlugin, volumeProfilePlugin, arcadeCRTPlugin, candlestickPlugin, ribbonEMGlitchPlugin]
+          .concat(window.ChartDrawings ? [ChartDrawings.plugin] : [], [shipOverlayPlugin])
       });
       
-      if (macdChart) macdChart.destroy();
-      const macdData = source.map(d => d.macd), signalData = source.map(d => d.signal), histData = source.map(d => d.hist);
-      macdChart = new Chart(document.getElementById('macd-chart'), {
-        type: 'bar', data: { labels, datasets: [
-          { label: 'Histogram', data: histData, type: 'bar', order: 2, backgroundColor: histData.map(v => v >= 0 ? 'rgba(51, 255, 153, 0.5)' : 'rgba(255, 107, 107, 0.5)'), borderColor: histData.map(v => v >= 0 ? '#33ff99' : '#ff6b6b'), borderWidth: 1 },
-          { label: 'MACD', data: macdData, type: 'line', order: 1, borderColor: '#47d4ff', borderWidth: 1.5, fill: false, tension: 0.1, pointRadius: 0 },
-          { label: 'Signal', data: signalData, type: 'line', order: 0, borderColor: '#ffb347', borderWidth: 1.5, fill: false, tension: 0.1, pointRadius: 0 }
-        ]},
-        options: { responsive: true, maintainAspectRatio: false, plugins: { legend: { display: false } }, scales: { x: { type: 'time', display: false }, y: { position: 'right', grid: { color: 'rgba(51, 255, 153, 0.05)' }, ticks: { color: '#5a7068', font: { family: "'IBM Plex Mono', monospace", size: 9 } } } } }
-      });
+      const { macd: macdData, signal: signalData, hist: histData } = renderMacdPanel(source, labels);
+      
+      // Sub-pane indicators (RSI, ATR, ...) under the price chart
+      if (window.IndicatorPanel) IndicatorPanel.renderPanes('indicator-panes', fullSource, source.length, labels);
       
       // Update telemetry side console
       updateTelemetryConsole(source, closes);
@@ -2505,6 +3262,22 @@
       } catch (e) {
         console.warn('Ship Systems update failed:', e);
       }
+    }
+    
+    /**
+     * MACD lines chart + orbit for a bar series (main chart or focused grid pane)
+     */
+    function renderMacdPanel(source, labels) {
+      if (macdChart) macdChart.destroy();
+      const macdData = source.map(d => d.macd), signalData = source.map(d => d.signal), histData = source.map(d => d.hist);
+      macdChart = new Chart(document.getElementById('macd-chart'), {
+        type: 'bar', data: { labels, datasets: [
+          { label: 'Histogram', data: histData, type: 'bar', order: 2, backgroundColor: histData.map(v => v >= 0 ? 'rgba(51, 255, 153, 0.5)' : 'rgba(255, 107, 107, 0.5)'), borderColor: histData.map(v => v >= 0 ? '#33ff99' : '#ff6b6b'), borderWidth: 1 },
+          { label: 'MACD', data: macdData, type: 'line', order: 1, borderColor: '#47d4ff', borderWidth: 1.5, fill: false, tension: 0.1, pointRadius: 0 },
+          { label: 'Signal', data: signalData, type: 'line', order: 0, borderColor: '#ffb347', borderWidth: 1.5, fill: false, tension: 0.1, pointRadius: 0 }
+        ]},
+        options: { responsive: true, maintainAspectRatio: false, plugins: { legend: { display: false } }, scales: { x: { type: 'time', display: false }, y: { position: 'right', grid: { color: 'rgba(51, 255, 153, 0.05)' }, ticks: { color: '#5a7068', font: { family: "'IBM Plex Mono', monospace", size: 9 } } } } }
+      });
       
       // Update MACD Orbit Visualization
       const macdWrapper = document.querySelector('.macd-chart-wrapper');
@@ -2514,6 +3287,7 @@
       if (macdOrbitMode) {
         renderMacdOrbit({ macd: macdData, signal: signalData, hist: histData, labels });
       }
+      return { macd: macdData, signal: signalData, hist: histData };
     }
     
     // ═══════════════════════════════════════════════════════════════════════════
@@ -3533,11 +4307,6 @@
     
     // Add entry to bridge feed
     function addBridgeFeedEntry(ticker, latest, priceChange) {
-      const logEl = document.getElementById('telemetry-log');
-      if (!logEl) return;
-      
-      const timestamp = new Date().toLocaleTimeString('en-US', { hour12: false, hour: '2-digit', minute: '2-digit' });
-      
       // Generate status text based on data
       let statusText = '';
       let entryClass = '';
@@ -3545,8 +4314,14 @@
       const macd = latest.macd || 0;
       const sig = latest.signal || 0;
       const hist = latest.hist || 0;
-      
-      if (macd > sig && hist > 0.05) {
+      const regime = window.Regime ? Regime.get(ticker, currentTimeframe) : null;
+      
+      if (regime) {
+        statusText = `${ticker} ${regime.label} · ${regime.why} · ${regime.age} bar${regime.age === 1 ? '' : 's'}`;
+        entryClass = regime.regime === 'CHAOS' ? 'alert'
+          : regime.dir > 0 ? 'positive'
+          : regime.dir < 0 ? 'negative' : '';
+      } else if (macd > sig && hist > 0.05) {
         statusText = `${ticker} thrust vector aligned · bullish crossover`;
         entryClass = 'positive';
       } else if (macd < sig && hist < -0.05) {
@@ -3563,6 +4338,15 @@
         entryClass = '';
       }
       
+      pushBridgeFeed(statusText, entryClass);
+    }
+    
+    function pushBridgeFeed(statusText, entryClass) {
+      const logEl = document.getElementById('telemetry-log');
+      if (!logEl) return;
+      
+      const timestamp = new Date().toLocaleTimeString('en-US', { hour12: false, hour: '2-digit', minute: '2-digit' });
+      
       // Create new entry
       const entry = document.createElement('div');
       entry.className = 'log-entry ' + entryClass;
@@ -3585,7 +4369,7 @@
       if (tab === 'chart') return 'data';
       if (tab === 'arcade') return 'arcade';
       if (tab === 'garage' || tab === 'upgrades') return 'garage';
-      if (tab === 'positions' || tab === 'options' || tab === 'catalysts') return 'command';
+      if (tab === 'positions' || tab === 'options' || tab === 'catalysts' || tab === 'threats') return 'command';
       return 'hangar'; // Default to hangar
     }
     
@@ -3636,6 +4420,11 @@
         btn.classList.toggle('active', btn.dataset.tab === tabName);
       });
       
+      // Event study follows the active ticker
+      if (tabName === 'catalysts' && window.EventStudyPanel) {
+        EventStudyPanel.show();
+      }
+      
       // Initialize Paint Bay when switching to garage
       if (tabName === 'garage' && window.PaintBay) {
         setTimeout(() => {
@@ -3824,6 +4613,11 @@
       if (tabName === 'options' && window.initTrajectoryCanvas) {
         setTimeout(() => window.initTrajectoryCanvas(), 150);
       }
+      
+      // Event study follows the active ticker
+      if (tabName === 'catalysts' && window.EventStudyPanel) {
+        EventStudyPanel.show();
+      }
     }
     
     function populateMobileTickerCarousel() {
@@ -3974,19 +4768,21 @@
       // Keep the legacy table rendering for table view
       const tbody = document.getElementById('stock-tbody');
       if (tbody) {
-        tbody.innerHTML = DEMO_STOCK_POSITIONS.map(pos => {
+        tbody.innerHTML = getFleetPositions().map(pos => {
           const value = pos.shares * pos.current_price;
           const pnl = (pos.current_price - pos.entry_price) * pos.shares;
           const pnlPct = ((pos.current_price - pos.entry_price) / pos.entry_price * 100);
+          const realized = (pos.realized_pnl || 0) + (pos.dividends || 0);
           const color = tickerColors[pos.ticker] || '#33ff99';
           const hasDossier = TICKER_PROFILES[pos.ticker] ? true : false;
           const dossierBtn = hasDossier ? '<button class="dossier-btn" onclick="openTickerDossier(\'' + pos.ticker + '\')">◉</button>' : '';
           return '<tr class="position-row" data-ticker="' + pos.ticker + '">' +
             '<td><span class="ticker-tag">' + dossierBtn + '<span class="ticker-dot" style="background: ' + color + '"></span>' + pos.ticker + '</span></td>' +
             '<td style="color: var(--text-dim); font-size: 0.65rem; letter-spacing: 0.05em;">' + (tickerThemes[pos.ticker] || '') + '</td>' +
-            '<td>' + pos.shares + '</td><td>$' + pos.entry_price.toFixed(2) + '</td><td>$' + pos.current_price.toFixed(2) + '</td>' +
+            '<td>' + pos.shares + '</td><td>$' + pos.entry_price.toFixed(2) + '</td><td>$' + pos.current_price.toFixed(2) + staleBadge(pos) + '</td>' +
             '<td>$' + value.toLocaleString() + '</td>' +
-            '<td class="' + (pnl >= 0 ? 'pnl-positive' : 'pnl-negative') + '">' + (pnl >= 0 ? '+' : '') + '$' + pnl.toFixed(0) + ' (' + (pnlPct >= 0 ? '+' : '') + pnlPct.toFixed(1) + '%)</td></tr>';
+            '<td class="' + (pnl >= 0 ? 'pnl-positive' : 'pnl-negative') + '">' + (pnl >= 0 ? '+' : '') + '$' + pnl.toFixed(0) + ' (' + (pnlPct >= 0 ? '+' : '') + pnlPct.toFixed(1) + '%)</td>' +
+            '<td class="' + (realized ? (realized >= 0 ? 'pnl-positive' : 'pnl-negative') : '') + '">' + (realized ? (realized >= 0 ? '+' : '-') + '$' + Math.abs(realized).toFixed(0) : '—') + '</td></tr>';
         }).join('');
       }
       
@@ -4315,11 +5111,11 @@
       let totalPnl = 0;
       let operational = 0;
       let damaged = 0;
-      const maxShares = Math.max(...DEMO_STOCK_POSITIONS.map(p => p.shares));
-      const totalShares = DEMO_STOCK_POSITIONS.reduce((s, p) => s + p.shares, 0);
+      const positions = getFleetPositions();
+      const totalShares = positions.reduce((s, p) => s + p.shares, 0);
       
       // Build ship cards
-      const shipCards = DEMO_STOCK_POSITIONS.map(pos => {
+      const shipCards = positions.map(pos => {
         const value = pos.shares * pos.current_price;
         const pnl = (pos.current_price - pos.entry_price) * pos.shares;
         const pnlPct = ((pos.current_price - pos.entry_price) / pos.entry_price * 100);
@@ -4336,11 +5132,12 @@
         const shipLore = PIXEL_SHIP_LORE[shipMeta.pattern] || PIXEL_SHIP_LORE.drone;
         
         // Calculate stats for bars
-        const hullHealth = Math.max(10, Math.min(100, 50 + pnlPct * 2)); // P&L affects hull
+        const returnPct = getPositionReturnPct(pos);
+        const hullHealth = Math.max(10, Math.min(100, 50 + returnPct * 2)); // Total return (incl. realized) affects hull
         const cargoPercent = Math.round((pos.shares / totalShares) * 100);
         const fuelPercent = Math.max(10, Math.min(100, Math.random() * 40 + 60)); // Random fuel level
         
-        const isOperational = pnlPct >= 0;
+        const isOperational = returnPct >= 0;
         if (isOperational) operational++;
         else damaged++;
         
@@ -4392,7 +5189,7 @@
               </div>
             </div>
             <div class="ship-footer">
-              <div class="ship-value">$${value.toLocaleString()}</div>
+              <div class="ship-value">$${value.toLocaleString()}${staleBadge(pos)}</div>
               <div class="ship-pnl">
                 <span class="ship-pnl-amount ${pnl >= 0 ? 'positive' : 'negative'}">${pnl >= 0 ? '+' : ''}$${Math.abs(pnl).toFixed(0)}</span>
                 <span class="ship-pnl-percent ${pnlPct >= 0 ? 'positive' : 'negative'}">${pnlPct >= 0 ? '+' : ''}${pnlPct.toFixed(1)}%</span>
@@ -4417,13 +5214,13 @@
         todayPnl.className = 'value ' + (totalPnl >= 0 ? 'positive' : 'negative');
       }
       if (fleetValue) fleetValue.textContent = '$' + totalValue.toLocaleString(undefined, {maximumFractionDigits: 0});
-      if (shipCount) shipCount.textContent = DEMO_STOCK_POSITIONS.length;
+      if (shipCount) shipCount.textContent = positions.length;
       if (opCount) opCount.textContent = operational;
       if (dmgCount) dmgCount.textContent = damaged;
-      if (winRate) winRate.textContent = Math.round((operational / DEMO_STOCK_POSITIONS.length) * 100) + '%';
+      if (winRate) winRate.textContent = positions.length ? Math.round((operational / positions.length) * 100) + '%' : '--';
       
       // Update Command Brief
-      updateCommandBrief(totalPnl, operational, damaged, DEMO_STOCK_POSITIONS);
+      updateCommandBrief(totalPnl, operational, damaged, positions);
       
       // Step 5: Add hover handlers for hangar focus
       bindFleetCardHoverHandlers();
@@ -4469,17 +5266,22 @@
       const posture = postures.find(p => winRate >= p.threshold)?.label || 'Unknown';
       if (postureEl) postureEl.textContent = posture;
       
-      // Analyze sector concentration
-      const sectors = {};
-      positions.forEach(p => {
-        const sector = p.sector || 'Unknown';
-        sectors[sector] = (sectors[sector] || 0) + 1;
-      });
-      const topSectors = Object.entries(sectors)
-        .sort((a, b) => b[1] - a[1])
-        .slice(0, 2)
-        .map(([s]) => s);
-      if (concentrationEl) concentrationEl.textContent = topSectors.join(' & ') || 'Diversified';
+      // Exposure by theme (tickerThemes), weighted by position value
+      const exposure = window.Sectors ? Sectors.exposure(positions, tickerThemes) : [];
+      if (concentrationEl) {
+        concentrationEl.textContent = exposure.slice(0, 2).map(e => e.theme + ' ' + Math.round(e.weight * 100) + '%').join(' & ') || 'Diversified';
+      }
+      const exposureEl = document.getElementById('brief-exposure');
+      if (exposureEl) {
+        exposureEl.innerHTML = exposure.length
+          ? '<div class="brief-exposure-bar">' + exposure.map(e =>
+              `<span style="width: ${(e.weight * 100).toFixed(2)}%; background: ${themeColors[e.theme] || '#5a7068'}" title="${e.theme} · $${Math.round(e.value).toLocaleString()}"></span>`
+            ).join('') + '</div>' +
+            '<div class="brief-exposure-legend">' + exposure.map(e =>
+              `<span><i style="background: ${themeColors[e.theme] || '#5a7068'}"></i>${e.theme} ${(e.weight * 100).toFixed(0)}%</span>`
+            ).join('') + '</div>'
+          : '';
+      }
       
       // Risk assessment
       const riskLevels = [
@@ -4521,6 +5323,10 @@
         notes.push('• ' + damaged + ' vessel(s) require attention');
       }
       
+      if (exposure.length && exposure[0].weight > 0.6) {
+        notes.push('• ' + exposure[0].theme + ' is ' + Math.round(exposure[0].weight * 100) + '% of fleet value — concentration risk');
+      }
+      
       if (winRate > 0.8) {
         notes.push('• Recommend maintaining current trajectory');
       } else if (winRate > 0.5) {
@@ -4642,21 +5448,28 @@
     }
     
     function renderOptionsPositions() {
-      document.getElementById('options-tbody').innerHTML = DEMO_OPTIONS.map(pos => {
-        const pnl = (pos.current - pos.entry) * pos.contracts * 100;
-        const pnlPct = ((pos.current - pos.entry) / pos.entry * 100);
+      const fmtGreek = (v, digits) => Number.isFinite(v) ? v.toFixed(digits) : '—';
+      document.getElementById('options-tbody').innerHTML = getOptionBook().map(pos => {
+        const pnl = pos.pnl;
+        const pnlPct = pos.pnlPct;
+        const greeks = pos.greeks || {};
         const color = tickerColors[pos.ticker] || '#33ff99';
         const hasDossier = TICKER_PROFILES[pos.ticker] ? true : false;
         const dossierBtn = hasDossier ? '<button class="dossier-btn" onclick="openTickerDossier(\'' + pos.ticker + '\')">◉</button>' : '';
         const shipSrc = SHIP_SPRITES[pos.ticker] || DEFAULT_SHIP_SPRITE;
+        const expiry = pos.legs[0].expiry;
         return '<tr class="position-row" data-ticker="' + pos.ticker + '">' +
           '<td><span class="ticker-tag">' + dossierBtn + 
           '<img src="' + shipSrc + '" class="option-ship-icon" style="width: 24px; height: 18px; object-fit: contain; image-rendering: pixelated; vertical-align: middle; margin-right: 6px; filter: drop-shadow(0 0 3px ' + color + ');">' +
           '<span class="ticker-dot" style="background: ' + color + '"></span>' + pos.ticker + '</span></td>' +
-          '<td><span class="structure-tag">' + pos.structure + '</span></td><td>' + pos.strikes + '</td>' +
-          '<td>$' + pos.entry.toFixed(2) + '</td><td>$' + pos.current.toFixed(2) + '</td>' +
+          '<td><span class="structure-tag">' + pos.structure + '</span></td>' +
+          '<td>' + pos.strikes + ' <span style="color: var(--text-dim); font-size: 0.6rem;">' + expiry.slice(2, 7).replace('-', '/') + '</span></td>' +
+          '<td>$' + pos.entry.toFixed(2) + '</td><td title="' + (pos.model ? 'Theoretical value' : 'Last broker mark') + '">$' + pos.current.toFixed(2) + staleBadge(pos) + '</td>' +
           '<td class="' + (pnl >= 0 ? 'pnl-positive' : 'pnl-negative') + '">' + (pnl >= 0 ? '+' : '') + '$' + pnl.toFixed(0) + ' (' + (pnlPct >= 0 ? '+' : '') + pnlPct.toFixed(0) + '%)</td>' +
-          '<td>' + pos.delta.toFixed(2) + '</td></tr>';
+          '<td>' + fmtGreek(greeks.delta, 2) + '</td><td>' + fmtGreek(greeks.gamma, 3) + '</td>' +
+          '<td>' + fmtGreek(greeks.theta, 3) + '</td><td>' + fmtGreek(greeks.vega, 3) + '</td>' +
+          '<td>' + (pos.model ? (pos.model.vol * 100).toFixed(0) + '%' : '—') + '</td>' +
+          '<td style="color: var(--text-dim);">' + (pos.iv ? (pos.iv * 100).toFixed(0) + '%' : '—') + '</td></tr>';
       }).join('');
     }
     
@@ -4665,9 +5478,10 @@
       const chartPnl = document.getElementById('chart-pnl');
       
       if (!chartSizes || !chartPnl) return;
-      if (!DEMO_OPTIONS || !DEMO_OPTIONS.length) return;
+      const book = getOptionBook();
+      if (!book.length) return;
       
-      const positions = DEMO_OPTIONS.map(pos => ({ ticker: pos.ticker, value: pos.current * pos.contracts * 100, color: tickerColors[pos.ticker] || '#33ff99' })).sort((a, b) => b.value - a.value);
+      const positions = book.map(pos => ({ ticker: pos.ticker, value: pos.current * pos.contracts * 100, color: tickerColors[pos.ticker] || '#33ff99' })).sort((a, b) => b.value - a.value);
       const maxValue = Math.max(...positions.map(p => p.value));
       const totalValue = positions.reduce((s, x) => s + x.value, 0);
       chartSizes.innerHTML = '<div class="bar-chart">' + positions.map(p =>
@@ -4676,7 +5490,7 @@
         '<span class="bar-value">$' + p.value.toLocaleString() + '</span></div>'
       ).join('') + '</div>';
       
-      const pnlData = DEMO_OPTIONS.map(pos => ({ ticker: pos.ticker, pnl: (pos.current - pos.entry) * pos.contracts * 100, pct: ((pos.current - pos.entry) / pos.entry * 100), color: tickerColors[pos.ticker] || '#33ff99' })).sort((a, b) => b.pnl - a.pnl);
+      const pnlData = book.map(pos => ({ ticker: pos.ticker, pnl: pos.pnl, pct: pos.pnlPct, color: tickerColors[pos.ticker] || '#33ff99' })).sort((a, b) => b.pnl - a.pnl);
       const maxPnl = Math.max(...pnlData.map(p => Math.abs(p.pnl)));
       let winners = 0, losers = 0, totalPnl = 0;
       pnlData.forEach(p => { if (p.pnl >= 0) winners++; else losers++; totalPnl += p.pnl; });
@@ -4701,10 +5515,27 @@
       }).join('');
     }
     
+    // Seed the activity feed from the trade ledger (demo fleet buys when empty)
     function renderActivity() {
-      const tradeSvg = '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="23 6 13.5 15.5 8.5 10.5 1 18"/><polyline points="17 6 23 6 23 12"/></svg>';
-      const alertSvg = '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"/><line x1="12" y1="9" x2="12" y2="13"/><line x1="12" y1="17" x2="12.01" y2="17"/></svg>';
-      document.getElementById('activity-feed').innerHTML = DEMO_ACTIVITY.map(act =>
+      const feed = document.getElementById('activity-feed');
+      if (!feed) return;
+      
+      let activity;
+      if (window.Ledger && Ledger.hasEntries()) {
+        const book = Ledger.derive();
+        const realizedBySell = {};
+        book.realized.forEach(r => { realizedBySell[r.sellId] = (realizedBySell[r.sellId] || 0) + r.pnl; });
+        activity = Ledger.getEntries().reverse().slice(0, 12).map(e => ledgerEntryToActivity(e, realizedBySell[e.id]));
+      } else {
+        activity = getFleetPositions().slice(0, 5).map(pos => ({
+          type: 'trade',
+          title: 'BUY ' + pos.ticker,
+          subtitle: pos.shares + ' shares @ $' + pos.entry_price.toFixed(2),
+          time: window.Portfolio && Portfolio.hasImport() ? 'HELD' : 'DEMO'
+        }));
+      }
+      
+      feed.innerHTML = activity.map(act =>
         '<div class="activity-item"><div class="activity-icon ' + act.type + '">' + (act.type === 'trade' ? tradeSvg : alertSvg) + '</div>' +
         '<div class="activity-content"><div class="activity-title">' + act.title + '</div><div class="activity-subtitle">' + act.subtitle + '</div></div>' +
         '<div class="activity-time">' + act.time + '</div></div>'
@@ -4823,12 +5654,12 @@
       flashUpdate();
     }
     
-    function updateRiskGauge(sensitivity) {
-      // Risk inversely correlates with sensitivity (more sensitive = catches more risk)
-      const riskLevel = 100 - (sensitivity * 0.4);
+    // Point the risk needle at a 0-100 threat level
+    function setRiskNeedle(riskLevel, label) {
       const needle = document.getElementById('risk-needle');
       const fill = document.getElementById('risk-fill');
       const value = document.getElementById('risk-value');
+      if (!needle || !fill || !value) return;
       
       // Needle rotation: -45deg (low) to 225deg (high)
       const rotation = -45 + (riskLevel / 100 * 180);
@@ -4836,19 +5667,30 @@
       fill.style.height = riskLevel + '%';
       
       if (riskLevel < 33) {
-        value.textContent = 'LOW';
+        value.textContent = label || 'LOW';
         fill.style.background = 'var(--phosphor)';
       } else if (riskLevel < 66) {
-        value.textContent = 'MODERATE';
+        value.textContent = label || 'MODERATE';
         fill.style.background = 'linear-gradient(0deg, var(--amber) 0%, var(--phosphor) 100%)';
       } else {
-        value.textContent = 'HIGH';
+        value.textContent = label || 'HIGH';
         fill.style.background = 'linear-gradient(0deg, #ff4444 0%, var(--amber) 100%)';
       }
       
       controlState.risk = riskLevel;
     }
     
+    function updateRiskGauge(sensitivity) {
+      controlState.sensitivity = sensitivity;
+      // With a risk report, sensitivity sets the VaR confidence and the needle shows the result
+      if (window.Risk && Risk.getLastReport()) {
+        refreshRisk();
+        return;
+      }
+      // Risk inversely correlates with sensitivity (more sensitive = catches more risk)
+      setRiskNeedle(100 - (sensitivity * 0.4));
+    }
+    
     function runAnalysis(e) {
       const btn = e && e.currentTarget ? e.currentTarget : document.getElementById('run-analysis-btn');
       btn.textContent = '◌ ANALYZING...';
@@ -4886,6 +5728,14 @@
           btn.disabled = false;
           
           logControlChange('ANALYSIS COMPLETE — Vol: ' + newVol + 'σ');
+          
+          // Fleet-level threat assessment
+          refreshRisk().then(report => {
+            if (!report) return;
+            logControlChange('THREAT ' + report.score + ' — VaR ' + Math.round(report.confidence * 100) + '%: ' +
+              (report.var.historical * 100).toFixed(1) + '% ($' + Math.round(report.varDollars).toLocaleString() + ') · β ' +
+              report.portfolioBeta.toFixed(2) + ' · MaxDD ' + (report.drawdown.max * 100).toFixed(0) + '%');
+          });
         }
       }, 100);
       
@@ -5457,7 +6307,8 @@
         
         // Open vessel dossier for a specific ticker
         window.openVesselDossier = function(ticker) {
-          const pos = DEMO_STOCK_POSITIONS.find(p => p.ticker === ticker);
+          const fleetPositions = getFleetPositions();
+          const pos = fleetPositions.find(p => p.ticker === ticker);
           if (!pos) {
             logTerminal('ERROR: No vessel data found for ' + ticker);
             return;
@@ -5474,17 +6325,18 @@
           const value = pos.shares * pos.current_price;
           const pnl = (pos.current_price - pos.entry_price) * pos.shares;
           const pnlPct = ((pos.current_price - pos.entry_price) / pos.entry_price * 100);
-          const totalShares = DEMO_STOCK_POSITIONS.reduce((s, p) => s + p.shares, 0);
+          const totalShares = fleetPositions.reduce((s, p) => s + p.shares, 0);
           
           // Map to ship type
           const shipMeta = mapTickerToPixelShip(ticker, sector, pnlPct);
           const shipLore = PIXEL_SHIP_LORE[shipMeta.pattern] || PIXEL_SHIP_LORE.drone;
           
           // Calculate status bars
-          const hullHealth = Math.max(10, Math.min(100, 50 + pnlPct * 2));
+          const returnPct = getPositionReturnPct(pos);
+          const hullHealth = Math.max(10, Math.min(100, 50 + returnPct * 2));
           const cargoPercent = Math.round((pos.shares / totalShares) * 100);
           const fuelPercent = Math.max(10, Math.min(100, Math.random() * 40 + 60));
-          const isOperational = pnlPct >= 0;
+          const isOperational = returnPct >= 0;
           
           // Set CSS custom property for ship color
           overlay.style.setProperty('--ship-color', color);
@@ -5886,13 +6738,11 @@
       }
 
       function initCargoBay() {
-        // Update cargo bay based on demo positions
-        if (typeof DEMO_STOCK_POSITIONS !== 'undefined') {
-          DEMO_STOCK_POSITIONS.forEach(pos => {
-            const pnlPct = ((pos.current_price - pos.entry_price) / pos.entry_price) * 100;
-            updateCargoHealth(pos.ticker, pnlPct);
-          });
-        }
+        // Update cargo bay based on active fleet positions
+        getFleetPositions().forEach(pos => {
+          const pnlPct = ((pos.current_price - pos.entry_price) / pos.entry_price) * 100;
+          updateCargoHealth(pos.ticker, pnlPct);
+        });
         logTerminal('cargo bay manifest synchronized');
       }
 
@@ -6507,7 +7357,9 @@
         // Update summary counts
         const activeCount = document.getElementById('mission-active-count');
         const completeCount = document.getElementById('mission-complete-count');
+        const pendingCount = document.getElementById('mission-pending-count');
         if (activeCount) activeCount.textContent = counts.active;
+        if (pendingCount) pendingCount.textContent = counts.pending;
         if (completeCount) completeCount.textContent = counts.complete;
         
         // Update recent missions list
@@ -6594,6 +7446,19 @@
       
       const missionIcon = activeMission.icon ? PixelIcons.replaceEmojis(activeMission.icon) : PixelIcons.toSvg('rocket', '#33ff99', 14);
       
+      // Live missions resolve only when data refreshes bring new bars
+      let liveHtml = '';
+      if (activeMission.mode === 'LIVE') {
+        const lastBar = activeMission.live?.lastBarTime
+          ? new Date(activeMission.live.lastBarTime * 1000).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+          : '--';
+        liveHtml = `
+          <div class="mission-context-live ${progress?.pending ? 'pending' : ''}">
+            LIVE · ${progress?.pending ? 'AWAITING DATA' : 'DATA IN'} · last bar ${lastBar}
+          </div>
+        `;
+      }
+      
       contextContainer.innerHTML = `
         <div class="mission-context-card">
           <div class="mission-context-header">
@@ -6607,6 +7472,7 @@
             <span>${progress?.barsElapsed || 0} / ${activeMission.end?.targetBars || activeMission.duration?.targetBars || '?'} bars</span>
             <span>${progress?.timeRemaining || '--'}</span>
           </div>
+          ${liveHtml}
           ${supportsHtml}
           ${logsHtml}
           <a href="derivatives.html?ticker=${ticker}" style="color:var(--cyan);font-size:0.65rem;display:block;text-align:center;margin-top:0.5rem;">
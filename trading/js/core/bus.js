@@ -13,6 +13,9 @@
  *   - progress:xp         { ticker, amount, reason, meta }
  *   - progress:level      { ticker, from, to }
  *   - progress:equip      { ticker, slot, id }
+ *   - campaign:step       { id, step, result, goto }
+ *   - campaign:complete   { id, name, xp }
+ *   - campaign:failed     { id, name, step }
  * 
  * Usage:
  *   PARALLAX_BUS.on('training:result', (e) => console.log(e.ticker, e.score))
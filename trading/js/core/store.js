@@ -12,6 +12,10 @@
  *   - opsSub: string         — Operations sub-route ('holdings', etc.)
  *   - trainingSub: string    — Training sub-route ('arcade', etc.)
  *   - activeMissionId: string|null — Currently active mission
+ *   - portfolio: Object|null — Imported positions { positions, source, importedAt }
+ *   - indicators: Object     — Chart indicators { enabled: [id], params: { id: {...} } }
+ *   - compare: Object        — Comparison mode { tickers: [symbol], scale: 'rebase'|'pct' }
+ *   - sizing: Object|null    — Position sizing settings + saved plans (js/data/position-sizing.js)
  * 
  * Usage:
  *   Store.get()                     → returns full state object
@@ -39,7 +43,11 @@
     'route',
     'opsSub',
     'trainingSub',
-    'activeMissionId'
+    'activeMissionId',
+    'portfolio',
+    'indicators',
+    'compare',
+    'sizing'
   ];
 
   // Default state values
@@ -48,7 +56,11 @@
     route: '#telemetry',
     opsSub: 'holdings',
     trainingSub: 'arcade',
-    activeMissionId: null
+    activeMissionId: null,
+    portfolio: null,
+    indicators: { enabled: [], params: {} },
+    compare: { tickers: ['LUNR', 'ASTS'], scale: 'rebase' },
+    sizing: null
   };
 
   // Internal state
@@ -0,0 +1,29 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * PARALLAX UTILS
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Small helpers shared by app.js and the js/ui panels.
+ *
+ * Usage:
+ *   PARALLAX_UTILS.escapeHtml('<b>')   → '&lt;b&gt;'   (null / undefined → '')
+ *
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+(function() {
+  'use strict';
+
+  const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+  /**
+   * Escape text for innerHTML and attribute values
+   */
+  function escapeHtml(s) {
+    return String(s ?? '').replace(/[&<>"']/g, c => HTML_ENTITIES[c]);
+  }
+
+  window.PARALLAX_UTILS = {
+    escapeHtml
+  };
+})();
@@ -0,0 +1,362 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * ATTRIBUTION — Book performance and contribution-to-return vs XAR
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Rebuilds the book's daily market value over a period and reports:
+ *   - time-weighted return (daily returns chained, cash flows neutralized)
+ *   - money-weighted return (IRR of the period's cash flows, plus annualized)
+ *   - alpha / beta / correlation of daily book returns against the benchmark
+ *   - contribution-to-return per position and per theme; contributions are
+ *     linked by the book's growth so they sum exactly to the TWR
+ *
+ * Two modes:
+ *   ledger  replays Ledger entries — buys are inflows, sells and dividends
+ *           outflows, so timing of trades shows up in MWR vs TWR
+ *   static  no ledger; today's positions held unchanged through the period
+ *           (TWR and MWR coincide)
+ *
+ * Daily return convention: inflows land at the start of the day, outflows
+ * at the end — r = (V_t − V_{t−1} − F_t) / (V_{t−1} + max(F_t, 0)).
+ *
+ * Usage:
+ *   Attribution.compute({ entries, positions, seriesMap, themes }, { period: '3M' })
+ *     → { ok, mode, period, startT, endT, summary, positions, themes, series, warnings }
+ *   Attribution.toCSV(report)
+ *
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+(function() {
+  'use strict';
+
+  const BENCHMARK = 'XAR';
+  const DAY_MS = 86400000;
+  const MIN_REGRESSION = 10;
+  const UNTHEMED = 'OTHER';
+
+  // Calendar days back from the last bar; YTD and ALL are resolved in periodStart
+  const PERIODS = { '1M': 30, '3M': 91, '6M': 182, 'YTD': null, '1Y': 365, 'ALL': null };
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // HELPERS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Close per grid day, last close carried forward (null before the series starts)
+   */
+  function pricesOnGrid(bars, days) {
+    const out = new Array(days.length).fill(null);
+    if (!Array.isArray(bars)) return out;
+    let j = -1;
+    days.forEach((d, i) => {
+      while (j + 1 < bars.length && DailyMath.dayKey(bars[j + 1].t) <= d) j++;
+      if (j >= 0 && Number.isFinite(bars[j].c) && bars[j].c > 0) out[i] = bars[j].c;
+    });
+    return out;
+  }
+
+  /**
+   * Annualized IRR of dated cash flows (investor's view: contributions
+   * negative, value at the end positive). Bisection; null if no root.
+   */
+  function irr(flows) {
+    if (flows.length < 2) return null;
+    const t0 = flows[0].t;
+    const npv = rate => flows.reduce((s, f) => s + f.cf / Math.pow(1 + rate, (f.t - t0) / (365 * DAY_MS)), 0);
+    let lo = -0.9999, hi = 1e9;  // short periods annualize to huge rates
+    let fLo = npv(lo), fHi = npv(hi);
+    if (!Number.isFinite(fLo) || !Number.isFinite(fHi) || fLo * fHi > 0) return null;
+    for (let i = 0; i < 200; i++) {
+      const mid = (lo + hi) / 2;
+      const fMid = npv(mid);
+      if (Math.abs(fMid) < 1e-9) return mid;
+      if (fLo * fMid < 0) { hi = mid; fHi = fMid; } else { lo = mid; fLo = fMid; }
+    }
+    return (lo + hi) / 2;
+  }
+
+  /**
+   * Regression of book returns on benchmark returns; alpha annualized
+   */
+  function regress(pairs) {
+    if (pairs.length < MIN_REGRESSION) return { alpha: null, beta: null, corr: null };
+    const fit = DailyMath.regress(pairs);
+    return { ...fit, alpha: fit.alpha === null ? null : fit.alpha * DailyMath.TRADING_DAYS };
+  }
+
+  function periodStart(period, endT, firstT) {
+    if (period === 'ALL') return firstT;
+    if (period === 'YTD') return Date.UTC(new Date(endT).getUTCFullYear(), 0, 1);
+    return endT - PERIODS[period] * DAY_MS;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // COMPUTE
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * @param {Object} input - { entries?, positions?, seriesMap, themes }
+   *   entries   - Ledger.getEntries() (sorted); ledger mode when non-empty
+   *   positions - [{ ticker, shares, entry_price, current_price }] for static mode
+   *   seriesMap - ticker → daily bars, benchmark included
+   * @param {Object} opts - { period, benchmark }
+   */
+  function compute(input, opts = {}) {
+    const benchmark = opts.benchmark || BENCHMARK;
+    const period = Object.prototype.hasOwnProperty.call(PERIODS, opts.period) ? opts.period : '3M';
+    const seriesMap = input.seriesMap || {};
+    const themes = input.themes || {};
+    const entries = (input.entries || []).filter(e => Number.isFinite(e.date));
+    const mode = entries.length ? 'ledger' : 'static';
+    const warnings = [];
+
+    const tickers = mode === 'ledger'
+      ? [...new Set(entries.map(e => e.ticker))]
+      : [...new Set((input.positions || []).filter(p => p.shares > 0).map(p => p.ticker))];
+    if (!tickers.length) return { ok: false, error: 'No positions or ledger entries to report on' };
+
+    // Grid = every day any held ticker or the benchmark traded
+    const daySet = new Set();
+    [...tickers, benchmark].forEach(t => (seriesMap[t] || []).forEach(b => daySet.add(DailyMath.dayKey(b.t))));
+    const allDays = [...daySet].sort((a, b) => a - b);
+    if (allDays.length < 2) return { ok: false, error: 'Not enough daily data' };
+
+    const endDay = allDays[allDays.length - 1];
+    const firstT = mode === 'ledger' ? entries[0].date : allDays[0] * DAY_MS;
+    const startDay = DailyMath.dayKey(periodStart(period, endDay * DAY_MS, firstT));
+    // Base day is the last close before the window so day one's move counts
+    let baseIdx = allDays.findIndex(d => d >= startDay);
+    if (baseIdx < 0) return { ok: false, error: 'Period starts after the last bar' };
+    baseIdx = Math.max(0, baseIdx - 1);
+    const days = allDays.slice(baseIdx);
+    if (days.length < 2) return { ok: false, error: 'Period too short' };
+
+    const prices = {};
+    [...tickers, benchmark].forEach(t => { prices[t] = pricesOnGrid(seriesMap[t], days); });
+    tickers.filter(t => !seriesMap[t]).forEach(t => warnings.push(`${t}: no daily data — held at last trade / entry price`));
+    if (!seriesMap[benchmark]) warnings.push(`${benchmark}: no daily data — alpha/beta unavailable`);
+    else if (prices[benchmark][0] === null) warnings.push(`${benchmark}: history starts after the period start — benchmark return is partial`);
+
+    // Holdings and fallback marks
+    const shares = {};
+    const lastTrade = {};
+    tickers.forEach(t => { shares[t] = 0; });
+    if (mode === 'static') {
+      input.positions.forEach(p => {
+        if (!(p.shares > 0)) return;
+        shares[p.ticker] = (shares[p.ticker] || 0) + p.shares;
+        lastTrade[p.ticker] = Number.isFinite(p.current_price) ? p.current_price : p.entry_price;
+      });
+    }
+
+    // Trades after the last bar have no close of their own; the last day takes them
+    const late = entries.filter(e => DailyMath.dayKey(e.date) > endDay).length;
+    if (late) {
+      warnings.push(`${late} ledger entr${late === 1 ? 'y' : 'ies'} dated after the last bar (${new Date(endDay * DAY_MS).toISOString().slice(0, 10)}) — applied at its close`);
+    }
+
+    let cursor = 0;
+    // Applies entries up to and including `day`; returns net flow per ticker
+    function applyEntries(day) {
+      const flows = {};
+      while (cursor < entries.length && DailyMath.dayKey(entries[cursor].date) <= day) {
+        const e = entries[cursor++];
+        const t = e.ticker;
+        if (e.type === 'BUY') {
+          shares[t] += e.shares;
+          flows[t] = (flows[t] || 0) + e.shares * e.price + (e.fees || 0);
+          lastTrade[t] = e.price;
+        } else if (e.type === 'SELL') {
+          shares[t] = Math.max(0, shares[t] - e.shares);
+          flows[t] = (flows[t] || 0) - (e.shares * e.price - (e.fees || 0));
+          lastTrade[t] = e.price;
+        } else if (e.type === 'SPLIT') {
+          shares[t] *= e.ratio;
+          if (lastTrade[t]) lastTrade[t] /= e.ratio;
+        } else if (e.type === 'DIVIDEND') {
+          flows[t] = (flows[t] || 0) - e.amount;
+        }
+      }
+      return flows;
+    }
+
+    function valueOf(t, i) {
+      const px = prices[t][i] ?? lastTrade[t] ?? 0;
+      return shares[t] * px;
+    }
+
+    // Flows on or before the base day are history, not part of the period
+    applyEntries(days[0]);
+    const perTicker = {};
+    tickers.forEach(t => {
+      const v = valueOf(t, 0);
+      perTicker[t] = { ticker: t, theme: themes[t] || UNTHEMED, startValue: v, endValue: v, flows: 0, pnl: 0, contribution: 0 };
+    });
+
+    const startValue = tickers.reduce((s, t) => s + perTicker[t].startValue, 0);
+    let prevValue = startValue;
+    let growth = 1;
+    let netFlows = 0;
+    const cashFlows = startValue > 0 ? [{ t: days[0] * DAY_MS, cf: -startValue }] : [];
+    const pairs = [];
+    const benchPx = prices[benchmark];
+    const benchBase = benchPx.find(p => p !== null) ?? null;
+    const series = [{ t: days[0] * DAY_MS, book: 100, bench: benchPx[0] && benchBase ? (benchPx[0] / benchBase) * 100 : null }];
+
+    for (let i = 1; i < days.length; i++) {
+      const flows = applyEntries(i === days.length - 1 ? Infinity : days[i]);
+      let value = 0, flow = 0;
+      const pnl = {};
+      tickers.forEach(t => {
+        const rec = perTicker[t];
+        const v = valueOf(t, i);
+        const f = flows[t] || 0;
+        pnl[t] = v - rec.endValue - f;
+        rec.pnl += pnl[t];
+        rec.flows += f;
+        rec.endValue = v;
+        value += v;
+        flow += f;
+      });
+
+      const denom = prevValue + Math.max(flow, 0);
+      let r = 0;
+      if (denom > 0) {
+        r = (value - prevValue - flow) / denom;
+        tickers.forEach(t => { perTicker[t].contribution += (pnl[t] / denom) * growth; });
+        const b = benchPx[i] && benchPx[i - 1] ? benchPx[i] / benchPx[i - 1] - 1 : null;
+        if (b !== null && prevValue > 0) pairs.push([r, b]);
+      }
+      growth *= 1 + r;
+      if (flow) {
+        cashFlows.push({ t: days[i] * DAY_MS, cf: -flow });
+        netFlows += flow;
+      }
+      prevValue = value;
+      series.push({ t: days[i] * DAY_MS, book: growth * 100, bench: benchPx[i] && benchBase ? (benchPx[i] / benchBase) * 100 : null });
+    }
+
+    const endValue = prevValue;
+    const startT = days[0] * DAY_MS, endT = endDay * DAY_MS;
+    if (endValue > 0) cashFlows.push({ t: endT, cf: endValue });
+
+    const twr = growth - 1;
+    const mwrAnnual = cashFlows.length >= 2 ? irr(cashFlows) : null;
+    const years = cashFlows.length ? (endT - cashFlows[0].t) / (365 * DAY_MS) : 0;
+    const mwr = mwrAnnual === null || years <= 0 ? null : Math.pow(1 + mwrAnnual, years) - 1;
+    const benchLast = benchPx[benchPx.length - 1];
+    const benchReturn = benchBase && benchLast ? benchLast / benchBase - 1 : null;
+    const { alpha, beta, corr } = regress(pairs);
+
+    const positions = Object.values(perTicker)
+      .filter(p => p.startValue || p.endValue || p.flows || p.pnl)
+      .map(p => ({ ...p, weight: endValue > 0 ? p.endValue / endValue : 0 }))
+      .sort((a, b) => b.contribution - a.contribution);
+
+    const byTheme = {};
+    positions.forEach(p => {
+      const th = byTheme[p.theme] = byTheme[p.theme] || { theme: p.theme, startValue: 0, endValue: 0, flows: 0, pnl: 0, contribution: 0, tickers: [] };
+      th.startValue += p.startValue;
+      th.endValue += p.endValue;
+      th.flows += p.flows;
+      th.pnl += p.pnl;
+      th.contribution += p.contribution;
+      th.tickers.push(p.ticker);
+    });
+    const themeRows = Object.values(byTheme)
+      .map(th => ({ ...th, weight: endValue > 0 ? th.endValue / endValue : 0 }))
+      .sort((a, b) => b.contribution - a.contribution);
+
+    return {
+      ok: true,
+      mode,
+      period,
+      benchmark,
+      startT,
+      endT,
+      summary: {
+        days: days.length - 1,
+        startValue,
+        endValue,
+        netFlows,
+        pnl: endValue - startValue - netFlows,
+        twr,
+        mwr,
+        mwrAnnual,
+        benchReturn,
+        excess: benchReturn === null ? null : twr - benchReturn,
+        alpha,
+        beta,
+        corr
+      },
+      positions,
+      themes: themeRows,
+      series,
+      warnings
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // CSV
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function cell(v) {
+    if (v === null || v === undefined) return '';
+    if (typeof v === 'number') return Number.isFinite(v) ? String(+v.toFixed(6)) : '';
+    const s = String(v);
+    return /[",\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+  }
+
+  function row(values) {
+    return values.map(cell).join(',');
+  }
+
+  /**
+   * Report → CSV: summary block, positions, themes, then the daily series
+   */
+  function toCSV(report) {
+    if (!report || !report.ok) return '';
+    const s = report.summary;
+    const lines = [
+      row(['Metric', 'Value']),
+      row(['Period', report.period]),
+      row(['Mode', report.mode]),
+      row(['Start', DailyMath.isoDay(report.startT)]),
+      row(['End', DailyMath.isoDay(report.endT)]),
+      row(['Start Value', s.startValue]),
+      row(['End Value', s.endValue]),
+      row(['Net Flows', s.netFlows]),
+      row(['P&L', s.pnl]),
+      row(['TWR', s.twr]),
+      row(['MWR', s.mwr]),
+      row(['MWR Annualized', s.mwrAnnual]),
+      row([`${report.benchmark} Return`, s.benchReturn]),
+      row(['Excess vs ' + report.benchmark, s.excess]),
+      row(['Alpha (annualized)', s.alpha]),
+      row(['Beta', s.beta]),
+      row(['Correlation', s.corr]),
+      '',
+      row(['Ticker', 'Theme', 'Start Value', 'End Value', 'Net Flows', 'P&L', 'Contribution', 'Weight'])
+    ];
+    report.positions.forEach(p => lines.push(row([p.ticker, p.theme, p.startValue, p.endValue, p.flows, p.pnl, p.contribution, p.weight])));
+    lines.push('', row(['Theme', 'Tickers', 'Start Value', 'End Value', 'Net Flows', 'P&L', 'Contribution', 'Weight']));
+    report.themes.forEach(th => lines.push(row([th.theme, th.tickers.join(' '), th.startValue, th.endValue, th.flows, th.pnl, th.contribution, th.weight])));
+    lines.push('', row(['Date', 'Book Index', `${report.benchmark} Index`]));
+    report.series.forEach(p => lines.push(row([DailyMath.isoDay(p.t), p.book, p.bench])));
+    return lines.join('\n') + '\n';
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PUBLIC API
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  window.Attribution = {
+    BENCHMARK,
+    PERIODS: Object.keys(PERIODS),
+    compute,
+    toCSV,
+    irr
+  };
+
+})();
@@ -0,0 +1,389 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * PARALLAX BACKTESTER
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Rule-based, long-only backtests over the 45m indicator rows produced by
+ * IndicatorLoader. A strategy is an entry rule and an exit rule written
+ * over the row columns:
+ *
+ *   entry: 'buy and close > G200'
+ *   exit:  'macd bear cross or close < G150'
+ *
+ * Rule grammar (AND binds tighter than OR):
+ *   <col>                          marker present (buy / sell / cross)
+ *   <a> > | < | >= | <= <b>        compare two columns or a column and a number
+ *   <a> crosses above|below <b>    cross on this bar vs the previous one
+ *   macd bull cross / bear cross   shorthand for macd crosses above|below signal
+ *
+ * Signals are evaluated on a bar's close and filled at the next bar's open,
+ * so no rule can trade on information it would not have had. Fills pay
+ * slippage (bps against the trade) plus a flat commission per order.
+ *
+ * Result:
+ *   { ok, ticker, strategy, trades[], equity[{ time, equity, hold }],
+ *     stats{ trades, wins, winRate, expectancy, expectancyPct, avgWinPct,
+ *            avgLossPct, profitFactor, sharpe, totalReturnPct, buyHoldPct,
+ *            maxDrawdown, exposurePct, costs } }
+ *   | { ok: false, error }
+ *
+ * Usage:
+ *   Backtester.parseRule('buy and close > G200')          → { ok, rule } | { ok: false, error }
+ *   Backtester.run(rows, { entry, exit }, { capital, commission, slippageBps })
+ *   Backtester.runTicker('RKLB', strategy, opts)         → Promise<result>
+ *
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+window.Backtester = (function() {
+  'use strict';
+
+  // 45m bars in a 6.5h regular session, annualized over 252 sessions
+  const BARS_PER_YEAR = 252 * (390 / 45);
+
+  const DEFAULTS = {
+    capital: 10000,
+    commission: 1,     // $ per order
+    slippageBps: 5
+  };
+
+  // Lower-case alias → IndicatorLoader row key
+  const COLUMNS = {
+    open: 'open', high: 'high', low: 'low', close: 'close',
+    volume: 'volume', volumema: 'volumeMA',
+    g100: 'G100', g150: 'G150', g200: 'G200',
+    kernel: 'kernelRegression', kernelregression: 'kernelRegression',
+    macd: 'macd', signal: 'signalLine', signalline: 'signalLine',
+    hist: 'histogram', histogram: 'histogram',
+    main: 'mainLine', mainline: 'mainLine',
+    gobble: 'gobbleLine', gobbleline: 'gobbleLine',
+    buy: 'buy', sell: 'sell', cross: 'cross'
+  };
+  // Oscillator bands A1..F5
+  'ABCDEF'.split('').forEach(letter => {
+    for (let n = 1; n <= 5; n++) COLUMNS[(letter + n).toLowerCase()] = letter + n;
+  });
+
+  const MARKERS = ['buy', 'sell', 'cross'];
+
+  const PRESETS = {
+    'marker-trend': {
+      name: 'Buy Marker + Trend',
+      entry: 'buy and close > G200',
+      exit: 'macd bear cross'
+    },
+    'kernel-ride': {
+      name: 'Kernel Ride',
+      entry: 'close crosses above kernel and close > G100',
+      exit: 'close crosses below kernel'
+    },
+    'macd-momentum': {
+      name: 'MACD Momentum',
+      entry: 'macd bull cross and macd < 0',
+      exit: 'macd bear cross or sell'
+    },
+    'gobble-reclaim': {
+      name: 'G150 Reclaim',
+      entry: 'close crosses above G150 and volume > volumeMA',
+      exit: 'close crosses below G150 or sell'
+    }
+  };
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // RULE PARSING
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function parseOperand(token) {
+    if (token === undefined) return { error: 'Missing operand' };
+    const num = Number(token);
+    if (token !== '' && Number.isFinite(num)) return { value: num };
+    const key = COLUMNS[token.toLowerCase()];
+    return key ? { column: key } : { error: `Unknown column "${token}"` };
+  }
+
+  function parseClause(text) {
+    const words = text.trim().split(/\s+/).filter(Boolean);
+    if (!words.length) return { error: 'Empty clause' };
+    const lower = words.map(w => w.toLowerCase());
+
+    // Shorthand: "macd bull cross" / "macd bear cross"
+    if (lower.length === 3 && lower[0] === 'macd' && lower[2] === 'cross' && (lower[1] === 'bull' || lower[1] === 'bear')) {
+      return { op: lower[1] === 'bull' ? 'crossAbove' : 'crossBelow', left: { column: 'macd' }, right: { column: 'signalLine' } };
+    }
+
+    // Marker: "buy"
+    if (lower.length === 1) {
+      if (!MARKERS.includes(lower[0])) return { error: `"${words[0]}" is not a marker (use ${MARKERS.join(' / ')})` };
+      return { op: 'marker', left: { column: COLUMNS[lower[0]] } };
+    }
+
+    let op, left, right;
+    if (lower.length === 4 && (lower[1] === 'crosses' || lower[1] === 'cross') && (lower[2] === 'above' || lower[2] === 'below')) {
+      op = lower[2] === 'above' ? 'crossAbove' : 'crossBelow';
+      left = parseOperand(words[0]);
+      right = parseOperand(words[3]);
+    } else if (lower.length === 3 && ['>', '<', '>=', '<='].includes(words[1])) {
+      op = words[1];
+      left = parseOperand(words[0]);
+      right = parseOperand(words[2]);
+    } else {
+      return { error: `Cannot read "${text.trim()}"` };
+    }
+
+    if (left.error) return left;
+    if (right.error) return right;
+    if (!left.column && !right.column) return { error: `"${text.trim()}" compares two numbers` };
+    return { op, left, right };
+  }
+
+  /**
+   * Parse rule text into OR-of-AND clause groups
+   * @param {string} text
+   * @returns {{ ok: true, rule: Object[][] } | { ok: false, error: string }}
+   */
+  function parseRule(text) {
+    if (!text || !String(text).trim()) return { ok: false, error: 'Rule is empty' };
+    const rule = [];
+    for (const group of String(text).split(/\s+or\s+/i)) {
+      const clauses = [];
+      for (const part of group.split(/\s+and\s+/i)) {
+        const clause = parseClause(part);
+        if (clause.error) return { ok: false, error: clause.error };
+        clauses.push(clause);
+      }
+      rule.push(clauses);
+    }
+    return { ok: true, rule };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // EVALUATION
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function valueOf(operand, row) {
+    if (!row) return NaN;
+    if (operand.column) {
+      const v = row[operand.column];
+      return v === null || v === undefined ? NaN : v;
+    }
+    return operand.value;
+  }
+
+  function testClause(clause, row, prev) {
+    if (clause.op === 'marker') {
+      const v = valueOf(clause.left, row);
+      return Number.isFinite(v) && v !== 0;
+    }
+
+    const a = valueOf(clause.left, row);
+    const b = valueOf(clause.right, row);
+    if (!Number.isFinite(a) || !Number.isFinite(b)) return false;
+
+    switch (clause.op) {
+      case '>': return a > b;
+      case '<': return a < b;
+      case '>=': return a >= b;
+      case '<=': return a <= b;
+    }
+
+    const pa = valueOf(clause.left, prev);
+    const pb = valueOf(clause.right, prev);
+    if (!Number.isFinite(pa) || !Number.isFinite(pb)) return false;
+    return clause.op === 'crossAbove' ? pa <= pb && a > b : pa >= pb && a < b;
+  }
+
+  function testRule(rule, row, prev) {
+    return rule.some(group => group.every(clause => testClause(clause, row, prev)));
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // STATISTICS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function mean(xs) {
+    return xs.length ? xs.reduce((s, x) => s + x, 0) / xs.length : 0;
+  }
+
+  function stdev(xs) {
+    if (xs.length < 2) return 0;
+    const m = mean(xs);
+    return Math.sqrt(xs.reduce((s, x) => s + (x - m) * (x - m), 0) / (xs.length - 1));
+  }
+
+  function summarize(trades, equity, capital, exposedBars) {
+    const wins = trades.filter(t => t.pnl > 0);
+    const losses = trades.filter(t => t.pnl <= 0);
+    const grossWin = wins.reduce((s, t) => s + t.pnl, 0);
+    const grossLoss = -losses.reduce((s, t) => s + t.pnl, 0);
+
+    const rets = [];
+    for (let i = 1; i < equity.length; i++) {
+      rets.push(equity[i].equity / equity[i - 1].equity - 1);
+    }
+    const sd = stdev(rets);
+
+    let peak = capital;
+    let maxDrawdown = 0;
+    equity.forEach(p => {
+      peak = Math.max(peak, p.equity);
+      maxDrawdown = Math.max(maxDrawdown, 1 - p.equity / peak);
+    });
+
+    const end = equity[equity.length - 1];
+    return {
+      trades: trades.length,
+      wins: wins.length,
+      winRate: trades.length ? wins.length / trades.length : 0,
+      expectancy: mean(trades.map(t => t.pnl)),
+      expectancyPct: mean(trades.map(t => t.returnPct)),
+      avgWinPct: mean(wins.map(t => t.returnPct)),
+      avgLossPct: mean(losses.map(t => t.returnPct)),
+      profitFactor: grossLoss > 0 ? grossWin / grossLoss : (grossWin > 0 ? Infinity : 0),
+      sharpe: sd ? mean(rets) / sd * Math.sqrt(BARS_PER_YEAR) : 0,
+      totalReturnPct: (end.equity / capital - 1) * 100,
+      buyHoldPct: (end.hold / capital - 1) * 100,
+      maxDrawdown,
+      exposurePct: equity.length ? exposedBars / equity.length * 100 : 0,
+      costs: trades.reduce((s, t) => s + t.costs, 0)
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // SIMULATION
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Run a strategy over indicator rows (oldest → newest)
+   * @param {Object[]} rows - IndicatorLoader rows
+   * @param {{ name?: string, entry: string, exit: string }} strategy
+   * @param {{ capital?: number, commission?: number, slippageBps?: number, ticker?: string }} [opts]
+   */
+  function run(rows, strategy, opts = {}) {
+    const cfg = { ...DEFAULTS, ...opts };
+    if (!Array.isArray(rows) || rows.length < 3) return { ok: false, error: 'Not enough bars to backtest' };
+    if (!strategy) return { ok: false, error: 'No strategy' };
+    if (!(cfg.capital > 0)) return { ok: false, error: 'Capital must be positive' };
+    if (!(cfg.commission >= 0) || !(cfg.slippageBps >= 0)) return { ok: false, error: 'Costs cannot be negative' };
+
+    const entry = parseRule(strategy.entry);
+    if (!entry.ok) return { ok: false, error: 'Entry: ' + entry.error };
+    const exit = parseRule(strategy.exit);
+    if (!exit.ok) return { ok: false, error: 'Exit: ' + exit.error };
+
+    const bars = rows.filter(r => Number.isFinite(r.close) && r.close > 0 && Number.isFinite(r.time));
+    if (bars.length < 3) return { ok: false, error: 'Not enough priced bars to backtest' };
+
+    const slip = cfg.slippageBps / 10000;
+    const fillPrice = bar => (Number.isFinite(bar.open) && bar.open > 0 ? bar.open : bar.close);
+    const holdShares = cfg.capital / bars[0].close;
+
+    let cash = cfg.capital;
+    let shares = 0;
+    let open = null;
+    let pending = null;     // 'enter' | 'exit', filled at the next bar's open
+    let exposedBars = 0;
+    const trades = [];
+    const equity = [];
+
+    // fill is the pre-slippage price (next open, or the last close at END)
+    const closeTrade = (bar, fill, reason) => {
+      const price = fill * (1 - slip);
+      const proceeds = shares * price - cfg.commission;
+      cash += proceeds;
+      const pnl = proceeds - open.cost;
+      trades.push({
+        entryTime: open.time,
+        entryPrice: open.price,
+        exitTime: bar.time,
+        exitPrice: price,
+        shares,
+        pnl,
+        returnPct: pnl / open.cost * 100,
+        bars: open.bars,
+        costs: open.costs + cfg.commission + shares * fill * slip,
+        reason
+      });
+      shares = 0;
+      open = null;
+    };
+
+    for (let i = 0; i < bars.length; i++) {
+      const bar = bars[i];
+
+      if (pending === 'enter' && !open) {
+        const price = fillPrice(bar) * (1 + slip);
+        const qty = (cash - cfg.commission) / price;
+        if (qty > 0) {
+          shares = qty;
+          const cost = qty * price + cfg.commission;
+          cash -= cost;
+          open = { time: bar.time, price, cost, bars: 0, costs: cfg.commission + qty * fillPrice(bar) * slip };
+        }
+      } else if (pending === 'exit' && open) {
+        closeTrade(bar, fillPrice(bar), 'EXIT');
+      }
+      pending = null;
+
+      if (open) {
+        open.bars++;
+        exposedBars++;
+      }
+
+      const prev = bars[i - 1];
+      if (i < bars.length - 1) {
+        if (!open && testRule(entry.rule, bar, prev)) pending = 'enter';
+        else if (open && testRule(exit.rule, bar, prev)) pending = 'exit';
+      }
+
+      equity.push({ time: bar.time, equity: cash + shares * bar.close, hold: holdShares * bar.close });
+    }
+
+    // Mark any open trade out at the final close
+    if (open) {
+      const last = bars[bars.length - 1];
+      closeTrade(last, last.close, 'END');
+      equity[equity.length - 1].equity = cash;
+    }
+
+    return {
+      ok: true,
+      ticker: cfg.ticker || null,
+      strategy: { name: strategy.name || 'Custom', entry: strategy.entry, exit: strategy.exit },
+      settings: { capital: cfg.capital, commission: cfg.commission, slippageBps: cfg.slippageBps },
+      range: { start: bars[0].time, end: bars[bars.length - 1].time, bars: bars.length },
+      trades,
+      equity,
+      stats: summarize(trades, equity, cfg.capital, exposedBars)
+    };
+  }
+
+  /**
+   * Load a ticker through IndicatorLoader and run the strategy on it
+   * @returns {Promise<Object>}
+   */
+  async function runTicker(ticker, strategy, opts = {}) {
+    if (typeof IndicatorLoader === 'undefined') {
+      return { ok: false, error: 'IndicatorLoader not available' };
+    }
+    try {
+      const data = await IndicatorLoader.loadTicker(ticker);
+      return run(data.rows, strategy, { ...opts, ticker: data.ticker || ticker });
+    } catch (err) {
+      return { ok: false, error: `${ticker}: ${err.message}` };
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PUBLIC API
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  return {
+    DEFAULTS,
+    PRESETS,
+    COLUMNS,
+    parseRule,
+    run,
+    runTicker
+  };
+
+})();
@@ -0,0 +1,564 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * BROKER CSV PARSER
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Parses broker position / transaction exports into PARALLAX position rows.
+ *
+ * Supported presets (column names auto-detected, all overridable):
+ *   - schwab    Schwab "Positions" and "Transactions" exports
+ *   - fidelity  Fidelity "Portfolio Positions" and "Account History" exports
+ *   - ibkr      Interactive Brokers Flex Query (OpenPositions / Trades)
+ *   - generic   Any CSV with ticker / shares / price-ish headers
+ *
+ * This module does NOT:
+ *   - Touch the DOM (see js/ui/portfolio-import.js)
+ *   - Persist anything (see js/state/portfolio.js)
+ *
+ * Usage:
+ *   const table = BrokerCSV.parse(text);              // { headers, rows }
+ *   const preset = BrokerCSV.detectPreset(table.headers);
+ *   const kind = BrokerCSV.detectKind(table.headers);
+ *   const mapping = BrokerCSV.suggestMapping(table.headers, kind, preset);
+ *   const result = BrokerCSV.toPositions(table.rows, mapping, kind);
+ *   // → { ok, positions: [{ ticker, shares, entry_price, current_price }], skipped, error }
+ *
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+window.BrokerCSV = (function() {
+  'use strict';
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // FIELD DEFINITIONS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  // Fields each import kind maps onto (required fields first)
+  const FIELDS = {
+    positions: [
+      { key: 'ticker', label: 'Symbol', required: true },
+      { key: 'shares', label: 'Quantity', required: true },
+      { key: 'entry_price', label: 'Avg Cost / Share' },
+      { key: 'cost_basis', label: 'Cost Basis Total' },
+      { key: 'current_price', label: 'Last Price' }
+    ],
+    transactions: [
+      { key: 'date', label: 'Trade Date', required: true },
+      { key: 'action', label: 'Action / Side' },
+      { key: 'ticker', label: 'Symbol', required: true },
+      { key: 'shares', label: 'Quantity', required: true },
+      { key: 'price', label: 'Price', required: true },
+      { key: 'fees', label: 'Fees & Commission' },
+      { key: 'amount', label: 'Net Amount' }
+    ]
+  };
+
+  // Candidate header names per broker (lowercased, first match wins)
+  const BROKER_PRESETS = {
+    schwab: {
+      label: 'Charles Schwab',
+      signature: ['qty (quantity)', 'fees & comm', 'price change %', 'cost basis'],
+      positions: {
+        ticker: ['symbol'],
+        shares: ['qty (quantity)', 'quantity', 'qty'],
+        entry_price: ['cost/share', 'avg cost'],
+        cost_basis: ['cost basis'],
+        current_price: ['price']
+      },
+      transactions: {
+        date: ['date'],
+        action: ['action'],
+        ticker: ['symbol'],
+        shares: ['quantity'],
+        price: ['price'],
+        fees: ['fees & comm'],
+        amount: ['amount']
+      }
+    },
+    fidelity: {
+      label: 'Fidelity',
+      signature: ['run date', 'average cost basis', 'cost basis total', 'last price', 'price ($)'],
+      positions: {
+        ticker: ['symbol'],
+        shares: ['quantity'],
+        entry_price: ['average cost basis'],
+        cost_basis: ['cost basis total'],
+        current_price: ['last price']
+      },
+      transactions: {
+        date: ['run date', 'trade date'],
+        action: ['action'],
+        ticker: ['symbol'],
+        shares: ['quantity'],
+        price: ['price ($)', 'price'],
+        fees: ['commission ($)', 'fees ($)'],
+        amount: ['amount ($)']
+      }
+    },
+    ibkr: {
+      label: 'Interactive Brokers (Flex)',
+      signature: ['markprice', 'costbasisprice', 'tradeprice', 'ibcommission', 'assetclass'],
+      positions: {
+        ticker: ['symbol'],
+        shares: ['quantity', 'position'],
+        entry_price: ['costbasisprice', 'openprice'],
+        cost_basis: ['costbasismoney'],
+        current_price: ['markprice', 'closeprice']
+      },
+      transactions: {
+        date: ['tradedate', 'datetime', 'date/time'],
+        action: ['buy/sell'],
+        ticker: ['symbol'],
+        shares: ['quantity'],
+        price: ['tradeprice', 't. price'],
+        fees: ['ibcommission', 'comm/fee'],
+        amount: ['netcash', 'proceeds']
+      }
+    },
+    generic: {
+      label: 'Generic CSV',
+      signature: [],
+      positions: {
+        ticker: ['ticker', 'symbol', 'instrument'],
+        shares: ['shares', 'quantity', 'qty', 'position'],
+        entry_price: ['entry_price', 'entry', 'avg cost', 'average cost', 'avg price', 'cost/share', 'cost per share'],
+        cost_basis: ['cost basis', 'cost_basis', 'total cost', 'book value'],
+        current_price: ['current_price', 'last', 'last price', 'price', 'mark', 'close']
+      },
+      transactions: {
+        date: ['date', 'trade date', 'timestamp', 'time'],
+        action: ['action', 'side', 'type', 'buy/sell'],
+        ticker: ['ticker', 'symbol', 'instrument'],
+        shares: ['shares', 'quantity', 'qty'],
+        price: ['price', 'fill price', 'trade price'],
+        fees: ['fees', 'commission', 'fee'],
+        amount: ['amount', 'net amount', 'total']
+      }
+    }
+  };
+
+  // A transaction export needs a trade date, a buy/sell column and a quantity;
+  // holdings exports can carry any one of these (IBKR OpenPositions has Side)
+  const TRADE_DATE_HEADERS = ['date', 'run date', 'tradedate', 'trade date', 'datetime', 'date/time'];
+  const TRADE_ACTION_HEADERS = ['action', 'buy/sell', 'side'];
+  const TRADE_QTY_HEADERS = ['quantity', 'qty', 'shares'];
+
+  // Rows that are summaries / cash, not securities
+  const NON_SECURITY = /^(cash|account total|total|pending|--|n\/a)/i;
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // CSV PARSING
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Split CSV text into rows of raw cells (RFC 4180 quoting)
+   * @param {string} text
+   * @returns {string[][]}
+   */
+  function splitRows(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    const src = String(text || '').replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < src.length; i++) {
+      const ch = src[i];
+      if (inQuotes) {
+        if (ch === '"') {
+          if (src[i + 1] === '"') { cell += '"'; i++; }
+          else inQuotes = false;
+        } else {
+          cell += ch;
+        }
+      } else if (ch === '"') {
+        inQuotes = true;
+      } else if (ch === ',') {
+        row.push(cell);
+        cell = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && src[i + 1] === '\n') i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += ch;
+      }
+    }
+    if (cell !== '' || row.length) {
+      row.push(cell);
+      rows.push(row);
+    }
+
+    return rows.map(r => r.map(c => c.trim()));
+  }
+
+  /**
+   * Find the header row — brokers prepend account banners and append
+   * disclaimers, so the header is the first row naming a symbol column
+   */
+  function findHeaderIndex(rows) {
+    for (let i = 0; i < Math.min(rows.length, 20); i++) {
+      const cells = rows[i].map(c => c.toLowerCase());
+      if (cells.length >= 2 && cells.some(c => c === 'symbol' || c === 'ticker' || c === 'instrument')) {
+        return i;
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * Parse CSV text into header list + row objects keyed by header
+   * @param {string} text
+   * @returns {{ headers: string[], rows: Object[] }}
+   */
+  function parse(text) {
+    const raw = splitRows(text).filter(r => r.some(c => c !== ''));
+    if (!raw.length) return { headers: [], rows: [] };
+
+    const headerIdx = findHeaderIndex(raw);
+    const headers = raw[headerIdx].map((h, i) => h || `Column ${i + 1}`);
+    const rows = [];
+
+    for (let i = headerIdx + 1; i < raw.length; i++) {
+      const cells = raw[i];
+      // Footer disclaimers are usually a single long cell
+      if (cells.length < 2) continue;
+      const obj = {};
+      headers.forEach((h, idx) => { obj[h] = cells[idx] !== undefined ? cells[idx] : ''; });
+      rows.push(obj);
+    }
+
+    return { headers, rows };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // DETECTION & MAPPING
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Guess which broker produced the headers
+   * @param {string[]} headers
+   * @returns {string} preset id
+   */
+  function detectPreset(headers) {
+    const lower = headers.map(h => h.toLowerCase());
+    let best = 'generic';
+    let bestScore = 0;
+
+    Object.entries(BROKER_PRESETS).forEach(([id, preset]) => {
+      const score = preset.signature.filter(s => lower.includes(s)).length;
+      if (score > bestScore) {
+        best = id;
+        bestScore = score;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Guess whether the export lists holdings or individual trades
+   * @param {string[]} headers
+   * @returns {'positions'|'transactions'}
+   */
+  function detectKind(headers) {
+    const lower = headers.map(h => h.toLowerCase());
+    const has = list => list.some(h => lower.includes(h));
+    return has(TRADE_DATE_HEADERS) && has(TRADE_ACTION_HEADERS) && has(TRADE_QTY_HEADERS) ? 'transactions' : 'positions';
+  }
+
+  /**
+   * Suggest a field → header mapping using preset candidates, then generic ones
+   * @param {string[]} headers
+   * @param {'positions'|'transactions'} kind
+   * @param {string} presetId
+   * @returns {Object} { fieldKey: headerName|null }
+   */
+  function suggestMapping(headers, kind, presetId) {
+    const lower = headers.map(h => h.toLowerCase());
+    const preset = BROKER_PRESETS[presetId] || BROKER_PRESETS.generic;
+    const mapping = {};
+
+    FIELDS[kind].forEach(field => {
+      const candidates = (preset[kind][field.key] || []).concat(BROKER_PRESETS.generic[kind][field.key] || []);
+      const hit = candidates.find(c => lower.includes(c));
+      mapping[field.key] = hit ? headers[lower.indexOf(hit)] : null;
+    });
+
+    return mapping;
+  }
+
+  /**
+   * List required fields missing from a mapping
+   */
+  function missingFields(mapping, kind) {
+    return FIELDS[kind].filter(f => f.required && !mapping[f.key]).map(f => f.label);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // VALUE NORMALIZATION
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Parse broker-formatted numbers: "$1,234.50", "(12.00)", "-3", "--"
+   * @returns {number} NaN when not numeric
+   */
+  function parseNumber(value) {
+    if (value === undefined || value === null) return NaN;
+    let s = String(value).trim();
+    if (!s || s === '--' || s.toLowerCase() === 'n/a') return NaN;
+
+    let negative = false;
+    if (/^\(.*\)$/.test(s)) {
+      negative = true;
+      s = s.slice(1, -1);
+    }
+    s = s.replace(/[$,%\s]/g, '').replace(/^\+/, '');
+    const n = parseFloat(s);
+    if (!Number.isFinite(n)) return NaN;
+    return negative ? -Math.abs(n) : n;
+  }
+
+  /**
+   * Normalize a broker symbol; returns null for cash, totals and options
+   */
+  function normalizeTicker(value) {
+    const s = String(value || '').trim().toUpperCase();
+    if (!s || NON_SECURITY.test(s)) return null;
+    // Fidelity money-market funds are suffixed with "**"
+    if (s.endsWith('**')) return null;
+    // Option symbols ("RKLB 01/15/2027 5.00 C", OCC roots) are out of scope here
+    if (/\s/.test(s) || s.length > 10) return null;
+    return s.replace(/[^A-Z0-9.\-]/g, '') || null;
+  }
+
+  /**
+   * Parse a trade date from common broker formats
+   * @returns {number|null} epoch ms
+   */
+  function parseDate(value) {
+    const s = String(value || '').trim();
+    if (!s) return null;
+    // Schwab: "01/05/2026 as of 01/02/2026" — use the settlement-independent first date
+    const first = s.split(/\s+as of\s+/i)[0].split(/[;,]\s*/)[0];
+    // IBKR: 20260105
+    const compact = first.match(/^(\d{4})(\d{2})(\d{2})$/);
+    if (compact) return Date.UTC(+compact[1], +compact[2] - 1, +compact[3]);
+    // US: MM/DD/YYYY
+    const us = first.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})/);
+    if (us) {
+      const year = us[3].length === 2 ? 2000 + +us[3] : +us[3];
+      return Date.UTC(year, +us[1] - 1, +us[2]);
+    }
+    const ts = Date.parse(first);
+    return Number.isFinite(ts) ? ts : null;
+  }
+
+  /**
+   * Classify a broker action string into a side. A reinvestment row with
+   * shares is the purchase leg ('REINVEST'); without shares it is the cash
+   * dividend that funded it.
+   * @returns {'BUY'|'SELL'|'REINVEST'|'DIVIDEND'|null}
+   */
+  function parseSide(action, quantity) {
+    const a = String(action || '').toUpperCase();
+    if (/SELL|SOLD|\bSLD\b/.test(a)) return 'SELL';
+    if (/REINVEST/.test(a)) return Number.isFinite(quantity) && quantity !== 0 ? 'REINVEST' : 'DIVIDEND';
+    if (/BUY|BOUGHT|\bBOT\b/.test(a)) return 'BUY';
+    if (/DIVIDEND|\bDIV\b/.test(a)) return 'DIVIDEND';
+    if (!a && Number.isFinite(quantity) && quantity !== 0) return quantity > 0 ? 'BUY' : 'SELL';
+    return null;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // CONVERSION
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function cell(row, mapping, key) {
+    const header = mapping[key];
+    return header ? row[header] : undefined;
+  }
+
+  /**
+   * Each reinvestment is funded by a dividend of the same value: pair it with
+   * the export's own dividend row (same ticker and day) or add one, so the
+   * purchase nets to no outside cash
+   */
+  function matchReinvestments(trades) {
+    const used = new Set();
+    trades.filter(tr => tr.side === 'REINVEST').forEach(tr => {
+      const value = tr.shares * tr.price;
+      const match = trades.find(d => d.side === 'DIVIDEND' && !used.has(d) && d.ticker === tr.ticker &&
+        d.date === tr.date && Math.abs(d.amount - value) <= Math.max(0.01, value * 0.01));
+      if (match) used.add(match);
+      else trades.push({ ticker: tr.ticker, side: 'DIVIDEND', amount: value, date: tr.date, reinvested: true });
+    });
+  }
+
+  /**
+   * Convert mapped transaction rows into normalized trades
+   * (cash dividends come through as side 'DIVIDEND' with an amount;
+   * reinvested ones as a 'REINVEST' purchase plus its funding 'DIVIDEND')
+   * @returns {{ trades: Object[], skipped: number }}
+   */
+  function toTrades(rows, mapping) {
+    const trades = [];
+    let skipped = 0;
+
+    rows.forEach(row => {
+      const ticker = normalizeTicker(cell(row, mapping, 'ticker'));
+      const qty = parseNumber(cell(row, mapping, 'shares'));
+      const price = parseNumber(cell(row, mapping, 'price'));
+      const side = parseSide(cell(row, mapping, 'action'), qty);
+      const date = parseDate(cell(row, mapping, 'date'));
+
+      if (side === 'DIVIDEND') {
+        const amount = parseNumber(cell(row, mapping, 'amount'));
+        if (ticker && date && Number.isFinite(amount)) {
+          trades.push({ ticker, side, amount: Math.abs(amount), date });
+        } else {
+          skipped++;
+        }
+        return;
+      }
+
+      if (!ticker || !side || !Number.isFinite(qty) || qty === 0 || !Number.isFinite(price) || price <= 0) {
+        skipped++;
+        return;
+      }
+
+      const fees = Math.abs(parseNumber(cell(row, mapping, 'fees'))) || 0;
+      trades.push({ ticker, side, shares: Math.abs(qty), price, fees, date });
+    });
+
+    matchReinvestments(trades);
+    trades.sort((a, b) => (a.date || 0) - (b.date || 0));
+    return { trades, skipped };
+  }
+
+  /**
+   * Replay trades into net positions using average cost
+   */
+  function tradesToPositions(trades) {
+    const book = {};
+
+    trades.forEach(tr => {
+      if (tr.side === 'DIVIDEND') return;
+      const pos = book[tr.ticker] || (book[tr.ticker] = { ticker: tr.ticker, shares: 0, cost: 0, last: tr.price });
+      if (tr.side === 'BUY' || tr.side === 'REINVEST') {
+        pos.cost += tr.shares * tr.price + tr.fees;
+        pos.shares += tr.shares;
+      } else if (pos.shares > 0) {
+        const sold = Math.min(tr.shares, pos.shares);
+        pos.cost -= (pos.cost / pos.shares) * sold;
+        pos.shares -= sold;
+      }
+      pos.last = tr.price;
+    });
+
+    return Object.values(book)
+      .filter(p => p.shares > 1e-9)
+      .map(p => ({
+        ticker: p.ticker,
+        shares: p.shares,
+        entry_price: p.cost / p.shares,
+        current_price: p.last
+      }));
+  }
+
+  /**
+   * Convert mapped holdings rows into positions, merging duplicate symbols
+   * (multi-account exports list the same ticker once per account)
+   */
+  function holdingsToPositions(rows, mapping) {
+    const merged = {};
+    let skipped = 0;
+
+    rows.forEach(row => {
+      const ticker = normalizeTicker(cell(row, mapping, 'ticker'));
+      const shares = parseNumber(cell(row, mapping, 'shares'));
+      if (!ticker || !Number.isFinite(shares) || shares <= 0) {
+        skipped++;
+        return;
+      }
+
+      let entry = parseNumber(cell(row, mapping, 'entry_price'));
+      if (!Number.isFinite(entry) || entry <= 0) {
+        const basis = parseNumber(cell(row, mapping, 'cost_basis'));
+        entry = Number.isFinite(basis) && basis > 0 ? basis / shares : NaN;
+      }
+      const current = parseNumber(cell(row, mapping, 'current_price'));
+
+      if (!Number.isFinite(entry) || entry <= 0) {
+        skipped++;
+        return;
+      }
+
+      const pos = merged[ticker] || (merged[ticker] = { ticker, shares: 0, cost: 0, current_price: null });
+      pos.cost += entry * shares;
+      pos.shares += shares;
+      if (Number.isFinite(current) && current > 0) pos.current_price = current;
+    });
+
+    const positions = Object.values(merged).map(p => ({
+      ticker: p.ticker,
+      shares: p.shares,
+      entry_price: p.cost / p.shares,
+      current_price: p.current_price
+    }));
+
+    return { positions, skipped };
+  }
+
+  /**
+   * Convert parsed rows into PARALLAX positions
+   * @param {Object[]} rows - From parse()
+   * @param {Object} mapping - From suggestMapping() (possibly user-edited)
+   * @param {'positions'|'transactions'} kind
+   * @returns {{ ok: boolean, positions?: Object[], trades?: Object[], skipped?: number, error?: string }}
+   */
+  function toPositions(rows, mapping, kind) {
+    const missing = missingFields(mapping, kind);
+    if (missing.length) {
+      return { ok: false, error: `Map required column(s): ${missing.join(', ')}` };
+    }
+
+    if (kind === 'transactions') {
+      const { trades, skipped } = toTrades(rows, mapping);
+      const positions = tradesToPositions(trades);
+      if (!positions.length) {
+        return { ok: false, error: 'No open positions after replaying transactions' };
+      }
+      return { ok: true, positions, trades, skipped };
+    }
+
+    const { positions, skipped } = holdingsToPositions(rows, mapping);
+    if (!positions.length) {
+      return { ok: false, error: 'No equity positions found in file' };
+    }
+    return { ok: true, positions, skipped };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PUBLIC API
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  return {
+    FIELDS,
+    BROKER_PRESETS,
+    parse,
+    detectPreset,
+    detectKind,
+    suggestMapping,
+    missingFields,
+    parseNumber,
+    parseDate,
+    parseSide,
+    normalizeTicker,
+    toTrades,
+    toPositions
+  };
+
+})();
@@ -0,0 +1,194 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * COMPARISON — Multi-ticker rebasing and relative strength vs a benchmark
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Aligns several candle series on the benchmark's bar times (last close
+ * carried forward), rebases each to 100 (or % change) at the first bar of
+ * the window, and scores every ticker against the benchmark. A ticker that
+ * lists after the window opens is rebased on its own first bar and marked
+ * partial; its excess return and RS compare against the benchmark over the
+ * same span.
+ *
+ * Result shape:
+ *   {
+ *     times: [ms],
+ *     lines: [{ ticker, values: [number|null], isBenchmark }],
+ *     table: [{ ticker, ret, excess, rs, beta, corr, maxDrawdown, trend, bars, partial, since }]
+ *   }
+ *
+ * Usage:
+ *   Comparison.build({ RKLB: bars, LUNR: bars, XAR: bars }, {
+ *     benchmark: 'XAR', startT, endT, scale: 'rebase'   // or 'pct'
+ *   })
+ *
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+(function() {
+  'use strict';
+
+  const BENCHMARK = 'XAR';
+  const SCALES = ['rebase', 'pct'];
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // HELPERS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Close at or before each time (null before the series starts).
+   * `slack` lets a bar stamped after the grid time (but before the next grid
+   * bar) count for it, for daily files stamped differently (see DailyMath).
+   */
+  function sampleAt(bars, times, slack = 0) {
+    const out = new Array(times.length).fill(null);
+    let j = -1;
+    times.forEach((t, i) => {
+      while (j + 1 < bars.length && bars[j + 1].t <= t + slack) j++;
+      if (j >= 0 && Number.isFinite(bars[j].c) && bars[j].c > 0) out[i] = bars[j].c;
+    });
+    return out;
+  }
+
+  function returns(closes) {
+    const out = [];
+    for (let i = 1; i < closes.length; i++) {
+      const a = closes[i - 1], b = closes[i];
+      out.push(a && b ? b / a - 1 : null);
+    }
+    return out;
+  }
+
+  /**
+   * Beta and correlation of `a` against `b` over bars where both moved
+   */
+  function betaCorr(a, b) {
+    const pairs = a.map((x, i) => [x, b[i]]).filter(([x, y]) => x !== null && y !== null);
+    if (pairs.length < 5) return { beta: null, corr: null };
+    const { beta, corr } = DailyMath.regress(pairs);
+    return { beta, corr };
+  }
+
+  function maxDrawdown(closes) {
+    let peak = -Infinity, worst = 0;
+    closes.forEach(c => {
+      if (c === null) return;
+      peak = Math.max(peak, c);
+      worst = Math.min(worst, c / peak - 1);
+    });
+    return worst;
+  }
+
+  function medianStep(times) {
+    const steps = [];
+    for (let i = 1; i < times.length; i++) steps.push(times[i] - times[i - 1]);
+    if (!steps.length) return 0;
+    steps.sort((a, b) => a - b);
+    return steps[Math.floor(steps.length / 2)];
+  }
+
+  function firstValid(values) {
+    return values.find(v => v !== null) ?? null;
+  }
+
+  function firstValidIndex(values) {
+    return values.findIndex(v => v !== null);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // BUILD
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * @param {Object<string, Array>} seriesMap - ticker → candle bars (sorted by t)
+   * @param {Object} opts - { benchmark, startT, endT, scale }
+   */
+  function build(seriesMap, opts = {}) {
+    const benchmark = opts.benchmark || BENCHMARK;
+    const scale = SCALES.includes(opts.scale) ? opts.scale : 'rebase';
+    const startT = Number.isFinite(opts.startT) ? opts.startT : -Infinity;
+    const endT = Number.isFinite(opts.endT) ? opts.endT : Infinity;
+    const tickers = Object.keys(seriesMap).filter(t => Array.isArray(seriesMap[t]) && seriesMap[t].length);
+
+    // Benchmark bar times define the grid; fall back to the union of all tickers
+    const timeSource = seriesMap[benchmark] && seriesMap[benchmark].length
+      ? seriesMap[benchmark].map(b => b.t)
+      : [...new Set(tickers.flatMap(t => seriesMap[t].map(b => b.t)))].sort((a, b) => a - b);
+    const times = timeSource.filter(t => t >= startT && t <= endT);
+    if (!times.length) return { times: [], lines: [], table: [], benchmark, scale };
+
+    const closes = {};
+    const slack = Math.max(0, medianStep(times) - 1);
+    tickers.forEach(t => { closes[t] = sampleAt(seriesMap[t], times, slack); });
+
+    const lines = tickers.map(ticker => {
+      const base = firstValid(closes[ticker]);
+      const values = closes[ticker].map(c => {
+        if (c === null || !base) return null;
+        return scale === 'pct' ? (c / base - 1) * 100 : (c / base) * 100;
+      });
+      return { ticker, values, isBenchmark: ticker === benchmark };
+    });
+
+    const benchCloses = closes[benchmark] || null;
+    const benchRets = benchCloses ? returns(benchCloses) : null;
+    const benchLast = benchCloses ? benchCloses[benchCloses.length - 1] : null;
+
+    // Benchmark return from bar `from` to the end of the window
+    function benchRetFrom(from) {
+      if (!benchCloses || from < 0) return null;
+      const base = firstValid(benchCloses.slice(from));
+      return base && benchLast ? benchLast / base - 1 : null;
+    }
+
+    // RS line = ticker / benchmark; trend compares the last third with the middle
+    function rsTrend(series) {
+      if (!benchCloses) return null;
+      const rs = series.map((c, i) => (c && benchCloses[i] ? c / benchCloses[i] : null)).filter(v => v !== null);
+      if (rs.length < 6) return null;
+      const third = Math.floor(rs.length / 3);
+      const recent = DailyMath.mean(rs.slice(-third)), prior = DailyMath.mean(rs.slice(third, 2 * third));
+      const drift = recent / prior - 1;
+      return drift > 0.02 ? 'RISING' : drift < -0.02 ? 'FALLING' : 'FLAT';
+    }
+
+    const table = tickers.map(ticker => {
+      const series = closes[ticker];
+      const from = firstValidIndex(series);
+      const base = from >= 0 ? series[from] : null;
+      const last = series[series.length - 1];
+      const ret = base && last ? last / base - 1 : null;
+      const benchRet = benchRetFrom(from);
+      const partial = from > 0;
+      const { beta, corr } = benchRets && ticker !== benchmark ? betaCorr(returns(series), benchRets) : { beta: null, corr: null };
+      return {
+        ticker,
+        isBenchmark: ticker === benchmark,
+        bars: series.filter(c => c !== null).length,
+        partial,
+        since: partial ? times[from] : null,
+        ret,
+        excess: ret !== null && benchRet !== null ? ret - benchRet : null,
+        rs: ret !== null && benchRet !== null ? ((1 + ret) / (1 + benchRet)) * 100 : null,
+        beta,
+        corr,
+        maxDrawdown: maxDrawdown(series),
+        trend: ticker === benchmark ? null : rsTrend(series)
+      };
+    }).sort((a, b) => (b.ret ?? -Infinity) - (a.ret ?? -Infinity));
+
+    return { times, lines, table, benchmark, scale };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PUBLIC API
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  window.Comparison = {
+    BENCHMARK,
+    SCALES,
+    build,
+    sampleAt
+  };
+
+})();
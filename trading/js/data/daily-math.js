@@ -0,0 +1,101 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * DAILY MATH — Day alignment and return statistics shared by the analytics
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Daily files disagree on the bar stamp: some use 00:00 UTC, others the
+ * 09:30 ET open (13:30 or 14:30 UTC depending on daylight saving). Bars are
+ * therefore matched on the UTC calendar day, never on the raw timestamp.
+ *
+ * Used by Risk, Comparison, EventStudy, Sectors and Attribution.
+ *
+ * Usage:
+ *   DailyMath.dayKey(t)            → whole days since the epoch (UTC)
+ *   DailyMath.isoDay(t)            → 'YYYY-MM-DD'
+ *   DailyMath.dailyReturns(bars)   → [{ t, day, r }] close-to-close, sorted
+ *   DailyMath.returnsByDay(bars)   → Map(day → r)
+ *   DailyMath.mean(xs) / stdev(xs) → number | null
+ *   DailyMath.regress(pairs)       → { alpha, beta, corr } of y on x, pairs [y, x]
+ *
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+(function() {
+  'use strict';
+
+  const DAY_MS = 86400000;
+  const TRADING_DAYS = 252;
+
+  function dayKey(t) {
+    return Math.floor(t / DAY_MS);
+  }
+
+  function isoDay(t) {
+    return new Date(t).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Close-to-close returns stamped with the later bar; bars without a
+   * positive close are dropped first
+   */
+  function dailyReturns(bars) {
+    const sorted = (bars || []).filter(b => b && Number.isFinite(b.t) && b.c > 0).slice().sort((a, b) => a.t - b.t);
+    const out = [];
+    for (let i = 1; i < sorted.length; i++) {
+      out.push({ t: sorted[i].t, day: dayKey(sorted[i].t), r: sorted[i].c / sorted[i - 1].c - 1 });
+    }
+    return out;
+  }
+
+  function returnsByDay(bars) {
+    return new Map(dailyReturns(bars).map(x => [x.day, x.r]));
+  }
+
+  function mean(xs) {
+    return xs.length ? xs.reduce((s, x) => s + x, 0) / xs.length : null;
+  }
+
+  /**
+   * Sample standard deviation
+   */
+  function stdev(xs) {
+    if (xs.length < 2) return null;
+    const m = mean(xs);
+    return Math.sqrt(xs.reduce((s, x) => s + (x - m) * (x - m), 0) / (xs.length - 1));
+  }
+
+  /**
+   * OLS of y on x. Alpha is per period; beta is null when x never moves,
+   * corr when either side never moves.
+   * @param {Array<[number, number]>} pairs - [y, x]
+   */
+  function regress(pairs) {
+    if (pairs.length < 2) return { alpha: null, beta: null, corr: null };
+    const my = mean(pairs.map(p => p[0])), mx = mean(pairs.map(p => p[1]));
+    let cov = 0, vx = 0, vy = 0;
+    pairs.forEach(([y, x]) => {
+      cov += (x - mx) * (y - my);
+      vx += (x - mx) ** 2;
+      vy += (y - my) ** 2;
+    });
+    const beta = vx ? cov / vx : null;
+    return {
+      alpha: beta === null ? null : my - beta * mx,
+      beta,
+      corr: vx && vy ? cov / Math.sqrt(vx * vy) : null
+    };
+  }
+
+  window.DailyMath = {
+    DAY_MS,
+    TRADING_DAYS,
+    dayKey,
+    isoDay,
+    dailyReturns,
+    returnsByDay,
+    mean,
+    stdev,
+    regress
+  };
+
+})();
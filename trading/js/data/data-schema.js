@@ -0,0 +1,639 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * DATA SCHEMA — Validation + Integrity Report for static JSON inputs
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Validates every file the app fetches from data/ so a corrupt or truncated
+ * file shows up as a health issue instead of a silently flat ship.
+ *
+ * Kinds:
+ *   candles    data/{t}.json, data/timeseries/{t}.json   { ticker, daily, intraday, intraday15 }
+ *   index      data/index.json, data/timeseries/index.json   { T: { daily, intraday } }
+ *   stats      data/stats.json
+ *   market     data/market_summaries/{T}.json
+ *   options    data/options_summaries/{T}.json
+ *   manifest   data/indicators/45m/manifest.json
+ *   campaign   data/campaigns/{id}.json (index.json lists the files)
+ *
+ * Every validator returns { ok, errors: [], warnings: [], summary }. Errors
+ * mean the data is unusable or wrong (NaN OHLC, h < l, unordered bars);
+ * warnings are suspicious but usable (gaps, missing volume, stale dates).
+ *
+ * In the browser, check() / fail() record results into a per-source report
+ * and emit 'data:health' on PARALLAX_BUS. In Node the same validators back
+ * scripts/check-data.js.
+ *
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const DataSchema = (function() {
+  'use strict';
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const TIMEFRAMES = ['daily', 'intraday', 'intraday15'];
+
+  // Largest tolerated spacing between consecutive bars (long weekends pass)
+  const MAX_GAP_MS = { daily: 5 * DAY_MS, intraday: 4 * DAY_MS, intraday15: 4 * DAY_MS };
+
+  // Relative slack for h/l vs o/c comparisons (rounded vendor data)
+  const PRICE_EPSILON = 1e-6;
+
+  // Issues of one kind beyond this are folded into a count
+  const MAX_EXAMPLES = 3;
+
+  const INDICATOR_FIELDS = ['macd', 'signal', 'hist', 'g100', 'g150', 'g200', 'cross'];
+  const STATS_RETURNS = ['return_1d', 'return_1w', 'return_1m', 'return_3m', 'return_6m', 'return_1y'];
+  const STATS_COUNTS = ['daily_count', 'intraday_count', 'intraday15_count'];
+
+  // Fractions in [0, 1]; anything else in a summary just needs to be finite
+  const MARKET_FRACTIONS = [
+    'kernelRespectPct', 'bandCompression', 'signalFollowThrough', 'stopHuntFrequency',
+    'volumeReliability', 'trendAdherence', 'chopSensitivity'
+  ];
+  const MARKET_NUMBERS = ['macdPersistence', 'volatilityFactor'];
+
+  const OPTIONS_NUMBERS = ['deltaExposure', 'timeHorizonDays', 'leverageFactor', 'upcomingCatalysts'];
+  const RISK_POSTURES = ['conservative', 'moderate', 'leveraged', 'aggressive'];
+  const CATALYST_PRESSURES = ['low', 'medium', 'high'];
+
+  const MANIFEST_STATUSES = ['ACTIVE', 'BENCHMARK', 'INACTIVE', 'WATCH'];
+
+  // Mirrors MissionSystem.MISSION_TYPES / MISSION_MODES (not loaded in Node)
+  const MISSION_TYPE_IDS = ['RECON', 'CARGO', 'ESCORT', 'STRIKE', 'HARVEST'];
+  const MISSION_MODE_IDS = ['REPLAY', 'LIVE'];
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // ISSUE COLLECTOR
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Collects issues, folding repeats of the same check into one line
+   * ("h < l on 12 bars, first at daily[40] 2021-03-04").
+   */
+  function createCollector() {
+    const groups = new Map();
+
+    function add(level, code, message) {
+      const key = level + ':' + code;
+      if (!groups.has(key)) groups.set(key, { level, code, messages: [], count: 0 });
+      const g = groups.get(key);
+      g.count++;
+      if (g.messages.length < MAX_EXAMPLES) g.messages.push(message);
+    }
+
+    function lines(level) {
+      const out = [];
+      groups.forEach(g => {
+        if (g.level !== level) return;
+        g.messages.forEach(m => out.push(m));
+        if (g.count > g.messages.length) out.push(`…and ${g.count - g.messages.length} more ${g.code} issue(s)`);
+      });
+      return out;
+    }
+
+    return {
+      error: (code, message) => add('error', code, message),
+      warn: (code, message) => add('warning', code, message),
+      result(summary) {
+        const errors = lines('error');
+        return { ok: errors.length === 0, errors, warnings: lines('warning'), summary: summary || {} };
+      }
+    };
+  }
+
+  function isObject(x) {
+    return x !== null && typeof x === 'object' && !Array.isArray(x);
+  }
+
+  function isNum(x) {
+    return typeof x === 'number' && Number.isFinite(x);
+  }
+
+  function fmtDate(ms) {
+    return Number.isFinite(ms) ? new Date(ms).toISOString().slice(0, 16).replace('T', ' ') : '?';
+  }
+
+  function fmtSpan(ms) {
+    return ms >= DAY_MS ? (ms / DAY_MS).toFixed(1) + 'd' : Math.round(ms / 3600000) + 'h';
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // CANDLES
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Validate one bar array (timestamps in ms)
+   * @param {Array} bars
+   * @param {string} label - e.g. 'daily' (used in messages and gap limits)
+   * @param {Object} c - collector
+   * @returns {{ bars, gaps, first, last }}
+   */
+  function checkBars(bars, label, c) {
+    const timeframe = TIMEFRAMES.includes(label) ? label : 'daily';
+    let prevT = null;
+    let gaps = 0;
+    let largestGap = 0;
+    let largestGapAt = null;
+    let missingVolume = 0;
+
+    bars.forEach((bar, i) => {
+      const at = `${label}[${i}]`;
+      if (!isObject(bar)) {
+        c.error('shape', `${at} is not an object`);
+        return;
+      }
+
+      const t = bar.t;
+      if (!isNum(t)) {
+        c.error('time', `${at} has no numeric timestamp`);
+      } else {
+        if (prevT !== null) {
+          if (t === prevT) c.error('duplicate', `${at} repeats timestamp ${fmtDate(t)}`);
+          else if (t < prevT) c.error('order', `${at} ${fmtDate(t)} is earlier than the bar before it`);
+          else if (t - prevT > MAX_GAP_MS[timeframe]) {
+            gaps++;
+            if (t - prevT > largestGap) {
+              largestGap = t - prevT;
+              largestGapAt = prevT;
+            }
+          }
+        }
+        prevT = t;
+      }
+
+      const o = bar.o, h = bar.h, l = bar.l, cl = bar.c;
+      const bad = ['o', 'h', 'l', 'c'].filter(k => !isNum(bar[k]));
+      if (bad.length) {
+        c.error('nan', `${at} ${fmtDate(t)} has non-numeric ${bad.join('/')}`);
+      } else {
+        if (o <= 0 || h <= 0 || l <= 0 || cl <= 0) c.error('nonpositive', `${at} ${fmtDate(t)} has a price ≤ 0`);
+        const eps = Math.max(h, 1) * PRICE_EPSILON;
+        if (h < l) c.error('range', `${at} ${fmtDate(t)} high ${h} < low ${l}`);
+        else if (h + eps < Math.max(o, cl) || l - eps > Math.min(o, cl)) {
+          c.warn('envelope', `${at} ${fmtDate(t)} open/close outside high–low`);
+        }
+      }
+
+      if (bar.v === undefined || bar.v === null) missingVolume++;
+      else if (!isNum(bar.v) || bar.v < 0) c.error('volume', `${at} ${fmtDate(t)} has invalid volume ${bar.v}`);
+
+      INDICATOR_FIELDS.forEach(k => {
+        if (bar[k] !== undefined && bar[k] !== null && !isNum(bar[k])) {
+          c.warn('indicator', `${at} ${fmtDate(t)} has non-numeric ${k}`);
+        }
+      });
+    });
+
+    if (missingVolume) c.warn('volume', `${label}: ${missingVolume} bar(s) without volume`);
+    if (gaps) {
+      c.warn('gap', `${label}: ${gaps} gap(s) over ${fmtSpan(MAX_GAP_MS[timeframe])}, largest ${fmtSpan(largestGap)} after ${fmtDate(largestGapAt)}`);
+    }
+
+    return {
+      bars: bars.length,
+      gaps,
+      first: bars.length && isObject(bars[0]) ? bars[0].t : null,
+      last: bars.length && isObject(bars[bars.length - 1]) ? bars[bars.length - 1].t : null
+    };
+  }
+
+  /**
+   * Validate a candle file { ticker, daily, intraday, intraday15 }
+   * @param {Object} data
+   * @param {Object} opts - { ticker } expected symbol
+   */
+  function validateCandles(data, opts = {}) {
+    const c = createCollector();
+    if (!isObject(data)) {
+      c.error('shape', 'Not a JSON object');
+      return c.result();
+    }
+    if (opts.ticker && data.ticker && String(data.ticker).toUpperCase() !== String(opts.ticker).toUpperCase()) {
+      c.error('ticker', `File is for ${data.ticker}, expected ${opts.ticker}`);
+    }
+
+    const summary = {};
+    let seen = 0;
+    TIMEFRAMES.forEach(tf => {
+      if (data[tf] === undefined) return;
+      if (!Array.isArray(data[tf])) {
+        c.error('shape', `${tf} is not an array`);
+        return;
+      }
+      seen++;
+      summary[tf] = checkBars(data[tf], tf, c);
+      if (!data[tf].length) c.warn('empty', `${tf} has no bars`);
+    });
+
+    if (!seen) c.error('shape', 'No daily, intraday or intraday15 series');
+    else if (!Array.isArray(data.daily) || !data.daily.length) c.warn('empty', 'No daily bars — returns fall back to zero');
+
+    return c.result(summary);
+  }
+
+  /**
+   * Validate an index file { T: { daily, intraday } }
+   */
+  function validateIndex(data) {
+    const c = createCollector();
+    if (!isObject(data)) {
+      c.error('shape', 'Not a JSON object');
+      return c.result();
+    }
+    const tickers = Object.keys(data);
+    if (!tickers.length) c.error('empty', 'Index lists no tickers');
+    tickers.forEach(t => {
+      const entry = data[t];
+      if (!isObject(entry)) {
+        c.error('shape', `${t} is not an object`);
+        return;
+      }
+      ['daily', 'intraday'].forEach(tf => {
+        if (entry[tf] === undefined) return;
+        if (!Array.isArray(entry[tf])) c.error('shape', `${t}.${tf} is not an array`);
+        else checkBars(entry[tf], `${t}.${tf}`, c);
+      });
+    });
+    return c.result({ tickers: tickers.length });
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // STATS / SUMMARIES / MANIFEST
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function checkUpdated(value, label, c, opts = {}) {
+    if (value === undefined || value === null) {
+      c.warn('updated', `${label} has no timestamp`);
+      return;
+    }
+    const ms = Date.parse(value);
+    if (!Number.isFinite(ms)) {
+      c.error('updated', `${label} "${value}" is not a date`);
+      return;
+    }
+    const now = opts.now || Date.now();
+    if (ms > now + DAY_MS) c.warn('updated', `${label} ${value} is in the future`);
+  }
+
+  /**
+   * Validate data/stats.json { tickers, stats, updated }
+   */
+  function validateStats(data, opts = {}) {
+    const c = createCollector();
+    if (!isObject(data)) {
+      c.error('shape', 'Not a JSON object');
+      return c.result();
+    }
+    if (!Array.isArray(data.tickers)) c.error('shape', 'tickers is not an array');
+    if (!isObject(data.stats)) {
+      c.error('shape', 'stats is not an object');
+      return c.result();
+    }
+    checkUpdated(data.updated, 'updated', c, opts);
+
+    const listed = Array.isArray(data.tickers) ? data.tickers : [];
+    listed.forEach(t => {
+      if (!data.stats[t]) c.warn('missing', `${t} is listed but has no stats`);
+    });
+
+    Object.entries(data.stats).forEach(([t, s]) => {
+      if (!isObject(s)) {
+        c.error('shape', `${t} stats is not an object`);
+        return;
+      }
+      if (!isNum(s.current) || s.current <= 0) c.error('price', `${t}.current is ${s.current}`);
+      if (isNum(s.high_52w) && isNum(s.low_52w)) {
+        if (s.high_52w < s.low_52w) c.error('range', `${t} 52w high ${s.high_52w} < low ${s.low_52w}`);
+        else if (isNum(s.current) && (s.current > s.high_52w * 1.5 || s.current < s.low_52w / 1.5)) {
+          c.warn('range', `${t}.current ${s.current} far outside 52w range`);
+        }
+      } else {
+        c.warn('range', `${t} has no 52w range`);
+      }
+      STATS_RETURNS.forEach(k => {
+        if (s[k] !== undefined && s[k] !== null && !isNum(s[k])) c.error('nan', `${t}.${k} is not a number`);
+      });
+      STATS_COUNTS.forEach(k => {
+        if (s[k] !== undefined && (!Number.isInteger(s[k]) || s[k] < 0)) c.error('count', `${t}.${k} is ${s[k]}`);
+      });
+      if (s.daily_count === 0) c.warn('empty', `${t} has no daily bars`);
+    });
+
+    return c.result({ tickers: Object.keys(data.stats).length, updated: data.updated || null });
+  }
+
+  /**
+   * Validate data/market_summaries/{T}.json
+   */
+  function validateMarketSummary(data, opts = {}) {
+    const c = createCollector();
+    if (!isObject(data)) {
+      c.error('shape', 'Not a JSON object');
+      return c.result();
+    }
+    if (opts.ticker && data.ticker && data.ticker !== opts.ticker) {
+      c.error('ticker', `File is for ${data.ticker}, expected ${opts.ticker}`);
+    }
+    MARKET_FRACTIONS.forEach(k => {
+      if (data[k] === undefined) c.warn('missing', `${k} missing — telemetry uses 0`);
+      else if (!isNum(data[k])) c.error('nan', `${k} is not a number`);
+      else if (data[k] < 0 || data[k] > 1) c.error('range', `${k} ${data[k]} outside 0–1`);
+    });
+    MARKET_NUMBERS.forEach(k => {
+      if (data[k] === undefined) c.warn('missing', `${k} missing — telemetry uses 0`);
+      else if (!isNum(data[k]) || data[k] < 0) c.error('nan', `${k} is ${data[k]}`);
+    });
+    if (data.dataPoints !== undefined && (!Number.isInteger(data.dataPoints) || data.dataPoints < 1)) {
+      c.error('count', `dataPoints is ${data.dataPoints}`);
+    }
+    checkUpdated(data.lastUpdated, 'lastUpdated', c, opts);
+    return c.result({ dataPoints: data.dataPoints || 0 });
+  }
+
+  /**
+   * Validate data/options_summaries/{T}.json
+   */
+  function validateOptionsSummary(data, opts = {}) {
+    const c = createCollector();
+    if (!isObject(data)) {
+      c.error('shape', 'Not a JSON object');
+      return c.result();
+    }
+    if (opts.ticker && data.ticker && data.ticker !== opts.ticker) {
+      c.error('ticker', `File is for ${data.ticker}, expected ${opts.ticker}`);
+    }
+    if (typeof data.structure !== 'string' || !data.structure) c.error('shape', 'structure is missing');
+    OPTIONS_NUMBERS.forEach(k => {
+      if (!isNum(data[k])) c.error('nan', `${k} is ${data[k]}`);
+      else if (data[k] < 0) c.error('range', `${k} ${data[k]} is negative`);
+    });
+    if (isNum(data.deltaExposure) && data.deltaExposure > 1) c.warn('range', `deltaExposure ${data.deltaExposure} above 1`);
+    if (data.riskPosture && !RISK_POSTURES.includes(data.riskPosture)) c.warn('enum', `Unknown riskPosture "${data.riskPosture}"`);
+    if (data.catalystPressure && !CATALYST_PRESSURES.includes(data.catalystPressure)) {
+      c.warn('enum', `Unknown catalystPressure "${data.catalystPressure}"`);
+    }
+    return c.result({ structure: data.structure || null });
+  }
+
+  /**
+   * Validate data/indicators/45m/manifest.json
+   */
+  function validateManifest(data, opts = {}) {
+    const c = createCollector();
+    if (!isObject(data)) {
+      c.error('shape', 'Not a JSON object');
+      return c.result();
+    }
+    if (!Array.isArray(data.tickers)) {
+      c.error('shape', 'tickers is not an array');
+      return c.result();
+    }
+    if (!data.tickers.length) c.error('empty', 'Manifest lists no tickers');
+    if (data.timeframe && data.timeframe !== '45m') c.warn('timeframe', `timeframe is ${data.timeframe}, loader expects 45m`);
+    checkUpdated(data.lastUpdated, 'lastUpdated', c, opts);
+
+    const seen = new Set();
+    data.tickers.forEach((entry, i) => {
+      if (!isObject(entry) || !entry.ticker) {
+        c.error('shape', `tickers[${i}] has no ticker`);
+        return;
+      }
+      if (seen.has(entry.ticker)) c.error('duplicate', `${entry.ticker} listed twice`);
+      seen.add(entry.ticker);
+      if (typeof entry.file !== 'string' || !/\.csv$/i.test(entry.file)) c.error('file', `${entry.ticker} has no .csv file`);
+      if (entry.status && !MANIFEST_STATUSES.includes(entry.status)) c.warn('enum', `${entry.ticker} has unknown status ${entry.status}`);
+    });
+    return c.result({ tickers: seen.size });
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // CAMPAIGNS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Validate a campaign definition: step ids unique, objectives well formed,
+   * every branch / onFail goto names a step (or null = end), and every
+   * ticker group exists. Unreachable steps are a warning.
+   */
+  function validateCampaign(data) {
+    const c = createCollector();
+    if (!isObject(data)) {
+      c.error('shape', 'Not a JSON object');
+      return c.result();
+    }
+    if (typeof data.id !== 'string' || !data.id) c.error('shape', 'id is missing');
+    if (typeof data.name !== 'string' || !data.name) c.error('shape', 'name is missing');
+    if (!Array.isArray(data.steps) || !data.steps.length) {
+      c.error('shape', 'steps is not a non-empty array');
+      return c.result();
+    }
+
+    const groups = isObject(data.groups) ? data.groups : {};
+    Object.entries(groups).forEach(([name, list]) => {
+      if (!Array.isArray(list) || !list.length) c.error('groups', `group ${name} is not a non-empty ticker list`);
+    });
+
+    const ids = new Set();
+    data.steps.forEach((step, i) => {
+      if (!isObject(step) || typeof step.id !== 'string' || !step.id) {
+        c.error('shape', `steps[${i}] has no id`);
+        return;
+      }
+      if (ids.has(step.id)) c.error('duplicate', `step ${step.id} listed twice`);
+      ids.add(step.id);
+    });
+
+    const gotoOk = g => g === null || g === undefined || ids.has(g);
+    const edges = new Map();
+    data.steps.forEach(step => {
+      if (!isObject(step) || !step.id) return;
+      const o = step.objective;
+      const label = `step ${step.id}`;
+      if (!isObject(o)) {
+        c.error('objective', `${label} has no objective`);
+      } else {
+        if (!MISSION_TYPE_IDS.includes(o.missionType)) c.error('objective', `${label} has unknown missionType ${o.missionType}`);
+        if (o.mode !== undefined && !MISSION_MODE_IDS.includes(o.mode)) c.error('objective', `${label} has unknown mode ${o.mode}`);
+        if (typeof o.tickers === 'string' ? !groups[o.tickers] : !(Array.isArray(o.tickers) && o.tickers.length)) {
+          c.error('objective', `${label} tickers must be a ticker list or a group name`);
+        }
+        if (o.count !== undefined && !(Number.isInteger(o.count) && o.count >= 1)) c.error('objective', `${label} count must be a positive integer`);
+        if (o.minScore !== undefined && !(isNum(o.minScore) && o.minScore >= 0 && o.minScore <= 100)) c.error('objective', `${label} minScore must be 0–100`);
+      }
+
+      const targets = [];
+      (Array.isArray(step.next) ? step.next : []).forEach((branch, j) => {
+        if (!isObject(branch)) {
+          c.error('branch', `${label} next[${j}] is not an object`);
+          return;
+        }
+        if (!gotoOk(branch.goto)) c.error('branch', `${label} next[${j}] goes to unknown step ${branch.goto}`);
+        if (branch.goto) targets.push(branch.goto);
+      });
+      if (step.next !== undefined && !Array.isArray(step.next)) c.error('branch', `${label} next is not an array`);
+      if (step.onFail !== undefined) {
+        if (!isObject(step.onFail)) c.error('branch', `${label} onFail is not an object`);
+        else if (!gotoOk(step.onFail.goto)) c.error('branch', `${label} onFail goes to unknown step ${step.onFail.goto}`);
+        else if (step.onFail.below !== undefined && !(isNum(step.onFail.below) && step.onFail.below >= 0 && step.onFail.below <= 100)) c.error('branch', `${label} onFail.below must be 0–100`);
+        else if (step.onFail.goto) targets.push(step.onFail.goto);
+      }
+      if (step.reward !== undefined && !(isObject(step.reward) && isNum(step.reward.xp) && step.reward.xp >= 0)) {
+        c.error('reward', `${label} reward.xp must be a non-negative number`);
+      }
+      edges.set(step.id, targets);
+    });
+
+    const start = data.start || data.steps[0].id;
+    if (!ids.has(start)) c.error('start', `start step ${start} does not exist`);
+    if (data.reward !== undefined && !(isObject(data.reward) && isNum(data.reward.xp) && data.reward.xp >= 0)) {
+      c.error('reward', 'reward.xp must be a non-negative number');
+    }
+
+    // Reachability from the start step
+    const seen = new Set();
+    const queue = ids.has(start) ? [start] : [];
+    while (queue.length) {
+      const id = queue.shift();
+      if (seen.has(id)) continue;
+      seen.add(id);
+      (edges.get(id) || []).forEach(t => queue.push(t));
+    }
+    ids.forEach(id => {
+      if (!seen.has(id)) c.warn('unreachable', `step ${id} can't be reached from ${start}`);
+    });
+
+    return c.result({ steps: ids.size });
+  }
+
+  const VALIDATORS = {
+    candles: validateCandles,
+    index: validateIndex,
+    stats: validateStats,
+    market: validateMarketSummary,
+    options: validateOptionsSummary,
+    manifest: validateManifest,
+    campaign: validateCampaign
+  };
+
+  /**
+   * Run the validator for a kind
+   * @param {string} kind - key of VALIDATORS
+   */
+  function validate(kind, data, opts) {
+    const fn = VALIDATORS[kind];
+    if (!fn) return { ok: false, errors: [`Unknown data kind: ${kind}`], warnings: [], summary: {} };
+    return fn(data, opts);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // HEALTH REPORT (browser)
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  const report = new Map();
+
+  function emit(entry) {
+    const bus = typeof window !== 'undefined' ? window.PARALLAX_BUS : null;
+    if (bus) bus.emit('data:health', { source: entry.source, entry, totals: getTotals() });
+  }
+
+  function store(entry) {
+    report.set(entry.source, entry);
+    if (!entry.ok) console.warn(`[DataSchema] ${entry.source}:`, entry.errors.join('; '));
+    emit(entry);
+    return entry;
+  }
+
+  /**
+   * Validate a loaded file and record it in the health report
+   * @param {string} kind
+   * @param {string} source - path it was fetched from
+   * @param {*} data
+   * @param {Object} opts - passed to the validator
+   * @returns {Object} validation result
+   */
+  function check(kind, source, data, opts) {
+    const result = validate(kind, data, opts);
+    store({ source, kind, checkedAt: Date.now(), ...result });
+    return result;
+  }
+
+  /**
+   * Record a file that could not be fetched or parsed
+   * @param {string} kind
+   * @param {string} source
+   * @param {Error|string} error
+   */
+  function fail(kind, source, error) {
+    const message = error && error.message ? error.message : String(error);
+    store({ source, kind, checkedAt: Date.now(), ok: false, errors: [`Load failed: ${message}`], warnings: [], summary: {} });
+  }
+
+  /**
+   * Fetch + parse JSON, recording failures; resolves to null on any failure
+   * @param {string} kind
+   * @param {string} url
+   * @param {Object} opts - passed to the validator
+   */
+  async function fetchJson(kind, url, opts) {
+    let data;
+    try {
+      const res = await fetch(url);
+      if (!res.ok) throw new Error('HTTP ' + res.status);
+      data = await res.json();
+    } catch (e) {
+      fail(kind, url, e);
+      return null;
+    }
+    check(kind, url, data, opts);
+    return data;
+  }
+
+  function getReport() {
+    return Array.from(report.values()).sort((a, b) => (a.ok - b.ok) || a.source.localeCompare(b.source));
+  }
+
+  function getTotals() {
+    let errors = 0;
+    let warnings = 0;
+    let failing = 0;
+    report.forEach(e => {
+      errors += e.errors.length;
+      warnings += e.warnings.length;
+      if (!e.ok) failing++;
+    });
+    return { sources: report.size, failing, errors, warnings };
+  }
+
+  function clearReport() {
+    report.clear();
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PUBLIC API
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  return {
+    TIMEFRAMES,
+    MAX_GAP_MS,
+    validate,
+    validateCandles,
+    validateIndex,
+    validateStats,
+    validateMarketSummary,
+    validateOptionsSummary,
+    validateManifest,
+    validateCampaign,
+    check,
+    fail,
+    fetchJson,
+    getReport,
+    getTotals,
+    clearReport
+  };
+
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DataSchema;
+}
@@ -0,0 +1,388 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * PARALLAX EVENT STUDY — What catalysts historically do to price
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Event study and seasonality over daily bars.
+ *
+ * Abnormal returns use the market model against XAR (alpha + beta fitted
+ * over an estimation window that ends before the event window). When the
+ * benchmark doesn't reach back far enough the constant-mean model is used,
+ * and with too little history the raw return is reported as-is.
+ *
+ * Event sets:
+ *   CATALYSTS — exactly dated catalysts that have already happened
+ *               (DEMO_CATALYSTS, TICKER_PROFILES) plus the EventLog
+ *   OPEX      — monthly options expiration (third Friday)
+ *   QOPEX     — quarterly expirations (Mar / Jun / Sep / Dec)
+ *
+ * Study:
+ *   {
+ *     n, pending, models{}, pre, post, offsets[], aar[], caar[],
+ *     preCar, day0, postCar, tStat, hitRate,
+ *     volBase, volPre, volPost   (annualized realized vol)
+ *     events: [{ date, label, kind, model, preCar, day0, postCar, volPre, volPost }]
+ *   }
+ *
+ * Usage:
+ *   EventStudy.init({ loadSeries, catalysts })
+ *   EventStudy.run('RKLB', 'OPEX', { pre: 5, post: 5 }) → Promise<study|null>
+ *   EventStudy.seasonality(bars) → { weekdays[], months[] }
+ *   EventStudy.summary('RKLB') → Promise<summary|null>
+ *
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+window.EventStudy = (function() {
+  'use strict';
+
+  const BASE_PATH = 'data/';
+  const BENCHMARK = 'XAR';
+  const DAY_MS = 86400000;
+  const SETS = ['CATALYSTS', 'OPEX', 'QOPEX'];
+  const DEFAULTS = { pre: 5, post: 5, estimation: 60 };
+  // Fewer estimation returns than this and the market model is not fitted
+  const MIN_ESTIMATION = 20;
+  const WEEKDAYS = ['MON', 'TUE', 'WED', 'THU', 'FRI'];
+  const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+  const cache = {};
+  let opts = { loadSeries: null, catalysts: [] };
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // LOADING
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  async function loadDaily(ticker) {
+    const t = ticker.toUpperCase();
+    if (cache[t]) return cache[t];
+    const url = BASE_PATH + t.toLowerCase() + '.json';
+    try {
+      let data;
+      if (opts.loadSeries) {
+        data = await opts.loadSeries(t);
+      } else {
+        const res = await fetch(url);
+        if (!res.ok) throw new Error(res.status);
+        data = await res.json();
+        if (typeof DataSchema !== 'undefined') DataSchema.check('candles', url, data, { ticker: t });
+      }
+      if (!data || !Array.isArray(data.daily)) throw new Error('no daily series');
+      cache[t] = data.daily;
+      return cache[t];
+    } catch (e) {
+      // Not cached, so the next study retries the load
+      console.warn('[EventStudy] No daily bars for', t);
+      if (!opts.loadSeries && typeof DataSchema !== 'undefined') DataSchema.fail('candles', url, e);
+      return [];
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // HELPERS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function annualVol(arr) {
+    const sd = DailyMath.stdev(arr);
+    return sd === null ? null : sd * Math.sqrt(DailyMath.TRADING_DAYS);
+  }
+
+  function avg(rows, key) {
+    return DailyMath.mean(rows.map(r => r[key]).filter(Number.isFinite));
+  }
+
+  /**
+   * Exact calendar dates only — 'Q1 2026', '2026-Q1' and 'Ongoing' can't be studied
+   * @returns {number|null} UTC midnight ms
+   */
+  function parseDate(str) {
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(str || '').trim());
+    if (!m) return null;
+    const t = Date.UTC(+m[1], +m[2] - 1, +m[3]);
+    return Number.isFinite(t) ? t : null;
+  }
+
+  /**
+   * Third Friday of every month between two timestamps
+   * @param {boolean} quarterly - only Mar / Jun / Sep / Dec
+   */
+  function opexDates(startT, endT, quarterly) {
+    const out = [];
+    const start = new Date(startT);
+    let y = start.getUTCFullYear();
+    let m = start.getUTCMonth();
+    for (;;) {
+      const firstDow = new Date(Date.UTC(y, m, 1)).getUTCDay();
+      const t = Date.UTC(y, m, 1 + ((5 - firstDow + 7) % 7) + 14);
+      if (t > endT) break;
+      if (t >= startT && (!quarterly || m % 3 === 2)) out.push(t);
+      if (++m > 11) { m = 0; y++; }
+    }
+    return out;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // EVENT SETS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Events of one set that fall inside [startT, endT]
+   * @returns {Array<{date, label, kind}>}
+   */
+  function eventsFor(ticker, set, startT, endT) {
+    const t = ticker.toUpperCase();
+    if (set === 'OPEX' || set === 'QOPEX') {
+      const quarterly = set === 'QOPEX';
+      return opexDates(startT, endT, quarterly).map(date => ({
+        date,
+        label: quarterly ? 'Quarterly expiration' : 'Options expiration',
+        kind: 'OPEX'
+      }));
+    }
+
+    const events = [];
+    const profile = window.TICKER_PROFILES && window.TICKER_PROFILES[t];
+    (opts.catalysts || [])
+      .filter(c => c.ticker === t || c.ticker === 'ALL')
+      .concat(profile && Array.isArray(profile.catalysts) ? profile.catalysts : [])
+      .forEach(c => {
+        const date = parseDate(c.date);
+        if (date !== null) events.push({ date, label: c.event, kind: 'CATALYST' });
+      });
+    if (window.EventLog) {
+      EventLog.list(t).forEach(e => events.push({ date: e.date, label: e.label, kind: e.kind }));
+    }
+
+    const seen = new Set();
+    return events
+      .filter(e => e.date >= startT && e.date <= endT)
+      .filter(e => {
+        const key = e.date + '|' + e.label;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .sort((a, b) => a.date - b.date);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // EVENT STUDY
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Abnormal returns around each event. Day 0 is the first session on or
+   * after the event date; events whose post window isn't complete yet are
+   * counted as pending.
+   * @param {Array} bars - daily bars {t, c}
+   * @param {Array} events - [{ date, label, kind }]
+   * @param {Object} options - { benchmarkBars, pre, post, estimation }
+   */
+  function study(bars, events, options = {}) {
+    const pre = Math.max(1, options.pre || DEFAULTS.pre);
+    const post = Math.max(1, options.post || DEFAULTS.post);
+    const estimation = options.estimation || DEFAULTS.estimation;
+    const rets = DailyMath.dailyReturns(bars);
+    const bench = {};
+    DailyMath.dailyReturns(options.benchmarkBars).forEach(x => { bench[x.day] = x.r; });
+
+    const offsets = [];
+    for (let k = -pre; k <= post; k++) offsets.push(k);
+
+    const rows = [];
+    const arByOffset = offsets.map(() => []);
+    const models = {};
+    let pending = 0;
+
+    events.forEach(ev => {
+      const evDay = DailyMath.dayKey(ev.date);
+      const i0 = rets.findIndex(x => x.day >= evDay);
+      if (i0 === -1 || i0 + post >= rets.length) { pending++; return; }
+      if (i0 - pre < 0) return;
+      // Event landed on a gap longer than a long weekend — no session for it
+      if (rets[i0].day - evDay > 4) return;
+
+      const est = rets.slice(Math.max(0, i0 - pre - estimation), i0 - pre);
+      const win = rets.slice(i0 - pre, i0 + post + 1);
+      const pairs = est.filter(x => bench[x.day] !== undefined).map(x => [x.r, bench[x.day]]);
+      const benchCovered = win.every(x => bench[x.day] !== undefined);
+
+      let model;
+      let expected;
+      const fit = pairs.length >= MIN_ESTIMATION && benchCovered ? DailyMath.regress(pairs) : null;
+      if (fit && fit.beta !== null) {
+        model = 'MARKET';
+        expected = x => fit.alpha + fit.beta * bench[x.day];
+      } else if (est.length >= MIN_ESTIMATION) {
+        const mu = DailyMath.mean(est.map(x => x.r));
+        model = 'MEAN';
+        expected = () => mu;
+      } else {
+        model = 'RAW';
+        expected = () => 0;
+      }
+      models[model] = (models[model] || 0) + 1;
+
+      const ar = win.map(x => x.r - expected(x));
+      ar.forEach((v, j) => arByOffset[j].push(v));
+      const sum = (from, to) => ar.slice(from + pre, to + pre + 1).reduce((s, v) => s + v, 0);
+
+      rows.push({
+        date: ev.date,
+        session: rets[i0].t,
+        label: ev.label,
+        kind: ev.kind,
+        model,
+        preCar: sum(-pre, -1),
+        day0: ar[pre],
+        postCar: sum(1, post),
+        car: sum(0, post),
+        volBase: annualVol(est.map(x => x.r)),
+        volPre: annualVol(win.slice(0, pre).map(x => x.r)),
+        volPost: annualVol(win.slice(pre + 1).map(x => x.r))
+      });
+    });
+
+    if (!rows.length) {
+      return { n: 0, pending, models, pre, post, offsets, aar: [], caar: [], events: [] };
+    }
+
+    const aar = arByOffset.map(DailyMath.mean);
+    let run = 0;
+    const caar = aar.map(v => (run += v));
+    const cars = rows.map(r => r.car);
+    const sd = DailyMath.stdev(cars);
+
+    return {
+      n: rows.length,
+      pending,
+      models,
+      pre,
+      post,
+      offsets,
+      aar,
+      caar,
+      preCar: avg(rows, 'preCar'),
+      day0: avg(rows, 'day0'),
+      postCar: avg(rows, 'postCar'),
+      car: DailyMath.mean(cars),
+      tStat: sd ? DailyMath.mean(cars) / (sd / Math.sqrt(cars.length)) : null,
+      hitRate: cars.filter(c => c > 0).length / cars.length,
+      volBase: avg(rows, 'volBase'),
+      volPre: avg(rows, 'volPre'),
+      volPost: avg(rows, 'volPost'),
+      events: rows
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // SEASONALITY
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function bucket(label, values) {
+    return {
+      label,
+      n: values.length,
+      mean: DailyMath.mean(values),
+      hitRate: values.length ? values.filter(v => v > 0).length / values.length : null
+    };
+  }
+
+  /**
+   * Day-of-week mean daily return and month-of-year mean monthly return.
+   * Monthly returns run last close → last close; the final (possibly
+   * partial) month is left out.
+   */
+  function seasonality(bars) {
+    const rets = DailyMath.dailyReturns(bars);
+    const byDow = WEEKDAYS.map(() => []);
+    rets.forEach(x => {
+      const dow = new Date(x.t).getUTCDay();
+      if (dow >= 1 && dow <= 5) byDow[dow - 1].push(x.r);
+    });
+
+    const sorted = (bars || []).filter(b => b && Number.isFinite(b.t) && b.c > 0).slice().sort((a, b) => a.t - b.t);
+    const monthEnds = [];
+    sorted.forEach(b => {
+      const d = new Date(b.t);
+      const key = d.getUTCFullYear() * 12 + d.getUTCMonth();
+      const last = monthEnds[monthEnds.length - 1];
+      if (last && last.key === key) last.c = b.c;
+      else monthEnds.push({ key, month: d.getUTCMonth(), c: b.c });
+    });
+    const byMonth = MONTHS.map(() => []);
+    for (let i = 1; i < monthEnds.length - 1; i++) {
+      if (monthEnds[i].key !== monthEnds[i - 1].key + 1) continue;
+      byMonth[monthEnds[i].month].push(monthEnds[i].c / monthEnds[i - 1].c - 1);
+    }
+
+    return {
+      days: rets.length,
+      weekdays: WEEKDAYS.map((label, i) => bucket(label, byDow[i])),
+      months: MONTHS.map((label, i) => bucket(label, byMonth[i]))
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // RUNNERS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Load the ticker and XAR, then study one event set
+   */
+  async function run(ticker, set = 'CATALYSTS', options = {}) {
+    const t = ticker.toUpperCase();
+    const [bars, benchmarkBars] = await Promise.all([loadDaily(t), t === BENCHMARK ? [] : loadDaily(BENCHMARK)]);
+    if (bars.length < 2) return null;
+    const events = eventsFor(t, set, bars[0].t, bars[bars.length - 1].t + DAY_MS);
+    return { ticker: t, set, ...study(bars, events, { ...options, benchmarkBars }) };
+  }
+
+  /**
+   * Compact history for the ShipBrief: OpEx and catalyst reactions, the
+   * strongest / weakest weekday and the calendar month ahead
+   */
+  async function summary(ticker) {
+    const t = ticker.toUpperCase();
+    const bars = await loadDaily(t);
+    if (bars.length < 2) return null;
+    const [opex, catalysts] = await Promise.all([run(t, 'OPEX'), run(t, 'CATALYSTS')]);
+    const season = seasonality(bars);
+    const ranked = season.weekdays.filter(d => d.n > 0).sort((a, b) => b.mean - a.mean);
+    const month = season.months[new Date().getUTCMonth()];
+
+    return {
+      ticker: t,
+      opex,
+      catalysts: catalysts && catalysts.n ? catalysts : null,
+      bestDay: ranked[0] || null,
+      worstDay: ranked.length > 1 ? ranked[ranked.length - 1] : null,
+      month: month.n ? month : null
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PUBLIC API
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  return {
+    BENCHMARK,
+    SETS,
+    DEFAULTS,
+
+    /**
+     * @param {Object} options - { loadSeries(ticker) → {daily}, catalysts[] }
+     */
+    init(options = {}) {
+      opts = { ...opts, ...options };
+    },
+
+    loadDaily,
+    parseDate,
+    opexDates,
+    eventsFor,
+    study,
+    seasonality,
+    run,
+    summary
+  };
+})();
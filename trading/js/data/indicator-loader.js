@@ -55,16 +55,25 @@ const IndicatorLoader = (function() {
   async function loadManifest() {
     if (manifest) return manifest;
     
+    let data;
     try {
       const response = await fetch(BASE_PATH + 'manifest.json');
       if (!response.ok) throw new Error('Manifest not found');
-      manifest = await response.json();
-      console.log('[IndicatorLoader] Manifest loaded:', manifest.tickers.length, 'tickers available');
-      return manifest;
+      data = await response.json();
     } catch (err) {
       console.error('[IndicatorLoader] Failed to load manifest:', err);
+      if (typeof DataSchema !== 'undefined') DataSchema.fail('manifest', BASE_PATH + 'manifest.json', err);
       throw err;
     }
+    
+    if (typeof DataSchema !== 'undefined') {
+      const check = DataSchema.check('manifest', BASE_PATH + 'manifest.json', data);
+      if (!check.ok) throw new Error('Invalid manifest: ' + check.errors[0]);
+    }
+    
+    manifest = data;
+    console.log('[IndicatorLoader] Manifest loaded:', manifest.tickers.length, 'tickers available');
+    return manifest;
   }
   
   /**
@@ -168,12 +177,13 @@ const IndicatorLoader = (function() {
   
   /**
    * Load indicator data for a specific ticker
+   * @param {Object} [opts] - { fresh: true } skips both the memory and HTTP caches
    */
-  async function loadTicker(ticker) {
+  async function loadTicker(ticker, opts = {}) {
     ticker = ticker.toUpperCase();
     
     // Check cache
-    if (cache[ticker]) {
+    if (cache[ticker] && !opts.fresh) {
       console.log(`[IndicatorLoader] Using cached data for ${ticker}`);
       return cache[ticker];
     }
@@ -190,7 +200,7 @@ const IndicatorLoader = (function() {
     const csvPath = BASE_PATH + tickerInfo.file;
     console.log(`[IndicatorLoader] Fetching ${csvPath}...`);
     
-    const response = await fetch(csvPath);
+    const response = await fetch(csvPath, opts.fresh ? { cache: 'no-store' } : undefined);
     if (!response.ok) {
       throw new Error(`Failed to load CSV for ${ticker}: ${response.status}`);
     }
@@ -218,6 +228,14 @@ const IndicatorLoader = (function() {
     return result;
   }
   
+  /**
+   * Re-fetch a ticker's CSV to pick up bars added since it was cached
+   * (live missions poll this)
+   */
+  async function refreshTicker(ticker) {
+    return loadTicker(ticker, { fresh: true });
+  }
+  
   /**
    * Get the last N rows for a ticker (for stat computation)
    * @param {string} ticker 
@@ -272,6 +290,7 @@ const IndicatorLoader = (function() {
     loadManifest,
     getAvailableTickers,
     loadTicker,
+    refreshTicker,
     getRecentBars,
     getLatestBar,
     clearCache,
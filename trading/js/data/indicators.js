@@ -0,0 +1,562 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * INDICATORS — Pluggable technical indicator registry
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Computes indicators client-side from candle bars ({ t, o, h, l, c, v },
+ * any of daily / intraday / intraday15). Each indicator declares whether it
+ * draws on the price chart ('overlay') or in its own pane under it ('sub'),
+ * plus its tunable params. Which indicators are on, and their params,
+ * persist through Store under `indicators`.
+ *
+ * Output series are aligned 1:1 with the input bars; warm-up bars are null.
+ * Compute on the full series and slice to the visible range so values don't
+ * depend on the zoom.
+ *
+ * Usage:
+ *   Indicators.register({ id, name, pane, params, compute(bars, p) })
+ *   Indicators.compute('rsi', bars)            → { id, name, pane, series, levels, range }
+ *   Indicators.computeEnabled(bars, 'sub')     → results for every enabled sub-pane indicator
+ *   Indicators.setEnabled('bb', true)
+ *   Indicators.setParams('bb', { period: 30 })
+ *
+ * Events:
+ *   'indicators:change' { enabled, settings }
+ *
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+window.Indicators = (function() {
+  'use strict';
+
+  const registry = new Map();
+
+  const COLORS = {
+    cyan: '#47d4ff',
+    amber: '#ffb347',
+    violet: '#b388ff',
+    pink: '#ff6b9d',
+    green: '#33ff99',
+    red: '#ff6b6b',
+    dim: '#5a7068'
+  };
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // MATH HELPERS — arrays in, arrays out, null until warm
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function nulls(n) {
+    return new Array(n).fill(null);
+  }
+
+  function sma(values, period) {
+    const out = nulls(values.length);
+    let sum = 0;
+    let count = 0;
+    for (let i = 0; i < values.length; i++) {
+      const v = values[i];
+      if (v === null || !Number.isFinite(v)) {
+        sum = 0;
+        count = 0;
+        continue;
+      }
+      sum += v;
+      count++;
+      if (count > period) sum -= values[i - period];
+      if (count >= period) out[i] = sum / period;
+    }
+    return out;
+  }
+
+  /** EMA seeded with the SMA of the first `period` finite values */
+  function ema(values, period) {
+    const out = nulls(values.length);
+    const k = 2 / (period + 1);
+    let prev = null;
+    let seed = [];
+    for (let i = 0; i < values.length; i++) {
+      const v = values[i];
+      if (v === null || !Number.isFinite(v)) continue;
+      if (prev === null) {
+        seed.push(v);
+        if (seed.length === period) {
+          prev = seed.reduce((a, b) => a + b, 0) / period;
+          out[i] = prev;
+        }
+        continue;
+      }
+      prev = v * k + prev * (1 - k);
+      out[i] = prev;
+    }
+    return out;
+  }
+
+  /** Wilder's smoothing (RMA), used by RSI / ATR / ADX */
+  function rma(values, period) {
+    const out = nulls(values.length);
+    let prev = null;
+    let seed = [];
+    for (let i = 0; i < values.length; i++) {
+      const v = values[i];
+      if (v === null || !Number.isFinite(v)) continue;
+      if (prev === null) {
+        seed.push(v);
+        if (seed.length === period) {
+          prev = seed.reduce((a, b) => a + b, 0) / period;
+          out[i] = prev;
+        }
+        continue;
+      }
+      prev = (prev * (period - 1) + v) / period;
+      out[i] = prev;
+    }
+    return out;
+  }
+
+  function rollingStdev(values, period) {
+    const mean = sma(values, period);
+    return values.map((_, i) => {
+      if (mean[i] === null) return null;
+      let acc = 0;
+      for (let j = i - period + 1; j <= i; j++) acc += (values[j] - mean[i]) ** 2;
+      return Math.sqrt(acc / period);
+    });
+  }
+
+  function rollingExtreme(values, period, pick) {
+    return values.map((_, i) => {
+      if (i < period - 1) return null;
+      let best = values[i];
+      for (let j = i - period + 1; j < i; j++) best = pick(best, values[j]);
+      return best;
+    });
+  }
+
+  function trueRange(bars) {
+    return bars.map((b, i) => {
+      if (i === 0) return b.h - b.l;
+      const pc = bars[i - 1].c;
+      return Math.max(b.h - b.l, Math.abs(b.h - pc), Math.abs(b.l - pc));
+    });
+  }
+
+  function shift(values, by) {
+    const out = nulls(values.length);
+    for (let i = 0; i < values.length; i++) {
+      const j = i - by;
+      if (j >= 0 && j < values.length) out[i] = values[j];
+    }
+    return out;
+  }
+
+  const closes = bars => bars.map(b => b.c);
+  const highs = bars => bars.map(b => b.h);
+  const lows = bars => bars.map(b => b.l);
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // BUILT-IN INDICATORS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  const BUILT_INS = [
+    {
+      id: 'rsi',
+      name: 'RSI',
+      pane: 'sub',
+      params: { period: { label: 'Period', default: 14, min: 2, max: 100 } },
+      compute(bars, p) {
+        const c = closes(bars);
+        const gains = c.map((v, i) => i === 0 ? null : Math.max(0, v - c[i - 1]));
+        const losses = c.map((v, i) => i === 0 ? null : Math.max(0, c[i - 1] - v));
+        const ag = rma(gains, p.period);
+        const al = rma(losses, p.period);
+        const rsi = ag.map((g, i) => g === null ? null : al[i] === 0 ? 100 : 100 - 100 / (1 + g / al[i]));
+        return {
+          series: [{ key: 'rsi', label: `RSI ${p.period}`, values: rsi, color: COLORS.violet }],
+          levels: [30, 70],
+          range: [0, 100]
+        };
+      }
+    },
+    {
+      id: 'stoch',
+      name: 'Stochastic',
+      pane: 'sub',
+      params: {
+        period: { label: '%K', default: 14, min: 2, max: 100 },
+        smoothK: { label: 'Smooth', default: 3, min: 1, max: 20 },
+        smoothD: { label: '%D', default: 3, min: 1, max: 20 }
+      },
+      compute(bars, p) {
+        const hh = rollingExtreme(highs(bars), p.period, Math.max);
+        const ll = rollingExtreme(lows(bars), p.period, Math.min);
+        const raw = bars.map((b, i) => {
+          if (hh[i] === null) return null;
+          const span = hh[i] - ll[i];
+          return span ? ((b.c - ll[i]) / span) * 100 : 50;
+        });
+        const k = sma(raw, p.smoothK);
+        const d = sma(k, p.smoothD);
+        return {
+          series: [
+            { key: 'k', label: '%K', values: k, color: COLORS.cyan },
+            { key: 'd', label: '%D', values: d, color: COLORS.amber }
+          ],
+          levels: [20, 80],
+          range: [0, 100]
+        };
+      }
+    },
+    {
+      id: 'bb',
+      name: 'Bollinger Bands',
+      pane: 'overlay',
+      params: {
+        period: { label: 'Period', default: 20, min: 2, max: 200 },
+        mult: { label: 'σ', default: 2, min: 0.5, max: 5, step: 0.1 }
+      },
+      compute(bars, p) {
+        const c = closes(bars);
+        const mid = sma(c, p.period);
+        const sd = rollingStdev(c, p.period);
+        return {
+          series: [
+            { key: 'upper', label: 'BB upper', values: mid.map((m, i) => m === null ? null : m + p.mult * sd[i]), color: COLORS.cyan },
+            { key: 'mid', label: `BB ${p.period}`, values: mid, color: COLORS.dim, dash: [4, 4] },
+            { key: 'lower', label: 'BB lower', values: mid.map((m, i) => m === null ? null : m - p.mult * sd[i]), color: COLORS.cyan, fillTo: 'upper' }
+          ]
+        };
+      }
+    },
+    {
+      id: 'atr',
+      name: 'ATR',
+      pane: 'sub',
+      params: { period: { label: 'Period', default: 14, min: 2, max: 100 } },
+      compute(bars, p) {
+        return { series: [{ key: 'atr', label: `ATR ${p.period}`, values: rma(trueRange(bars), p.period), color: COLORS.amber }] };
+      }
+    },
+    {
+      id: 'vwap',
+      name: 'VWAP',
+      pane: 'overlay',
+      params: { period: { label: 'Daily window', default: 20, min: 2, max: 200 } },
+      // Session-anchored on intraday bars; rolling `period`-bar VWAP on daily bars
+      compute(bars, p) {
+        const intraday = bars.length > 1 && (bars[bars.length - 1].t - bars[0].t) / (bars.length - 1) < 12 * 3600000;
+        const typical = bars.map(b => (b.h + b.l + b.c) / 3);
+        const vol = bars.map(b => Number.isFinite(b.v) ? b.v : 0);
+        const out = nulls(bars.length);
+        if (intraday) {
+          let day = null, pv = 0, vv = 0;
+          bars.forEach((b, i) => {
+            const d = sessionDay(b.t);
+            if (d !== day) { day = d; pv = 0; vv = 0; }
+            pv += typical[i] * vol[i];
+            vv += vol[i];
+            out[i] = vv ? pv / vv : typical[i];
+          });
+        } else {
+          for (let i = p.period - 1; i < bars.length; i++) {
+            let pv = 0, vv = 0;
+            for (let j = i - p.period + 1; j <= i; j++) {
+              pv += typical[j] * vol[j];
+              vv += vol[j];
+            }
+            out[i] = vv ? pv / vv : typical[i];
+          }
+        }
+        return { series: [{ key: 'vwap', label: intraday ? 'VWAP' : `VWAP ${p.period}`, values: out, color: COLORS.pink }] };
+      }
+    },
+    {
+      id: 'obv',
+      name: 'OBV',
+      pane: 'sub',
+      params: {},
+      compute(bars) {
+        let acc = 0;
+        const obv = bars.map((b, i) => {
+          if (i > 0 && Number.isFinite(b.v)) {
+            if (b.c > bars[i - 1].c) acc += b.v;
+            else if (b.c < bars[i - 1].c) acc -= b.v;
+          }
+          return acc;
+        });
+        return { series: [{ key: 'obv', label: 'OBV', values: obv, color: COLORS.cyan }] };
+      }
+    },
+    {
+      id: 'adx',
+      name: 'ADX / DMI',
+      pane: 'sub',
+      params: { period: { label: 'Period', default: 14, min: 2, max: 100 } },
+      compute(bars, p) {
+        const plusDM = bars.map((b, i) => {
+          if (i === 0) return null;
+          const up = b.h - bars[i - 1].h, down = bars[i - 1].l - b.l;
+          return up > down && up > 0 ? up : 0;
+        });
+        const minusDM = bars.map((b, i) => {
+          if (i === 0) return null;
+          const up = b.h - bars[i - 1].h, down = bars[i - 1].l - b.l;
+          return down > up && down > 0 ? down : 0;
+        });
+        const tr = trueRange(bars).map((v, i) => i === 0 ? null : v);
+        const atr = rma(tr, p.period);
+        const pdi = rma(plusDM, p.period).map((v, i) => v === null || !atr[i] ? null : (v / atr[i]) * 100);
+        const mdi = rma(minusDM, p.period).map((v, i) => v === null || !atr[i] ? null : (v / atr[i]) * 100);
+        const dx = pdi.map((v, i) => v === null || mdi[i] === null || v + mdi[i] === 0 ? null : (Math.abs(v - mdi[i]) / (v + mdi[i])) * 100);
+        return {
+          series: [
+            { key: 'adx', label: `ADX ${p.period}`, values: rma(dx, p.period), color: COLORS.amber },
+            { key: 'pdi', label: '+DI', values: pdi, color: COLORS.green },
+            { key: 'mdi', label: '−DI', values: mdi, color: COLORS.red }
+          ],
+          levels: [25]
+        };
+      }
+    },
+    {
+      id: 'ichimoku',
+      name: 'Ichimoku',
+      pane: 'overlay',
+      params: {
+        tenkan: { label: 'Tenkan', default: 9, min: 2, max: 100 },
+        kijun: { label: 'Kijun', default: 26, min: 2, max: 200 },
+        senkou: { label: 'Senkou B', default: 52, min: 2, max: 300 }
+      },
+      // Spans are displaced forward by `kijun` bars; the part projected past
+      // the last bar has no x position here and is dropped.
+      compute(bars, p) {
+        const h = highs(bars), l = lows(bars);
+        const mid = n => {
+          const hh = rollingExtreme(h, n, Math.max), ll = rollingExtreme(l, n, Math.min);
+          return hh.map((v, i) => v === null ? null : (v + ll[i]) / 2);
+        };
+        const tenkan = mid(p.tenkan);
+        const kijun = mid(p.kijun);
+        const spanA = tenkan.map((v, i) => v === null || kijun[i] === null ? null : (v + kijun[i]) / 2);
+        return {
+          series: [
+            { key: 'tenkan', label: 'Tenkan', values: tenkan, color: COLORS.cyan },
+            { key: 'kijun', label: 'Kijun', values: kijun, color: COLORS.red },
+            { key: 'spanA', label: 'Senkou A', values: shift(spanA, p.kijun), color: COLORS.green },
+            { key: 'spanB', label: 'Senkou B', values: shift(mid(p.senkou), p.kijun), color: COLORS.pink, fillTo: 'spanA' },
+            { key: 'chikou', label: 'Chikou', values: shift(closes(bars), -p.kijun), color: COLORS.dim, dash: [2, 3] }
+          ]
+        };
+      }
+    },
+    {
+      id: 'keltner',
+      name: 'Keltner Channels',
+      pane: 'overlay',
+      params: {
+        period: { label: 'EMA', default: 20, min: 2, max: 200 },
+        atrPeriod: { label: 'ATR', default: 10, min: 2, max: 100 },
+        mult: { label: '× ATR', default: 2, min: 0.5, max: 5, step: 0.1 }
+      },
+      compute(bars, p) {
+        const mid = ema(closes(bars), p.period);
+        const atr = rma(trueRange(bars), p.atrPeriod);
+        const band = sign => mid.map((m, i) => m === null || atr[i] === null ? null : m + sign * p.mult * atr[i]);
+        return {
+          series: [
+            { key: 'upper', label: 'KC upper', values: band(1), color: COLORS.amber },
+            { key: 'mid', label: `KC ${p.period}`, values: mid, color: COLORS.dim, dash: [4, 4] },
+            { key: 'lower', label: 'KC lower', values: band(-1), color: COLORS.amber, fillTo: 'upper' }
+          ]
+        };
+      }
+    },
+    {
+      id: 'supertrend',
+      name: 'Supertrend',
+      pane: 'overlay',
+      params: {
+        period: { label: 'ATR', default: 10, min: 2, max: 100 },
+        mult: { label: '× ATR', default: 3, min: 0.5, max: 10, step: 0.1 }
+      },
+      compute(bars, p) {
+        const atr = rma(trueRange(bars), p.period);
+        const up = nulls(bars.length);
+        const down = nulls(bars.length);
+        let upper = null, lower = null, trend = 1;
+        bars.forEach((b, i) => {
+          if (atr[i] === null) return;
+          const hl2 = (b.h + b.l) / 2;
+          const basicUpper = hl2 + p.mult * atr[i];
+          const basicLower = hl2 - p.mult * atr[i];
+          const prevClose = i > 0 ? bars[i - 1].c : b.c;
+          upper = upper === null || basicUpper < upper || prevClose > upper ? basicUpper : upper;
+          lower = lower === null || basicLower > lower || prevClose < lower ? basicLower : lower;
+          if (trend === 1 && b.c < lower) trend = -1;
+          else if (trend === -1 && b.c > upper) trend = 1;
+          if (trend === 1) up[i] = lower;
+          else down[i] = upper;
+        });
+        return {
+          series: [
+            { key: 'up', label: 'Supertrend ▲', values: up, color: COLORS.green },
+            { key: 'down', label: 'Supertrend ▼', values: down, color: COLORS.red }
+          ]
+        };
+      }
+    }
+  ];
+
+  // Calendar day in New York, so intraday VWAP resets at the session open
+  const sessionFmt = typeof Intl !== 'undefined'
+    ? new Intl.DateTimeFormat('en-US', { timeZone: 'America/New_York', year: 'numeric', month: '2-digit', day: '2-digit' })
+    : null;
+
+  function sessionDay(ts) {
+    return sessionFmt ? sessionFmt.format(ts) : new Date(ts).toISOString().slice(0, 10);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // REGISTRY
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Register an indicator
+   * @param {Object} def - { id, name, pane: 'overlay'|'sub', params: { key: { label, default, min, max, step } }, compute(bars, params) }
+   * @returns {{ ok: boolean, error?: string }}
+   */
+  function register(def) {
+    if (!def || typeof def.id !== 'string' || !def.id) return { ok: false, error: 'Indicator needs an id' };
+    if (typeof def.compute !== 'function') return { ok: false, error: `${def.id}: compute() missing` };
+    if (def.pane !== 'overlay' && def.pane !== 'sub') return { ok: false, error: `${def.id}: pane must be overlay or sub` };
+    registry.set(def.id, { name: def.id, params: {}, ...def });
+    return { ok: true };
+  }
+
+  function get(id) {
+    return registry.get(id) || null;
+  }
+
+  function list() {
+    return Array.from(registry.values()).map(d => ({ id: d.id, name: d.name, pane: d.pane, params: d.params }));
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // SETTINGS (persisted through Store)
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  let fallbackSettings = { enabled: [], params: {} };
+
+  function getSettings() {
+    const saved = window.Store ? Store.get('indicators') : fallbackSettings;
+    return {
+      enabled: Array.isArray(saved && saved.enabled) ? saved.enabled.filter(id => registry.has(id)) : [],
+      params: saved && typeof saved.params === 'object' && saved.params ? saved.params : {}
+    };
+  }
+
+  function saveSettings(settings) {
+    if (window.Store) Store.set({ indicators: settings });
+    else fallbackSettings = settings;
+    if (window.PARALLAX_BUS) PARALLAX_BUS.emit('indicators:change', { enabled: settings.enabled.slice(), settings });
+  }
+
+  /**
+   * Effective params for an indicator: saved values clamped to the spec, defaults otherwise
+   */
+  function getParams(id, overrides) {
+    const def = get(id);
+    if (!def) return {};
+    const saved = { ...(getSettings().params[id] || {}), ...(overrides || {}) };
+    const out = {};
+    Object.entries(def.params).forEach(([key, spec]) => {
+      const v = parseFloat(saved[key]);
+      out[key] = Number.isFinite(v)
+        ? Math.max(spec.min ?? -Infinity, Math.min(spec.max ?? Infinity, spec.step ? v : Math.round(v)))
+        : spec.default;
+    });
+    return out;
+  }
+
+  function isEnabled(id) {
+    return getSettings().enabled.includes(id);
+  }
+
+  function setEnabled(id, enabled) {
+    if (!registry.has(id)) return { ok: false, error: `Unknown indicator: ${id}` };
+    const settings = getSettings();
+    const rest = settings.enabled.filter(x => x !== id);
+    saveSettings({ ...settings, enabled: enabled ? rest.concat(id) : rest });
+    return { ok: true };
+  }
+
+  function setParams(id, params) {
+    if (!registry.has(id)) return { ok: false, error: `Unknown indicator: ${id}` };
+    const settings = getSettings();
+    const next = getParams(id, params);
+    saveSettings({ ...settings, params: { ...settings.params, [id]: next } });
+    return { ok: true, params: next };
+  }
+
+  function resetParams(id) {
+    const settings = getSettings();
+    const params = { ...settings.params };
+    delete params[id];
+    saveSettings({ ...settings, params });
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // COMPUTE
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Compute one indicator over bars
+   * @param {string} id
+   * @param {Array} bars - { t, o, h, l, c, v }
+   * @param {Object} [params] - overrides on top of saved settings
+   * @returns {Object|null} { id, name, pane, params, series, levels, range }
+   */
+  function compute(id, bars, params) {
+    const def = get(id);
+    if (!def || !Array.isArray(bars)) return null;
+    const p = getParams(id, params);
+    try {
+      const out = def.compute(bars, p);
+      return { id, name: def.name, pane: def.pane, params: p, levels: [], range: null, ...out };
+    } catch (e) {
+      console.warn(`[Indicators] ${id} failed:`, e);
+      return null;
+    }
+  }
+
+  /**
+   * Compute every enabled indicator, optionally filtered by pane
+   */
+  function computeEnabled(bars, pane) {
+    return getSettings().enabled
+      .filter(id => !pane || get(id).pane === pane)
+      .map(id => compute(id, bars))
+      .filter(Boolean);
+  }
+
+  BUILT_INS.forEach(register);
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PUBLIC API
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  return {
+    register,
+    get,
+    list,
+    compute,
+    computeEnabled,
+    getSettings,
+    getParams,
+    isEnabled,
+    setEnabled,
+    setParams,
+    resetParams,
+    math: { sma, ema, rma, rollingStdev, trueRange }
+  };
+
+})();
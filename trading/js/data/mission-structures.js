@@ -0,0 +1,274 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * PARALLAX MISSION STRUCTURES
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Maps each mission type to the trade it stands for, priced from the
+ * mission's 45m bars with OptionsModel (Black-Scholes):
+ *
+ *   RECON    share probe      shares in the direction of the prior trend
+ *   CARGO    covered call     shares + short ½σ OTM call
+ *   ESCORT   debit spread     long ATM / short 1σ OTM (call or put)
+ *   STRIKE   long OTM option  ½σ OTM call (or put)
+ *   HARVEST  short strangle   short 1σ put + short 1σ call
+ *
+ * Direction comes from the close DEFAULT_TREND bars before the start. Vol is
+ * an implied vol when the caller has one (opts.vol, e.g. solved from a live
+ * option quote); replayed bars carry no option quotes, so otherwise it is the
+ * historical vol of daily closes built from the rows up to the start, and is
+ * labeled HV. It is held constant, so P&L at resolution is the price path
+ * plus time decay. Expiry is the first Friday at least twice the window's
+ * calendar length (min. one week) after the start bar.
+ *
+ * Option legs trade `contracts` × 100; stock legs trade `shares` (the sizing
+ * plan's share count, or 100 per contract without one). Values are dollars
+ * for the whole position.
+ *
+ * Structure:
+ *   { type, name, direction: 1|-1, legs[], contracts, shares, multiplier,
+ *     vol, volSource: 'IV'|'HV', expiry, spot, entry (net position value;
+ *     credit < 0), maxLoss|null, startTime }
+ *   legs: OptionsModel legs plus { type: 'stock', qty }
+ *
+ * Usage:
+ *   MissionStructures.build('STRIKE', rows, startIdx, { targetBars, contracts, shares })
+ *     → { ok, structure } | { ok: false, error }
+ *   MissionStructures.settle(structure, rows, endIdx) → { exit, spot, pnl, pnlPct, at }
+ *   MissionStructures.describe(structure, { relative }) → 'Long OTM option: Long $14C ×1 exp 2025-03-21 · σ 85% HV'
+ *
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+window.MissionStructures = (function() {
+  'use strict';
+
+  const MULTIPLIER = 100;
+  const DEFAULT_TREND = 32;      // bars behind the start that set direction
+  const VOL_DAYS = 60;
+  const MIN_TENOR_DAYS = 7;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const STRUCTURES = {
+    RECON: { id: 'RECON', name: 'Share probe', summary: 'Shares with the prior trend' },
+    CARGO: { id: 'CARGO', name: 'Covered call', summary: 'Shares + short ½σ OTM call' },
+    ESCORT: { id: 'ESCORT', name: 'Debit spread', summary: 'Long ATM / short 1σ OTM' },
+    STRIKE: { id: 'STRIKE', name: 'Long OTM option', summary: 'Long ½σ OTM call or put' },
+    HARVEST: { id: 'HARVEST', name: 'Short strangle', summary: 'Short 1σ put + short 1σ call' }
+  };
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // HELPERS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function strikeStep(price) {
+    if (price < 10) return 0.5;
+    if (price < 50) return 1;
+    if (price < 200) return 2.5;
+    return 5;
+  }
+
+  function roundStrike(price, spot) {
+    const step = strikeStep(spot);
+    return Math.max(step, Math.round(price / step) * step);
+  }
+
+  // An OTM strike at least one step away from spot
+  function otmStrike(spot, pct, dir) {
+    const step = strikeStep(spot);
+    const k = roundStrike(spot * (1 + dir * pct), spot);
+    return dir > 0 ? Math.max(k, roundStrike(spot, spot) + step) : Math.min(k, roundStrike(spot, spot) - step);
+  }
+
+  // Last close of each UTC day up to and including idx
+  function dailyCloses(rows, idx) {
+    const out = [];
+    let day = null;
+    for (let i = 0; i <= idx; i++) {
+      const d = Math.floor(rows[i].time / 86400);
+      if (d !== day) {
+        out.push(rows[i].close);
+        day = d;
+      } else {
+        out[out.length - 1] = rows[i].close;
+      }
+    }
+    return out;
+  }
+
+  // Calendar ms per bar from the bars before the start (includes overnight gaps)
+  function msPerBar(rows, idx) {
+    const n = Math.min(idx, 64);
+    if (n < 1) return 45 * 60 * 1000;
+    return (rows[idx].time - rows[idx - n].time) * 1000 / n;
+  }
+
+  function fridayOnOrAfter(ms) {
+    const d = new Date(ms);
+    d.setUTCDate(d.getUTCDate() + ((5 - d.getUTCDay() + 7) % 7));
+    return d.toISOString().slice(0, 10);
+  }
+
+  function legsFor(type, spot, dir, sigmaMove) {
+    const call = dir > 0 ? 'call' : 'put';
+    const atm = roundStrike(spot, spot);
+    switch (type) {
+      case 'RECON':
+        return [{ type: 'stock', qty: dir }];
+      case 'CARGO':
+        return [{ type: 'stock', qty: 1 }, { type: 'call', strike: otmStrike(spot, sigmaMove / 2, 1), qty: -1 }];
+      case 'ESCORT':
+        return [{ type: call, strike: atm, qty: 1 }, { type: call, strike: otmStrike(spot, sigmaMove, dir), qty: -1 }];
+      case 'STRIKE':
+        return [{ type: call, strike: otmStrike(spot, sigmaMove / 2, dir), qty: 1 }];
+      case 'HARVEST':
+        return [{ type: 'put', strike: otmStrike(spot, sigmaMove, -1), qty: -1 }, { type: 'call', strike: otmStrike(spot, sigmaMove, 1), qty: -1 }];
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Net dollar value of the position at a spot and time
+   */
+  function value(structure, spot, nowMs) {
+    return structure.legs.reduce((sum, leg) => {
+      if (leg.type === 'stock') return sum + spot * leg.qty * structure.shares;
+      const priced = OptionsModel.priceLeg({ ...leg, expiry: structure.expiry }, { spot, vol: structure.vol, now: nowMs });
+      return sum + priced.value * structure.contracts * structure.multiplier;
+    }, 0);
+  }
+
+  // Only debit structures without short stock/option exposure have a known max loss
+  function maxLossOf(type, entry) {
+    if (type === 'STRIKE' || type === 'ESCORT') return entry;
+    return null;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // BUILD / SETTLE
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Price a mission type's structure at the start bar
+   * @param {string} type - mission type id
+   * @param {Array} rows - IndicatorLoader rows {time (sec), close}
+   * @param {number} startIdx
+   * @param {{ targetBars: number, contracts?: number, shares?: number, vol?: number }} opts
+   *   shares: stock leg size (defaults to 100 per contract)
+   *   vol: implied vol to price with; historical vol is used without one
+   */
+  function build(type, rows, startIdx, opts = {}) {
+    if (!window.OptionsModel) return { ok: false, error: 'Options model not loaded' };
+    if (!STRUCTURES[type]) return { ok: false, error: `No structure for mission type ${type}` };
+    const start = rows && rows[startIdx];
+    if (!start || !(start.close > 0)) return { ok: false, error: 'No start bar' };
+
+    const volSource = opts.vol > 0 ? 'IV' : 'HV';
+    const vol = opts.vol > 0 ? opts.vol : OptionsModel.historicalVol(dailyCloses(rows, startIdx), VOL_DAYS);
+    if (!(vol > 0)) return { ok: false, error: 'Not enough daily history for a volatility estimate' };
+
+    const spot = start.close;
+    const startMs = start.time * 1000;
+    const windowMs = (opts.targetBars || 1) * msPerBar(rows, startIdx);
+    const expiry = fridayOnOrAfter(startMs + Math.max(MIN_TENOR_DAYS * DAY_MS, 2 * windowMs));
+    const T = OptionsModel.yearsToExpiry(expiry, startMs);
+    const sigmaMove = vol * Math.sqrt(T);
+
+    const trendFrom = rows[Math.max(0, startIdx - DEFAULT_TREND)].close;
+    const direction = spot >= trendFrom ? 1 : -1;
+
+    const contracts = opts.contracts > 0 ? Math.floor(opts.contracts) : 1;
+    const shares = opts.shares > 0 ? Math.floor(opts.shares) : contracts * MULTIPLIER;
+    const structure = {
+      type,
+      name: STRUCTURES[type].name,
+      direction,
+      legs: legsFor(type, spot, direction, sigmaMove),
+      contracts,
+      shares,
+      multiplier: MULTIPLIER,
+      vol,
+      volSource,
+      expiry,
+      spot,
+      entry: 0,
+      maxLoss: null,
+      startTime: start.time
+    };
+    structure.entry = value(structure, spot, startMs);
+    structure.maxLoss = maxLossOf(type, structure.entry);
+
+    return { ok: true, structure };
+  }
+
+  /**
+   * Mark the structure at a bar's close
+   * @returns {{ exit, spot, pnl, pnlPct, at } | null}
+   */
+  function settle(structure, rows, endIdx) {
+    const bar = rows && rows[Math.min(endIdx, rows.length - 1)];
+    if (!structure || !bar) return null;
+
+    const exit = value(structure, bar.close, bar.time * 1000);
+    const pnl = exit - structure.entry;
+    // Percent of the capital the structure ties up (debit or credit, or the share notional)
+    const basis = Math.abs(structure.entry) > 0 ? Math.abs(structure.entry) : structure.spot * structure.shares;
+
+    return {
+      exit,
+      spot: bar.close,
+      pnl,
+      pnlPct: pnl / basis * 100,
+      at: bar.time
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // DISPLAY
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * One-line description. relative: strikes as % from spot and no vol
+   * (blind missions; either would narrow down the ticker)
+   */
+  function describe(structure, opts = {}) {
+    if (!structure) return '';
+    const legs = structure.legs.map(leg => {
+      const side = leg.qty > 0 ? 'Long' : 'Short';
+      if (leg.type === 'stock') return `${side} ${Math.abs(leg.qty) * structure.shares} sh`;
+      const cp = leg.type === 'call' ? 'C' : 'P';
+      const strike = opts.relative
+        ? `${leg.strike >= structure.spot ? '+' : ''}${((leg.strike / structure.spot - 1) * 100).toFixed(1)}%${cp}`
+        : `$${leg.strike}${cp}`;
+      return `${side} ${strike}`;
+    });
+    const hasOptions = structure.legs.some(l => l.type !== 'stock');
+    const count = hasOptions ? ` ×${structure.contracts}` : '';
+    const when = hasOptions && !opts.relative ? ` exp ${structure.expiry}` : '';
+    const vol = hasOptions && !opts.relative ? ` · σ ${(structure.vol * 100).toFixed(0)}% ${structure.volSource || 'HV'}` : '';
+    return `${structure.name}: ${legs.join(' / ')}${count}${when}${vol}`;
+  }
+
+  /**
+   * Entry as "$85 debit" / "$120 credit" for the position
+   */
+  function describeEntry(structure) {
+    if (!structure) return '';
+    const amount = `$${Math.round(Math.abs(structure.entry)).toLocaleString()}`;
+    return structure.entry >= 0 ? `${amount} debit` : `${amount} credit`;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PUBLIC API
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  return {
+    STRUCTURES,
+    MULTIPLIER,
+    build,
+    value,
+    settle,
+    describe,
+    describeEntry
+  };
+})();
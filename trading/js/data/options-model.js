@@ -0,0 +1,269 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * PARALLAX OPTIONS MODEL
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Option-leg model + local Black-Scholes engine. Positions are made of legs;
+ * the engine prices each leg from spot, time to expiry and a volatility —
+ * implied from a quoted premium where there is one, otherwise historical
+ * from the underlying's daily closes — then nets value and greeks.
+ *
+ * Leg shape:
+ *   { type: 'call'|'put', strike, expiry: 'YYYY-MM-DD', qty (+long / -short), multiplier? }
+ *
+ * Position shape:
+ *   { ticker, structure, contracts, entry (net debit / share), legs[] }
+ *
+ * Greeks are reported per share of one spread unit:
+ *   delta, gamma, theta (per calendar day), vega (per 1 vol point)
+ *
+ * Usage:
+ *   OptionsModel.historicalVol(closes)                     → annualized σ
+ *   OptionsModel.priceLeg(leg, { spot, vol, now })         → { value, delta, gamma, theta, vega }
+ *   OptionsModel.valuePosition(pos, { spot, vol, now })    → { value, greeks, pnl, pnlPct, ... }
+ *   OptionsModel.impliedVol(price, leg, { spot, now })     → σ | null
+ *   OptionsModel.positionImpliedVol(legs, premium, { spot, now, vol? }) → σ | null
+ *   OptionsModel.describeStrikes(legs)                     → '$5/$15'
+ *
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+window.OptionsModel = (function() {
+  'use strict';
+
+  const RISK_FREE_RATE = 0.04;
+  const DEFAULT_MULTIPLIER = 100;
+  const TRADING_DAYS = 252;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const YEAR_MS = 365 * DAY_MS;
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // MATH
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function normPdf(x) {
+    return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+  }
+
+  // Abramowitz & Stegun 26.2.17 (|error| < 7.5e-8)
+  function normCdf(x) {
+    const k = 1 / (1 + 0.2316419 * Math.abs(x));
+    const poly = k * (0.319381530 + k * (-0.356563782 + k * (1.781477937 + k * (-1.821255978 + k * 1.330274429))));
+    const tail = normPdf(x) * poly;
+    return x >= 0 ? 1 - tail : tail;
+  }
+
+  /**
+   * Annualized close-to-close volatility
+   * @param {number[]} closes - oldest → newest
+   * @param {number} [lookback=60] - returns to sample
+   * @returns {number|null}
+   */
+  function historicalVol(closes, lookback = 60) {
+    const series = (closes || []).filter(c => Number.isFinite(c) && c > 0).slice(-(lookback + 1));
+    if (series.length < 3) return null;
+
+    const rets = [];
+    for (let i = 1; i < series.length; i++) rets.push(Math.log(series[i] / series[i - 1]));
+    const mean = rets.reduce((s, r) => s + r, 0) / rets.length;
+    const variance = rets.reduce((s, r) => s + (r - mean) * (r - mean), 0) / (rets.length - 1);
+    return Math.sqrt(variance * TRADING_DAYS);
+  }
+
+  /**
+   * Years until a YYYY-MM-DD expiry (US close, 16:00 ET ≈ 21:00 UTC)
+   */
+  function yearsToExpiry(expiry, now = Date.now()) {
+    const ts = Date.parse(expiry + 'T21:00:00Z');
+    if (!Number.isFinite(ts)) return 0;
+    return Math.max(0, (ts - now) / YEAR_MS);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // BLACK-SCHOLES
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Price + greeks for a single long option (per share)
+   */
+  function blackScholes(type, S, K, T, vol, r = RISK_FREE_RATE) {
+    const isCall = type === 'call';
+
+    // Expired or degenerate: intrinsic only
+    if (T <= 0 || !(vol > 0)) {
+      const intrinsic = Math.max(0, isCall ? S - K : K - S);
+      const itm = isCall ? S > K : S < K;
+      return { value: intrinsic, delta: itm ? (isCall ? 1 : -1) : 0, gamma: 0, theta: 0, vega: 0 };
+    }
+
+    const sqrtT = Math.sqrt(T);
+    const d1 = (Math.log(S / K) + (r + 0.5 * vol * vol) * T) / (vol * sqrtT);
+    const d2 = d1 - vol * sqrtT;
+    const disc = Math.exp(-r * T);
+
+    const value = isCall
+      ? S * normCdf(d1) - K * disc * normCdf(d2)
+      : K * disc * normCdf(-d2) - S * normCdf(-d1);
+    const delta = isCall ? normCdf(d1) : normCdf(d1) - 1;
+    const gamma = normPdf(d1) / (S * vol * sqrtT);
+    const thetaYear = -(S * normPdf(d1) * vol) / (2 * sqrtT) +
+      (isCall ? -r * K * disc * normCdf(d2) : r * K * disc * normCdf(-d2));
+    const vega = S * normPdf(d1) * sqrtT;
+
+    return { value, delta, gamma, theta: thetaYear / 365, vega: vega / 100 };
+  }
+
+  /**
+   * Price one leg (signed by qty)
+   * @param {Object} leg
+   * @param {{ spot: number, vol: number, now?: number, rate?: number }} market
+   */
+  function priceLeg(leg, market) {
+    const T = yearsToExpiry(leg.expiry, market.now);
+    const bs = blackScholes(leg.type, market.spot, leg.strike, T, market.vol, market.rate);
+    const qty = leg.qty || 1;
+    return {
+      value: bs.value * qty,
+      delta: bs.delta * qty,
+      gamma: bs.gamma * qty,
+      theta: bs.theta * qty,
+      vega: bs.vega * qty,
+      daysToExpiry: Math.ceil(T * 365)
+    };
+  }
+
+  /**
+   * Value a multi-leg position
+   * @param {Object} pos - { contracts, entry, legs[] }
+   * @param {{ spot: number, vol: number, now?: number, rate?: number }} market
+   * @returns {Object|null} null when spot is unknown
+   */
+  function valuePosition(pos, market) {
+    if (!pos || !Array.isArray(pos.legs) || !pos.legs.length) return null;
+    if (!(market && market.spot > 0)) return null;
+
+    const legs = pos.legs.map(leg => ({ ...leg, ...priceLeg(leg, market) }));
+    const net = legs.reduce((acc, l) => {
+      acc.value += l.value;
+      acc.delta += l.delta;
+      acc.gamma += l.gamma;
+      acc.theta += l.theta;
+      acc.vega += l.vega;
+      return acc;
+    }, { value: 0, delta: 0, gamma: 0, theta: 0, vega: 0 });
+
+    const multiplier = pos.legs[0].multiplier || DEFAULT_MULTIPLIER;
+    const units = (pos.contracts || 0) * multiplier;
+    const pnl = (net.value - pos.entry) * units;
+
+    return {
+      value: net.value,
+      greeks: { delta: net.delta, gamma: net.gamma, theta: net.theta, vega: net.vega },
+      // Dollar exposure of the whole position
+      dollarGreeks: {
+        delta: net.delta * units * market.spot,
+        theta: net.theta * units,
+        vega: net.vega * units
+      },
+      marketValue: net.value * units,
+      pnl,
+      pnlPct: pos.entry > 0 ? (net.value - pos.entry) / pos.entry * 100 : 0,
+      vol: market.vol,
+      daysToExpiry: Math.min(...legs.map(l => l.daysToExpiry)),
+      legs
+    };
+  }
+
+  /**
+   * Solve the volatility that reproduces an observed leg price (bisection)
+   * @returns {number|null}
+   */
+  function impliedVol(price, leg, market) {
+    const T = yearsToExpiry(leg.expiry, market.now);
+    if (!(price > 0) || T <= 0 || !(market.spot > 0)) return null;
+
+    let lo = 0.01;
+    let hi = 5;
+    const at = v => blackScholes(leg.type, market.spot, leg.strike, T, v, market.rate).value;
+    if (price < at(lo) || price > at(hi)) return null;
+
+    for (let i = 0; i < 80; i++) {
+      const mid = (lo + hi) / 2;
+      if (at(mid) > price) hi = mid;
+      else lo = mid;
+      if (hi - lo < 1e-5) break;
+    }
+    return (lo + hi) / 2;
+  }
+
+  /**
+   * Solve the one volatility that reproduces a position's quoted net premium
+   * per share. Spreads are not monotonic in vol and can fit two vols, so the
+   * range is scanned for every bracket; the root nearest market.vol (e.g. the
+   * historical vol) wins, else the lowest.
+   * @param {Object[]} legs
+   * @param {number} premium - quoted net price per share (debit > 0)
+   * @param {{ spot: number, now?: number, vol?: number }} market
+   * @returns {number|null} null when no vol in 1%–500% fits the quote
+   */
+  function positionImpliedVol(legs, premium, market) {
+    if (!Array.isArray(legs) || !legs.length || !Number.isFinite(premium) || !(market.spot > 0)) return null;
+    if (legs.some(l => yearsToExpiry(l.expiry, market.now) <= 0)) return null;
+
+    const gap = v => legs.reduce((s, l) => s + priceLeg(l, { ...market, vol: v }).value, 0) - premium;
+    const STEPS = 100;
+    const roots = [];
+    let lo = 0.01;
+    let gLo = gap(lo);
+    for (let i = 1; i <= STEPS; i++) {
+      const hi = 0.01 + (5 - 0.01) * i / STEPS;
+      const gHi = gap(hi);
+      if ((gLo < 0) !== (gHi < 0)) {
+        let a = lo;
+        let b = hi;
+        for (let j = 0; j < 60 && b - a > 1e-5; j++) {
+          const mid = (a + b) / 2;
+          if ((gap(mid) < 0) === (gLo < 0)) a = mid;
+          else b = mid;
+        }
+        roots.push((a + b) / 2);
+      }
+      lo = hi;
+      gLo = gHi;
+    }
+    if (!roots.length) return null;
+    if (!(market.vol > 0)) return roots[0];
+    return roots.reduce((best, r) => Math.abs(r - market.vol) < Math.abs(best - market.vol) ? r : best);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // DISPLAY
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function describeStrikes(legs) {
+    return (legs || [])
+      .slice()
+      .sort((a, b) => a.strike - b.strike)
+      .map(l => '$' + l.strike + (l.type === 'put' ? 'P' : ''))
+      .join('/');
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PUBLIC API
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  return {
+    RISK_FREE_RATE,
+    DEFAULT_MULTIPLIER,
+    normCdf,
+    historicalVol,
+    yearsToExpiry,
+    blackScholes,
+    priceLeg,
+    valuePosition,
+    impliedVol,
+    positionImpliedVol,
+    describeStrikes
+  };
+
+})();
@@ -0,0 +1,317 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * PARALLAX POSITION SIZING
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Fixed-fractional sizing: risk a set percent of account equity between the
+ * entry and a stop, where the stop comes from an ATR multiple, a percent of
+ * price, or a chart level. Portfolio heat is the open risk of every fleet
+ * position (same stop rule, from its current price) plus the new trade, as
+ * a share of equity.
+ *
+ * Settings (Store.sizing):
+ *   { equity|null, riskPct, method: 'ATR'|'PERCENT'|'LEVEL', atrMult, stopPct,
+ *     maxHeatPct, plans: { TICKER: plan } }
+ *   equity null = use the fleet's market value
+ *
+ * Plan:
+ *   { ticker, side, entry, stop, stopDistance, stopPct, atr, shares, contracts,
+ *     premium, dollarRisk, positionValue, equity, riskPct, method, createdAt }
+ *
+ * Events:
+ *   - sizing:plan { ticker, plan }
+ *
+ * Usage:
+ *   PositionSizing.compute({ equity, riskPct, method, entry, atr, ... }) → { ok, plan, warnings } | { ok: false, error }
+ *   PositionSizing.heat(positions, { equity, atrByTicker, method, atrMult, stopPct }, plan)
+ *   PositionSizing.savePlan(plan) / PositionSizing.planFor('RKLB')
+ *   PositionSizing.settle(plan, rows, startIdx, endIdx) → mission outcome in dollars
+ *
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+window.PositionSizing = (function() {
+  'use strict';
+
+  const METHODS = ['ATR', 'PERCENT', 'LEVEL'];
+  const ATR_PERIOD = 14;
+  const CONTRACT_MULTIPLIER = 100;
+  // Risk-per-trade presets (the old four-step risk knob)
+  const PROFILES = {
+    CONSERVATIVE: 0.5,
+    MODERATE: 1,
+    AGGRESSIVE: 2,
+    MAXIMUM: 3
+  };
+  const DEFAULTS = {
+    equity: null,
+    riskPct: PROFILES.MODERATE,
+    method: 'ATR',
+    atrMult: 2,
+    stopPct: 8,
+    maxHeatPct: 6,
+    plans: {}
+  };
+
+  let fallbackSettings = { ...DEFAULTS };
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // SETTINGS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function getSettings() {
+    const saved = window.Store ? Store.get('sizing') : fallbackSettings;
+    const s = { ...DEFAULTS, ...(saved && typeof saved === 'object' ? saved : {}) };
+    if (!METHODS.includes(s.method)) s.method = DEFAULTS.method;
+    if (!s.plans || typeof s.plans !== 'object') s.plans = {};
+    return s;
+  }
+
+  function saveSettings(patch) {
+    const next = { ...getSettings(), ...patch };
+    if (window.Store) Store.set({ sizing: next });
+    else fallbackSettings = next;
+    return next;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // VOLATILITY
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Wilder ATR at the last bar
+   * @param {Array} bars - {h, l, c} (or IndicatorLoader {high, low, close})
+   */
+  function atr(bars, period = ATR_PERIOD) {
+    const rows = (bars || []).map(b => ({
+      h: b.h != null ? b.h : b.high,
+      l: b.l != null ? b.l : b.low,
+      c: b.c != null ? b.c : b.close
+    })).filter(b => b.h > 0 && b.l > 0 && b.c > 0);
+    if (rows.length <= period) return null;
+
+    let value = null;
+    let seed = 0;
+    for (let i = 1; i < rows.length; i++) {
+      const tr = Math.max(rows[i].h - rows[i].l, Math.abs(rows[i].h - rows[i - 1].c), Math.abs(rows[i].l - rows[i - 1].c));
+      if (i <= period) {
+        seed += tr;
+        if (i === period) value = seed / period;
+      } else {
+        value = (value * (period - 1) + tr) / period;
+      }
+    }
+    return value;
+  }
+
+  /**
+   * Stop price for a method; null when the inputs don't define one
+   */
+  function stopFor(entry, side, { method, atr: atrValue, atrMult, stopPct, stopLevel }) {
+    const dir = side === 'SHORT' ? -1 : 1;
+    if (method === 'ATR') return Number.isFinite(atrValue) && atrValue > 0 && atrMult > 0 ? entry - dir * atrValue * atrMult : null;
+    if (method === 'PERCENT') return stopPct > 0 && stopPct < 100 ? entry * (1 - dir * stopPct / 100) : null;
+    if (method === 'LEVEL') return Number.isFinite(stopLevel) && stopLevel > 0 ? stopLevel : null;
+    return null;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // SIZING
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Size one trade.
+   * @param {Object} input - { ticker, side, equity, riskPct, method, entry, atr,
+   *                           atrMult, stopPct, stopLevel, premium? }
+   *   premium: option price per share; long premium is the contract's max loss
+   * @returns {{ ok: true, plan, warnings: string[] } | { ok: false, error: string }}
+   */
+  function compute(input) {
+    const side = input.side === 'SHORT' ? 'SHORT' : 'LONG';
+    const equity = Number(input.equity);
+    const riskPct = Number(input.riskPct);
+    const entry = Number(input.entry);
+
+    if (!(equity > 0)) return { ok: false, error: 'Account equity must be positive' };
+    if (!(riskPct > 0) || riskPct > 100) return { ok: false, error: 'Risk per trade must be between 0 and 100%' };
+    if (!(entry > 0)) return { ok: false, error: 'No entry price' };
+    if (!METHODS.includes(input.method)) return { ok: false, error: `Unknown stop method: ${input.method}` };
+
+    const stop = stopFor(entry, side, input);
+    if (stop === null) {
+      if (input.method === 'ATR') return { ok: false, error: 'ATR unavailable — not enough daily bars' };
+      if (input.method === 'LEVEL') return { ok: false, error: 'Pick or enter a stop level' };
+      return { ok: false, error: 'Stop % must be between 0 and 100' };
+    }
+    const stopDistance = side === 'LONG' ? entry - stop : stop - entry;
+    if (!(stopDistance > 0)) {
+      return { ok: false, error: `Stop $${stop.toFixed(2)} must be ${side === 'LONG' ? 'below' : 'above'} entry $${entry.toFixed(2)}` };
+    }
+    if (!(stop > 0)) return { ok: false, error: 'Stop falls at or below zero — use a smaller multiple' };
+
+    const warnings = [];
+    const budget = equity * riskPct / 100;
+    let shares = Math.floor(budget / stopDistance);
+    const affordable = Math.floor(equity / entry);
+    if (shares > affordable) {
+      shares = affordable;
+      warnings.push(`Capped at ${affordable} shares by equity — stop is too tight to spend the full risk budget`);
+    }
+    if (shares < 1) warnings.push(`Risk budget $${budget.toFixed(0)} is less than one share's stop distance`);
+
+    const premium = Number(input.premium);
+    let contracts = null;
+    if (premium > 0) {
+      contracts = Math.floor(budget / (premium * CONTRACT_MULTIPLIER));
+      if (contracts < 1) warnings.push('One contract costs more than the risk budget');
+    }
+
+    const dollarRisk = shares * stopDistance;
+    const positionValue = shares * entry;
+    if (positionValue > equity * 0.25) warnings.push(`Position is ${(positionValue / equity * 100).toFixed(0)}% of equity`);
+
+    return {
+      ok: true,
+      warnings,
+      plan: {
+        ticker: String(input.ticker || '').toUpperCase() || null,
+        side,
+        entry,
+        stop,
+        stopDistance,
+        stopPct: stopDistance / entry * 100,
+        atr: Number.isFinite(input.atr) ? input.atr : null,
+        shares,
+        contracts,
+        premium: premium > 0 ? premium : null,
+        dollarRisk,
+        contractRisk: contracts ? contracts * premium * CONTRACT_MULTIPLIER : null,
+        positionValue,
+        equity,
+        riskPct,
+        method: input.method,
+        createdAt: Date.now()
+      }
+    };
+  }
+
+  /**
+   * Open risk across positions using the same stop rule from each current
+   * price (LEVEL falls back to ATR for positions without their own stop).
+   * @param {Array} positions - [{ ticker, shares, current_price }]
+   * @param {Object} opts - { equity, atrByTicker, method, atrMult, stopPct, maxHeatPct }
+   * @param {Object} [plan] - new trade to add on top
+   */
+  function heat(positions, opts, plan) {
+    const method = opts.method === 'LEVEL' ? 'ATR' : opts.method;
+    const rows = (positions || [])
+      .filter(p => p.shares > 0 && p.current_price > 0 && (!plan || p.ticker !== plan.ticker))
+      .map(p => {
+        const stop = stopFor(p.current_price, 'LONG', { ...opts, method, atr: (opts.atrByTicker || {})[p.ticker] });
+        const risk = stop === null ? null : p.shares * Math.max(0, p.current_price - stop);
+        return { ticker: p.ticker, risk };
+      });
+
+    const open = rows.reduce((s, r) => s + (r.risk || 0), 0);
+    const added = plan ? plan.dollarRisk : 0;
+    const equity = opts.equity > 0 ? opts.equity : null;
+    const maxHeatPct = opts.maxHeatPct || DEFAULTS.maxHeatPct;
+    const totalPct = equity ? (open + added) / equity * 100 : null;
+
+    return {
+      positions: rows,
+      unknown: rows.filter(r => r.risk === null).map(r => r.ticker),
+      open,
+      added,
+      total: open + added,
+      openPct: equity ? open / equity * 100 : null,
+      totalPct,
+      maxHeatPct,
+      over: totalPct !== null && totalPct > maxHeatPct
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PLANS (handed to the simulator and to mission launch)
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function savePlan(plan) {
+    if (!plan || !plan.ticker) return;
+    const plans = { ...getSettings().plans, [plan.ticker]: plan };
+    saveSettings({ plans });
+    if (window.PARALLAX_BUS) window.PARALLAX_BUS.emit('sizing:plan', { ticker: plan.ticker, plan });
+  }
+
+  function planFor(ticker) {
+    if (!ticker) return null;
+    return getSettings().plans[ticker.toUpperCase()] || null;
+  }
+
+  function clearPlan(ticker) {
+    const plans = { ...getSettings().plans };
+    delete plans[String(ticker).toUpperCase()];
+    saveSettings({ plans });
+  }
+
+  /**
+   * Replay a plan over a mission window: the stop distance (as % of entry)
+   * is re-anchored to the window's first close. A bar that gaps through
+   * the stop fills at its open.
+   * @param {Array} rows - IndicatorLoader rows {open, high, low, close}
+   * @returns {{ shares, entry, stop, exit, stoppedOut, pnl, rMultiple } | null}
+   */
+  function settle(plan, rows, startIdx, endIdx) {
+    if (!plan || !plan.shares || !rows || !rows[startIdx]) return null;
+    const last = Math.min(endIdx, rows.length - 1);
+    const dir = plan.side === 'SHORT' ? -1 : 1;
+    const entry = rows[startIdx].close;
+    const stop = entry * (1 - dir * plan.stopPct / 100);
+    const risk = plan.shares * Math.abs(entry - stop);
+
+    let exit = rows[last].close;
+    let stoppedOut = false;
+    for (let i = startIdx + 1; i <= last; i++) {
+      const bar = rows[i];
+      const hit = dir === 1 ? bar.low <= stop : bar.high >= stop;
+      if (hit) {
+        const gapped = dir === 1 ? bar.open < stop : bar.open > stop;
+        exit = gapped ? bar.open : stop;
+        stoppedOut = true;
+        break;
+      }
+    }
+
+    const pnl = plan.shares * (exit - entry) * dir;
+    return {
+      shares: plan.shares,
+      side: plan.side,
+      entry,
+      stop,
+      exit,
+      stoppedOut,
+      pnl,
+      rMultiple: risk > 0 ? pnl / risk : null
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PUBLIC API
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  return {
+    METHODS,
+    PROFILES,
+    DEFAULTS,
+    CONTRACT_MULTIPLIER,
+    getSettings,
+    saveSettings,
+    atr,
+    stopFor,
+    compute,
+    heat,
+    savePlan,
+    planFor,
+    clearPlan,
+    settle
+  };
+})();
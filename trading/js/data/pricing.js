@@ -0,0 +1,200 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * PARALLAX PRICING SERVICE
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Mark-to-market for every fleet view. Holds one price snapshot built from
+ * the newest candle in data/{ticker}.json (daily / intraday / intraday15),
+ * falling back to data/stats.json `current`. A quote is flagged stale when
+ * its last bar is more than STALE_SESSIONS weekday sessions old.
+ *
+ * Quote shape:
+ *   { ticker, price, asOf, source: 'candle'|'stats', stale, sessionsOld }
+ *
+ * Events:
+ *   - pricing:update   { tickers, staleCount }
+ *
+ * Usage:
+ *   Pricing.setStats(stats, updated)                → seed from stats.json
+ *   Pricing.ingestSeries(ticker, data)              → seed from data/{t}.json
+ *   Pricing.hydrate(tickers, loader)                → load missing series, emit once
+ *   Pricing.getQuote('RKLB')                        → quote | null
+ *   Pricing.markPositions(positions)                → positions with current_price + stale flag
+ *   Pricing.getHistory('RKLB')                      → recent daily closes (oldest → newest)
+ *
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+window.Pricing = (function() {
+  'use strict';
+
+  const STALE_SESSIONS = 2;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const candleQuotes = {};   // ticker → quote from candles
+  const statsQuotes = {};    // ticker → quote from stats.json
+  const closeHistory = {};   // ticker → recent daily closes (vol / risk inputs)
+  const HISTORY_BARS = 260;
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // HELPERS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Weekday sessions that closed after `ts` and before today
+   */
+  function sessionsSince(ts, now = Date.now()) {
+    if (!Number.isFinite(ts)) return Infinity;
+    const day = new Date(ts);
+    day.setHours(0, 0, 0, 0);
+    const today = new Date(now);
+    today.setHours(0, 0, 0, 0);
+
+    let count = 0;
+    for (let d = day.getTime() + DAY_MS; d < today.getTime(); d += DAY_MS) {
+      const dow = new Date(d).getDay();
+      if (dow !== 0 && dow !== 6) count++;
+    }
+    return count;
+  }
+
+  function withFreshness(quote) {
+    const sessionsOld = sessionsSince(quote.asOf);
+    return { ...quote, sessionsOld, stale: sessionsOld > STALE_SESSIONS };
+  }
+
+  function lastBar(series) {
+    if (!Array.isArray(series) || !series.length) return null;
+    const bar = series[series.length - 1];
+    return bar && Number.isFinite(bar.c) && bar.c > 0 && Number.isFinite(bar.t) ? bar : null;
+  }
+
+  function emitUpdate(tickers) {
+    if (!window.PARALLAX_BUS) return;
+    const staleCount = tickers.filter(t => {
+      const q = getQuote(t);
+      return !q || q.stale;
+    }).length;
+    window.PARALLAX_BUS.emit('pricing:update', { tickers, staleCount });
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // SNAPSHOT
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Seed quotes from stats.json (used until candles load)
+   * @param {Object} stats - stats.json `stats` map
+   * @param {string} [updated] - stats.json `updated` ISO timestamp
+   */
+  function setStats(stats, updated) {
+    const asOf = updated ? Date.parse(updated) : NaN;
+    Object.entries(stats || {}).forEach(([ticker, s]) => {
+      if (!s || !Number.isFinite(s.current) || s.current <= 0) return;
+      statsQuotes[ticker.toUpperCase()] = {
+        ticker: ticker.toUpperCase(),
+        price: s.current,
+        asOf,
+        source: 'stats'
+      };
+    });
+  }
+
+  /**
+   * Seed a quote from a data/{ticker}.json payload (newest bar across timeframes)
+   * @returns {boolean} true when a candle quote was recorded
+   */
+  function ingestSeries(ticker, data) {
+    if (!ticker || !data) return false;
+    const bar = [data.daily, data.intraday, data.intraday15]
+      .map(lastBar)
+      .filter(Boolean)
+      .sort((a, b) => b.t - a.t)[0];
+    if (!bar) return false;
+
+    const t = ticker.toUpperCase();
+    candleQuotes[t] = { ticker: t, price: bar.c, asOf: bar.t, source: 'candle' };
+    if (Array.isArray(data.daily)) {
+      closeHistory[t] = data.daily.slice(-HISTORY_BARS).map(b => b.c);
+    }
+    return true;
+  }
+
+  /**
+   * Load series for tickers without a candle quote, then emit one update
+   * @param {string[]} tickers
+   * @param {function(string): Promise<Object>} loader - resolves data/{ticker}.json
+   */
+  async function hydrate(tickers, loader) {
+    const list = Array.from(new Set((tickers || []).map(t => String(t).toUpperCase())));
+    // Sequential keeps the network quiet while the main chart is loading
+    for (const t of list) {
+      if (candleQuotes[t]) continue;
+      try {
+        ingestSeries(t, await loader(t));
+      } catch (e) {
+        console.warn('[Pricing] No candles for', t);
+      }
+    }
+    emitUpdate(list);
+  }
+
+  /**
+   * Current quote (candle beats stats.json)
+   * @param {string} ticker
+   * @returns {Object|null}
+   */
+  function getQuote(ticker) {
+    const t = (ticker || '').toUpperCase();
+    const quote = candleQuotes[t] || statsQuotes[t];
+    return quote ? withFreshness(quote) : null;
+  }
+
+  /**
+   * Revalue positions from the snapshot. Positions without a quote keep their
+   * stored current_price (or entry_price) and are flagged stale.
+   * @param {Object[]} positions
+   * @returns {Object[]}
+   */
+  function markPositions(positions) {
+    return (positions || []).map(pos => {
+      const quote = getQuote(pos.ticker);
+      if (quote) {
+        return {
+          ...pos,
+          current_price: quote.price,
+          price_as_of: quote.asOf,
+          price_source: quote.source,
+          stale: quote.stale
+        };
+      }
+      const stored = Number.isFinite(pos.current_price) && pos.current_price > 0 ? pos.current_price : pos.entry_price;
+      return { ...pos, current_price: stored, price_as_of: null, price_source: 'stored', stale: true };
+    });
+  }
+
+  /**
+   * Recent daily closes from the loaded candle file
+   * @param {string} ticker
+   * @returns {number[]}
+   */
+  function getHistory(ticker) {
+    return closeHistory[(ticker || '').toUpperCase()] || [];
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PUBLIC API
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  return {
+    STALE_SESSIONS,
+    setStats,
+    ingestSeries,
+    hydrate,
+    getQuote,
+    markPositions,
+    getHistory,
+    sessionsSince
+  };
+
+})();
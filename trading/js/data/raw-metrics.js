@@ -0,0 +1,170 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * GENERATED RAW METRICS — do not edit by hand
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Built by scripts/ingest-market-data.js on 2026-10-19 from data/ 45m bars.
+ * ShipTelemetry prefers these over its built-in estimates.
+ *
+ *   volatility       stdev of per-bar returns
+ *   avgReturn        mean per-bar return
+ *   maxDrawdown      worst peak-to-trough close (negative fraction)
+ *   trendStrength    |mean| / stdev × √bars
+ *   chopRatio        close-to-close path length / net move (capped at 500)
+ *   signalClarity    share of MACD crosses followed ≥0.5% within 5 bars
+ *   volumeStability  median / mean bar volume
+ *
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+window.RAW_METRICS = (function() {
+  'use strict';
+
+  return {
+    ACHR: {
+      volatility: 0.0157,
+      avgReturn: 0.00013,
+      maxDrawdown: -0.528,
+      trendStrength: 0.42,
+      chopRatio: 500,
+      signalClarity: 0.68,
+      volumeStability: 0.68
+    },
+    ASTS: {
+      volatility: 0.0166,
+      avgReturn: 0.00062,
+      maxDrawdown: -0.49,
+      trendStrength: 1.82,
+      chopRatio: 18.6,
+      signalClarity: 0.67,
+      volumeStability: 0.69
+    },
+    BKSY: {
+      volatility: 0.0189,
+      avgReturn: 0.00045,
+      maxDrawdown: -0.704,
+      trendStrength: 1.15,
+      chopRatio: 44.2,
+      signalClarity: 0.69,
+      volumeStability: 0.65
+    },
+    COHR: {
+      volatility: 0.014,
+      avgReturn: 0.00036,
+      maxDrawdown: -0.565,
+      trendStrength: 1.25,
+      chopRatio: 19.8,
+      signalClarity: 0.61,
+      volumeStability: 0.69
+    },
+    EVEX: {
+      volatility: 0.0136,
+      avgReturn: 0.00005,
+      maxDrawdown: -0.534,
+      trendStrength: 0.19,
+      chopRatio: 234.5,
+      signalClarity: 0.69,
+      volumeStability: 0.49
+    },
+    GE: {
+      volatility: 0.0053,
+      avgReturn: 0.00029,
+      maxDrawdown: -0.226,
+      trendStrength: 2.71,
+      chopRatio: 11.3,
+      signalClarity: 0.48,
+      volumeStability: 0.75
+    },
+    GME: {
+      volatility: 0.0093,
+      avgReturn: -0.0001,
+      maxDrawdown: -0.43,
+      trendStrength: 0.51,
+      chopRatio: 38.2,
+      signalClarity: 0.57,
+      volumeStability: 0.58
+    },
+    JOBY: {
+      volatility: 0.0147,
+      avgReturn: 0.00032,
+      maxDrawdown: -0.497,
+      trendStrength: 1.05,
+      chopRatio: 42.2,
+      signalClarity: 0.68,
+      volumeStability: 0.68
+    },
+    KTOS: {
+      volatility: 0.01,
+      avgReturn: 0.0005,
+      maxDrawdown: -0.398,
+      trendStrength: 2.45,
+      chopRatio: 15.4,
+      signalClarity: 0.6,
+      volumeStability: 0.71
+    },
+    LHX: {
+      volatility: 0.0038,
+      avgReturn: 0.00013,
+      maxDrawdown: -0.158,
+      trendStrength: 1.72,
+      chopRatio: 17.8,
+      signalClarity: 0.4,
+      volumeStability: 0.69
+    },
+    LUNR: {
+      volatility: 0.0187,
+      avgReturn: 0.00032,
+      maxDrawdown: -0.737,
+      trendStrength: 0.84,
+      chopRatio: 60.2,
+      signalClarity: 0.67,
+      volumeStability: 0.61
+    },
+    PL: {
+      volatility: 0.0185,
+      avgReturn: 0.00084,
+      maxDrawdown: -0.553,
+      trendStrength: 2.22,
+      chopRatio: 10.1,
+      signalClarity: 0.64,
+      volumeStability: 0.59
+    },
+    RDW: {
+      volatility: 0.019,
+      avgReturn: 0.00006,
+      maxDrawdown: -0.81,
+      trendStrength: 0.15,
+      chopRatio: 112.5,
+      signalClarity: 0.61,
+      volumeStability: 0.56
+    },
+    RKLB: {
+      volatility: 0.0151,
+      avgReturn: 0.00062,
+      maxDrawdown: -0.515,
+      trendStrength: 2.01,
+      chopRatio: 16,
+      signalClarity: 0.68,
+      volumeStability: 0.72
+    },
+    RTX: {
+      volatility: 0.0046,
+      avgReturn: 0.00022,
+      maxDrawdown: -0.165,
+      trendStrength: 2.28,
+      chopRatio: 11.4,
+      signalClarity: 0.36,
+      volumeStability: 0.73
+    },
+    XAR: {
+      volatility: 0.0047,
+      avgReturn: 0.00018,
+      maxDrawdown: -0.207,
+      trendStrength: 1.88,
+      chopRatio: 16.2,
+      signalClarity: 0.4,
+      volumeStability: 0.67
+    }
+  };
+
+})();
@@ -0,0 +1,353 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * REGIME — Per-bar market regime labels shared by ships, missions and feed
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Labels every bar of a ticker's series from fields already in the data:
+ * MACD / histogram, G100 / G200 and true-range volatility.
+ *
+ *   TREND_UP    above G100 with G100 over G200, MACD positive, little chop
+ *   TREND_DOWN  mirror of TREND_UP
+ *   RANGE       none of the below (MAs tangled, MACD flat or flipping)
+ *   CHAOS       ATR in the top band of its own history with a flipping
+ *               histogram, or a single bar of 3× normal range
+ *   BREAKOUT    close clears the prior 20-bar high / low on an expanded range
+ *
+ * Trend and range labels need two bars in a row to replace each other so
+ * the timeline doesn't flicker; chaos and breakouts apply immediately.
+ *
+ * Accepts app candles ({ t, c, h, l, macd, hist, g100, g200 }) and
+ * IndicatorLoader bars ({ time, close, high, low, macd, histogram, G100, G200 }).
+ *
+ * Events:
+ *   - regime:change   { ticker, timeframe, from, to, why }   (latest bar only)
+ *
+ * Usage:
+ *   Regime.ingest('RKLB', data)             → labels daily / 45m / 15m series
+ *   Regime.update('RKLB', '45', bars)       → labels one series, returns labels
+ *   Regime.get('RKLB', '1D')                → { regime, dir, why, since, age, ... } | null
+ *   Regime.timeline('RKLB', '1D', startT)   → [{ regime, startT, endT, bars }]
+ *   Regime.moodFor(entry, stats)            → ship mood id
+ *   Regime.missionFit('STRIKE', entry)      → { delta, why }
+ *
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+(function() {
+  'use strict';
+
+  const ATR_PERIOD = 14;
+  const CHOP_WINDOW = 20;
+  const BREAKOUT_WINDOW = 20;
+  const VOL_LOOKBACK = 100;
+  const WARMUP = 20;
+
+  const REGIMES = {
+    TREND_UP: { id: 'TREND_UP', label: 'TREND ↑', color: '#33ff99' },
+    TREND_DOWN: { id: 'TREND_DOWN', label: 'TREND ↓', color: '#ff6b6b' },
+    RANGE: { id: 'RANGE', label: 'RANGE', color: '#5a7068' },
+    CHAOS: { id: 'CHAOS', label: 'CHAOS', color: '#ffb347' },
+    BREAKOUT: { id: 'BREAKOUT', label: 'BREAKOUT', color: '#47d4ff' }
+  };
+
+  // Data file keys per chart timeframe
+  const SERIES_KEYS = { '1D': 'daily', '45': 'intraday', '15': 'intraday15' };
+
+  const store = {};   // ticker → timeframe → { labels, lastT }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // HELPERS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function num(v) {
+    return v === null || v === undefined || v === '' ? null : (Number.isFinite(+v) ? +v : null);
+  }
+
+  function normalize(bar) {
+    const c = num(bar.c ?? bar.close);
+    return {
+      t: bar.t ?? (Number.isFinite(bar.time) ? bar.time * 1000 : null),
+      c,
+      h: num(bar.h ?? bar.high) ?? c,
+      l: num(bar.l ?? bar.low) ?? c,
+      macd: num(bar.macd),
+      hist: num(bar.hist ?? bar.histogram),
+      g100: num(bar.g100 ?? bar.G100),
+      g200: num(bar.g200 ?? bar.G200)
+    };
+  }
+
+  function percentileRank(values, v) {
+    if (!values.length) return null;
+    let below = 0;
+    values.forEach(x => { if (x < v) below++; });
+    return below / values.length;
+  }
+
+  function isTrend(regime) {
+    return regime === 'TREND_UP' || regime === 'TREND_DOWN';
+  }
+
+  function emit(event, payload) {
+    if (window.PARALLAX_BUS && typeof window.PARALLAX_BUS.emit === 'function') {
+      window.PARALLAX_BUS.emit(event, payload);
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // CLASSIFIER
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Candidate regime for bar i, before two-bar confirmation
+   */
+  function candidate(bars, i, feat) {
+    const b = bars[i];
+    const { atrPrev, tr, volRank, flips } = feat;
+
+    if ((volRank !== null && volRank >= 0.85 && flips >= 4) || (atrPrev && tr >= 3 * atrPrev)) {
+      const why = atrPrev && tr >= 3 * atrPrev
+        ? `range ${(tr / atrPrev).toFixed(1)}× ATR`
+        : `ATR ${Math.round(volRank * 100)}th pct · ${flips} MACD flips`;
+      return { regime: 'CHAOS', dir: 0, why };
+    }
+
+    let hi = -Infinity, lo = Infinity;
+    for (let j = Math.max(0, i - BREAKOUT_WINDOW); j < i; j++) {
+      hi = Math.max(hi, bars[j].h);
+      lo = Math.min(lo, bars[j].l);
+    }
+    const expanded = (atrPrev && tr >= 1.5 * atrPrev) || (volRank !== null && volRank >= 0.6);
+    if (expanded && (b.c > hi || b.c < lo)) {
+      const up = b.c > hi;
+      return { regime: 'BREAKOUT', dir: up ? 1 : -1, why: `${BREAKOUT_WINDOW}-bar ${up ? 'high' : 'low'} cleared on ${atrPrev ? (tr / atrPrev).toFixed(1) : '—'}× range` };
+    }
+
+    const macd = b.macd ?? 0;
+    const hasMa = b.g100 !== null && b.g200 !== null;
+    if (hasMa && flips <= 4) {
+      if (b.c > b.g100 && b.g100 >= b.g200 && macd > 0) {
+        return { regime: 'TREND_UP', dir: 1, why: `above G100/G200 · MACD +${macd.toFixed(2)}` };
+      }
+      if (b.c < b.g100 && b.g100 <= b.g200 && macd < 0) {
+        return { regime: 'TREND_DOWN', dir: -1, why: `below G100/G200 · MACD ${macd.toFixed(2)}` };
+      }
+    }
+
+    const why = !hasMa ? 'no G100/G200 yet' : flips > 4 ? `${flips} MACD flips in ${CHOP_WINDOW} bars` : 'MAs and MACD disagree';
+    return { regime: 'RANGE', dir: 0, why };
+  }
+
+  /**
+   * Label every bar. Warm-up bars get regime null.
+   * @param {Array} rawBars - candles, oldest first
+   * @returns {Array<{ t, regime, dir, why, atrPct, volRank, flips }>}
+   */
+  function classify(rawBars) {
+    if (!Array.isArray(rawBars)) return [];
+    const bars = rawBars.map(normalize);
+    const out = [];
+    const atrPcts = [];
+    let atr = null;
+    let prevCandidate = null;
+    let prevRegime = null;
+
+    bars.forEach((b, i) => {
+      const prev = bars[i - 1];
+      const tr = prev && prev.c !== null
+        ? Math.max(b.h - b.l, Math.abs(b.h - prev.c), Math.abs(b.l - prev.c))
+        : b.h - b.l;
+      const atrPrev = atr;
+      atr = atr === null ? tr : atr + (tr - atr) / ATR_PERIOD;
+      const atrPct = b.c ? atr / b.c : null;
+
+      let flips = 0;
+      for (let j = Math.max(1, i - CHOP_WINDOW + 1); j <= i; j++) {
+        const a = bars[j - 1].hist, h = bars[j].hist;
+        if (a !== null && h !== null && a !== 0 && h !== 0 && (a > 0) !== (h > 0)) flips++;
+      }
+
+      const history = atrPcts.slice(-VOL_LOOKBACK);
+      const volRank = history.length >= WARMUP && atrPct !== null ? percentileRank(history, atrPct) : null;
+      if (atrPct !== null) atrPcts.push(atrPct);
+
+      if (i < WARMUP || b.c === null) {
+        out.push({ t: b.t, regime: null, dir: 0, why: 'warming up', atrPct, volRank, flips });
+        return;
+      }
+
+      const cand = candidate(bars, i, { atrPrev, tr, volRank, flips });
+      let label = cand;
+      // Trend ↔ range swaps need confirmation; chaos and breakouts don't
+      const sticky = prevRegime && (isTrend(prevRegime.regime) || prevRegime.regime === 'RANGE');
+      const soft = isTrend(cand.regime) || cand.regime === 'RANGE';
+      if (sticky && soft && cand.regime !== prevRegime.regime && (!prevCandidate || prevCandidate.regime !== cand.regime)) {
+        label = prevRegime;
+      }
+      prevCandidate = cand;
+      prevRegime = label;
+      out.push({ t: b.t, regime: label.regime, dir: label.dir, why: label.why, atrPct, volRank, flips });
+    });
+
+    return out;
+  }
+
+  /**
+   * Collapse labels into runs
+   */
+  function segments(labels, startT = -Infinity) {
+    const out = [];
+    labels.forEach(l => {
+      if (!l.regime || l.t < startT) return;
+      const last = out[out.length - 1];
+      if (last && last.regime === l.regime) {
+        last.endT = l.t;
+        last.bars++;
+      } else {
+        out.push({ regime: l.regime, dir: l.dir, startT: l.t, endT: l.t, bars: 1 });
+      }
+    });
+    return out;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // STORE
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function latestOf(labels) {
+    for (let i = labels.length - 1; i >= 0; i--) {
+      if (!labels[i].regime) continue;
+      const cur = labels[i];
+      let start = i;
+      while (start > 0 && labels[start - 1].regime === cur.regime) start--;
+      return { ...cur, ...REGIMES[cur.regime], regime: cur.regime, since: labels[start].t, age: i - start + 1 };
+    }
+    return null;
+  }
+
+  /**
+   * Label one series for a ticker/timeframe and keep it
+   * @returns {Array} labels
+   */
+  function update(ticker, timeframe, bars) {
+    if (!ticker || !Array.isArray(bars) || !bars.length) return [];
+    const key = ticker.toUpperCase();
+    const slot = store[key] = store[key] || {};
+    const prev = slot[timeframe];
+    const lastT = normalize(bars[bars.length - 1]).t;
+    if (prev && prev.lastT === lastT && prev.count === bars.length) return prev.labels;
+
+    const before = prev ? latestOf(prev.labels) : null;
+    const labels = classify(bars);
+    slot[timeframe] = { labels, lastT, count: bars.length };
+    const after = latestOf(labels);
+
+    if (after && (!before || before.regime !== after.regime)) {
+      emit('regime:change', {
+        ticker: key,
+        timeframe,
+        from: before ? before.regime : null,
+        to: after.regime,
+        why: after.why
+      });
+    }
+    return labels;
+  }
+
+  /**
+   * Label every series in a data/{ticker}.json payload
+   */
+  function ingest(ticker, data) {
+    if (!data) return;
+    Object.entries(SERIES_KEYS).forEach(([tf, key]) => {
+      if (Array.isArray(data[key]) && data[key].length) update(ticker, tf, data[key]);
+    });
+  }
+
+  function get(ticker, timeframe = '1D') {
+    const slot = ticker && store[ticker.toUpperCase()];
+    return slot && slot[timeframe] ? latestOf(slot[timeframe].labels) : null;
+  }
+
+  function labelsFor(ticker, timeframe = '1D') {
+    const slot = ticker && store[ticker.toUpperCase()];
+    return slot && slot[timeframe] ? slot[timeframe].labels : [];
+  }
+
+  function timeline(ticker, timeframe = '1D', startT) {
+    return segments(labelsFor(ticker, timeframe), startT);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // CONSUMERS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Ship mood from the ticker's regime, shaded by position stats
+   * @param {Object|null} entry - Regime.get() result (null while unclassified)
+   * @param {Object} stats - { pnlPercent, winRate, volatility, hull }
+   */
+  function moodFor(entry, stats = {}) {
+    const pnl = stats.pnlPercent || 0;
+    const vol = stats.volatility || 0;
+    if (stats.hull !== undefined && stats.hull < 25) return 'critical';
+    switch (entry && entry.regime) {
+      case 'TREND_UP':
+        return pnl > 5 && (stats.winRate || 0) > 0.6 ? 'confident' : 'optimistic';
+      case 'TREND_DOWN':
+        return pnl < -5 ? 'strained' : 'defensive';
+      case 'BREAKOUT':
+        return entry.dir > 0 ? 'confident' : 'defensive';
+      case 'CHAOS':
+        return pnl < -5 ? 'strained' : 'cautious';
+      case 'RANGE':
+        return pnl < -5 ? 'strained' : 'neutral';
+      default:
+        // Not classified yet (warm-up or no series): position stats alone
+        if (pnl > 5 && (stats.winRate || 0) > 0.6) return 'confident';
+        if (pnl > 2) return 'optimistic';
+        if (pnl < -5) return 'strained';
+        if (vol > 0.06) return 'cautious';
+        if (pnl < -2 && vol > 0.04) return 'defensive';
+        return 'neutral';
+    }
+  }
+
+  // Suitability points by mission type, with the briefing line for the best fits
+  const MISSION_FIT = {
+    RECON: { RANGE: [8, 'Quiet range — room to scout the sector.'], BREAKOUT: [5, 'Fresh breakout worth scouting.'], CHAOS: [-10], TREND_UP: [0], TREND_DOWN: [0] },
+    CARGO: { TREND_UP: [12, 'Established uptrend — steady lane for transport.'], TREND_DOWN: [-5], RANGE: [0], CHAOS: [-15], BREAKOUT: [4] },
+    ESCORT: { CHAOS: [10, 'Chaotic tape — hedged formations earn their keep.'], BREAKOUT: [5], RANGE: [0], TREND_UP: [-3], TREND_DOWN: [-3] },
+    STRIKE: { BREAKOUT: [15, 'Breakout underway — directional strike window.'], TREND_UP: [10, 'Trend in force — momentum favors a strike.'], TREND_DOWN: [6], RANGE: [-10], CHAOS: [-5] },
+    HARVEST: { RANGE: [15, 'Range-bound tape — prime premium collection.'], TREND_UP: [-5], TREND_DOWN: [-5], BREAKOUT: [-12], CHAOS: [-15] }
+  };
+
+  /**
+   * @returns {{ delta: number, why: string|null }}
+   */
+  function missionFit(missionType, entry) {
+    const row = MISSION_FIT[missionType];
+    const fit = row && entry && row[entry.regime];
+    if (!fit) return { delta: 0, why: null };
+    return { delta: fit[0], why: fit[1] || null };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PUBLIC API
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  window.Regime = {
+    REGIMES,
+    SERIES_KEYS,
+    classify,
+    segments,
+    update,
+    ingest,
+    get,
+    labelsFor,
+    timeline,
+    moodFor,
+    missionFit
+  };
+
+})();
@@ -0,0 +1,257 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * PARALLAX RISK MODULE
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Portfolio-level risk from data/timeseries/{ticker}.json daily bars.
+ * Returns are aligned on shared trading days, then combined with dollar
+ * exposures (stock market value + option dollar delta) into a daily book
+ * P&L series.
+ *
+ * Report:
+ *   {
+ *     asOf, days, confidence, bookValue, tickers, exposures{},
+ *     correlation: { tickers, matrix[][] },
+ *     betas{ticker}, portfolioBeta, volAnnual,
+ *     var:  { historical, parametric }   (fraction of book, positive = loss)
+ *     cvar: { historical, parametric },
+ *     varDollars, cvarDollars,
+ *     drawdown: { max, peakDate, troughDate },
+ *     score (0-100 threat level)
+ *   }
+ *
+ * Events:
+ *   - risk:update   report
+ *
+ * Usage:
+ *   Risk.analyze(exposures, { bookValue, confidence }) → Promise<report|null>
+ *   Risk.getLastReport()
+ *
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+window.Risk = (function() {
+  'use strict';
+
+  const BASE_PATH = 'data/timeseries/';
+  const BENCHMARK = 'XAR';
+  const LOOKBACK_DAYS = 252;
+  // 1-day VaR at which the threat needle pins to 100
+  const SCORE_CEILING_VAR = 0.08;
+
+  const cache = {};
+  let lastReport = null;
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // LOADING
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  async function loadDaily(ticker) {
+    const t = ticker.toUpperCase();
+    if (cache[t]) return cache[t];
+    try {
+      const res = await fetch(BASE_PATH + t.toLowerCase() + '.json');
+      if (!res.ok) throw new Error(res.status);
+      const data = await res.json();
+      if (typeof DataSchema !== 'undefined') DataSchema.check('candles', BASE_PATH + t.toLowerCase() + '.json', data, { ticker: t });
+      cache[t] = Array.isArray(data.daily) ? data.daily : [];
+    } catch (e) {
+      console.warn('[Risk] No timeseries for', t);
+      if (typeof DataSchema !== 'undefined') DataSchema.fail('candles', BASE_PATH + t.toLowerCase() + '.json', e);
+      cache[t] = [];
+    }
+    return cache[t];
+  }
+
+  /**
+   * Daily simple returns keyed by UTC day, restricted to days every ticker traded
+   * @param {Object} barsByTicker - { T: [{t, c}] }
+   * @returns {{ dates: string[], returns: Object }}
+   */
+  function alignReturns(barsByTicker, lookback = LOOKBACK_DAYS) {
+    const perTicker = {};
+    Object.entries(barsByTicker).forEach(([t, bars]) => { perTicker[t] = DailyMath.returnsByDay(bars); });
+
+    const tickers = Object.keys(perTicker);
+    if (!tickers.length) return { dates: [], returns: {} };
+
+    const days = [...perTicker[tickers[0]].keys()]
+      .filter(d => tickers.every(t => perTicker[t].has(d)))
+      .sort((a, b) => a - b)
+      .slice(-lookback);
+
+    const returns = {};
+    tickers.forEach(t => { returns[t] = days.map(d => perTicker[t].get(d)); });
+    return { dates: days.map(d => DailyMath.isoDay(d * DailyMath.DAY_MS)), returns };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // STATISTICS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  // Same-length return series → [y, x] pairs for DailyMath.regress
+  function fit(a, b) {
+    return DailyMath.regress(a.map((x, i) => [x, b[i]]));
+  }
+
+  function beta(asset, bench) {
+    return fit(asset, bench).beta ?? 0;
+  }
+
+  function correlationMatrix(returns) {
+    const tickers = Object.keys(returns);
+    const matrix = tickers.map(a => tickers.map(b => (a === b ? 1 : fit(returns[a], returns[b]).corr ?? 0)));
+    return { tickers, matrix };
+  }
+
+  // Inverse standard normal (Acklam), used for parametric VaR
+  function normInv(p) {
+    const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+    const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+    const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+    const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+    const lo = 0.02425;
+    let q, r;
+    if (p < lo) {
+      q = Math.sqrt(-2 * Math.log(p));
+      return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    if (p > 1 - lo) {
+      q = Math.sqrt(-2 * Math.log(1 - p));
+      return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    q = p - 0.5;
+    r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+  }
+
+  /**
+   * Historical VaR / CVaR from the empirical loss tail (positive = loss)
+   */
+  function historicalVaR(returns, confidence) {
+    if (!returns.length) return { var: 0, cvar: 0 };
+    const sorted = returns.slice().sort((a, b) => a - b);
+    const idx = Math.max(0, Math.floor((1 - confidence) * sorted.length) - 1);
+    const tail = sorted.slice(0, idx + 1);
+    return { var: -sorted[idx], cvar: -DailyMath.mean(tail) };
+  }
+
+  /**
+   * Gaussian VaR / CVaR (positive = loss)
+   */
+  function parametricVaR(returns, confidence) {
+    const m = DailyMath.mean(returns) ?? 0;
+    const s = DailyMath.stdev(returns) ?? 0;
+    const z = normInv(confidence);
+    const pdf = Math.exp(-0.5 * z * z) / Math.sqrt(2 * Math.PI);
+    return { var: z * s - m, cvar: s * pdf / (1 - confidence) - m };
+  }
+
+  /**
+   * Max drawdown of a compounded return series
+   */
+  function maxDrawdown(returns, dates) {
+    let equity = 1;
+    let peak = 1;
+    let peakIdx = 0;
+    let worst = { max: 0, peakDate: null, troughDate: null };
+    returns.forEach((r, i) => {
+      equity *= 1 + r;
+      if (equity > peak) {
+        peak = equity;
+        peakIdx = i;
+      }
+      const dd = 1 - equity / peak;
+      if (dd > worst.max) {
+        worst = { max: dd, peakDate: dates[peakIdx], troughDate: dates[i] };
+      }
+    });
+    return worst;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // ANALYSIS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Build a risk report for dollar exposures
+   * @param {Object} exposures - { TICKER: dollars } (stock value + option dollar delta)
+   * @param {{ bookValue?: number, confidence?: number, lookback?: number }} [opts]
+   * @returns {Promise<Object|null>}
+   */
+  async function analyze(exposures, opts = {}) {
+    const confidence = opts.confidence || 0.95;
+    const tickers = Object.keys(exposures || {}).filter(t => exposures[t]);
+    if (!tickers.length) return null;
+
+    const bars = {};
+    for (const t of tickers.concat(BENCHMARK)) {
+      const series = await loadDaily(t);
+      if (series.length > 1) bars[t] = series;
+    }
+    const covered = tickers.filter(t => bars[t]);
+    if (!covered.length || !bars[BENCHMARK]) return null;
+
+    const { dates, returns } = alignReturns(bars, opts.lookback || LOOKBACK_DAYS);
+    if (dates.length < 20) return null;
+
+    const gross = covered.reduce((s, t) => s + Math.abs(exposures[t]), 0);
+    const bookValue = opts.bookValue || gross;
+    const weights = {};
+    covered.forEach(t => { weights[t] = exposures[t] / bookValue; });
+
+    const book = dates.map((_, i) => covered.reduce((s, t) => s + weights[t] * returns[t][i], 0));
+    const bench = returns[BENCHMARK];
+
+    const betas = {};
+    covered.forEach(t => { betas[t] = beta(returns[t], bench); });
+
+    const corrReturns = {};
+    covered.forEach(t => { corrReturns[t] = returns[t]; });
+
+    const hist = historicalVaR(book, confidence);
+    const param = parametricVaR(book, confidence);
+
+    lastReport = {
+      asOf: dates[dates.length - 1],
+      days: dates.length,
+      confidence,
+      bookValue,
+      tickers: covered,
+      missing: tickers.filter(t => !bars[t]),
+      exposures: Object.fromEntries(covered.map(t => [t, exposures[t]])),
+      correlation: correlationMatrix(corrReturns),
+      betas,
+      portfolioBeta: beta(book, bench),
+      volAnnual: (DailyMath.stdev(book) ?? 0) * Math.sqrt(DailyMath.TRADING_DAYS),
+      var: { historical: hist.var, parametric: param.var },
+      cvar: { historical: hist.cvar, parametric: param.cvar },
+      varDollars: hist.var * bookValue,
+      cvarDollars: hist.cvar * bookValue,
+      drawdown: maxDrawdown(book, dates),
+      score: Math.round(Math.max(0, Math.min(100, hist.var / SCORE_CEILING_VAR * 100)))
+    };
+
+    if (window.PARALLAX_BUS) {
+      window.PARALLAX_BUS.emit('risk:update', lastReport);
+    }
+    return lastReport;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PUBLIC API
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  return {
+    BENCHMARK,
+    analyze,
+    alignReturns,
+    correlationMatrix,
+    beta,
+    historicalVaR,
+    parametricVaR,
+    maxDrawdown,
+    getLastReport: () => lastReport
+  };
+
+})();
@@ -0,0 +1,217 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * PARALLAX SCENARIO SIMULATOR
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * What-if replay of a basket of entries against daily bars. Each leg buys
+ * at the close of its entry day, optionally adds periodic contributions
+ * (DCA), and exits on a stop-loss / take-profit touch, its exit date, or
+ * stays open to the last bar.
+ *
+ * Leg shape:
+ *   { ticker, entryDate: 'YYYY-MM-DD', exitDate?, capital,
+ *     stopLossPct?, takeProfitPct?, dcaAmount?, dcaEveryDays? }
+ *
+ * Result:
+ *   { ok, legs[], curve[{ t, value, invested, pnl, index, drawdown }],
+ *     totals{ invested, value, pnl, returnPct, twrPct, maxDrawdown } }
+ *   | { ok: false, error }
+ *
+ * Stops / targets are measured from the leg's average cost. A bar that
+ * gaps through a level fills at the open; if both levels are touched in
+ * one bar the stop wins (the conservative assumption).
+ *
+ * Usage:
+ *   ScenarioSim.run(legs, { RKLB: dailyBars, ... })
+ *
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+window.ScenarioSim = (function() {
+  'use strict';
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  function dayKey(ts) {
+    return new Date(ts).toISOString().slice(0, 10);
+  }
+
+  function parseDay(str) {
+    const ts = Date.parse(str + 'T00:00:00Z');
+    return Number.isFinite(ts) ? ts : NaN;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // LEG REPLAY
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Replay one leg; returns its state per bar + summary
+   */
+  function replayLeg(leg, bars) {
+    const entryTs = parseDay(leg.entryDate);
+    const exitTs = leg.exitDate ? parseDay(leg.exitDate) : Infinity;
+    if (!Number.isFinite(entryTs)) return { error: `${leg.ticker}: invalid entry date` };
+    if (exitTs <= entryTs) return { error: `${leg.ticker}: exit must be after entry` };
+
+    if (leg.entryDate < dayKey(bars[0].t)) {
+      return { error: `${leg.ticker}: entry ${leg.entryDate} is before available data (${dayKey(bars[0].t)})` };
+    }
+
+    const start = bars.findIndex(b => dayKey(b.t) >= leg.entryDate);
+    if (start < 0) return { error: `${leg.ticker}: no data on or after ${leg.entryDate}` };
+
+    const entryBar = bars[start];
+    let shares = Math.floor(leg.capital / entryBar.c);
+    if (shares < 1) return { error: `${leg.ticker}: capital below one share ($${entryBar.c.toFixed(2)})` };
+
+    let invested = shares * entryBar.c;
+    let cost = invested;
+    let contributions = 0;
+    let cash = 0;
+    let exit = null;
+    let nextDca = leg.dcaAmount > 0 && leg.dcaEveryDays > 0 ? entryBar.t + leg.dcaEveryDays * DAY_MS : Infinity;
+
+    const marks = {};   // dayKey → { value, invested }
+    marks[dayKey(entryBar.t)] = { value: shares * entryBar.c, invested };
+
+    for (let i = start + 1; i < bars.length; i++) {
+      const bar = bars[i];
+      const key = dayKey(bar.t);
+      if (exit) break;
+
+      const avg = cost / shares;
+      const stop = leg.stopLossPct > 0 ? avg * (1 - leg.stopLossPct / 100) : null;
+      const target = leg.takeProfitPct > 0 ? avg * (1 + leg.takeProfitPct / 100) : null;
+
+      if (stop !== null && bar.l <= stop) {
+        exit = { t: bar.t, price: Math.min(stop, bar.o), reason: 'STOP' };
+      } else if (target !== null && bar.h >= target) {
+        exit = { t: bar.t, price: Math.max(target, bar.o), reason: 'TARGET' };
+      } else if (bar.t >= exitTs) {
+        exit = { t: bar.t, price: bar.c, reason: 'EXIT' };
+      }
+
+      if (exit) {
+        cash = shares * exit.price;
+        marks[key] = { value: cash, invested };
+        break;
+      }
+
+      // Periodic contribution at the close
+      if (bar.t >= nextDca) {
+        const add = Math.floor(leg.dcaAmount / bar.c);
+        if (add > 0) {
+          shares += add;
+          cost += add * bar.c;
+          invested += add * bar.c;
+          contributions++;
+        }
+        nextDca += leg.dcaEveryDays * DAY_MS;
+      }
+
+      marks[key] = { value: shares * bar.c, invested };
+    }
+
+    const last = bars[bars.length - 1];
+    const value = exit ? cash : shares * last.c;
+
+    return {
+      marks,
+      summary: {
+        ticker: leg.ticker,
+        entryDate: dayKey(entryBar.t),
+        entryPrice: entryBar.c,
+        shares,
+        avgCost: cost / shares,
+        contributions,
+        invested,
+        exitDate: exit ? dayKey(exit.t) : null,
+        exitPrice: exit ? exit.price : last.c,
+        exitReason: exit ? exit.reason : 'OPEN',
+        value,
+        pnl: value - invested,
+        returnPct: (value - invested) / invested * 100,
+        holdDays: Math.round(((exit ? exit.t : last.t) - entryBar.t) / DAY_MS)
+      }
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // BASKET
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * @param {Object[]} legs
+   * @param {Object} barsByTicker - { TICKER: daily bars }
+   */
+  function run(legs, barsByTicker) {
+    if (!Array.isArray(legs) || !legs.length) return { ok: false, error: 'Add at least one leg' };
+
+    const replays = [];
+    for (const leg of legs) {
+      const bars = barsByTicker[leg.ticker];
+      if (!bars || !bars.length) return { ok: false, error: `No daily data for ${leg.ticker}` };
+      if (!(leg.capital >= 100)) return { ok: false, error: `${leg.ticker}: minimum capital $100` };
+      const res = replayLeg(leg, bars);
+      if (res.error) return { ok: false, error: res.error };
+      replays.push(res);
+    }
+
+    // Union of trading days; carry each leg's last mark forward
+    const days = Array.from(new Set(replays.flatMap(r => Object.keys(r.marks)))).sort();
+    const carry = replays.map(() => null);
+    const curve = [];
+    let index = 1;
+    let peak = 1;
+    let maxDrawdown = 0;
+
+    days.forEach(day => {
+      let value = 0;
+      let invested = 0;
+      replays.forEach((r, i) => {
+        if (r.marks[day]) carry[i] = r.marks[day];
+        if (carry[i]) {
+          value += carry[i].value;
+          invested += carry[i].invested;
+        }
+      });
+
+      // Time-weighted index strips out contributions so drawdown reflects performance
+      const prev = curve[curve.length - 1];
+      if (prev && prev.value > 0) {
+        const flow = invested - prev.invested;
+        index *= (value - flow) / prev.value;
+      }
+      peak = Math.max(peak, index);
+      const drawdown = 1 - index / peak;
+      maxDrawdown = Math.max(maxDrawdown, drawdown);
+
+      curve.push({ t: parseDay(day), value, invested, pnl: value - invested, index, drawdown });
+    });
+
+    const end = curve[curve.length - 1];
+    return {
+      ok: true,
+      legs: replays.map(r => r.summary),
+      curve,
+      totals: {
+        invested: end.invested,
+        value: end.value,
+        pnl: end.pnl,
+        returnPct: end.invested ? end.pnl / end.invested * 100 : 0,
+        twrPct: (end.index - 1) * 100,
+        maxDrawdown
+      }
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PUBLIC API
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  return {
+    run
+  };
+
+})();
@@ -0,0 +1,164 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * SECTORS — Theme indices and exposure from tickerThemes
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Groups tickers by theme (SPACE, eVTOL, DEFENSE, ...) and builds:
+ *   - an equal-weighted index per theme (member daily returns averaged,
+ *     chained from 100)
+ *   - a position-weighted index per theme (same, weighted by the fleet's
+ *     current position value in each member; null if nothing is held)
+ *   - exposure by theme for a set of positions
+ *
+ * Bars are aligned on the UTC calendar day (DailyMath.dayKey).
+ *
+ * Usage:
+ *   Sectors.exposure(positions, themes)
+ *     → [{ theme, value, weight, pnl, tickers: [{ ticker, value, weight }] }]
+ *   Sectors.buildIndices(themes, { RKLB: dailyBars, ... }, weights)
+ *     → { THEME: { theme, members, held, equal: [{ t, v }], weighted: [{ t, v }] | null } }
+ *   Sectors.rangeReturn(series, startT)
+ *
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+(function() {
+  'use strict';
+
+  const DAY_MS = 86400000;
+  const UNTHEMED = 'OTHER';
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // HELPERS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function groupByTheme(themes, tickers) {
+    const groups = {};
+    tickers.forEach(ticker => {
+      const theme = themes[ticker] || UNTHEMED;
+      (groups[theme] = groups[theme] || []).push(ticker);
+    });
+    return groups;
+  }
+
+  /**
+   * Chain weighted member returns into an index starting at 100.
+   * Members without a bar on a day drop out of that day's weights.
+   */
+  function chainIndex(days, returnsByTicker, weights) {
+    let level = 100;
+    const series = [{ t: days[0] * DAY_MS, v: level }];
+    for (let i = 1; i < days.length; i++) {
+      let sum = 0, wsum = 0;
+      Object.keys(weights).forEach(ticker => {
+        const r = returnsByTicker[ticker].get(days[i]);
+        if (r === undefined || !weights[ticker]) return;
+        sum += r * weights[ticker];
+        wsum += weights[ticker];
+      });
+      if (wsum > 0) level *= 1 + sum / wsum;
+      series.push({ t: days[i] * DAY_MS, v: level });
+    }
+    return series;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // EXPOSURE
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Position value by theme (largest first)
+   * @param {Array} positions - [{ ticker, shares, entry_price, current_price }]
+   * @param {Object} themes - ticker → theme
+   */
+  function exposure(positions, themes) {
+    const byTheme = {};
+    let total = 0;
+    positions.forEach(pos => {
+      const price = Number.isFinite(pos.current_price) ? pos.current_price : pos.entry_price;
+      const value = (pos.shares || 0) * (price || 0);
+      if (value <= 0) return;
+      const theme = themes[pos.ticker] || UNTHEMED;
+      const bucket = byTheme[theme] = byTheme[theme] || { theme, value: 0, pnl: 0, tickers: [] };
+      bucket.value += value;
+      bucket.pnl += (price - pos.entry_price) * pos.shares;
+      bucket.tickers.push({ ticker: pos.ticker, value });
+      total += value;
+    });
+    return Object.values(byTheme)
+      .map(b => ({
+        ...b,
+        weight: total ? b.value / total : 0,
+        tickers: b.tickers.sort((x, y) => y.value - x.value).map(t => ({ ...t, weight: b.value ? t.value / b.value : 0 }))
+      }))
+      .sort((a, b) => b.value - a.value);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // INDICES
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * @param {Object} themes - ticker → theme
+   * @param {Object<string, Array>} seriesMap - ticker → daily bars
+   * @param {Object<string, number>} [weights] - ticker → position value
+   */
+  function buildIndices(themes, seriesMap, weights = {}) {
+    const tickers = Object.keys(seriesMap).filter(t => Array.isArray(seriesMap[t]) && seriesMap[t].length > 1);
+    const groups = groupByTheme(themes, tickers);
+    const out = {};
+
+    Object.entries(groups).forEach(([theme, members]) => {
+      const returnsByTicker = {};
+      const daySet = new Set();
+      members.forEach(t => {
+        returnsByTicker[t] = DailyMath.returnsByDay(seriesMap[t]);
+        seriesMap[t].forEach(b => daySet.add(DailyMath.dayKey(b.t)));
+      });
+      const days = [...daySet].sort((a, b) => a - b);
+
+      const equalWeights = {};
+      members.forEach(t => { equalWeights[t] = 1; });
+      const held = members.filter(t => weights[t] > 0);
+      const posWeights = {};
+      held.forEach(t => { posWeights[t] = weights[t]; });
+
+      out[theme] = {
+        theme,
+        members,
+        held,
+        equal: chainIndex(days, returnsByTicker, equalWeights),
+        weighted: held.length ? chainIndex(days, returnsByTicker, posWeights) : null
+      };
+    });
+    return out;
+  }
+
+  /**
+   * Return of an index / bar series from the first point after startT to the end
+   * @param {Array<{t, v}|{t, c}>} series
+   */
+  function rangeReturn(series, startT) {
+    if (!series || series.length < 2) return null;
+    const value = p => (p.c !== undefined ? p.c : p.v); // bars carry volume in `v`
+    const startIdx = series.findIndex(p => p.t >= startT);
+    if (startIdx < 0 || startIdx === series.length - 1) return null;
+    // Base is the close just before the window so the first day's move counts
+    const base = value(series[Math.max(0, startIdx - 1)]);
+    const last = value(series[series.length - 1]);
+    return base > 0 ? last / base - 1 : null;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PUBLIC API
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  window.Sectors = {
+    UNTHEMED,
+    exposure,
+    buildIndices,
+    rangeReturn,
+    groupByTheme
+  };
+
+})();
@@ -32,6 +32,26 @@ window.TelemetryEnrichment = (function() {
   // DATA LOADING
   // ═══════════════════════════════════════════════════════════════════════════
 
+  /**
+   * Fetch one summary into its cache. Files that fail DataSchema validation
+   * are reported to the data-health panel and left out, so enrichment falls
+   * back to base telemetry instead of merging bad numbers.
+   */
+  async function loadSummary(kind, url, ticker, target) {
+    const hasSchema = typeof DataSchema !== 'undefined';
+    let data;
+    try {
+      const res = await fetch(url);
+      if (!res.ok) return;
+      data = await res.json();
+    } catch (e) {
+      if (hasSchema) DataSchema.fail(kind, url, e);
+      return;
+    }
+    if (hasSchema && !DataSchema.check(kind, url, data, { ticker }).ok) return;
+    target.set(ticker, data);
+  }
+
   /**
    * Load all summary JSONs
    * Call once at startup
@@ -46,31 +66,11 @@ window.TelemetryEnrichment = (function() {
         'RDW', 'PL', 'EVEX', 'GE', 'RTX', 'LHX', 'KTOS', 'XAR', 'COHR'
       ];
 
-      // Load market summaries
-      await Promise.all(tickers.map(async ticker => {
-        try {
-          const res = await fetch(`data/market_summaries/${ticker}.json`);
-          if (res.ok) {
-            const data = await res.json();
-            marketSummaries.set(ticker, data);
-          }
-        } catch (e) {
-          // Silent fail - not all tickers have summaries
-        }
-      }));
+      // Load market summaries (a 404 is normal — not every ticker has one)
+      await Promise.all(tickers.map(ticker => loadSummary('market', `data/market_summaries/${ticker}.json`, ticker, marketSummaries)));
 
       // Load options summaries
-      await Promise.all(tickers.map(async ticker => {
-        try {
-          const res = await fetch(`data/options_summaries/${ticker}.json`);
-          if (res.ok) {
-            const data = await res.json();
-            optionsSummaries.set(ticker, data);
-          }
-        } catch (e) {
-          // Silent fail
-        }
-      }));
+      await Promise.all(tickers.map(ticker => loadSummary('options', `data/options_summaries/${ticker}.json`, ticker, optionsSummaries)));
 
       isLoaded = true;
       console.log(`[TelemetryEnrichment] Loaded ${marketSummaries.size} market summaries, ${optionsSummaries.size} options summaries`);
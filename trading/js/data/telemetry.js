@@ -20,10 +20,10 @@ window.ShipTelemetry = (function() {
   // RAW METRICS (Derived from 45-min CSV parsing)
   // ═══════════════════════════════════════════════════════════════════════════
   
-  // These would be generated by a Node/Python build script from CSV files
-  // Values normalized to 0-1 scale where applicable
+  // Hand-tuned estimates; js/data/raw-metrics.js (generated by
+  // scripts/ingest-market-data.js) replaces them ticker by ticker
   
-  const RAW_METRICS = {
+  const ESTIMATED_METRICS = {
     ACHR: {
       volatility: 0.0157,
       avgReturn: 0.00013,
@@ -171,6 +171,8 @@ window.ShipTelemetry = (function() {
     }
   };
 
+  const RAW_METRICS = { ...ESTIMATED_METRICS, ...(window.RAW_METRICS || {}) };
+
   // ═══════════════════════════════════════════════════════════════════════════
   // NORMALIZATION RANGES (for converting raw → 0-1 scale)
   // ═══════════════════════════════════════════════════════════════════════════
@@ -236,16 +238,6 @@ window.ShipTelemetry = (function() {
     // Volatility Factor: normalized volatility
     const volatilityFactor = normalize(raw.volatility, r.volatility.min, r.volatility.max);
     
-    // Regime Bias: determined by trend vs chop balance
-    let regimeBias = 'neutral';
-    if (thrustPotential > 0.6 && maneuverStability > 0.5) {
-      regimeBias = 'trend';
-    } else if (chopSensitivity > 0.7) {
-      regimeBias = 'chaotic';
-    } else if (maneuverStability > 0.6 && thrustPotential < 0.4) {
-      regimeBias = 'range';
-    }
-    
     return {
       // Core behavioral metrics (0-1 scale)
       hullResilience: Math.round(hullResilience * 100) / 100,
@@ -256,8 +248,8 @@ window.ShipTelemetry = (function() {
       volumeReliability: Math.round(volumeReliability * 100) / 100,
       volatilityFactor: Math.round(volatilityFactor * 100) / 100,
       
-      // Regime classification
-      regimeBias,
+      // Regime classification (filled per read from js/data/regime.js)
+      regimeBias: 'neutral',
       
       // Raw values for reference
       _raw: raw
@@ -288,6 +280,26 @@ window.ShipTelemetry = (function() {
     _raw: null
   };
 
+  // Regime engine label → telemetry bias
+  const REGIME_BIAS = {
+    TREND_UP: 'trend',
+    TREND_DOWN: 'trend',
+    BREAKOUT: 'trend',
+    RANGE: 'range',
+    CHAOS: 'chaotic'
+  };
+
+  /**
+   * Telemetry for a ticker with regimeBias taken from the shared regime
+   * engine's daily label ('neutral' until the ticker has been classified)
+   */
+  function telemetryFor(ticker) {
+    const t = TELEMETRY[ticker] || DEFAULT_TELEMETRY;
+    const regime = window.Regime ? window.Regime.get(ticker, '1D') : null;
+    const regimeBias = (regime && REGIME_BIAS[regime.regime]) || 'neutral';
+    return regimeBias === t.regimeBias ? t : { ...t, regimeBias };
+  }
+
   // ═══════════════════════════════════════════════════════════════════════════
   // BEHAVIORAL MODIFIERS (Telemetry → Animation Parameters)
   // ═══════════════════════════════════════════════════════════════════════════
@@ -297,7 +309,7 @@ window.ShipTelemetry = (function() {
    * These directly influence ship-behavior.js parameters
    */
   function getAnimationModifiers(ticker) {
-    const t = TELEMETRY[ticker] || DEFAULT_TELEMETRY;
+    const t = telemetryFor(ticker);
     
     return {
       // Idle animation speed (higher chop = faster jitter)
@@ -327,7 +339,7 @@ window.ShipTelemetry = (function() {
    * Get behavioral state recommendations
    */
   function getBehaviorRecommendations(ticker) {
-    const t = TELEMETRY[ticker] || DEFAULT_TELEMETRY;
+    const t = telemetryFor(ticker);
     
     const recommendations = [];
     
@@ -369,7 +381,7 @@ window.ShipTelemetry = (function() {
    * Get suggested ship class based on telemetry
    */
   function getSuggestedClass(ticker) {
-    const t = TELEMETRY[ticker] || DEFAULT_TELEMETRY;
+    const t = telemetryFor(ticker);
     
     // Flagship: high trend strength + stability
     if (t.thrustPotential > 0.7 && t.maneuverStability > 0.6) {
@@ -418,7 +430,7 @@ window.ShipTelemetry = (function() {
    * Get human-readable status based on telemetry
    */
   function getStatusDescriptor(ticker) {
-    const t = TELEMETRY[ticker] || DEFAULT_TELEMETRY;
+    const t = telemetryFor(ticker);
     const recommendations = getBehaviorRecommendations(ticker);
     
     // Primary status
@@ -458,7 +470,7 @@ window.ShipTelemetry = (function() {
    * Get suggested livery mood based on telemetry
    */
   function getLiverySuggestion(ticker) {
-    const t = TELEMETRY[ticker] || DEFAULT_TELEMETRY;
+    const t = telemetryFor(ticker);
     
     // High trend strength = command/prestige liveries
     if (t.thrustPotential > 0.7 && t.maneuverStability > 0.6) {
@@ -517,7 +529,7 @@ window.ShipTelemetry = (function() {
    * Get mission type affinities based on telemetry
    */
   function getMissionAffinities(ticker) {
-    const t = TELEMETRY[ticker] || DEFAULT_TELEMETRY;
+    const t = telemetryFor(ticker);
     
     return {
       // Trend-following missions
@@ -569,7 +581,7 @@ window.ShipTelemetry = (function() {
    * Get effective telemetry (base + runtime overlay)
    */
   function getEffectiveTelemetry(ticker) {
-    const base = TELEMETRY[ticker] || DEFAULT_TELEMETRY;
+    const base = telemetryFor(ticker);
     const overlay = runtimeOverlays.get(ticker);
     
     if (!overlay) return base;
@@ -597,7 +609,7 @@ window.ShipTelemetry = (function() {
    * These explain telemetry through LANGUAGE, not statistics.
    */
   function getTraitDescriptors(ticker) {
-    const t = TELEMETRY[ticker] || DEFAULT_TELEMETRY;
+    const t = telemetryFor(ticker);
     
     const descriptors = {
       hull: getHullDescriptor(t),
@@ -890,7 +902,7 @@ window.ShipTelemetry = (function() {
    * These are NUDGES, not overrides - they influence generation.
    */
   function getPaletteBias(ticker) {
-    const t = TELEMETRY[ticker] || DEFAULT_TELEMETRY;
+    const t = telemetryFor(ticker);
     
     return {
       // Contrast: high chop → higher contrast (more visual separation)
@@ -954,8 +966,8 @@ window.ShipTelemetry = (function() {
 
   return {
     // Core data access (LOCKED CONTRACT)
-    getTelemetry: (ticker) => TELEMETRY[ticker] || DEFAULT_TELEMETRY,
-    getAllTelemetry: () => ({ ...TELEMETRY }),
+    getTelemetry: telemetryFor,
+    getAllTelemetry: () => Object.fromEntries(Object.keys(TELEMETRY).map(ticker => [ticker, telemetryFor(ticker)])),
     hasData: (ticker) => !!TELEMETRY[ticker],
     
     // Effective telemetry (with runtime overlays)
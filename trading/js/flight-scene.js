@@ -789,7 +789,7 @@ window.FlightScene = (function() {
         
         // Get mission state
         const activeMissions = window.MissionBridge?.getActive() || [];
-        const missionTickers = new Set(activeMissions.map(m => m.ticker));
+        const missionTickers = new Set(activeMissions.filter(m => !MissionBridge.isMasked(m)).map(m => m.ticker));
         
         // Get support assignments
         const supportMap = new Map();
@@ -44,6 +44,17 @@ window.MissionBridge = (function() {
     return loadAll().filter(m => m.status === 'ACTIVE');
   }
   
+  /**
+   * Get LIVE missions still waiting for new bars before they can resolve
+   */
+  function getPending() {
+    return getActive().filter(isPending);
+  }
+  
+  function isPending(mission) {
+    return mission?.status === 'ACTIVE' && mission.mode === 'LIVE' && mission.live?.pending !== false;
+  }
+  
   /**
    * Get completed missions
    */
@@ -81,12 +92,19 @@ window.MissionBridge = (function() {
   }
   
   /**
-   * Get active mission for a ticker (if any)
+   * Blind missions keep their ticker classified while ACTIVE
+   */
+  function isMasked(mission) {
+    return !!mission?.blind && mission.status === 'ACTIVE';
+  }
+  
+  /**
+   * Get active mission for a ticker (if any; masked blind missions excluded)
    */
   function getActiveForTicker(ticker) {
     if (!ticker) return null;
     const t = ticker.toUpperCase();
-    return loadAll().find(m => m.ticker === t && m.status === 'ACTIVE') || null;
+    return loadAll().find(m => m.ticker === t && m.status === 'ACTIVE' && !isMasked(m)) || null;
   }
   
   /**
@@ -104,7 +122,7 @@ window.MissionBridge = (function() {
         if (slot.ticker === t) {
           return {
             missionId: m.id,
-            missionTicker: m.ticker,
+            missionTicker: isMasked(m) ? 'CLASSIFIED' : m.ticker,
             role: slot.role
           };
         }
@@ -120,6 +138,7 @@ window.MissionBridge = (function() {
     const missions = loadAll();
     return {
       active: missions.filter(m => m.status === 'ACTIVE').length,
+      pending: missions.filter(isPending).length,
       complete: missions.filter(m => m.status === 'COMPLETE').length,
       damaged: missions.filter(m => m.status === 'DAMAGED').length,
       planning: missions.filter(m => m.status === 'PLANNING').length,
@@ -139,7 +158,7 @@ window.MissionBridge = (function() {
   
   /**
    * Calculate mission progress (replicated from mission-system.js)
-   * Returns { barsElapsed, progress, timeRemaining }
+   * Returns { barsElapsed, progress, timeRemaining, pending? }
    */
   function getMissionProgress(mission) {
     if (!mission) return null;
@@ -152,6 +171,19 @@ window.MissionBridge = (function() {
       return { barsElapsed: mission.end?.targetBars || 0, progress: 1, timeRemaining: 'Complete' };
     }
     
+    // LIVE mission - progress is bars received since launch
+    if (mission.mode === 'LIVE') {
+      const targetBars = Math.max(1, mission.end?.targetBars || 1);
+      const barsElapsed = Math.min(mission.live?.barsReceived || 0, targetBars);
+      const barsRemaining = targetBars - barsElapsed;
+      return {
+        barsElapsed,
+        progress: barsElapsed / targetBars,
+        timeRemaining: barsRemaining > 0 ? `Awaiting ${barsRemaining} bar${barsRemaining === 1 ? '' : 's'}` : 'Completing...',
+        pending: barsRemaining > 0
+      };
+    }
+    
     // Active mission - calculate progress
     if (!mission.start?.wallClockMs || !mission.sim?.speedBarsPerSec) {
       return { barsElapsed: 0, progress: 0, timeRemaining: '--' };
@@ -202,12 +234,15 @@ window.MissionBridge = (function() {
   return {
     loadAll,
     getActive,
+    getPending,
+    isPending,
     getCompleted,
     getDamaged,
     getForTicker,
     getLatestForTicker,
     getActiveForTicker,
     getAssignedSupportForTicker,
+    isMasked,
     getCounts,
     getRecentCompleted,
     getMissionProgress,
@@ -44,6 +44,15 @@ const MissionSystem = (function() {
   
   const DEFAULT_SIM_SPEED = '1x';
   const MAX_LOGS_PER_MISSION = 20;
+  const MAX_INTERVENTIONS_PER_ROLE = 2;
+  
+  // REPLAY: window of bars already in the CSV, advanced by the sim clock
+  // LIVE: starts at the newest bar and waits for later data refreshes
+  const MISSION_MODES = ['REPLAY', 'LIVE'];
+  
+  // Where a REPLAY window starts: ending at the last bar, at a chosen bar,
+  // or anywhere in the history (blind replays)
+  const REPLAY_ANCHORS = ['LATEST', 'PICKED', 'RANDOM'];
   
   // Duration presets (in bars, where 1 bar = 45 minutes)
   const DURATION_PRESETS = {
@@ -590,7 +599,10 @@ const MissionSystem = (function() {
     };
   }
   
-  function computeThreat(bars) {
+  // Threat points per regime; the regime engine owns chop/chaos detection
+  const REGIME_THREAT = { TREND_UP: 5, TREND_DOWN: 15, RANGE: 10, BREAKOUT: 20, CHAOS: 30 };
+  
+  function computeThreat(bars, regime) {
     const n = bars.length;
     if (n < 5) return { value: 50, why: 'Insufficient data' };
     
@@ -620,27 +632,51 @@ const MissionSystem = (function() {
       }
     }
     
-    const histValues = bars.map(b => b.histogram).filter(v => v != null);
-    const flipRate = countSignFlips(histValues);
-    const flipScore = normalize(flipRate, 0, n / 2) * 30;
+    const regimeScore = regime ? REGIME_THREAT[regime.regime] : 15;
     
     const firepower = computeFirepower(bars).value;
     const volContribution = (firepower / 100) * 20;
     
-    const threat = clamp(Math.round(bandProximityScore + flipScore + volContribution), 0, 100);
+    const threat = clamp(Math.round(bandProximityScore + regimeScore + volContribution), 0, 100);
     
     const bandDesc = bandProximityScore < 20 ? 'mid-range' : bandProximityScore < 35 ? 'approaching bands' : 'near band extreme';
-    const flipDesc = flipRate <= 5 ? 'stable regime' : flipRate <= 12 ? 'some chop' : 'high chop';
+    const regimeDesc = regime ? `${regime.label} regime` : 'regime unclassified';
     
     return {
       value: threat,
-      why: `${bandDesc}; histogram ${flipDesc} (${flipRate} flips); volatility ${firepower < 40 ? 'low' : firepower < 70 ? 'moderate' : 'elevated'}`
+      why: `${bandDesc}; ${regimeDesc}; volatility ${firepower < 40 ? 'low' : firepower < 70 ? 'moderate' : 'elevated'}`
     };
   }
   
   async function computeEnvironment(ticker, lookback = DEFAULT_LOOKBACK) {
-    const bars = await IndicatorLoader.getRecentBars(ticker, lookback);
-    
+    const data = await IndicatorLoader.loadTicker(ticker);
+    return computeEnvironmentAt(ticker, data.rows, data.rows.length - 1, lookback);
+  }
+  
+  /**
+   * Environment as of a historical bar: stats use only the lookback bars
+   * ending at endIdx and the regime only bars up to it, so nothing after a
+   * replay's start leaks in
+   */
+  function computeEnvironmentAt(ticker, rows, endIdx, lookback = DEFAULT_LOOKBACK) {
+    const bars = rows.slice(Math.max(0, endIdx - lookback + 1), endIdx + 1);
+    const regime = window.Regime ? regimeAsOf(rows.slice(0, endIdx + 1)) : null;
+    return environmentFromBars(ticker, bars, regime);
+  }
+  
+  /**
+   * Latest regime of a bar series without touching the shared Regime store
+   * (same shape as Regime.get)
+   */
+  function regimeAsOf(bars) {
+    const labels = Regime.classify(bars);
+    const last = labels.filter(l => l.regime).pop();
+    if (!last) return null;
+    const run = Regime.segments(labels).pop();
+    return { ...last, ...Regime.REGIMES[last.regime], regime: last.regime, since: run.startT, age: run.bars };
+  }
+  
+  function environmentFromBars(ticker, bars, regime) {
     if (bars.length < 5) {
       throw new Error(`Insufficient data for ${ticker}: only ${bars.length} bars`);
     }
@@ -649,12 +685,13 @@ const MissionSystem = (function() {
     const firepower = computeFirepower(bars);
     const sensors = computeSensors(bars);
     const fuel = computeFuel(bars);
-    const threat = computeThreat(bars);
+    const threat = computeThreat(bars, regime);
     
     return {
       ticker: ticker,
       computedAt: new Date().toISOString(),
       barsUsed: bars.length,
+      regime,
       
       hull: hull.value,
       firepower: firepower.value,
@@ -711,7 +748,18 @@ const MissionSystem = (function() {
     }
   }
   
+  /**
+   * Regime fit leads; ship stats break ties within a regime. Falls back to
+   * stats alone while the ticker's regime is still warming up.
+   */
   function computeSuitability(missionType, env) {
+    const stats = statSuitability(missionType, env);
+    if (!env.regime || !window.Regime) return clamp(stats, 0, 100);
+    const fit = clamp(50 + Regime.missionFit(missionType, env.regime).delta * 3, 0, 100);
+    return clamp(fit * 0.6 + stats * 0.4, 0, 100);
+  }
+  
+  function statSuitability(missionType, env) {
     const { hull, firepower, sensors, fuel, threat } = env;
     
     switch (missionType) {
@@ -734,6 +782,10 @@ const MissionSystem = (function() {
   function generateWhyNow(missionType, env) {
     const { hull, firepower, sensors, fuel, threat } = env;
     
+    // A regime that clearly favors the mission explains it best
+    const fit = window.Regime ? Regime.missionFit(missionType, env.regime) : null;
+    if (fit && fit.why) return fit.why;
+    
     switch (missionType) {
       case 'RECON':
         if (sensors >= 60) return 'Flow signals are clear—good conditions for reconnaissance.';
@@ -818,6 +870,23 @@ const MissionSystem = (function() {
       
       env: options.env || null,
       
+      // Position size from the sizing panel (PositionSizing plan), if any
+      sizing: options.sizing || null,
+      
+      mode: MISSION_MODES.includes(options.mode) ? options.mode : 'REPLAY',
+      live: null,   // LIVE only: { barsReceived, pending, lastBarTime, lastArrivalMs }
+      
+      // REPLAY only: window anchor; startBarTime (unix sec) for PICKED
+      replay: {
+        anchor: REPLAY_ANCHORS.includes(options.anchor) ? options.anchor : 'LATEST',
+        startBarTime: options.startBarTime || null
+      },
+      // Blind: ticker and dates stay classified until the mission ends
+      blind: !!options.blind,
+      
+      // Option / share trade the mission type stands for (MissionStructures), priced at launch
+      structure: null,
+      
       // Step 2: Simulation state
       start: null,  // Set when launched
       sim: {
@@ -857,11 +926,18 @@ const MissionSystem = (function() {
     const rows = tickerData.rows;
     const requestedTargetBars = mission.duration.targetBars;
     
+    if (isLiveMission(mission)) return launchLiveMission(missions, mission, rows);
+    
     // Choose a start that leaves enough bars to simulate forward
-    // End at the last available bar, work backwards to find start
-    const endBarIndex = rows.length - 1;
-    const startBarIndex = Math.max(0, endBarIndex - requestedTargetBars);
-    const effectiveTargetBars = endBarIndex - startBarIndex; // Could be < requested near beginning
+    const startBarIndex = replayStartIndex(mission, rows, requestedTargetBars);
+    const endBarIndex = Math.min(rows.length - 1, startBarIndex + requestedTargetBars);
+    const effectiveTargetBars = endBarIndex - startBarIndex; // Could be < requested near either end
+    
+    // Historical starts are judged on the conditions at the start bar
+    if (mission.replay?.anchor && mission.replay.anchor !== 'LATEST') {
+      mission.env = computeEnvironmentAt(mission.ticker, rows, startBarIndex);
+      if (mission.blind) mission.difficulty = computeDifficulty(mission.type, mission.env);
+    }
     
     mission.start = {
       wallClockMs: Date.now(),
@@ -884,9 +960,23 @@ const MissionSystem = (function() {
       tMs: Date.now(),
       barIndex: startBarIndex,
       kind: 'EVENT',
-      msg: pxIcon('rocket', '#33ff99', 12) + ` Mission launched from ${mission.ticker} @ $${rows[startBarIndex].close.toFixed(2)}`
+      msg: pxIcon('rocket', '#33ff99', 12) + (mission.blind
+        ? ' Blind mission launched — sector and date classified until resolution'
+        : ` Mission launched from ${mission.ticker} @ $${rows[startBarIndex].close.toFixed(2)}${mission.replay?.anchor === 'PICKED' ? ` on ${formatBarDate(rows[startBarIndex].time)}` : ''}`)
     });
     
+    if (mission.sizing) {
+      const plan = mission.sizing;
+      mission.logs.push({
+        tMs: Date.now(),
+        barIndex: startBarIndex,
+        kind: 'INFO',
+        msg: `Sized ${plan.side} ${plan.shares} sh · stop ${plan.stopPct.toFixed(1)}% · risk $${Math.round(plan.dollarRisk).toLocaleString()} (${plan.riskPct}% of $${Math.round(plan.equity).toLocaleString()})`
+      });
+    }
+    
+    attachStructure(mission, rows, startBarIndex);
+    
     // Warn if mission window was shortened due to limited data
     if (effectiveTargetBars < requestedTargetBars) {
       mission.logs.push({
@@ -901,6 +991,196 @@ const MissionSystem = (function() {
     return mission;
   }
   
+  function isLiveMission(mission) {
+    return mission.mode === 'LIVE';
+  }
+  
+  /**
+   * Price the mission type's trade structure at the start bar and log it.
+   * Blind missions log strikes relative to spot so prices don't give the ticker away.
+   */
+  function attachStructure(mission, rows, startBarIndex) {
+    if (!window.MissionStructures) return;
+    const built = MissionStructures.build(mission.type, rows, startBarIndex, {
+      targetBars: mission.duration.targetBars,
+      contracts: mission.sizing?.contracts || 1,
+      shares: mission.sizing?.shares
+    });
+    mission.structure = built.ok ? built.structure : null;
+    mission.logs.push({
+      tMs: Date.now(),
+      barIndex: startBarIndex,
+      kind: 'INFO',
+      msg: built.ok
+        ? `Structure: ${MissionStructures.describe(built.structure, { relative: mission.blind })}${mission.blind ? '' : ` @ ${MissionStructures.describeEntry(built.structure)}`}`
+        : `No trade structure: ${built.error}`
+    });
+  }
+  
+  /**
+   * Start bar for a REPLAY window.
+   * LATEST ends the window at the last bar; PICKED starts at the first bar at
+   * or after startBarTime; RANDOM starts anywhere that leaves a full window
+   * and DEFAULT_LOOKBACK bars of history for the start environment.
+   */
+  function replayStartIndex(mission, rows, targetBars) {
+    const last = rows.length - 1;
+    const anchor = mission.replay?.anchor || 'LATEST';
+    
+    if (anchor === 'PICKED') {
+      const idx = rows.findIndex(r => r.time >= mission.replay.startBarTime);
+      if (idx < 0 || idx >= last) throw new Error(`No bars after ${formatBarDate(mission.replay.startBarTime)} for ${mission.ticker}`);
+      return idx;
+    }
+    
+    if (anchor === 'RANDOM') {
+      const lo = Math.min(DEFAULT_LOOKBACK - 1, Math.max(0, last - targetBars));
+      const hi = Math.max(lo, last - targetBars);
+      return lo + Math.floor(Math.random() * (hi - lo + 1));
+    }
+    
+    return Math.max(0, last - targetBars);
+  }
+  
+  function formatBarDate(unixSec) {
+    return new Date(unixSec * 1000).toISOString().slice(0, 10);
+  }
+  
+  /**
+   * Blind missions hide their ticker and dates while they are running
+   */
+  function isMasked(mission) {
+    return !!mission?.blind && mission.status === 'ACTIVE';
+  }
+  
+  /**
+   * Ticker to show for a mission ("BLIND-XXXX" while masked)
+   */
+  function displayTicker(mission) {
+    return isMasked(mission) ? `BLIND-${mission.id.slice(-4).toUpperCase()}` : mission.ticker;
+  }
+  
+  /**
+   * Reveal a blind mission's ticker and window in its log (at resolution or abort)
+   */
+  function declassify(mission, rows) {
+    if (!mission.blind) return;
+    const startTime = mission.start.barTime;
+    const endTime = mission.end.endBarTime ?? (rows && rows[mission.end.endBarIndex]?.time);
+    mission.logs.push({
+      tMs: Date.now(),
+      barIndex: mission.end.endBarIndex,
+      kind: 'INFO',
+      msg: `Declassified: ${mission.ticker} · ${formatBarDate(startTime)} → ${endTime ? formatBarDate(endTime) : '?'} · entry $${mission.start.price.toFixed(2)}`
+    });
+  }
+  
+  /**
+   * LIVE launch: the newest bar is the entry and nothing after it exists yet.
+   * The window closes once targetBars newer bars have arrived (syncLiveMission).
+   */
+  function launchLiveMission(missions, mission, rows) {
+    const startBarIndex = rows.length - 1;
+    const targetBars = mission.duration.targetBars;
+    
+    mission.start = {
+      wallClockMs: Date.now(),
+      barIndex: startBarIndex,
+      barTime: rows[startBarIndex].time,
+      price: rows[startBarIndex].close
+    };
+    
+    mission.end = {
+      targetBars: targetBars,
+      requestedTargetBars: targetBars,
+      endBarIndex: null,   // Known once enough bars arrive
+      endBarTime: null
+    };
+    
+    mission.live = {
+      barsReceived: 0,
+      pending: true,
+      lastBarTime: rows[startBarIndex].time,
+      lastArrivalMs: null
+    };
+    
+    mission.status = 'ACTIVE';
+    mission._lastProcessedBarIndex = startBarIndex;
+    
+    mission.logs.push({
+      tMs: Date.now(),
+      barIndex: startBarIndex,
+      kind: 'EVENT',
+      msg: pxIcon('rocket', '#33ff99', 12) + ` Live mission launched from ${mission.ticker} @ $${rows[startBarIndex].close.toFixed(2)} — awaiting ${targetBars} new bar${targetBars === 1 ? '' : 's'}`
+    });
+    
+    if (mission.sizing) {
+      const plan = mission.sizing;
+      mission.logs.push({
+        tMs: Date.now(),
+        barIndex: startBarIndex,
+        kind: 'INFO',
+        msg: `Sized ${plan.side} ${plan.shares} sh · stop ${plan.stopPct.toFixed(1)}% · risk $${Math.round(plan.dollarRisk).toLocaleString()} (${plan.riskPct}% of $${Math.round(plan.equity).toLocaleString()})`
+      });
+    }
+    
+    attachStructure(mission, rows, startBarIndex);
+    
+    saveMissions(missions);
+    return mission;
+  }
+  
+  /**
+   * Re-anchor a LIVE mission to freshly loaded rows and count the bars that
+   * arrived after launch. Mutates the mission (caller saves).
+   * A refreshed CSV may have dropped old rows, so the launch bar is found
+   * by time rather than by index.
+   * @returns {number} bars that arrived since the previous sync
+   */
+  function syncLiveMission(mission, tickerData) {
+    if (!isLiveMission(mission) || mission.status !== 'ACTIVE' || !mission.live) return 0;
+    
+    const rows = tickerData.rows;
+    let startIdx = -1;
+    for (let i = rows.length - 1; i >= 0; i--) {
+      if (rows[i].time <= mission.start.barTime) {
+        startIdx = i;
+        break;
+      }
+    }
+    if (startIdx < 0) return 0;
+    
+    const shift = startIdx - mission.start.barIndex;
+    mission.start.barIndex = startIdx;
+    mission._lastProcessedBarIndex = (mission._lastProcessedBarIndex ?? startIdx) + shift;
+    
+    const received = rows.length - 1 - startIdx;
+    const arrived = received - mission.live.barsReceived;
+    mission.live.barsReceived = received;
+    mission.live.lastBarTime = rows[rows.length - 1].time;
+    
+    const targetBars = mission.end.targetBars;
+    if (received >= targetBars) {
+      mission.live.pending = false;
+      mission.end.endBarIndex = startIdx + targetBars;
+      mission.end.endBarTime = rows[startIdx + targetBars].time;
+    }
+    
+    if (arrived > 0) {
+      mission.live.lastArrivalMs = Date.now();
+      if (mission.logs.length < MAX_LOGS_PER_MISSION) {
+        mission.logs.push({
+          tMs: Date.now(),
+          barIndex: rows.length - 1,
+          kind: 'INFO',
+          msg: pxIcon('satellite', '#47d4ff', 12) + ` ${arrived} new bar${arrived === 1 ? '' : 's'} received (${Math.min(received, targetBars)}/${targetBars})`
+        });
+      }
+    }
+    
+    return Math.max(0, arrived);
+  }
+  
   /**
    * Calculate mission progress
    * STEP 2.1 FIX: Safe division to avoid NaN
@@ -915,6 +1195,20 @@ const MissionSystem = (function() {
       return { barsElapsed: targetBars, currentBarIndex: mission.end?.endBarIndex || 0, progress: 1, timeRemaining: 'Complete' };
     }
     
+    // LIVE: progress is bars that have actually arrived, not wall-clock time
+    if (isLiveMission(mission)) {
+      const targetBars = Math.max(1, mission.end.targetBars);
+      const barsElapsed = Math.min(mission.live?.barsReceived || 0, targetBars);
+      const barsRemaining = targetBars - barsElapsed;
+      return {
+        barsElapsed,
+        currentBarIndex: mission.start.barIndex + barsElapsed,
+        progress: barsElapsed / targetBars,
+        timeRemaining: barsRemaining > 0 ? `Awaiting ${barsRemaining} bar${barsRemaining === 1 ? '' : 's'}` : 'Completing...',
+        pending: barsRemaining > 0
+      };
+    }
+    
     const elapsed = (Date.now() - mission.start.wallClockMs) / 1000;
     const barsElapsed = Math.floor(elapsed * mission.sim.speedBarsPerSec);
     const currentBarIndex = clamp(mission.start.barIndex + barsElapsed, mission.start.barIndex, mission.end.endBarIndex);
@@ -947,7 +1241,8 @@ const MissionSystem = (function() {
     const missions = loadMissions();
     const mission = missions.find(m => m.id === missionId);
     
-    if (!mission || mission.status !== 'ACTIVE') return null;
+    // LIVE missions can only advance when real bars arrive
+    if (!mission || mission.status !== 'ACTIVE' || isLiveMission(mission)) return null;
     
     // Adjust wall clock time backwards to simulate elapsed time
     const secsToSubtract = bars / mission.sim.speedBarsPerSec;
@@ -964,7 +1259,7 @@ const MissionSystem = (function() {
     const missions = loadMissions();
     const mission = missions.find(m => m.id === missionId);
     
-    if (!mission || mission.status !== 'ACTIVE') return null;
+    if (!mission || mission.status !== 'ACTIVE' || isLiveMission(mission)) return null;
     
     // Set wall clock so full duration has elapsed
     const totalSecs = mission.end.targetBars / mission.sim.speedBarsPerSec;
@@ -1001,6 +1296,7 @@ const MissionSystem = (function() {
       kind: 'WARN',
       msg: pxIcon('warning', '#ffaa33', 12) + ' Mission aborted by operator command'
     });
+    if (mission.start) declassify(mission, null);
     
     saveMissions(missions);
     
@@ -1047,7 +1343,6 @@ const MissionSystem = (function() {
     if (!mission._supportInterventionCount) {
       mission._supportInterventionCount = { SCOUT: 0, ESCORT: 0, CARRIER: 0, UTILITY: 0 };
     }
-    const MAX_INTERVENTIONS_PER_ROLE = 2;
     
     // Process each new bar
     for (let i = lastProcessed + 1; i <= currentBarIndex && i < rows.length; i++) {
@@ -1224,6 +1519,105 @@ const MissionSystem = (function() {
     return triggers;
   }
   
+  // ═══════════════════════════════════════════════════════════════════
+  // REPLAY
+  // ═══════════════════════════════════════════════════════════════════
+  
+  /**
+   * Rebuild a launched mission bar by bar for the replay viewer: every
+   * trigger evaluateLogTriggers fires (not just the ones that made the
+   * 20-log cap), the support interventions they call in, the stored logs
+   * and the running window features at each bar. Indices are re-anchored
+   * on the start bar's time because the CSV may have grown since launch.
+   * Aborted missions stop at the bar the abort was logged on.
+   * @returns {{ ok: true, replay } | { ok: false, error: string }}
+   *   replay: { startIndex, endIndex, stopIndex, rows, frames[] }
+   *   frame:  { barIndex, time, triggers, interventions, logs, features, pnl }
+   */
+  function buildReplay(mission, tickerData) {
+    if (!mission || !mission.start) return { ok: false, error: 'Mission was never launched' };
+    const rows = tickerData && tickerData.rows;
+    if (!rows || !rows.length) return { ok: false, error: 'No 45m data for ' + mission.ticker };
+    
+    const startIndex = rows.findIndex(r => r.time === mission.start.barTime);
+    if (startIndex < 0) return { ok: false, error: 'Launch bar is no longer in the 45m data' };
+    const shift = startIndex - mission.start.barIndex;
+    
+    let endIndex = mission.end?.endBarTime ? rows.findIndex(r => r.time === mission.end.endBarTime) : -1;
+    if (endIndex < 0) endIndex = Math.min(rows.length - 1, startIndex + (mission.end?.targetBars || 0));
+    
+    let stopIndex = endIndex;
+    if (mission.status === 'DAMAGED') {
+      const abortLog = mission.logs.filter(l => l.kind === 'WARN').pop();
+      if (abortLog) stopIndex = clamp(abortLog.barIndex + shift, startIndex, endIndex);
+    }
+    
+    const counts = { SCOUT: 0, ESCORT: 0, CARRIER: 0, UTILITY: 0 };
+    const closeStart = rows[startIndex].close;
+    const running = { maxDrawdown: 0, chop: 0, extremes: 0, flowSum: 0, flowCount: 0, lastHist: null };
+    const frames = [];
+    
+    for (let i = startIndex; i <= stopIndex; i++) {
+      const bar = rows[i];
+      const triggers = i > startIndex ? evaluateLogTriggers(bar, rows[i - 1], rows, i) : [];
+      const interventions = [];
+      for (const trigger of triggers) {
+        const intervention = generateSupportIntervention(mission, trigger, counts, MAX_INTERVENTIONS_PER_ROLE);
+        if (intervention) {
+          counts[intervention.role]++;
+          interventions.push(intervention);
+        }
+      }
+      
+      // Same measures as computeMissionWindowFeatures, accumulated up to this bar
+      running.maxDrawdown = Math.max(running.maxDrawdown, (closeStart - bar.low) / closeStart);
+      if (bar.histogram != null) {
+        if (running.lastHist !== null && (bar.histogram >= 0) !== (running.lastHist >= 0)) running.chop++;
+        running.lastHist = bar.histogram;
+      }
+      const pos = envelopePosition(bar);
+      if (pos !== null && (pos > 0.95 || pos < 0.05)) running.extremes++;
+      if (bar.volume && bar.volumeMA > 0) {
+        running.flowSum += bar.volume / bar.volumeMA;
+        running.flowCount++;
+      }
+      
+      frames.push({
+        barIndex: i,
+        time: bar.time,
+        triggers,
+        interventions,
+        logs: mission.logs.filter(l => l.barIndex + shift === i),
+        features: {
+          returnPct: (bar.close - closeStart) / closeStart,
+          maxDrawdown: running.maxDrawdown,
+          chop: running.chop,
+          extremes: running.extremes,
+          flowAvg: running.flowCount ? running.flowSum / running.flowCount : 1,
+          envelopePos: pos
+        },
+        pnl: mission.structure && window.MissionStructures
+          ? MissionStructures.value(mission.structure, bar.close, bar.time * 1000) - mission.structure.entry
+          : null
+      });
+    }
+    
+    return {
+      ok: true,
+      replay: { startIndex, endIndex, stopIndex, rows: rows.slice(startIndex, endIndex + 1), frames }
+    };
+  }
+  
+  // Close as a 0–1 position between the outermost band values (null without bands)
+  function envelopePosition(bar) {
+    const bandKeys = ['A1','A2','A3','A4','A5','B1','B2','B3','B4','B5','C1','C2','C3','C4','C5','D1','D2','D3','D4','D5','E1','E2','E3','E4','E5','F1','F2','F3','F4','F5'];
+    const bandValues = bandKeys.map(k => bar[k]).filter(v => v != null && !isNaN(v));
+    if (!bandValues.length) return null;
+    const lower = Math.min(...bandValues);
+    const range = Math.max(...bandValues) - lower;
+    return range > 0 ? (bar.close - lower) / range : null;
+  }
+  
   // ═══════════════════════════════════════════════════════════════════
   // MISSION RESOLUTION & SCORING (Step 2)
   // ═══════════════════════════════════════════════════════════════════
@@ -1578,6 +1972,18 @@ const MissionSystem = (function() {
     return explanation;
   }
   
+  /**
+   * Re-find a REPLAY window's bars by time before scoring and settling; the
+   * 45m CSV may have grown since launch, which shifts the stored indices
+   */
+  function realignReplayWindow(mission, rows) {
+    const startIdx = rows.findIndex(r => r.time === mission.start.barTime);
+    if (startIdx < 0) return;
+    mission.start.barIndex = startIdx;
+    const endIdx = mission.end.endBarTime ? rows.findIndex(r => r.time === mission.end.endBarTime) : -1;
+    mission.end.endBarIndex = endIdx >= 0 ? endIdx : Math.min(rows.length - 1, startIdx + mission.end.targetBars);
+  }
+  
   /**
    * Resolve a completed mission
    */
@@ -1587,9 +1993,23 @@ const MissionSystem = (function() {
     
     if (!mission || mission.status !== 'ACTIVE') return null;
     
+    // LIVE: score only the bars after the launch bar, and only once they exist
+    if (isLiveMission(mission)) {
+      syncLiveMission(mission, tickerData);
+      if (mission.live.pending) return null;
+    } else {
+      realignReplayWindow(mission, tickerData.rows);
+    }
+    
     const features = computeMissionWindowFeatures(mission, tickerData);
     const scoreResult = scoreMission(mission, features);
     const explanation = generateExplanation(mission, features, scoreResult);
+    const sizing = mission.sizing && window.PositionSizing
+      ? PositionSizing.settle(mission.sizing, tickerData.rows, mission.start.barIndex, mission.end.endBarIndex)
+      : null;
+    const trade = mission.structure && window.MissionStructures
+      ? MissionStructures.settle(mission.structure, tickerData.rows, mission.end.endBarIndex)
+      : null;
     
     mission.status = 'COMPLETE';
     mission.completedAt = new Date().toISOString();
@@ -1599,15 +2019,36 @@ const MissionSystem = (function() {
       explanation: explanation,
       whatHelped: scoreResult.whatHelped,
       whatHurt: scoreResult.whatHurt,
-      features: features
+      features: features,
+      sizing: sizing,
+      trade: trade
     };
     
+    if (trade) {
+      mission.logs.push({
+        tMs: Date.now(),
+        barIndex: mission.end.endBarIndex,
+        kind: trade.pnl >= 0 ? 'INFO' : 'WARN',
+        msg: `${mission.structure.name} marked @ ${trade.exit < 0 ? '-' : ''}$${Math.round(Math.abs(trade.exit)).toLocaleString()} → ${trade.pnl >= 0 ? '+' : '-'}$${Math.round(Math.abs(trade.pnl)).toLocaleString()}`
+      });
+    }
+    
+    if (sizing) {
+      mission.logs.push({
+        tMs: Date.now(),
+        barIndex: mission.end.endBarIndex,
+        kind: sizing.stoppedOut ? 'WARN' : 'INFO',
+        msg: `${sizing.stoppedOut ? 'Stopped out' : 'Closed'} ${sizing.shares} sh @ $${sizing.exit.toFixed(2)} → ${sizing.pnl >= 0 ? '+' : '-'}$${Math.round(Math.abs(sizing.pnl)).toLocaleString()}${sizing.rMultiple !== null ? ` (${sizing.rMultiple.toFixed(2)}R)` : ''}`
+      });
+    }
+    
     mission.logs.push({
       tMs: Date.now(),
       barIndex: mission.end.endBarIndex,
       kind: 'EVENT',
       msg: `🏁 Mission complete — Grade ${scoreResult.grade} (${scoreResult.score}/100)`
     });
+    declassify(mission, tickerData.rows);
     
     saveMissions(missions);
     
@@ -1619,7 +2060,8 @@ const MissionSystem = (function() {
         difficulty: mission.difficulty || 1,
         duration: mission.duration?.label || null,
         grade: scoreResult.grade,
-        score: scoreResult.score
+        score: scoreResult.score,
+        pnl: trade ? trade.pnl : null
       });
     }
     
@@ -1657,8 +2099,9 @@ const MissionSystem = (function() {
     return loadMissions().filter(m => m.status === 'ACTIVE');
   }
   
+  // Masked blind missions are skipped so the ticker list doesn't give them away
   function getActiveMissionForTicker(ticker) {
-    return loadMissions().find(m => m.ticker === ticker.toUpperCase() && m.status === 'ACTIVE') || null;
+    return loadMissions().find(m => m.ticker === ticker.toUpperCase() && m.status === 'ACTIVE' && !isMasked(m)) || null;
   }
   
   // ═══════════════════════════════════════════════════════════════════
@@ -1671,11 +2114,14 @@ const MissionSystem = (function() {
     DURATION_PRESETS,
     DEFAULT_SIM_SPEED,
     DEFAULT_LOOKBACK,
+    MISSION_MODES,
+    REPLAY_ANCHORS,
     MISSION_TYPES,
     SUPPORT_ROLES,
     
     // Stat computation
     computeEnvironment,
+    computeEnvironmentAt,
     
     // Recommendations
     generateRecommendations,
@@ -1686,6 +2132,10 @@ const MissionSystem = (function() {
     createMission,
     launchMission,
     getMissionProgress,
+    syncLiveMission,
+    isLiveMission,
+    isMasked,
+    displayTicker,
     fastForwardMission,
     completeMissionNow,
     abortMission,
@@ -1694,6 +2144,7 @@ const MissionSystem = (function() {
     
     // Logs
     generateLogsForMission,
+    buildReplay,
     
     // Persistence
     loadMissions,
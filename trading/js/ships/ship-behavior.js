@@ -196,6 +196,7 @@ window.ShipBehavior = (function() {
       
       // Mood system
       this.mood = 'neutral';
+      this.regime = null;
       
       // Apply telemetry-based animation modifiers
       if (options.animationModifiers) {
@@ -333,23 +334,11 @@ window.ShipBehavior = (function() {
     // ─────────────────────────────────────────────────────────────────────────
 
     updateMood() {
-      const { pnlPercent, volatility, hull, winRate } = this.stats;
-      let newMood = 'neutral';
-
-      if (hull < 25) {
-        newMood = 'critical';
-      } else if (pnlPercent > 5 && winRate > 0.6) {
-        newMood = 'confident';
-      } else if (pnlPercent > 2) {
-        newMood = 'optimistic';
-      } else if (pnlPercent < -5) {
-        newMood = 'strained';
-      } else if (volatility > 0.06) {
-        newMood = 'cautious';
-      } else if (pnlPercent < -2 && volatility > 0.04) {
-        newMood = 'defensive';
-      }
+      // Market regime (js/data/regime.js) sets the mood; position stats shade it
+      const regime = window.Regime ? Regime.get(this.ticker) : null;
+      const newMood = window.Regime ? Regime.moodFor(regime, this.stats) : 'neutral';
 
+      this.regime = regime;
       if (newMood !== this.mood) {
         this.element.classList.remove(`mood-${this.mood}`);
         this.element.classList.add(`mood-${newMood}`);
@@ -357,7 +346,7 @@ window.ShipBehavior = (function() {
         
         // Emit mood change event
         this.element.dispatchEvent(new CustomEvent('ship:mood', {
-          detail: { ticker: this.ticker, mood: newMood }
+          detail: { ticker: this.ticker, mood: newMood, regime: regime ? regime.regime : null }
         }));
       }
     }
@@ -372,7 +361,8 @@ window.ShipBehavior = (function() {
         'strained': 'Performance under pressure',
         'critical': 'Hull integrity compromised'
       };
-      return MOOD_DESCRIPTIONS[this.mood] || 'Status unknown';
+      const text = MOOD_DESCRIPTIONS[this.mood] || 'Status unknown';
+      return this.regime ? `${text} · ${this.regime.label}` : text;
     }
 
     // ─────────────────────────────────────────────────────────────────────────
@@ -617,6 +607,14 @@ window.ShipBehavior = (function() {
     controllers.clear();
   }
 
+  // Regime shifts re-evaluate mood without waiting for the next stats refresh
+  if (window.PARALLAX_BUS) {
+    PARALLAX_BUS.on('regime:change', ({ ticker, timeframe }) => {
+      const controller = timeframe === '1D' ? controllers.get(ticker) : null;
+      if (controller) controller.updateMood();
+    });
+  }
+
   // ═══════════════════════════════════════════════════════════════════════════
   // PUBLIC API
   // ═══════════════════════════════════════════════════════════════════════════
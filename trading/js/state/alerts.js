@@ -0,0 +1,370 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * PARALLAX ALERTS ENGINE
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Persistent user-defined alert rules, evaluated against the newest bar of
+ * a ticker's data/{ticker}.json payload whenever it loads. Each rule fires
+ * at most once per bar; triggered alerts land in an inbox.
+ *
+ * Rule shape:
+ *   { id, ticker, type, timeframe: 'daily'|'intraday'|'intraday15',
+ *     direction: 'up'|'down'|'any', level?, pct?, ma?, multiple?,
+ *     enabled, createdAt }
+ *
+ * Types:
+ *   PRICE_CROSS    close crosses `level`
+ *   PCT_MOVE       bar-over-bar close change of at least `pct` %
+ *   MACD_CROSS     MACD crosses its signal line (up = bullish)
+ *   MA_CROSS       close crosses `ma` (g100 / g150 / g200)
+ *   VOLUME_SPIKE   volume ≥ `multiple` × its 20-bar average
+ *
+ * Inbox entry:
+ *   { id, ruleId, ticker, type, title, detail, direction, barTime, firedAt, read }
+ *
+ * Events:
+ *   - alerts:change      { reason, rules, unread }
+ *   - alerts:triggered   { ticker, alerts[] }
+ *
+ * Usage:
+ *   Alerts.addRule({ ticker: 'RKLB', type: 'PRICE_CROSS', level: 25, direction: 'up' })
+ *   Alerts.evaluate('RKLB', data)     → newly fired inbox entries
+ *   Alerts.getTickers()               → tickers with enabled rules
+ *
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+(function() {
+  'use strict';
+
+  const STORAGE_KEY = 'PARALLAX_ALERTS_V1';
+  const VERSION = 1;
+  const INBOX_LIMIT = 100;
+  const VOLUME_MA_BARS = 20;
+
+  const TYPES = ['PRICE_CROSS', 'PCT_MOVE', 'MACD_CROSS', 'MA_CROSS', 'VOLUME_SPIKE'];
+  const TIMEFRAMES = ['daily', 'intraday', 'intraday15'];
+  const DIRECTIONS = ['up', 'down', 'any'];
+  const MAS = ['g100', 'g150', 'g200'];
+
+  const TIMEFRAME_LABELS = { daily: '1D', intraday: '45M', intraday15: '15M' };
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // STATE MANAGEMENT
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function defaultState() {
+    return {
+      version: VERSION,
+      rules: [],
+      inbox: [],
+      fired: {},          // ruleId → bar time it last fired on
+      notify: false,      // browser notifications opted in
+      lastUpdated: Date.now()
+    };
+  }
+
+  function load() {
+    try {
+      const raw = localStorage.getItem(STORAGE_KEY);
+      if (!raw) return defaultState();
+      const parsed = JSON.parse(raw);
+      if (!parsed || !Array.isArray(parsed.rules)) return defaultState();
+      return { ...defaultState(), ...parsed };
+    } catch (e) {
+      console.warn('[Alerts] Failed to load state:', e);
+      return defaultState();
+    }
+  }
+
+  function save() {
+    try {
+      state.lastUpdated = Date.now();
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    } catch (e) {
+      console.warn('[Alerts] Failed to save state:', e);
+    }
+  }
+
+  function unreadCount() {
+    return state.inbox.filter(a => !a.read).length;
+  }
+
+  function emitChange(reason) {
+    if (window.PARALLAX_BUS) {
+      window.PARALLAX_BUS.emit('alerts:change', { reason, rules: state.rules.length, unread: unreadCount() });
+    }
+  }
+
+  let state = load();
+  let seq = 0;
+
+  function makeId(prefix) {
+    seq = (seq + 1) % 1000;
+    return prefix + Date.now().toString(36) + seq.toString(36);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // VALIDATION
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Normalize a rule; returns { ok, rule } or { ok: false, error }
+   */
+  function normalizeRule(raw) {
+    if (!raw) return { ok: false, error: 'Empty rule' };
+
+    const ticker = String(raw.ticker || '').trim().toUpperCase();
+    const type = String(raw.type || '').toUpperCase();
+    const timeframe = TIMEFRAMES.includes(raw.timeframe) ? raw.timeframe : 'daily';
+    const direction = DIRECTIONS.includes(raw.direction) ? raw.direction : 'any';
+
+    if (!ticker) return { ok: false, error: 'Ticker required' };
+    if (!TYPES.includes(type)) return { ok: false, error: `Unknown alert type: ${raw.type}` };
+
+    const rule = { id: raw.id || makeId('A'), ticker, type, timeframe, direction, enabled: raw.enabled !== false, createdAt: raw.createdAt || Date.now() };
+
+    if (type === 'PRICE_CROSS') {
+      const level = Number(raw.level);
+      if (!Number.isFinite(level) || level <= 0) return { ok: false, error: 'Price level must be positive' };
+      rule.level = level;
+    } else if (type === 'PCT_MOVE') {
+      const pct = Math.abs(Number(raw.pct));
+      if (!Number.isFinite(pct) || pct <= 0) return { ok: false, error: 'Move % must be positive' };
+      rule.pct = pct;
+    } else if (type === 'MA_CROSS') {
+      const ma = String(raw.ma || 'g200').toLowerCase();
+      if (!MAS.includes(ma)) return { ok: false, error: `Unknown moving average: ${raw.ma}` };
+      rule.ma = ma;
+    } else if (type === 'VOLUME_SPIKE') {
+      const multiple = Number(raw.multiple);
+      if (!Number.isFinite(multiple) || multiple <= 1) return { ok: false, error: 'Volume multiple must be above 1' };
+      rule.multiple = multiple;
+      rule.direction = 'up';
+    }
+
+    return { ok: true, rule };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // EVALUATION
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function wants(rule, dir) {
+    return rule.direction === 'any' || rule.direction === dir;
+  }
+
+  // Close crosses a line between the previous and the newest bar
+  function crossDirection(prevClose, prevLine, close, line) {
+    if (![prevClose, prevLine, close, line].every(Number.isFinite)) return null;
+    if (prevClose <= prevLine && close > line) return 'up';
+    if (prevClose >= prevLine && close < line) return 'down';
+    return null;
+  }
+
+  /**
+   * Test one rule against the newest bar; returns { direction, detail } or null
+   */
+  function check(rule, bars) {
+    const last = bars[bars.length - 1];
+    const prev = bars[bars.length - 2];
+    if (!last || !prev) return null;
+
+    switch (rule.type) {
+      case 'PRICE_CROSS': {
+        const dir = crossDirection(prev.c, rule.level, last.c, rule.level);
+        return dir && wants(rule, dir)
+          ? { direction: dir, detail: `Close $${last.c.toFixed(2)} crossed ${dir === 'up' ? 'above' : 'below'} $${rule.level.toFixed(2)}` }
+          : null;
+      }
+      case 'PCT_MOVE': {
+        if (!(prev.c > 0)) return null;
+        const change = (last.c / prev.c - 1) * 100;
+        const dir = change >= 0 ? 'up' : 'down';
+        return Math.abs(change) >= rule.pct && wants(rule, dir)
+          ? { direction: dir, detail: `${change >= 0 ? '+' : ''}${change.toFixed(2)}% to $${last.c.toFixed(2)}` }
+          : null;
+      }
+      case 'MACD_CROSS': {
+        const dir = crossDirection(prev.macd, prev.signal, last.macd, last.signal);
+        return dir && wants(rule, dir)
+          ? { direction: dir, detail: `${dir === 'up' ? 'Bullish' : 'Bearish'} crossover · hist ${last.hist != null ? last.hist.toFixed(3) : '—'}` }
+          : null;
+      }
+      case 'MA_CROSS': {
+        const dir = crossDirection(prev.c, prev[rule.ma], last.c, last[rule.ma]);
+        return dir && wants(rule, dir)
+          ? { direction: dir, detail: `Close $${last.c.toFixed(2)} ${dir === 'up' ? 'reclaimed' : 'lost'} ${rule.ma.toUpperCase()} $${last[rule.ma].toFixed(2)}` }
+          : null;
+      }
+      case 'VOLUME_SPIKE': {
+        const recent = bars.slice(-VOLUME_MA_BARS - 1, -1).map(b => b.v).filter(Number.isFinite);
+        if (recent.length < 5 || !Number.isFinite(last.v)) return null;
+        const avg = recent.reduce((s, v) => s + v, 0) / recent.length;
+        return avg > 0 && last.v >= rule.multiple * avg
+          ? { direction: 'up', detail: `Volume ${(last.v / avg).toFixed(1)}× its ${recent.length}-bar average` }
+          : null;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Evaluate every enabled rule for a ticker against freshly loaded data
+   * @param {string} ticker
+   * @param {Object} data - data/{ticker}.json payload ({ daily, intraday, intraday15 })
+   * @returns {Object[]} newly fired inbox entries
+   */
+  function evaluate(ticker, data) {
+    const t = String(ticker || '').toUpperCase();
+    if (!data) return [];
+
+    const fired = [];
+    state.rules
+      .filter(r => r.enabled && r.ticker === t)
+      .forEach(rule => {
+        const bars = data[rule.timeframe];
+        if (!Array.isArray(bars) || bars.length < 2) return;
+        const last = bars[bars.length - 1];
+        if (state.fired[rule.id] === last.t) return;
+
+        const hit = check(rule, bars);
+        if (!hit) return;
+
+        state.fired[rule.id] = last.t;
+        fired.push({
+          id: makeId('N'),
+          ruleId: rule.id,
+          ticker: t,
+          type: rule.type,
+          title: `${t} · ${describeRule(rule)}`,
+          detail: hit.detail,
+          direction: hit.direction,
+          barTime: last.t,
+          firedAt: Date.now(),
+          read: false
+        });
+      });
+
+    if (!fired.length) return fired;
+
+    state.inbox = fired.slice().reverse().concat(state.inbox).slice(0, INBOX_LIMIT);
+    save();
+    if (window.PARALLAX_BUS) {
+      window.PARALLAX_BUS.emit('alerts:triggered', { ticker: t, alerts: fired });
+    }
+    emitChange('triggered');
+    return fired;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // DISPLAY
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function describeRule(rule) {
+    const tf = TIMEFRAME_LABELS[rule.timeframe] || rule.timeframe;
+    const dir = { up: '↑', down: '↓', any: '↕' }[rule.direction];
+    switch (rule.type) {
+      case 'PRICE_CROSS': return `Price ${dir} $${rule.level.toFixed(2)} (${tf})`;
+      case 'PCT_MOVE': return `Move ${dir} ${rule.pct}% (${tf})`;
+      case 'MACD_CROSS': return `MACD ${{ up: 'bull ', down: 'bear ', any: '' }[rule.direction]}cross (${tf})`;
+      case 'MA_CROSS': return `Close ${dir} ${rule.ma.toUpperCase()} (${tf})`;
+      case 'VOLUME_SPIKE': return `Volume > ${rule.multiple}× MA (${tf})`;
+    }
+    return rule.type;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PUBLIC API
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  window.Alerts = {
+    TYPES,
+    TIMEFRAMES,
+    DIRECTIONS,
+    MAS,
+
+    /**
+     * Add a rule; returns { ok, rule } or { ok: false, error }
+     */
+    addRule(raw) {
+      const res = normalizeRule(raw);
+      if (!res.ok) return res;
+      state.rules.push(res.rule);
+      save();
+      emitChange('add');
+      return res;
+    },
+
+    removeRule(id) {
+      const before = state.rules.length;
+      state.rules = state.rules.filter(r => r.id !== id);
+      if (state.rules.length === before) return false;
+      delete state.fired[id];
+      save();
+      emitChange('remove');
+      return true;
+    },
+
+    setEnabled(id, enabled) {
+      const rule = state.rules.find(r => r.id === id);
+      if (!rule) return false;
+      rule.enabled = !!enabled;
+      save();
+      emitChange('toggle');
+      return true;
+    },
+
+    getRules(ticker) {
+      const t = ticker ? String(ticker).toUpperCase() : null;
+      return state.rules.filter(r => !t || r.ticker === t).map(r => ({ ...r }));
+    },
+
+    /**
+     * Tickers with at least one enabled rule
+     */
+    getTickers() {
+      return Array.from(new Set(state.rules.filter(r => r.enabled).map(r => r.ticker)));
+    },
+
+    evaluate,
+    describeRule,
+
+    getInbox() {
+      return state.inbox.map(a => ({ ...a }));
+    },
+
+    getUnreadCount: unreadCount,
+
+    markRead(id) {
+      let changed = false;
+      state.inbox.forEach(a => {
+        if (!a.read && (!id || a.id === id)) {
+          a.read = true;
+          changed = true;
+        }
+      });
+      if (!changed) return;
+      save();
+      emitChange('read');
+    },
+
+    clearInbox() {
+      state.inbox = [];
+      save();
+      emitChange('clear');
+    },
+
+    getNotify() {
+      return !!state.notify;
+    },
+
+    setNotify(enabled) {
+      state.notify = !!enabled;
+      save();
+      emitChange('notify');
+    }
+  };
+
+  console.log('[PARALLAX] Alerts initialized');
+})();
@@ -0,0 +1,434 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * PARALLAX CAMPAIGNS
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Ordered, branching chains of missions authored as JSON in data/campaigns/
+ * (index.json lists the files; DataSchema 'campaign' validates them).
+ * Progress is derived from resolved missions in PARALLAX_MISSIONS_V1: a step
+ * counts missions that match its objective and resolved after the step was
+ * entered, and each mission counts toward one step only.
+ *
+ * Definition:
+ *   { id, name, description, groups: { NAME: [tickers] }, start, reward: { xp, ticker? },
+ *     steps: [{ id, title, brief,
+ *               objective: { missionType, tickers: [..] | 'GROUP', count, minScore, mode? },
+ *               reward: { xp },
+ *               next: [{ if: { minAvgScore?, minPnl? }, goto: stepId | null }],
+ *               onFail: { below, goto: stepId | null } }] }
+ *   The first next branch whose conditions hold is taken; goto null (or no
+ *   next) ends the campaign. onFail fires on a DAMAGED mission or a score
+ *   below `below`; goto null fails the campaign.
+ *
+ * Run state (localStorage PARALLAX_CAMPAIGNS_V1, per campaign id):
+ *   { status: 'ACTIVE'|'COMPLETE'|'FAILED', step, enteredAt, startedAt,
+ *     finishedAt, used: [missionIds], history: [{ step, result, missionIds, goto, xp, at }], xp }
+ *
+ * Rewards go to Progression.awardXP: step XP to the ship that finished the
+ * step, campaign XP to reward.ticker (or that same ship).
+ *
+ * Runs advance on mission:complete / mission:damaged, and once when the
+ * definitions load to catch up on missions resolved in the meantime.
+ *
+ * Events:
+ *   - campaign:step     { id, step, result: 'COMPLETE'|'FAILED', goto }
+ *   - campaign:complete { id, name, xp }
+ *   - campaign:failed   { id, name, step }
+ *
+ * Usage:
+ *   await Campaigns.load()            // fetched once per page
+ *   Campaigns.start('lunar-approach')
+ *   Campaigns.evaluate()              // runs on its own after missions resolve
+ *   Campaigns.progress('lunar-approach')
+ *
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+(function() {
+  'use strict';
+
+  const STORAGE_KEY = 'PARALLAX_CAMPAIGNS_V1';
+  const MISSIONS_KEY = 'PARALLAX_MISSIONS_V1';
+  const VERSION = 1;
+  const BASE_PATH = 'data/campaigns/';
+  const MAX_TRANSITIONS = 20;   // per evaluate(), guards against authored loops
+
+  let definitions = [];
+  let loadErrors = [];
+  let loading = null;
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // STATE MANAGEMENT
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function defaultState() {
+    return {
+      version: VERSION,
+      runs: {},
+      lastUpdated: Date.now()
+    };
+  }
+
+  function load() {
+    try {
+      const raw = localStorage.getItem(STORAGE_KEY);
+      if (!raw) return defaultState();
+      const parsed = JSON.parse(raw);
+      if (!parsed || typeof parsed.runs !== 'object') return defaultState();
+      return { ...defaultState(), ...parsed };
+    } catch (e) {
+      console.warn('[Campaigns] Failed to load state:', e);
+      return defaultState();
+    }
+  }
+
+  function save(state) {
+    try {
+      state.lastUpdated = Date.now();
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    } catch (e) {
+      console.warn('[Campaigns] Failed to save state:', e);
+    }
+  }
+
+  function loadMissions() {
+    try {
+      const missions = JSON.parse(localStorage.getItem(MISSIONS_KEY) || '[]');
+      return Array.isArray(missions) ? missions : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function emit(event, payload) {
+    if (window.PARALLAX_BUS) window.PARALLAX_BUS.emit(event, payload);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // DEFINITIONS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  async function fetchDefinition(url) {
+    let data;
+    try {
+      const res = await fetch(url);
+      if (!res.ok) throw new Error('HTTP ' + res.status);
+      data = await res.json();
+    } catch (e) {
+      if (typeof DataSchema !== 'undefined') DataSchema.fail('campaign', url, e);
+      return { error: `${url}: ${e.message}` };
+    }
+    if (typeof DataSchema === 'undefined') return { data };
+    // check() validates once and records the result for the data-health panel
+    const check = DataSchema.check('campaign', url, data);
+    return check.ok ? { data } : { error: `${url}: ${check.errors[0]}` };
+  }
+
+  /**
+   * Fetch every campaign listed in data/campaigns/index.json.
+   * Invalid files are skipped and reported by getLoadErrors().
+   */
+  async function loadDefinitions() {
+    const loaded = [];
+    const errors = [];
+    try {
+      const res = await fetch(BASE_PATH + 'index.json');
+      if (!res.ok) throw new Error('HTTP ' + res.status);
+      const index = await res.json();
+      for (const file of index.campaigns || []) {
+        try {
+          const result = await fetchDefinition(BASE_PATH + file);
+          if (result.data) loaded.push(result.data);
+          else errors.push(result.error);
+        } catch (e) {
+          errors.push(`${file}: ${e.message}`);
+        }
+      }
+    } catch (e) {
+      errors.push(`index.json: ${e.message}`);
+    }
+    definitions = loaded;
+    loadErrors = errors;
+    errors.forEach(err => console.warn('[Campaigns]', err));
+    return definitions;
+  }
+
+  function ensureLoaded() {
+    if (!loading) {
+      loading = loadDefinitions().then(defs => {
+        evaluate();
+        return defs;
+      });
+    }
+    return loading;
+  }
+
+  function getDefinition(id) {
+    return definitions.find(d => d.id === id) || null;
+  }
+
+  function stepOf(def, stepId) {
+    return def.steps.find(s => s.id === stepId) || null;
+  }
+
+  function tickersFor(def, objective) {
+    const list = typeof objective.tickers === 'string'
+      ? (def.groups || {})[objective.tickers] || []
+      : objective.tickers || [];
+    return list.map(t => t.toUpperCase());
+  }
+
+  /**
+   * "2 RECON missions scored ≥70 on SPACE (RKLB, LUNR, …)"
+   */
+  function objectiveText(def, step) {
+    const o = step.objective;
+    const count = o.count || 1;
+    const tickers = tickersFor(def, o);
+    const where = typeof o.tickers === 'string'
+      ? `${o.tickers} (${tickers.slice(0, 3).join(', ')}${tickers.length > 3 ? ', …' : ''})`
+      : tickers.join(' / ');
+    const score = o.minScore ? ` scored ≥${o.minScore}` : '';
+    const mode = o.mode ? ` ${o.mode}` : '';
+    return `${count}${mode} ${o.missionType} mission${count === 1 ? '' : 's'}${score} on ${where}`;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // EVALUATION
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  // When a mission ended (aborted missions have no completedAt)
+  function endedAt(mission) {
+    if (mission.completedAt) return Date.parse(mission.completedAt);
+    const last = mission.logs && mission.logs[mission.logs.length - 1];
+    return last ? last.tMs : 0;
+  }
+
+  function candidates(def, run, step, missions) {
+    const o = step.objective;
+    const tickers = tickersFor(def, o);
+    return missions
+      .filter(m => (m.status === 'COMPLETE' || m.status === 'DAMAGED') &&
+        m.type === o.missionType &&
+        tickers.includes(m.ticker) &&
+        (!o.mode || (m.mode || 'REPLAY') === o.mode) &&
+        !run.used.includes(m.id) &&
+        endedAt(m) >= run.enteredAt)
+      .sort((a, b) => endedAt(a) - endedAt(b));
+  }
+
+  function qualifies(step, mission) {
+    return mission.status === 'COMPLETE' && (mission.outcome?.score || 0) >= (step.objective.minScore || 0);
+  }
+
+  function fails(step, mission) {
+    if (!step.onFail) return false;
+    return mission.status === 'DAMAGED' || (mission.outcome?.score || 0) < (step.onFail.below || 0);
+  }
+
+  function branchFor(step, missions) {
+    const avgScore = missions.reduce((s, m) => s + (m.outcome?.score || 0), 0) / missions.length;
+    const trades = missions.filter(m => m.outcome?.trade);
+    const pnl = trades.length ? trades.reduce((s, m) => s + m.outcome.trade.pnl, 0) : null;
+
+    for (const branch of step.next || []) {
+      const cond = branch.if || {};
+      if (cond.minAvgScore !== undefined && !(avgScore >= cond.minAvgScore)) continue;
+      if (cond.minPnl !== undefined && !(pnl !== null && pnl >= cond.minPnl)) continue;
+      return branch.goto || null;
+    }
+    return null;
+  }
+
+  function award(ticker, xp, def, stepId) {
+    if (!xp || !ticker || !window.Progression) return 0;
+    window.Progression.awardXP(ticker, xp, `Campaign: ${def.name}`, { campaignId: def.id, step: stepId });
+    return xp;
+  }
+
+  /**
+   * Apply at most one step transition to a run; returns true if it moved
+   */
+  function advance(def, run, missions) {
+    const step = stepOf(def, run.step);
+    if (!step) return false;
+
+    const counted = [];
+    for (const mission of candidates(def, run, step, missions)) {
+      if (qualifies(step, mission)) {
+        counted.push(mission);
+        if (counted.length < (step.objective.count || 1)) continue;
+
+        const goto = branchFor(step, counted);
+        const last = mission;
+        const xp = award(last.ticker, step.reward?.xp, def, step.id);
+        run.used.push(...counted.map(m => m.id));
+        run.history.push({ step: step.id, result: 'COMPLETE', missionIds: counted.map(m => m.id), goto, xp, at: endedAt(last) });
+        run.xp += xp;
+        emit('campaign:step', { id: def.id, step: step.id, result: 'COMPLETE', goto });
+
+        if (goto) {
+          run.step = goto;
+          run.enteredAt = endedAt(last);
+        } else {
+          run.status = 'COMPLETE';
+          run.finishedAt = Date.now();
+          const bonus = award((def.reward?.ticker || last.ticker), def.reward?.xp, def, null);
+          run.xp += bonus;
+          emit('campaign:complete', { id: def.id, name: def.name, xp: run.xp });
+        }
+        return true;
+      }
+
+      if (fails(step, mission)) {
+        const goto = step.onFail.goto || null;
+        run.used.push(mission.id);
+        run.history.push({ step: step.id, result: 'FAILED', missionIds: [mission.id], goto, xp: 0, at: endedAt(mission) });
+        emit('campaign:step', { id: def.id, step: step.id, result: 'FAILED', goto });
+
+        if (goto) {
+          run.step = goto;
+          run.enteredAt = endedAt(mission);
+        } else {
+          run.status = 'FAILED';
+          run.finishedAt = Date.now();
+          emit('campaign:failed', { id: def.id, name: def.name, step: step.id });
+        }
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Move every active campaign forward over resolved missions
+   * @returns {number} transitions applied
+   */
+  function evaluate(missions = loadMissions()) {
+    const state = load();
+    let moved = 0;
+
+    Object.entries(state.runs).forEach(([id, run]) => {
+      const def = getDefinition(id);
+      if (!def) return;
+      let guard = 0;
+      while (run.status === 'ACTIVE' && guard++ < MAX_TRANSITIONS && advance(def, run, missions)) moved++;
+    });
+
+    if (moved) save(state);
+    return moved;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // RUNS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Start (or restart a finished) campaign
+   * @returns {{ ok: true, run } | { ok: false, error: string }}
+   */
+  function start(id) {
+    const def = getDefinition(id);
+    if (!def) return { ok: false, error: `Unknown campaign: ${id}` };
+    const state = load();
+    if (state.runs[id]?.status === 'ACTIVE') return { ok: false, error: `${def.name} is already under way` };
+
+    const run = {
+      status: 'ACTIVE',
+      step: def.start || def.steps[0].id,
+      enteredAt: Date.now(),
+      startedAt: Date.now(),
+      finishedAt: null,
+      used: [],
+      history: [],
+      xp: 0
+    };
+    state.runs[id] = run;
+    save(state);
+    emit('campaign:step', { id, step: run.step, result: 'STARTED', goto: run.step });
+    return { ok: true, run };
+  }
+
+  function abandon(id) {
+    const state = load();
+    if (!state.runs[id]) return;
+    delete state.runs[id];
+    save(state);
+  }
+
+  function getRun(id) {
+    return load().runs[id] || null;
+  }
+
+  // Fewest steps from stepId to the end along next branches
+  function stepsToEnd(def, stepId) {
+    const seen = new Set([stepId]);
+    let frontier = [stepId];
+    for (let depth = 1; frontier.length; depth++) {
+      const nextFrontier = [];
+      for (const id of frontier) {
+        const step = stepOf(def, id);
+        const gotos = step && step.next && step.next.length ? step.next.map(b => b.goto || null) : [null];
+        if (gotos.includes(null)) return depth;
+        gotos.forEach(g => {
+          if (!seen.has(g)) {
+            seen.add(g);
+            nextFrontier.push(g);
+          }
+        });
+      }
+      frontier = nextFrontier;
+    }
+    return 1;
+  }
+
+  /**
+   * Campaign-level progress for display
+   * @returns {{ run, step, counted, required, stepsDone, stepsLeft, percent } | null}
+   */
+  function progress(id, missions = loadMissions()) {
+    const def = getDefinition(id);
+    if (!def) return null;
+    const run = getRun(id);
+    if (!run) return { run: null, step: stepOf(def, def.start || def.steps[0].id), counted: 0, required: 0, stepsDone: 0, stepsLeft: null, percent: 0 };
+
+    const stepsDone = run.history.filter(h => h.result === 'COMPLETE').length;
+    if (run.status !== 'ACTIVE') {
+      return { run, step: null, counted: 0, required: 0, stepsDone, stepsLeft: 0, percent: run.status === 'COMPLETE' ? 1 : stepsDone / Math.max(1, stepsDone + 1) };
+    }
+
+    const step = stepOf(def, run.step);
+    const required = step.objective.count || 1;
+    const counted = Math.min(required, candidates(def, run, step, missions).filter(m => qualifies(step, m)).length);
+    const stepsLeft = stepsToEnd(def, run.step);
+    const percent = (stepsDone + counted / required) / (stepsDone + stepsLeft);
+    return { run, step, counted, required, stepsDone, stepsLeft, percent };
+  }
+
+  // Resolved missions advance campaigns whether or not the panel is open
+  if (window.PARALLAX_BUS) {
+    const onMissionResolved = () => ensureLoaded().then(() => evaluate());
+    window.PARALLAX_BUS.on('mission:complete', onMissionResolved);
+    window.PARALLAX_BUS.on('mission:damaged', onMissionResolved);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PUBLIC API
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  window.Campaigns = {
+    STORAGE_KEY,
+    load: ensureLoaded,
+    getDefinitions: () => definitions.slice(),
+    getDefinition,
+    getLoadErrors: () => loadErrors.slice(),
+    getRun,
+    start,
+    abandon,
+    evaluate,
+    progress,
+    objectiveText,
+    tickersFor
+  };
+
+})();
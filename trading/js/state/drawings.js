@@ -0,0 +1,342 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * PARALLAX CHART DRAWINGS STORE
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Trendlines, levels, Fibonacci retracements, rectangles and text notes
+ * drawn on the telemetry price chart. Saved per ticker + timeframe in
+ * localStorage; coordinates are { t (ms), price } so drawings survive range
+ * changes and chart modes.
+ *
+ * Drawing shape:
+ *   { id, type, points: [{ t, price }, ...], text?, color, alertRuleId?, createdAt }
+ *
+ * Types (points):
+ *   trendline 2 · hline 1 · fib 2 · rect 2 · text 1 (+ text)
+ *
+ * Horizontal levels can be armed as PRICE_CROSS alerts; the rule id is kept
+ * on the drawing and the rule is removed with it.
+ *
+ * Events:
+ *   - drawings:change { reason, ticker, timeframe, id }
+ *
+ * Usage:
+ *   Drawings.add('RKLB', '1D', { type: 'hline', points: [{ t, price: 25 }] })
+ *   Drawings.list('RKLB', '1D')
+ *   Drawings.armAlert('RKLB', '1D', id)
+ *
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+(function() {
+  'use strict';
+
+  const STORAGE_KEY = 'PARALLAX_DRAWINGS_V1';
+  const VERSION = 1;
+  const MAX_PER_CHART = 200;
+  const TEXT_LIMIT = 140;
+
+  const TYPES = ['trendline', 'hline', 'fib', 'rect', 'text'];
+  const POINTS = { trendline: 2, hline: 1, fib: 2, rect: 2, text: 1 };
+  const FIB_LEVELS = [0, 0.236, 0.382, 0.5, 0.618, 0.786, 1];
+  const DEFAULT_COLOR = '#47d4ff';
+
+  // Chart timeframe → Alerts timeframe
+  const ALERT_TIMEFRAMES = { '1D': 'daily', '45': 'intraday', '15': 'intraday15' };
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // STATE MANAGEMENT
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function defaultState() {
+    return {
+      version: VERSION,
+      charts: {},         // 'RKLB|1D' → [drawing]
+      lastUpdated: Date.now()
+    };
+  }
+
+  function load() {
+    try {
+      const raw = localStorage.getItem(STORAGE_KEY);
+      if (!raw) return defaultState();
+      const parsed = JSON.parse(raw);
+      if (!parsed || typeof parsed.charts !== 'object') return defaultState();
+      return { ...defaultState(), ...parsed };
+    } catch (e) {
+      console.warn('[Drawings] Failed to load state:', e);
+      return defaultState();
+    }
+  }
+
+  function save() {
+    try {
+      state.lastUpdated = Date.now();
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    } catch (e) {
+      console.warn('[Drawings] Failed to save state:', e);
+    }
+  }
+
+  function emitChange(reason, ticker, timeframe, id) {
+    if (window.PARALLAX_BUS) {
+      window.PARALLAX_BUS.emit('drawings:change', { reason, ticker, timeframe, id });
+    }
+  }
+
+  let state = load();
+  let seq = 0;
+
+  function makeId() {
+    seq = (seq + 1) % 1000;
+    return 'drw_' + Date.now().toString(36) + seq.toString(36);
+  }
+
+  function chartKey(ticker, timeframe) {
+    return String(ticker || '').toUpperCase() + '|' + String(timeframe || '1D');
+  }
+
+  function chartList(ticker, timeframe) {
+    return state.charts[chartKey(ticker, timeframe)] || [];
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // VALIDATION
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Normalize a drawing; returns { ok, drawing } or { ok: false, error }
+   */
+  function normalizeDrawing(raw) {
+    if (!raw) return { ok: false, error: 'Empty drawing' };
+    const type = String(raw.type || '').toLowerCase();
+    if (!TYPES.includes(type)) return { ok: false, error: `Unknown drawing type: ${raw.type}` };
+
+    const points = (Array.isArray(raw.points) ? raw.points : [])
+      .slice(0, POINTS[type])
+      .map(p => ({ t: Number(p && p.t), price: Number(p && p.price) }));
+    if (points.length !== POINTS[type] || points.some(p => !Number.isFinite(p.t) || !Number.isFinite(p.price))) {
+      return { ok: false, error: `${type} needs ${POINTS[type]} point(s) with time and price` };
+    }
+
+    const drawing = {
+      id: raw.id || makeId(),
+      type,
+      points,
+      color: /^#[0-9a-f]{6}$/i.test(raw.color || '') ? raw.color : DEFAULT_COLOR,
+      createdAt: Number(raw.createdAt) || Date.now()
+    };
+    if (type === 'text') {
+      const text = String(raw.text || '').trim().slice(0, TEXT_LIMIT);
+      if (!text) return { ok: false, error: 'Note text required' };
+      drawing.text = text;
+    }
+    if (raw.alertRuleId) drawing.alertRuleId = raw.alertRuleId;
+    return { ok: true, drawing };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // ALERT LINKS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function dropAlert(drawing) {
+    const ruleId = drawing.alertRuleId;
+    delete drawing.alertRuleId;
+    if (ruleId && window.Alerts) Alerts.removeRule(ruleId);
+  }
+
+  // Rules removed from the alerts console unlink their drawings
+  function pruneAlertLinks() {
+    if (!window.Alerts) return;
+    const live = new Set(Alerts.getRules().map(r => r.id));
+    let changed = false;
+    Object.values(state.charts).forEach(list => list.forEach(d => {
+      if (d.alertRuleId && !live.has(d.alertRuleId)) {
+        delete d.alertRuleId;
+        changed = true;
+      }
+    }));
+    if (changed) {
+      save();
+      emitChange('unlink');
+    }
+  }
+
+  if (window.PARALLAX_BUS) {
+    window.PARALLAX_BUS.on('alerts:change', (e) => {
+      if (e.reason === 'remove') pruneAlertLinks();
+    });
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PUBLIC API
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  window.Drawings = {
+    TYPES,
+    POINTS,
+    FIB_LEVELS,
+    ALERT_TIMEFRAMES,
+
+    list(ticker, timeframe) {
+      return chartList(ticker, timeframe).map(d => ({ ...d, points: d.points.map(p => ({ ...p })) }));
+    },
+
+    get(ticker, timeframe, id) {
+      return this.list(ticker, timeframe).find(d => d.id === id) || null;
+    },
+
+    /**
+     * Add a drawing; returns { ok, drawing } or { ok: false, error }
+     */
+    add(ticker, timeframe, raw) {
+      if (!ticker) return { ok: false, error: 'Ticker required' };
+      const res = normalizeDrawing({ ...raw, id: null, alertRuleId: null });
+      if (!res.ok) return res;
+      const key = chartKey(ticker, timeframe);
+      const list = state.charts[key] || [];
+      if (list.length >= MAX_PER_CHART) return { ok: false, error: `Limit of ${MAX_PER_CHART} drawings per chart reached` };
+      state.charts[key] = list.concat(res.drawing);
+      save();
+      emitChange('add', ticker, timeframe, res.drawing.id);
+      return res;
+    },
+
+    /**
+     * Move points / edit text / recolor; returns { ok, drawing } or { ok: false, error }
+     */
+    update(ticker, timeframe, id, patch) {
+      const list = chartList(ticker, timeframe);
+      const idx = list.findIndex(d => d.id === id);
+      if (idx < 0) return { ok: false, error: 'Drawing not found' };
+      const res = normalizeDrawing({ ...list[idx], ...patch, id, type: list[idx].type, alertRuleId: list[idx].alertRuleId });
+      if (!res.ok) return res;
+      // A moved level re-arms its alert at the new price. The old rule is
+      // removed only once the new one is armed; otherwise nothing changes.
+      // Recolors and text edits leave the armed rule alone.
+      const prev = list[idx];
+      const moved = res.drawing.points[0].price !== prev.points[0].price;
+      if (res.drawing.alertRuleId && res.drawing.type === 'hline' && moved) {
+        const oldRuleId = res.drawing.alertRuleId;
+        delete res.drawing.alertRuleId;
+        list[idx] = res.drawing;
+        const armed = this.armAlert(ticker, timeframe, id);
+        if (!armed.ok) {
+          list[idx] = prev;
+          return armed;
+        }
+        Alerts.removeRule(oldRuleId);
+        return { ...armed, drawing: list[idx] };
+      }
+      list[idx] = res.drawing;
+      save();
+      emitChange('update', ticker, timeframe, id);
+      return res;
+    },
+
+    remove(ticker, timeframe, id) {
+      const key = chartKey(ticker, timeframe);
+      const list = state.charts[key] || [];
+      const drawing = list.find(d => d.id === id);
+      if (!drawing) return false;
+      dropAlert(drawing);
+      state.charts[key] = list.filter(d => d.id !== id);
+      if (!state.charts[key].length) delete state.charts[key];
+      save();
+      emitChange('remove', ticker, timeframe, id);
+      return true;
+    },
+
+    clear(ticker, timeframe) {
+      const key = chartKey(ticker, timeframe);
+      (state.charts[key] || []).forEach(dropAlert);
+      delete state.charts[key];
+      save();
+      emitChange('clear', ticker, timeframe);
+    },
+
+    /**
+     * Arm a PRICE_CROSS alert on a horizontal level
+     * @returns {{ ok, rule? , error? }}
+     */
+    armAlert(ticker, timeframe, id) {
+      const drawing = chartList(ticker, timeframe).find(d => d.id === id);
+      if (!drawing) return { ok: false, error: 'Drawing not found' };
+      if (drawing.type !== 'hline') return { ok: false, error: 'Only horizontal levels can arm alerts' };
+      if (!window.Alerts) return { ok: false, error: 'Alerts not loaded' };
+      if (drawing.alertRuleId) return { ok: false, error: 'Level already armed' };
+      const res = Alerts.addRule({
+        ticker,
+        type: 'PRICE_CROSS',
+        timeframe: ALERT_TIMEFRAMES[timeframe] || 'daily',
+        direction: 'any',
+        level: drawing.points[0].price.toFixed(2)
+      });
+      if (!res.ok) return res;
+      drawing.alertRuleId = res.rule.id;
+      save();
+      emitChange('arm', ticker, timeframe, id);
+      return res;
+    },
+
+    disarmAlert(ticker, timeframe, id) {
+      const drawing = chartList(ticker, timeframe).find(d => d.id === id);
+      if (!drawing || !drawing.alertRuleId) return false;
+      dropAlert(drawing);
+      save();
+      emitChange('disarm', ticker, timeframe, id);
+      return true;
+    },
+
+    /**
+     * Fibonacci retracement prices from p1 (0%) to p2 (100%)
+     */
+    fibLevels(drawing) {
+      const [a, b] = drawing.points;
+      return FIB_LEVELS.map(r => ({ ratio: r, price: a.price + (b.price - a.price) * r }));
+    },
+
+    /**
+     * Every chart's drawings, for the pilot profile export
+     */
+    exportState() {
+      return JSON.parse(JSON.stringify({ version: VERSION, charts: state.charts }));
+    },
+
+    /**
+     * Replace or merge drawings from an export; returns { ok, count } or { ok: false, error }
+     */
+    importState(data, opts = {}) {
+      if (!data || typeof data.charts !== 'object') return { ok: false, error: 'No drawings in file' };
+      const charts = opts.merge ? { ...state.charts } : {};
+      let count = 0;
+      Object.entries(data.charts).forEach(([key, list]) => {
+        if (!Array.isArray(list) || !/^[A-Z0-9.^-]+\|\w+$/.test(key)) return;
+        const valid = list.map(normalizeDrawing).filter(r => r.ok).map(r => r.drawing);
+        const existing = new Set((charts[key] || []).map(d => d.id));
+        charts[key] = (charts[key] || []).concat(valid.filter(d => !existing.has(d.id))).slice(0, MAX_PER_CHART);
+        count += valid.length;
+      });
+      // Replaced drawings take their alerts with them, unless an imported
+      // drawing is still linked to the same rule
+      const replaced = opts.merge ? [] : Object.values(state.charts).flat();
+      state.charts = charts;
+      const linked = new Set(Object.values(charts).flat().map(d => d.alertRuleId).filter(Boolean));
+      replaced.filter(d => !linked.has(d.alertRuleId)).forEach(dropAlert);
+      save();
+      pruneAlertLinks();
+      emitChange('import');
+      return { ok: true, count };
+    },
+
+    /**
+     * Every drawing count keyed by 'TICKER|TF'
+     */
+    getSummary() {
+      const out = {};
+      Object.entries(state.charts).forEach(([key, list]) => { out[key] = list.length; });
+      return out;
+    }
+  };
+
+})();
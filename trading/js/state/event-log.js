@@ -0,0 +1,156 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * PARALLAX EVENT LOG
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Past, exactly dated events per ticker (earnings prints, launches, FAA
+ * rulings...) kept in localStorage as input for the event study. The demo
+ * catalyst list is forward-looking, so history has to be logged here.
+ *
+ * Event shape:
+ *   { id, ticker, date (ms, UTC midnight), label, kind: 'EARNINGS'|'LAUNCH'|'REGULATORY'|'OTHER' }
+ *
+ * Events:
+ *   - eventlog:change { reason, ticker, id }
+ *
+ * Usage:
+ *   EventLog.add({ ticker: 'RKLB', date: '2025-11-10', label: 'Q3 earnings', kind: 'EARNINGS' })
+ *   EventLog.list('RKLB')
+ *   EventLog.remove(id)
+ *
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+(function() {
+  'use strict';
+
+  const STORAGE_KEY = 'PARALLAX_EVENTS_V1';
+  const VERSION = 1;
+  const KINDS = ['EARNINGS', 'LAUNCH', 'REGULATORY', 'OTHER'];
+  const LABEL_LIMIT = 80;
+  const MAX_EVENTS = 500;
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // STATE MANAGEMENT
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function defaultState() {
+    return {
+      version: VERSION,
+      events: [],
+      lastUpdated: Date.now()
+    };
+  }
+
+  function load() {
+    try {
+      const raw = localStorage.getItem(STORAGE_KEY);
+      if (!raw) return defaultState();
+      const parsed = JSON.parse(raw);
+      if (!parsed || !Array.isArray(parsed.events)) return defaultState();
+      return { ...defaultState(), ...parsed };
+    } catch (e) {
+      console.warn('[EventLog] Failed to load state:', e);
+      return defaultState();
+    }
+  }
+
+  function save() {
+    try {
+      state.lastUpdated = Date.now();
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    } catch (e) {
+      console.warn('[EventLog] Failed to save state:', e);
+    }
+  }
+
+  function emitChange(reason, ticker, id) {
+    if (window.PARALLAX_BUS) {
+      window.PARALLAX_BUS.emit('eventlog:change', { reason, ticker, id });
+    }
+  }
+
+  let state = load();
+  let seq = 0;
+
+  function makeId() {
+    seq = (seq + 1) % 1000;
+    return 'evt_' + Date.now().toString(36) + seq.toString(36);
+  }
+
+  /**
+   * Normalize an event; returns { ok, event } or { ok: false, error }
+   */
+  function normalizeEvent(raw) {
+    if (!raw) return { ok: false, error: 'Empty event' };
+    const ticker = String(raw.ticker || '').trim().toUpperCase();
+    if (!ticker) return { ok: false, error: 'Ticker required' };
+
+    // Calendar dates only — 'YYYY-MM-DD' or a timestamp, stored as UTC midnight
+    const parsed = Number.isFinite(raw.date) ? raw.date : Date.parse(String(raw.date || ''));
+    if (!Number.isFinite(parsed)) return { ok: false, error: 'Valid date required (YYYY-MM-DD)' };
+    const d = new Date(parsed);
+    const date = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+    if (date > Date.now()) return { ok: false, error: 'Only past events can be studied' };
+
+    const label = String(raw.label || '').trim().slice(0, LABEL_LIMIT);
+    if (!label) return { ok: false, error: 'Label required' };
+    const kind = KINDS.includes(String(raw.kind || '').toUpperCase()) ? String(raw.kind).toUpperCase() : 'OTHER';
+
+    return { ok: true, event: { id: raw.id || makeId(), ticker, date, label, kind } };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PUBLIC API
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  window.EventLog = {
+    KINDS,
+
+    /**
+     * Events oldest → newest, optionally for one ticker
+     */
+    list(ticker) {
+      const t = ticker ? String(ticker).toUpperCase() : null;
+      return state.events
+        .filter(e => !t || e.ticker === t)
+        .slice()
+        .sort((a, b) => a.date - b.date)
+        .map(e => ({ ...e }));
+    },
+
+    /**
+     * @returns {{ ok: boolean, event?: Object, error?: string }}
+     */
+    add(raw) {
+      const res = normalizeEvent({ ...raw, id: null });
+      if (!res.ok) return res;
+      if (state.events.length >= MAX_EVENTS) return { ok: false, error: `Limit of ${MAX_EVENTS} events reached` };
+      const dupe = state.events.find(e => e.ticker === res.event.ticker && e.date === res.event.date && e.label === res.event.label);
+      if (dupe) return { ok: false, error: 'Event already logged' };
+      state.events.push(res.event);
+      save();
+      emitChange('add', res.event.ticker, res.event.id);
+      return res;
+    },
+
+    remove(id) {
+      const event = state.events.find(e => e.id === id);
+      if (!event) return false;
+      state.events = state.events.filter(e => e.id !== id);
+      save();
+      emitChange('remove', event.ticker, id);
+      return true;
+    },
+
+    clear(ticker) {
+      const t = ticker ? String(ticker).toUpperCase() : null;
+      const before = state.events.length;
+      state.events = state.events.filter(e => t && e.ticker !== t);
+      if (state.events.length === before) return;
+      save();
+      emitChange('clear', t);
+    }
+  };
+
+})();
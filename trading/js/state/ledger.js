@@ -0,0 +1,423 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * PARALLAX TRADE LEDGER
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Persistent record of buys, sells, splits and dividends. Open lots, average
+ * cost and realized P&L are always derived by replaying the ledger, never
+ * stored, so switching the lot method re-prices history consistently.
+ *
+ * Entry shape:
+ *   { id, type: 'BUY'|'SELL'|'SPLIT'|'DIVIDEND', ticker, date,
+ *     shares, price, fees,            // BUY / SELL
+ *     lots: [{ lotId, shares }],      // SELL under SPECIFIC (optional)
+ *     ratio,                          // SPLIT (new shares per old share)
+ *     amount }                        // DIVIDEND (total cash)
+ *
+ * Lot methods:
+ *   FIFO      oldest lots close first
+ *   LIFO      newest lots close first
+ *   SPECIFIC  sells close the lots they name, remainder FIFO
+ *
+ * Events:
+ *   - ledger:change   { reason, count, entry?, realized? }   (entry/realized on 'add')
+ *
+ * Usage:
+ *   Ledger.addEntry({ type: 'BUY', ticker: 'RKLB', shares: 10, price: 60, date })
+ *   Ledger.setMethod('LIFO')
+ *   Ledger.derive()        → { lots, realized, dividends, warnings }
+ *   Ledger.getPositions()  → [{ ticker, shares, entry_price, realized_pnl, dividends, lots }]
+ *
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+(function() {
+  'use strict';
+
+  const STORAGE_KEY = 'PARALLAX_LEDGER_V1';
+  const VERSION = 1;
+  const METHODS = ['FIFO', 'LIFO', 'SPECIFIC'];
+  const TYPES = ['BUY', 'SELL', 'SPLIT', 'DIVIDEND'];
+  const EPSILON = 1e-9;
+
+  // Same-day ordering: splits apply before trades, dividends after
+  const TYPE_ORDER = { SPLIT: 0, BUY: 1, SELL: 2, DIVIDEND: 3 };
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // STATE MANAGEMENT
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function defaultState() {
+    return {
+      version: VERSION,
+      method: 'FIFO',
+      entries: [],
+      source: null,
+      lastUpdated: Date.now()
+    };
+  }
+
+  function load() {
+    try {
+      const raw = localStorage.getItem(STORAGE_KEY);
+      if (!raw) return defaultState();
+      const parsed = JSON.parse(raw);
+      if (!parsed || !Array.isArray(parsed.entries)) return defaultState();
+      if (!METHODS.includes(parsed.method)) parsed.method = 'FIFO';
+      return parsed;
+    } catch (e) {
+      console.warn('[Ledger] Failed to load state:', e);
+      return defaultState();
+    }
+  }
+
+  function save() {
+    try {
+      state.lastUpdated = Date.now();
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    } catch (e) {
+      console.warn('[Ledger] Failed to save state:', e);
+    }
+  }
+
+  function emitChange(reason, extra) {
+    if (window.PARALLAX_BUS) {
+      window.PARALLAX_BUS.emit('ledger:change', { reason, count: state.entries.length, ...extra });
+    }
+  }
+
+  let state = load();
+  let seq = 0;
+
+  function makeId() {
+    seq = (seq + 1) % 1000;
+    return 'L' + Date.now().toString(36) + seq.toString(36);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // VALIDATION
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Normalize an entry; returns { ok, entry } or { ok: false, error }
+   */
+  function normalizeEntry(raw) {
+    if (!raw) return { ok: false, error: 'Empty entry' };
+
+    const type = String(raw.type || '').toUpperCase();
+    const ticker = String(raw.ticker || '').trim().toUpperCase();
+    const date = Number.isFinite(raw.date) ? raw.date : Date.parse(raw.date);
+
+    if (!TYPES.includes(type)) return { ok: false, error: `Unknown entry type: ${raw.type}` };
+    if (!ticker) return { ok: false, error: 'Ticker required' };
+    if (!Number.isFinite(date)) return { ok: false, error: 'Valid date required' };
+
+    const entry = { id: raw.id || makeId(), type, ticker, date };
+
+    if (type === 'BUY' || type === 'SELL') {
+      const shares = Number(raw.shares);
+      const price = Number(raw.price);
+      if (!Number.isFinite(shares) || shares <= 0) return { ok: false, error: 'Shares must be positive' };
+      if (!Number.isFinite(price) || price <= 0) return { ok: false, error: 'Price must be positive' };
+      entry.shares = shares;
+      entry.price = price;
+      entry.fees = Math.abs(Number(raw.fees)) || 0;
+      if (type === 'SELL' && Array.isArray(raw.lots) && raw.lots.length) {
+        entry.lots = raw.lots
+          .map(l => ({ lotId: l.lotId, shares: Number(l.shares) }))
+          .filter(l => l.lotId && l.shares > 0);
+      }
+    } else if (type === 'SPLIT') {
+      const ratio = Number(raw.ratio);
+      if (!Number.isFinite(ratio) || ratio <= 0) return { ok: false, error: 'Split ratio must be positive' };
+      entry.ratio = ratio;
+    } else {
+      const amount = Number(raw.amount);
+      if (!Number.isFinite(amount)) return { ok: false, error: 'Dividend amount required' };
+      entry.amount = amount;
+    }
+
+    return { ok: true, entry };
+  }
+
+  function sortEntries(entries) {
+    return entries.slice().sort((a, b) =>
+      (a.date - b.date) || (TYPE_ORDER[a.type] - TYPE_ORDER[b.type])
+    );
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // LOT ACCOUNTING
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Pick the order lots close in for a sell
+   */
+  function orderLots(lots, method, sell) {
+    const open = lots.filter(l => l.shares > EPSILON);
+    const ordered = method === 'LIFO' ? open.slice().reverse() : open.slice();
+
+    if (method !== 'SPECIFIC' || !sell.lots) return ordered.map(lot => ({ lot, max: Infinity }));
+
+    // Named lots first (capped at the requested size), then FIFO for the rest
+    const named = sell.lots
+      .map(sel => ({ lot: open.find(l => l.id === sel.lotId), max: sel.shares }))
+      .filter(x => x.lot);
+    return named.concat(ordered.map(lot => ({ lot, max: Infinity })));
+  }
+
+  /**
+   * Replay the ledger into open lots and realized closes
+   * @param {string} [method] - Defaults to the saved method
+   * @param {number} [until] - Only replay entries dated on or before this (ms)
+   * @returns {{ method, lots: Object, realized: Object[], dividends: Object, warnings: string[] }}
+   */
+  function derive(method, until) {
+    const m = METHODS.includes(method) ? method : state.method;
+    const lots = {};
+    const realized = [];
+    const dividends = {};
+    const warnings = [];
+    const entries = Number.isFinite(until) ? state.entries.filter(e => e.date <= until) : state.entries;
+
+    sortEntries(entries).forEach(e => {
+      const book = lots[e.ticker] || (lots[e.ticker] = []);
+
+      if (e.type === 'BUY') {
+        book.push({
+          id: e.id,
+          ticker: e.ticker,
+          date: e.date,
+          shares: e.shares,
+          origShares: e.shares,
+          costPerShare: (e.shares * e.price + e.fees) / e.shares
+        });
+        return;
+      }
+
+      if (e.type === 'SPLIT') {
+        book.forEach(lot => {
+          lot.shares *= e.ratio;
+          lot.origShares *= e.ratio;
+          lot.costPerShare /= e.ratio;
+        });
+        return;
+      }
+
+      if (e.type === 'DIVIDEND') {
+        dividends[e.ticker] = (dividends[e.ticker] || 0) + e.amount;
+        return;
+      }
+
+      // SELL
+      let remaining = e.shares;
+      const netPerShare = (e.shares * e.price - e.fees) / e.shares;
+
+      orderLots(book, m, e).forEach(({ lot, max }) => {
+        if (remaining <= EPSILON || lot.shares <= EPSILON) return;
+        const qty = Math.min(remaining, lot.shares, max);
+        if (qty <= EPSILON) return;
+
+        lot.shares -= qty;
+        remaining -= qty;
+        realized.push({
+          sellId: e.id,
+          lotId: lot.id,
+          ticker: e.ticker,
+          date: e.date,
+          openDate: lot.date,
+          shares: qty,
+          proceeds: qty * netPerShare,
+          cost: qty * lot.costPerShare,
+          pnl: qty * (netPerShare - lot.costPerShare),
+          holdingDays: Math.floor((e.date - lot.date) / 86400000)
+        });
+      });
+
+      if (remaining > EPSILON) {
+        warnings.push(`${e.ticker}: sold ${+remaining.toFixed(4)} more shares than held on ${new Date(e.date).toLocaleDateString()}`);
+      }
+    });
+
+    Object.keys(lots).forEach(t => {
+      lots[t] = lots[t].filter(l => l.shares > EPSILON);
+    });
+
+    return { method: m, lots, realized, dividends, warnings };
+  }
+
+  /**
+   * Summarize the derived book per ticker (open and fully closed tickers)
+   */
+  function summarize(book) {
+    const tickers = new Set(Object.keys(book.lots).concat(Object.keys(book.dividends)));
+    book.realized.forEach(r => tickers.add(r.ticker));
+
+    return Array.from(tickers).map(ticker => {
+      const open = book.lots[ticker] || [];
+      const shares = open.reduce((s, l) => s + l.shares, 0);
+      const cost = open.reduce((s, l) => s + l.shares * l.costPerShare, 0);
+      const realizedPnl = book.realized.filter(r => r.ticker === ticker).reduce((s, r) => s + r.pnl, 0);
+      return {
+        ticker,
+        shares,
+        cost_basis: cost,
+        entry_price: shares > EPSILON ? cost / shares : 0,
+        realized_pnl: realizedPnl,
+        dividends: book.dividends[ticker] || 0,
+        lots: open
+      };
+    });
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PUBLIC API
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  window.Ledger = {
+    METHODS,
+    TYPES,
+
+    hasEntries() {
+      return state.entries.length > 0;
+    },
+
+    /**
+     * Entries sorted oldest → newest
+     */
+    getEntries() {
+      return sortEntries(state.entries);
+    },
+
+    getMethod() {
+      return state.method;
+    },
+
+    getSource() {
+      return state.source;
+    },
+
+    /**
+     * @param {'FIFO'|'LIFO'|'SPECIFIC'} method
+     */
+    setMethod(method) {
+      const m = String(method || '').toUpperCase();
+      if (!METHODS.includes(m) || m === state.method) return;
+      state.method = m;
+      save();
+      emitChange('method');
+    },
+
+    /**
+     * Record a single entry
+     * @returns {{ ok: boolean, entry?: Object, realized?: Object[], error?: string }}
+     */
+    addEntry(raw) {
+      const res = normalizeEntry(raw);
+      if (!res.ok) return res;
+
+      if (res.entry.type === 'SELL') {
+        // Holdings as of the sell date, not the end of the ledger
+        const held = (derive(null, res.entry.date).lots[res.entry.ticker] || [])
+          .reduce((s, l) => s + l.shares, 0);
+        if (res.entry.shares > held + EPSILON) {
+          return { ok: false, error: `Only ${+held.toFixed(4)} ${res.entry.ticker} shares held` };
+        }
+
+        // A backdated sell must not leave a later sell short
+        const oversells = derive().warnings.length;
+        state.entries.push(res.entry);
+        if (derive().warnings.length > oversells) {
+          state.entries.pop();
+          return { ok: false, error: `Selling these ${res.entry.ticker} shares would oversell a later sale` };
+        }
+      } else {
+        state.entries.push(res.entry);
+      }
+
+      save();
+
+      const realized = res.entry.type === 'SELL'
+        ? derive().realized.filter(r => r.sellId === res.entry.id)
+        : [];
+      emitChange('add', { entry: res.entry, realized });
+      return { ok: true, entry: res.entry, realized };
+    },
+
+    removeEntry(id) {
+      const before = state.entries.length;
+      state.entries = state.entries.filter(e => e.id !== id);
+      if (state.entries.length === before) return false;
+      save();
+      emitChange('remove');
+      return true;
+    },
+
+    /**
+     * Replace the whole ledger (e.g. from a broker transaction export)
+     * @returns {{ ok: boolean, count?: number, skipped?: number, error?: string }}
+     */
+    replaceAll(entries, meta = {}) {
+      const clean = [];
+      let skipped = 0;
+      (entries || []).forEach(raw => {
+        const res = normalizeEntry(raw);
+        if (res.ok) clean.push(res.entry);
+        else skipped++;
+      });
+      if (!clean.length) return { ok: false, error: 'No valid ledger entries' };
+
+      state.entries = clean;
+      state.source = meta.source || null;
+      save();
+      emitChange('replace');
+      return { ok: true, count: clean.length, skipped };
+    },
+
+    clear() {
+      if (!state.entries.length) return;
+      state = { ...defaultState(), method: state.method };
+      save();
+      emitChange('clear');
+    },
+
+    derive,
+
+    /**
+     * Open positions with average cost under the current method
+     * @returns {Object[]} [{ ticker, shares, entry_price, cost_basis, realized_pnl, dividends, lots }]
+     */
+    getPositions() {
+      return summarize(derive()).filter(p => p.shares > EPSILON);
+    },
+
+    /**
+     * Every ticker ever traded, including fully closed ones
+     */
+    getSummary(method) {
+      return summarize(derive(method));
+    },
+
+    /**
+     * Open lots for one ticker (for specific-ID selection)
+     */
+    getLots(ticker) {
+      return derive().lots[(ticker || '').toUpperCase()] || [];
+    },
+
+    /**
+     * Totals across the book
+     * @returns {{ realized: number, dividends: number, openCost: number }}
+     */
+    getTotals(method) {
+      const book = derive(method);
+      return {
+        realized: book.realized.reduce((s, r) => s + r.pnl, 0),
+        dividends: Object.values(book.dividends).reduce((s, d) => s + d, 0),
+        openCost: Object.values(book.lots).flat().reduce((s, l) => s + l.shares * l.costPerShare, 0)
+      };
+    }
+  };
+
+  console.log('[PARALLAX] Ledger initialized');
+})();
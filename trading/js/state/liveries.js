@@ -23,6 +23,11 @@ window.LiverySystem = (function() {
   const STORAGE_KEY = 'space_capital_liveries';
   const ASSIGNMENTS_KEY = 'space_capital_livery_assignments';
 
+  if (window.PilotProfile) {
+    PilotProfile.registerSection(STORAGE_KEY, 'Liveries');
+    PilotProfile.registerSection(ASSIGNMENTS_KEY, 'Livery assignments');
+  }
+
   // ═══════════════════════════════════════════════════════════════════════════
   // DEFAULT APPLICATION MAPS (Per Class)
   // ═══════════════════════════════════════════════════════════════════════════
@@ -0,0 +1,129 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * PILOT PROFILE — Export / import of everything a pilot has saved
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Bundles the localStorage keys owned by the state modules (progression,
+ * liveries, ledger, alerts, chart drawings, missions, app settings) into a
+ * single JSON file, and restores them on another browser. Modules keep their
+ * state in memory, so an import is followed by a page reload. Modules loaded
+ * after this one add their own keys with registerSection (liveries.js).
+ *
+ * File shape:
+ *   { format: 'parallax-pilot-profile', version, exportedAt, sections: { key: rawString } }
+ *
+ * Usage:
+ *   PilotProfile.exportProfile()          → profile object
+ *   PilotProfile.download()               → saves pilot-profile-YYYY-MM-DD.json
+ *   PilotProfile.importProfile(obj)       → { ok, restored[] } or { ok: false, error }
+ *   PilotProfile.registerSection(key, label)
+ *
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+(function() {
+  'use strict';
+
+  const FORMAT = 'parallax-pilot-profile';
+  const VERSION = 1;
+
+  const sections = [
+    { key: 'space_capital_state_v1', label: 'Settings & indicators' },
+    { key: 'space_capital_perf_mode', label: 'Performance mode' },
+    { key: 'PARALLAX_PROGRESS_V1', label: 'Ship progression' },
+    { key: 'space_capital_selected_ship', label: 'Selected ship' },
+    { key: 'PARALLAX_LEDGER_V1', label: 'Trade ledger' },
+    { key: 'PARALLAX_ALERTS_V1', label: 'Alerts' },
+    { key: 'PARALLAX_DRAWINGS_V1', label: 'Chart drawings' },
+    { key: 'PARALLAX_MISSIONS_V1', label: 'Missions' },
+    { key: 'PARALLAX_EVENTS_V1', label: 'Event log' },
+    { key: 'PARALLAX_CAMPAIGNS_V1', label: 'Campaigns' },
+    { key: 'space_run_stats', label: 'Arcade stats' }
+  ];
+
+  function read(key) {
+    try {
+      return localStorage.getItem(key);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  window.PilotProfile = {
+    FORMAT,
+
+    /**
+     * Add a localStorage key to the profile (for modules loaded later)
+     */
+    registerSection(key, label) {
+      if (!key || sections.some(s => s.key === key)) return;
+      sections.push({ key, label: label || key });
+    },
+
+    /**
+     * Sections with their current size, for the profile panel
+     */
+    getSections() {
+      return sections.map(s => {
+        const raw = read(s.key);
+        return { ...s, present: raw !== null, bytes: raw ? raw.length : 0 };
+      });
+    },
+
+    exportProfile() {
+      const out = { format: FORMAT, version: VERSION, exportedAt: new Date().toISOString(), sections: {} };
+      sections.forEach(s => {
+        const raw = read(s.key);
+        if (raw !== null) out.sections[s.key] = raw;
+      });
+      return out;
+    },
+
+    download() {
+      const profile = this.exportProfile();
+      const blob = new Blob([JSON.stringify(profile, null, 2)], { type: 'application/json' });
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = `pilot-profile-${profile.exportedAt.slice(0, 10)}.json`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+      return profile;
+    },
+
+    /**
+     * Restore sections from an exported profile. Only known keys are written;
+     * sections missing from the file are left untouched.
+     * @param {Object|string} data - parsed profile or its JSON text
+     */
+    importProfile(data) {
+      let profile = data;
+      if (typeof data === 'string') {
+        try {
+          profile = JSON.parse(data);
+        } catch (e) {
+          return { ok: false, error: 'Not a JSON file' };
+        }
+      }
+      if (!profile || profile.format !== FORMAT || typeof profile.sections !== 'object') {
+        return { ok: false, error: 'Not a pilot profile export' };
+      }
+      if (profile.version > VERSION) return { ok: false, error: `Profile version ${profile.version} is newer than this app` };
+
+      const restored = [];
+      try {
+        sections.forEach(s => {
+          const raw = profile.sections[s.key];
+          if (typeof raw !== 'string') return;
+          localStorage.setItem(s.key, raw);
+          restored.push(s.label);
+        });
+      } catch (e) {
+        return { ok: false, error: 'Could not write to storage: ' + e.message };
+      }
+      if (!restored.length) return { ok: false, error: 'Profile has no sections this app knows' };
+      if (window.PARALLAX_BUS) window.PARALLAX_BUS.emit('profile:imported', { restored });
+      return { ok: true, restored };
+    }
+  };
+
+})();
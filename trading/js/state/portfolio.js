@@ -0,0 +1,197 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * PARALLAX PORTFOLIO SOURCE
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Single source of stock positions for every fleet view.
+ * Priority: trade ledger (js/state/ledger.js) → imported snapshot persisted
+ * through Store ('portfolio' key) → fallback registered by app.js (demo fleet).
+ *
+ * Position shape:
+ *   { ticker, shares, entry_price, current_price, realized_pnl?, dividends? }
+ *
+ * Events:
+ *   - portfolio:change   { source, count }
+ *
+ * Usage:
+ *   Portfolio.getPositions()                       → active positions
+ *   Portfolio.importPositions(list, { source })    → { ok, count, skipped } | { ok:false, error }
+ *   Portfolio.clear()                              → drop the import (ledger stays)
+ *   Portfolio.getMeta()                            → { source, importedAt, lastEntryAt, count, isDemo }
+ *
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+(function() {
+  'use strict';
+
+  const STORE_KEY = 'portfolio';
+
+  let fallback = [];
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // HELPERS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function getSaved() {
+    const saved = window.Store ? Store.get(STORE_KEY) : null;
+    if (!saved || !Array.isArray(saved.positions) || !saved.positions.length) return null;
+    return saved;
+  }
+
+  /**
+   * Validate + normalize a position row
+   * @returns {Object|null}
+   */
+  function normalize(pos) {
+    if (!pos) return null;
+    const ticker = String(pos.ticker || '').trim().toUpperCase();
+    const shares = Number(pos.shares);
+    const entry = Number(pos.entry_price);
+    const current = Number(pos.current_price);
+    if (!ticker || !Number.isFinite(shares) || shares <= 0 || !Number.isFinite(entry) || entry <= 0) {
+      return null;
+    }
+    return {
+      ticker,
+      shares,
+      entry_price: entry,
+      current_price: Number.isFinite(current) && current > 0 ? current : null
+    };
+  }
+
+  function hasLedger() {
+    return !!(window.Ledger && Ledger.hasEntries());
+  }
+
+  function emitChange(source, count) {
+    if (window.PARALLAX_BUS) {
+      window.PARALLAX_BUS.emit('portfolio:change', { source, count });
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PUBLIC API
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  window.Portfolio = {
+    /**
+     * Register positions used when nothing has been imported
+     * @param {Object[]} positions
+     */
+    setFallback(positions) {
+      fallback = Array.isArray(positions) ? positions : [];
+    },
+
+    /**
+     * Active positions (imported if present, otherwise fallback)
+     * @returns {Object[]}
+     */
+    getPositions() {
+      if (hasLedger()) {
+        return Ledger.getPositions().map(p => ({
+          ticker: p.ticker,
+          shares: p.shares,
+          entry_price: p.entry_price,
+          current_price: null,
+          realized_pnl: p.realized_pnl,
+          dividends: p.dividends
+        }));
+      }
+      const saved = getSaved();
+      return saved ? saved.positions : fallback;
+    },
+
+    /**
+     * @param {string} ticker
+     * @returns {Object|null}
+     */
+    getPosition(ticker) {
+      const t = (ticker || '').toUpperCase();
+      return this.getPositions().find(p => p.ticker === t) || null;
+    },
+
+    /**
+     * True when positions come from a user import or ledger rather than the demo fleet
+     */
+    hasImport() {
+      return hasLedger() || !!getSaved();
+    },
+
+    /**
+     * Describe the current source
+     */
+    getMeta() {
+      if (hasLedger()) {
+        return {
+          source: 'LEDGER · ' + Ledger.getMethod() + (Ledger.getSource() ? ' · ' + Ledger.getSource() : ''),
+          importedAt: null,
+          lastEntryAt: Ledger.getEntries().slice(-1)[0]?.date ?? null,
+          count: Ledger.getPositions().length,
+          isDemo: false
+        };
+      }
+      const saved = getSaved();
+      if (!saved) {
+        return { source: 'DEMO', importedAt: null, count: fallback.length, isDemo: true };
+      }
+      return {
+        source: saved.source || 'CSV',
+        importedAt: saved.importedAt || null,
+        count: saved.positions.length,
+        isDemo: false
+      };
+    },
+
+    /**
+     * Replace the active book with imported positions
+     * @param {Object[]} positions
+     * @param {Object} [meta] - { source }
+     * @returns {{ ok: boolean, count?: number, error?: string }}
+     */
+    importPositions(positions, meta = {}) {
+      const clean = (positions || []).map(normalize).filter(Boolean);
+      if (!clean.length) {
+        return { ok: false, error: 'No valid positions to import' };
+      }
+      if (!window.Store) {
+        return { ok: false, error: 'Store unavailable' };
+      }
+
+      const source = meta.source || 'CSV';
+      Store.set({
+        [STORE_KEY]: {
+          positions: clean,
+          source,
+          importedAt: Date.now()
+        }
+      });
+
+      console.log(`[Portfolio] Imported ${clean.length} positions from ${source}`);
+      emitChange(source, clean.length);
+      return { ok: true, count: clean.length, skipped: positions.length - clean.length };
+    },
+
+    /**
+     * Drop the imported snapshot. The trade ledger is left alone (clear it
+     * from the ledger panel), so the book falls back to it if it has entries.
+     */
+    clear() {
+      if (!window.Store || !getSaved()) return;
+      Store.set({ [STORE_KEY]: null });
+      const meta = this.getMeta();
+      console.log(`[Portfolio] Cleared import, using ${meta.isDemo ? 'demo fleet' : 'ledger'}`);
+      emitChange(meta.isDemo ? 'DEMO' : 'LEDGER', meta.count);
+    }
+  };
+
+  // Ledger edits change the active book
+  if (window.PARALLAX_BUS) {
+    window.PARALLAX_BUS.on('ledger:change', (e) => {
+      const meta = window.Portfolio.getMeta();
+      emitChange(e.reason === 'clear' ? meta.source : 'LEDGER', meta.count);
+    });
+  }
+
+  console.log('[PARALLAX] Portfolio source initialized');
+})();
@@ -9,6 +9,7 @@
  * - Skip links for keyboard navigation
  * - Focus trap for modals
  * - Data freshness indicator
+ * - Data health indicator (DataSchema report)
  * 
  * ═══════════════════════════════════════════════════════════════════════════
  */
@@ -220,6 +221,50 @@ window.ParallaxA11y = (function() {
     } catch (e) {
       // Silently fail
     }
+    updateDataHealth();
+  }
+  
+  // ═══════════════════════════════════════════════════════════════════════════
+  // DATA HEALTH INDICATOR
+  // ═══════════════════════════════════════════════════════════════════════════
+  
+  /**
+   * Status-strip badge summarising DataSchema results, kept right after the
+   * freshness stamp. Click opens the data health panel.
+   */
+  function updateDataHealth() {
+    if (typeof DataSchema === 'undefined') return;
+    const strip = document.querySelector('.status-strip');
+    if (!strip) return;
+    
+    let indicator = document.getElementById('data-health');
+    if (!indicator) {
+      indicator = document.createElement('button');
+      indicator.id = 'data-health';
+      indicator.type = 'button';
+      indicator.className = 'status-item';
+      indicator.innerHTML = '<span class="value"></span>';
+      indicator.addEventListener('click', () => {
+        if (window.DataHealthPanel) DataHealthPanel.open();
+      });
+    }
+    
+    const freshness = document.getElementById('data-freshness');
+    if (freshness && indicator.previousElementSibling !== freshness) {
+      freshness.after(indicator);
+    } else if (!indicator.parentNode) {
+      strip.insertBefore(indicator, strip.querySelector('.status-item:nth-child(4)'));
+    }
+    
+    const totals = DataSchema.getTotals();
+    const state = totals.failing ? 'fail' : totals.warnings ? 'warn' : 'ok';
+    const value = indicator.querySelector('.value');
+    value.textContent = totals.failing ? `✖ DATA ${totals.failing} BAD` : totals.warnings ? `⚠ DATA ${totals.warnings}` : '⛨ DATA OK';
+    indicator.dataset.state = state;
+    indicator.title = totals.sources
+      ? `${totals.sources} data file(s) checked · ${totals.errors} error(s) · ${totals.warnings} warning(s) — click for details`
+      : 'No data files checked yet';
+    indicator.setAttribute('aria-label', `Data health: ${indicator.title}`);
   }
   
   // ═══════════════════════════════════════════════════════════════════════════
@@ -451,8 +496,9 @@ window.ParallaxA11y = (function() {
     updateMarketStatus();
     marketStatusInterval = setInterval(updateMarketStatus, 60000); // Update every minute
     
-    // Update data freshness
+    // Update data freshness + health (health re-renders on every file checked)
     updateDataFreshness();
+    if (window.PARALLAX_BUS) PARALLAX_BUS.on('data:health', updateDataHealth);
     
     // Set up reduced motion
     setupReducedMotion();
@@ -479,6 +525,7 @@ window.ParallaxA11y = (function() {
     hideShortcuts,
     updateMarketStatus,
     updateDataFreshness,
+    updateDataHealth,
     getMarketStatus,
     SHORTCUTS
   };
@@ -0,0 +1,271 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * ALERTS PANEL
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Early-warning console: define alert rules, toggle or remove them, read
+ * the triggered-alerts inbox and opt in to browser notifications.
+ *
+ * Usage:
+ *   AlertsPanel.open()
+ *   AlertsPanel.close()
+ *
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+window.AlertsPanel = (function() {
+  'use strict';
+
+  let overlay = null;
+  let unsubscribe = null;
+
+  const TYPE_LABELS = {
+    PRICE_CROSS: 'Price crosses level',
+    PCT_MOVE: '% move',
+    MACD_CROSS: 'MACD cross',
+    MA_CROSS: 'Close vs G-line',
+    VOLUME_SPIKE: 'Volume > MA multiple'
+  };
+
+  const TIMEFRAME_LABELS = { daily: 'Daily', intraday: '45M', intraday15: '15M' };
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // HELPERS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  const esc = PARALLAX_UTILS.escapeHtml;
+
+  function fmtTime(ts) {
+    return new Date(ts).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+  }
+
+  function $(sel) {
+    return overlay ? overlay.querySelector(sel) : null;
+  }
+
+  function notificationsSupported() {
+    return typeof window.Notification === 'function';
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // DOM
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function createOverlay() {
+    const el = document.createElement('div');
+    el.id = 'alerts-overlay';
+    el.className = 'console-dialog-overlay';
+    el.setAttribute('role', 'dialog');
+    el.setAttribute('aria-modal', 'true');
+    el.setAttribute('aria-label', 'Alerts');
+
+    el.innerHTML = `
+      <div class="console-dialog-backdrop" data-action="close"></div>
+      <div class="console-dialog-panel wide">
+        <div class="console-dialog-header">
+          <h2 class="console-dialog-title">⚑ EARLY WARNING</h2>
+          <button class="console-dialog-close" data-action="close" aria-label="Close">×</button>
+        </div>
+        <div class="console-dialog-body">
+          <form class="ledger-form" id="alerts-form" autocomplete="off">
+            <input name="ticker" placeholder="TICKER" maxlength="10" required>
+            <select name="type">
+              ${Alerts.TYPES.map(t => `<option value="${t}">${TYPE_LABELS[t]}</option>`).join('')}
+            </select>
+            <select name="timeframe">
+              ${Alerts.TIMEFRAMES.map(t => `<option value="${t}">${TIMEFRAME_LABELS[t]}</option>`).join('')}
+            </select>
+            <select name="direction" data-for="PRICE_CROSS PCT_MOVE MACD_CROSS MA_CROSS">
+              <option value="any">Either way</option>
+              <option value="up">Up / bullish</option>
+              <option value="down">Down / bearish</option>
+            </select>
+            <input name="level" type="number" step="any" min="0" placeholder="Price level" data-for="PRICE_CROSS">
+            <input name="pct" type="number" step="any" min="0" placeholder="Move %" data-for="PCT_MOVE">
+            <select name="ma" data-for="MA_CROSS">
+              ${Alerts.MAS.map(m => `<option value="${m}"${m === 'g200' ? ' selected' : ''}>${m.toUpperCase()}</option>`).join('')}
+            </select>
+            <input name="multiple" type="number" step="any" min="1" placeholder="× Volume MA" data-for="VOLUME_SPIKE">
+            <button type="submit" class="console-btn primary">ARM ALERT</button>
+          </form>
+          <div class="pi-status" id="alerts-status"></div>
+
+          <div class="ledger-section">
+            <div class="ledger-section-title">ARMED RULES</div>
+            <div id="alerts-rules"></div>
+          </div>
+          <div class="ledger-section">
+            <div class="ledger-section-title">INBOX</div>
+            <div id="alerts-inbox"></div>
+          </div>
+        </div>
+        <div class="console-dialog-footer">
+          <label class="ledger-method">
+            <input type="checkbox" id="alerts-notify"> Browser notifications
+          </label>
+          <button class="console-btn" data-action="read">MARK ALL READ</button>
+          <button class="console-btn" data-action="clear">CLEAR INBOX</button>
+        </div>
+      </div>
+    `;
+
+    el.addEventListener('click', (e) => {
+      const target = e.target.closest('[data-action]');
+      if (!target) return;
+      const action = target.dataset.action;
+      if (action === 'close') close();
+      if (action === 'read') Alerts.markRead();
+      if (action === 'clear' && confirm('Clear every triggered alert?')) Alerts.clearInbox();
+      if (action === 'remove') Alerts.removeRule(target.dataset.id);
+      if (action === 'open-alert') Alerts.markRead(target.dataset.id);
+    });
+
+    el.addEventListener('change', (e) => {
+      if (e.target.matches('[data-toggle]')) Alerts.setEnabled(e.target.dataset.toggle, e.target.checked);
+    });
+
+    el.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') close();
+    });
+
+    const form = el.querySelector('#alerts-form');
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      submitRule(form);
+    });
+    form.type.addEventListener('change', () => syncFormFields(form));
+
+    el.querySelector('#alerts-notify').addEventListener('change', (e) => setNotify(e.target.checked));
+
+    document.body.appendChild(el);
+    syncFormFields(form);
+    return el;
+  }
+
+  function syncFormFields(form) {
+    const type = form.type.value;
+    form.querySelectorAll('[data-for]').forEach(input => {
+      input.hidden = !input.dataset.for.split(' ').includes(type);
+    });
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // ACTIONS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function setStatus(msg, tone) {
+    const el = $('#alerts-status');
+    if (!el) return;
+    el.textContent = msg || '';
+    el.className = 'pi-status' + (tone ? ' ' + tone : '');
+  }
+
+  function submitRule(form) {
+    const res = Alerts.addRule({
+      ticker: form.ticker.value,
+      type: form.type.value,
+      timeframe: form.timeframe.value,
+      direction: form.direction.value,
+      level: form.level.value,
+      pct: form.pct.value,
+      ma: form.ma.value,
+      multiple: form.multiple.value
+    });
+    if (!res.ok) {
+      setStatus(res.error, 'error');
+      return;
+    }
+    setStatus(`Armed ${res.rule.ticker} · ${Alerts.describeRule(res.rule)}`, 'ok');
+    form.level.value = '';
+    form.pct.value = '';
+    form.multiple.value = '';
+  }
+
+  async function setNotify(enabled) {
+    if (!enabled) {
+      Alerts.setNotify(false);
+      return;
+    }
+    if (!notificationsSupported()) {
+      setStatus('This browser does not support notifications', 'error');
+      $('#alerts-notify').checked = false;
+      return;
+    }
+    const permission = Notification.permission === 'default'
+      ? await Notification.requestPermission()
+      : Notification.permission;
+    if (permission !== 'granted') {
+      setStatus('Notifications blocked — allow them in browser settings', 'error');
+      $('#alerts-notify').checked = false;
+      Alerts.setNotify(false);
+      return;
+    }
+    Alerts.setNotify(true);
+    setStatus('Browser notifications on', 'ok');
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // RENDERING
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function render() {
+    if (!overlay) return;
+
+    $('#alerts-notify').checked = Alerts.getNotify() && notificationsSupported() && Notification.permission === 'granted';
+
+    const rules = Alerts.getRules().sort((a, b) => a.ticker.localeCompare(b.ticker) || a.createdAt - b.createdAt);
+    $('#alerts-rules').innerHTML = rules.length ? `
+      <table class="data-table">
+        <thead><tr><th>On</th><th>Ticker</th><th>Rule</th><th>Armed</th><th></th></tr></thead>
+        <tbody>${rules.map(r => `
+          <tr><td><input type="checkbox" data-toggle="${esc(r.id)}" ${r.enabled ? 'checked' : ''} aria-label="Enable rule"></td>
+          <td>${esc(r.ticker)}</td><td>${esc(Alerts.describeRule(r))}</td><td>${fmtTime(r.createdAt)}</td>
+          <td><button class="ledger-remove" data-action="remove" data-id="${esc(r.id)}" aria-label="Remove rule">×</button></td></tr>
+        `).join('')}</tbody>
+      </table>` : '<div class="ledger-empty">No rules armed — add one above</div>';
+
+    const inbox = Alerts.getInbox();
+    $('#alerts-inbox').innerHTML = inbox.length ? `
+      <table class="data-table">
+        <thead><tr><th>Fired</th><th>Alert</th><th>Detail</th><th>Bar</th></tr></thead>
+        <tbody>${inbox.map(a => `
+          <tr class="alert-row${a.read ? '' : ' unread'}" data-action="open-alert" data-id="${esc(a.id)}">
+          <td>${fmtTime(a.firedAt)}</td><td>${esc(a.title)}</td>
+          <td class="${a.direction === 'down' ? 'pnl-negative' : 'pnl-positive'}">${esc(a.detail)}</td>
+          <td>${fmtTime(a.barTime)}</td></tr>
+        `).join('')}</tbody>
+      </table>` : '<div class="ledger-empty">Inbox empty — alerts appear here when a rule fires</div>';
+  }
+
+  function open() {
+    if (!window.Alerts) {
+      console.warn('[AlertsPanel] Alerts not loaded');
+      return;
+    }
+    if (!overlay) overlay = createOverlay();
+    if (!unsubscribe && window.PARALLAX_BUS) {
+      unsubscribe = PARALLAX_BUS.on('alerts:change', render);
+    }
+    render();
+    overlay.classList.add('visible');
+    setTimeout(() => $('#alerts-form input[name="ticker"]')?.focus(), 50);
+  }
+
+  function close() {
+    if (overlay) overlay.classList.remove('visible');
+    if (unsubscribe) {
+      unsubscribe();
+      unsubscribe = null;
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PUBLIC API
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  return {
+    open,
+    close
+  };
+
+})();
@@ -0,0 +1,323 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * ATTRIBUTION PANEL — Performance report vs the XAR benchmark
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Console dialog over Attribution.compute(): TWR / MWR for the chosen
+ * period, alpha and beta against XAR, a growth chart of the book vs the
+ * benchmark, and contribution-to-return by position and by theme.
+ * EXPORT CSV downloads the same report.
+ *
+ * Uses the ledger when it has entries, otherwise today's fleet positions
+ * held through the period.
+ *
+ * Dependencies:
+ *   - js/data/attribution.js (Attribution)
+ *   - js/state/ledger.js (Ledger, optional)
+ *   - Chart.js (loaded lazily by app.js ChartLoader)
+ *
+ * Usage:
+ *   AttributionPanel.init({ themes, colors, getPositions, loadSeries })
+ *   AttributionPanel.open()
+ *
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+window.AttributionPanel = (function() {
+  'use strict';
+
+  const FONT = "'IBM Plex Mono', monospace";
+
+  let opts = null;
+  let overlay = null;
+  let chart = null;
+  let period = '3M';
+  let input = null;     // { entries, positions, seriesMap, themes }
+  let report = null;
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // HELPERS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  const esc = PARALLAX_UTILS.escapeHtml;
+
+  function $(sel) {
+    return overlay ? overlay.querySelector(sel) : null;
+  }
+
+  function fmtPct(v) {
+    if (v === null || !Number.isFinite(v)) return '—';
+    return (v >= 0 ? '+' : '') + (v * 100).toFixed(1) + '%';
+  }
+
+  function fmtUsd(v) {
+    if (!Number.isFinite(v)) return '—';
+    return (v < 0 ? '-$' : '$') + Math.round(Math.abs(v)).toLocaleString();
+  }
+
+  function tone(v) {
+    if (v === null || !Number.isFinite(v)) return '';
+    return v >= 0 ? 'positive' : 'negative';
+  }
+
+  function fmtDate(t) {
+    return new Date(t).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // DATA
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  async function load() {
+    const entries = window.Ledger && Ledger.hasEntries() ? Ledger.getEntries() : [];
+    const positions = opts.getPositions();
+    const tickers = new Set(entries.length ? entries.map(e => e.ticker) : positions.map(p => p.ticker));
+    tickers.add(Attribution.BENCHMARK);
+
+    const list = [...tickers];
+    const results = await Promise.allSettled(list.map(t => opts.loadSeries(t)));
+    const seriesMap = {};
+    results.forEach((res, i) => {
+      if (res.status === 'fulfilled' && res.value && Array.isArray(res.value.daily) && res.value.daily.length > 1) {
+        seriesMap[list[i]] = res.value.daily;
+      }
+    });
+    input = { entries, positions, seriesMap, themes: opts.themes };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // RENDERING
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function stat(label, value, cls, title) {
+    return `<div class="perf-stat" ${title ? `title="${esc(title)}"` : ''}>
+      <div class="perf-stat-label">${label}</div>
+      <div class="perf-stat-value ${cls || ''}">${value}</div>
+    </div>`;
+  }
+
+  function renderSummary() {
+    const s = report.summary;
+    const b = report.benchmark;
+    return `
+      <div class="perf-meta">
+        ${fmtDate(report.startT)} → ${fmtDate(report.endT)} · ${s.days} sessions ·
+        ${report.mode === 'ledger' ? 'LEDGER (trades and dividends as cash flows)' : 'CURRENT POSITIONS held through the period'}
+      </div>
+      <div class="perf-stats">
+        ${stat('TWR', fmtPct(s.twr), tone(s.twr), 'Time-weighted: daily returns chained, cash flows removed')}
+        ${stat('MWR', fmtPct(s.mwr), tone(s.mwr), 'Money-weighted (IRR) over the period' + (s.mwrAnnual !== null ? ` · ${fmtPct(s.mwrAnnual)} annualized` : ''))}
+        ${stat(esc(b), fmtPct(s.benchReturn), tone(s.benchReturn), 'Benchmark return over the same sessions')}
+        ${stat('EXCESS', fmtPct(s.excess), tone(s.excess), 'TWR minus benchmark return')}
+        ${stat('ALPHA', fmtPct(s.alpha), tone(s.alpha), 'Annualized intercept of daily book returns on ' + b)}
+        ${stat('BETA', s.beta === null ? '—' : s.beta.toFixed(2), '', 'Sensitivity of daily book returns to ' + b + (s.corr !== null ? ` · corr ${s.corr.toFixed(2)}` : ''))}
+        ${stat('P&amp;L', fmtUsd(s.pnl), tone(s.pnl), `Start ${fmtUsd(s.startValue)} · end ${fmtUsd(s.endValue)} · net flows ${fmtUsd(s.netFlows)}`)}
+      </div>
+      ${report.warnings.length ? `<div class="perf-warnings">${report.warnings.map(w => `<div class="pi-status error">${esc(w)}</div>`).join('')}</div>` : ''}`;
+  }
+
+  function contributionBar(v, maxAbs) {
+    const w = maxAbs ? Math.min(100, (Math.abs(v) / maxAbs) * 100) : 0;
+    return `<span class="perf-bar ${v >= 0 ? 'up' : 'down'}" style="width:${w.toFixed(1)}%"></span>`;
+  }
+
+  function renderTable(rows, keyLabel, keyCell) {
+    if (!rows.length) return '<div class="ledger-empty">Nothing held in this period.</div>';
+    const maxAbs = Math.max(...rows.map(r => Math.abs(r.contribution)));
+    return `
+      <table class="data-table">
+        <thead><tr><th>${keyLabel}</th><th>Start</th><th>End</th><th>Net flows</th><th>P&amp;L</th><th>Weight</th><th>Contribution</th><th></th></tr></thead>
+        <tbody>${rows.map(r => `
+          <tr>
+            <td>${keyCell(r)}</td>
+            <td>${fmtUsd(r.startValue)}</td>
+            <td>${fmtUsd(r.endValue)}</td>
+            <td>${r.flows ? fmtUsd(r.flows) : '—'}</td>
+            <td class="${tone(r.pnl)}">${fmtUsd(r.pnl)}</td>
+            <td>${(r.weight * 100).toFixed(1)}%</td>
+            <td class="${tone(r.contribution)}">${fmtPct(r.contribution)}</td>
+            <td class="perf-bar-cell">${contributionBar(r.contribution, maxAbs)}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>`;
+  }
+
+  function renderChart() {
+    const canvas = $('#perf-chart');
+    if (chart) {
+      chart.destroy();
+      chart = null;
+    }
+    if (!canvas || typeof Chart === 'undefined') return;
+    const line = (label, key, color, dash) => ({
+      label,
+      data: report.series.filter(p => p[key] !== null).map(p => ({ x: p.t, y: p[key] })),
+      borderColor: color,
+      borderDash: dash || [],
+      borderWidth: 1.5,
+      pointRadius: 0,
+      tension: 0.1,
+      fill: false
+    });
+    chart = new Chart(canvas, {
+      type: 'line',
+      data: { datasets: [line('BOOK (TWR)', 'book', '#33ff99'), line(report.benchmark, 'bench', '#5a7068', [4, 3])] },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        interaction: { mode: 'nearest', axis: 'x', intersect: false },
+        plugins: {
+          legend: { position: 'top', labels: { boxWidth: 10, color: '#5a7068', font: { family: FONT, size: 9 } } },
+          tooltip: {
+            backgroundColor: 'rgba(10, 12, 15, 0.92)',
+            bodyFont: { family: FONT, size: 10 },
+            titleFont: { family: FONT, size: 10 },
+            callbacks: { label: item => `${item.dataset.label} ${item.parsed.y.toFixed(1)}` }
+          }
+        },
+        scales: {
+          x: { type: 'time', grid: { color: 'rgba(51, 255, 153, 0.05)' }, ticks: { color: '#3a4a44', font: { family: FONT, size: 9 }, maxTicksLimit: 6 } },
+          y: { position: 'right', grid: { color: 'rgba(51, 255, 153, 0.05)' }, ticks: { color: '#5a7068', font: { family: FONT, size: 9 } } }
+        }
+      }
+    });
+  }
+
+  function render() {
+    if (!overlay || !input) return;
+    overlay.querySelectorAll('[data-perf-period]').forEach(b => b.classList.toggle('active', b.dataset.perfPeriod === period));
+    report = Attribution.compute(input, { period });
+    $('[data-action="export"]').disabled = !report.ok;
+    if (!report.ok) {
+      $('#perf-summary').innerHTML = `<div class="ledger-empty">${esc(report.error)}</div>`;
+      $('#perf-positions').innerHTML = '';
+      $('#perf-themes').innerHTML = '';
+      if (chart) {
+        chart.destroy();
+        chart = null;
+      }
+      return;
+    }
+    $('#perf-summary').innerHTML = renderSummary();
+    $('#perf-positions').innerHTML = renderTable(report.positions, 'Ticker',
+      r => `<span style="color:${opts.colors[r.ticker] || 'var(--text)'}">${esc(r.ticker)}</span> <span class="perf-theme">${esc(r.theme)}</span>`);
+    $('#perf-themes').innerHTML = renderTable(report.themes, 'Theme',
+      r => `${esc(r.theme)} <span class="perf-theme">${esc(r.tickers.join(' '))}</span>`);
+    renderChart();
+  }
+
+  function exportCsv() {
+    if (!report || !report.ok) return;
+    const blob = new Blob([Attribution.toCSV(report)], { type: 'text/csv' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `performance-${report.period}-${new Date(report.endT).toISOString().slice(0, 10)}.csv`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // DIALOG
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function createOverlay() {
+    const el = document.createElement('div');
+    el.id = 'attribution-overlay';
+    el.className = 'console-dialog-overlay';
+    el.setAttribute('role', 'dialog');
+    el.setAttribute('aria-modal', 'true');
+    el.setAttribute('aria-label', 'Performance report');
+
+    el.innerHTML = `
+      <div class="console-dialog-backdrop" data-action="close"></div>
+      <div class="console-dialog-panel wide">
+        <div class="console-dialog-header">
+          <h2 class="console-dialog-title">◔ PERFORMANCE vs ${esc(Attribution.BENCHMARK)}</h2>
+          <button class="console-dialog-close" data-action="close" aria-label="Close">×</button>
+        </div>
+        <div class="console-dialog-body">
+          <div class="sector-controls">
+            <div class="control-group">
+              ${Attribution.PERIODS.map(p => `<button class="ctrl-btn" data-perf-period="${p}">${p}</button>`).join('')}
+            </div>
+          </div>
+          <div class="ledger-section">
+            <div class="ledger-section-title">BOOK RETURN</div>
+            <div id="perf-summary"><div class="ledger-empty">Loading performance data…</div></div>
+            <div class="perf-chart-wrap"><canvas id="perf-chart"></canvas></div>
+          </div>
+          <div class="ledger-section">
+            <div class="ledger-section-title">CONTRIBUTION BY POSITION</div>
+            <div id="perf-positions"></div>
+          </div>
+          <div class="ledger-section">
+            <div class="ledger-section-title">CONTRIBUTION BY THEME</div>
+            <div id="perf-themes"></div>
+          </div>
+        </div>
+        <div class="console-dialog-footer">
+          <button class="console-btn" data-action="export" disabled>EXPORT CSV</button>
+          <button class="console-btn" data-action="close">DONE</button>
+        </div>
+      </div>
+    `;
+
+    el.addEventListener('click', (e) => {
+      const target = e.target.closest('[data-action], [data-perf-period]');
+      if (!target) return;
+      if (target.dataset.action === 'close') close();
+      if (target.dataset.action === 'export') exportCsv();
+      if (target.dataset.perfPeriod) {
+        period = target.dataset.perfPeriod;
+        render();
+      }
+    });
+
+    el.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') close();
+    });
+
+    document.body.appendChild(el);
+    return el;
+  }
+
+  /**
+   * @param {Object} options - { themes, colors, getPositions, loadSeries }
+   */
+  function init(options) {
+    opts = options;
+  }
+
+  async function open() {
+    if (!opts || !window.Attribution) {
+      console.warn('[AttributionPanel] Not initialized');
+      return;
+    }
+    if (!overlay) overlay = createOverlay();
+    overlay.classList.add('visible');
+    // Ledger and positions change between opens; candles are cached by the loader
+    await load();
+    render();
+  }
+
+  function close() {
+    if (overlay) overlay.classList.remove('visible');
+    if (chart) {
+      chart.destroy();
+      chart = null;
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PUBLIC API
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  return {
+    init,
+    open,
+    close,
+    getReport: () => report
+  };
+
+})();
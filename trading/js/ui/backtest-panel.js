@@ -0,0 +1,249 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * BACKTEST PANEL — Strategy Simulator (Mission Command)
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Form + results for Backtester: preset or custom entry/exit rules, costs,
+ * then stats, an equity curve against buy-and-hold and the trade list.
+ *
+ * Dependencies:
+ *   - js/data/indicator-loader.js (IndicatorLoader)
+ *   - js/data/backtester.js (Backtester)
+ *
+ * Usage:
+ *   BacktestPanel.init('backtest-container', { getTicker: () => 'RKLB' })
+ *
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+(function() {
+  'use strict';
+
+  const MAX_TRADE_ROWS = 50;
+
+  let container = null;
+  let getTicker = () => null;
+  let running = false;
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // HELPERS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function el(id) {
+    return document.getElementById(id);
+  }
+
+  function pct(x, digits = 1) {
+    return Number.isFinite(x) ? (x >= 0 ? '+' : '') + x.toFixed(digits) + '%' : '—';
+  }
+
+  function money(x) {
+    if (!Number.isFinite(x)) return '—';
+    return (x < 0 ? '-$' : '$') + Math.abs(x).toLocaleString(undefined, { maximumFractionDigits: 2 });
+  }
+
+  function fmtTime(sec) {
+    return new Date(sec * 1000).toISOString().slice(0, 16).replace('T', ' ');
+  }
+
+  const escapeHtml = PARALLAX_UTILS.escapeHtml;
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // RENDERING
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function renderForm() {
+    const presets = Object.entries(Backtester.PRESETS)
+      .map(([id, p]) => `<option value="${id}">${p.name}</option>`)
+      .join('');
+    const first = Object.values(Backtester.PRESETS)[0];
+    const d = Backtester.DEFAULTS;
+
+    container.innerHTML = `
+      <div class="bt-form">
+        <div class="bt-field">
+          <label for="bt-preset">Strategy</label>
+          <select id="bt-preset">${presets}<option value="custom">Custom…</option></select>
+        </div>
+        <div class="bt-field wide">
+          <label for="bt-entry">Entry when</label>
+          <input type="text" id="bt-entry" value="${escapeHtml(first.entry)}" spellcheck="false">
+        </div>
+        <div class="bt-field wide">
+          <label for="bt-exit">Exit when</label>
+          <input type="text" id="bt-exit" value="${escapeHtml(first.exit)}" spellcheck="false">
+        </div>
+        <div class="bt-field">
+          <label for="bt-capital">Capital $</label>
+          <input type="number" id="bt-capital" value="${d.capital}" min="100" step="100">
+        </div>
+        <div class="bt-field">
+          <label for="bt-commission">Commission $/order</label>
+          <input type="number" id="bt-commission" value="${d.commission}" min="0" step="0.5">
+        </div>
+        <div class="bt-field">
+          <label for="bt-slippage">Slippage bps</label>
+          <input type="number" id="bt-slippage" value="${d.slippageBps}" min="0" step="1">
+        </div>
+        <button id="bt-run">Run Backtest</button>
+      </div>
+      <div class="bt-hint">Columns: close, open, high, low, G100, G150, G200, kernel, macd, signal, hist, volume, volumeMA, A1–F5 · markers: buy, sell, cross · join with and / or</div>
+      <div id="bt-results"><div class="empty-state">Select a sector and run a strategy</div></div>
+    `;
+
+    el('bt-preset').addEventListener('change', e => {
+      const preset = Backtester.PRESETS[e.target.value];
+      if (!preset) return;
+      el('bt-entry').value = preset.entry;
+      el('bt-exit').value = preset.exit;
+    });
+    ['bt-entry', 'bt-exit'].forEach(id => {
+      el(id).addEventListener('input', () => { el('bt-preset').value = 'custom'; });
+    });
+    el('bt-run').addEventListener('click', run);
+  }
+
+  function renderStat(label, value, tone) {
+    return `
+      <div class="bt-stat">
+        <div class="bt-stat-label">${label}</div>
+        <div class="bt-stat-value ${tone || ''}">${value}</div>
+      </div>
+    `;
+  }
+
+  // Equity vs buy-and-hold as an inline SVG
+  function renderCurve(equity) {
+    const W = 600;
+    const H = 160;
+    const step = Math.max(1, Math.floor(equity.length / W));
+    const pts = equity.filter((_, i) => i % step === 0 || i === equity.length - 1);
+    const values = pts.flatMap(p => [p.equity, p.hold]);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const span = max - min || 1;
+    const x = i => (i / Math.max(1, pts.length - 1)) * W;
+    const y = v => H - ((v - min) / span) * (H - 8) - 4;
+    const path = key => pts.map((p, i) => `${i ? 'L' : 'M'}${x(i).toFixed(1)},${y(p[key]).toFixed(1)}`).join('');
+    const base = y(equity[0].equity).toFixed(1);
+
+    return `
+      <svg class="bt-curve" viewBox="0 0 ${W} ${H}" preserveAspectRatio="none">
+        <line x1="0" y1="${base}" x2="${W}" y2="${base}" class="bt-curve-base" />
+        <path d="${path('hold')}" class="bt-curve-hold" />
+        <path d="${path('equity')}" class="bt-curve-equity" />
+      </svg>
+      <div class="bt-legend"><span class="equity">━ Strategy</span><span class="hold">┄ Buy &amp; hold</span></div>
+    `;
+  }
+
+  function renderTrades(trades) {
+    if (!trades.length) return '<div class="empty-state">No trades — the entry rule never fired</div>';
+    const rows = trades.slice(-MAX_TRADE_ROWS).reverse().map(t => `
+      <tr>
+        <td>${fmtTime(t.entryTime)}</td>
+        <td>$${t.entryPrice.toFixed(2)}</td>
+        <td>${fmtTime(t.exitTime)}</td>
+        <td>$${t.exitPrice.toFixed(2)}</td>
+        <td>${t.bars}</td>
+        <td class="${t.pnl >= 0 ? 'positive' : 'negative'}">${money(t.pnl)}</td>
+        <td class="${t.pnl >= 0 ? 'positive' : 'negative'}">${pct(t.returnPct)}</td>
+        <td>${t.reason}</td>
+      </tr>
+    `).join('');
+    const more = trades.length > MAX_TRADE_ROWS ? `<div class="bt-hint">Showing latest ${MAX_TRADE_ROWS} of ${trades.length} trades</div>` : '';
+    return `
+      <table class="bt-trades">
+        <thead><tr><th>Entry</th><th>Price</th><th>Exit</th><th>Price</th><th>Bars</th><th>P&amp;L</th><th>Return</th><th>Reason</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+      ${more}
+    `;
+  }
+
+  function renderResult(result) {
+    const target = el('bt-results');
+    if (!result.ok) {
+      target.innerHTML = `<div class="empty-state" style="color:var(--red)">${escapeHtml(result.error)}</div>`;
+      return;
+    }
+
+    const s = result.stats;
+    const pf = s.profitFactor === Infinity ? '∞' : s.profitFactor.toFixed(2);
+    target.innerHTML = `
+      <div class="bt-meta">${result.ticker} · ${escapeHtml(result.strategy.name)} · ${result.range.bars} bars · ${fmtTime(result.range.start)} → ${fmtTime(result.range.end)}</div>
+      <div class="bt-stats">
+        ${renderStat('Trades', s.trades)}
+        ${renderStat('Win Rate', (s.winRate * 100).toFixed(0) + '%')}
+        ${renderStat('Expectancy', `${money(s.expectancy)} · ${pct(s.expectancyPct)}`, s.expectancy >= 0 ? 'positive' : 'negative')}
+        ${renderStat('Sharpe', s.sharpe.toFixed(2), s.sharpe >= 1 ? 'positive' : s.sharpe < 0 ? 'negative' : '')}
+        ${renderStat('Total Return', pct(s.totalReturnPct), s.totalReturnPct >= 0 ? 'positive' : 'negative')}
+        ${renderStat('Buy & Hold', pct(s.buyHoldPct))}
+        ${renderStat('Max Drawdown', pct(-s.maxDrawdown * 100), 'negative')}
+        ${renderStat('Profit Factor', pf)}
+        ${renderStat('Exposure', s.exposurePct.toFixed(0) + '%')}
+        ${renderStat('Costs', money(s.costs))}
+      </div>
+      ${renderCurve(result.equity)}
+      ${renderTrades(result.trades)}
+    `;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // ACTIONS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  async function run() {
+    if (running) return;
+    const ticker = getTicker();
+    if (!ticker) {
+      renderResult({ ok: false, error: 'Select a sector first' });
+      return;
+    }
+
+    const presetId = el('bt-preset').value;
+    const strategy = {
+      name: presetId !== 'custom' && Backtester.PRESETS[presetId] ? Backtester.PRESETS[presetId].name : 'Custom',
+      entry: el('bt-entry').value,
+      exit: el('bt-exit').value
+    };
+    const opts = {
+      capital: parseFloat(el('bt-capital').value),
+      commission: parseFloat(el('bt-commission').value),
+      slippageBps: parseFloat(el('bt-slippage').value)
+    };
+
+    running = true;
+    el('bt-run').disabled = true;
+    el('bt-results').innerHTML = `<div class="loading">Backtesting ${ticker}...</div>`;
+
+    const result = await Backtester.runTicker(ticker, strategy, opts);
+    renderResult(result);
+
+    if (result.ok && window.PARALLAX_BUS) {
+      window.PARALLAX_BUS.emit('backtest:complete', { ticker: result.ticker, strategy: result.strategy, stats: result.stats });
+    }
+
+    running = false;
+    el('bt-run').disabled = false;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PUBLIC API
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  window.BacktestPanel = {
+    init(containerId, opts = {}) {
+      container = document.getElementById(containerId);
+      if (!container) {
+        console.warn('BacktestPanel: Container not found:', containerId);
+        return;
+      }
+      if (typeof opts.getTicker === 'function') getTicker = opts.getTicker;
+      renderForm();
+    },
+
+    run
+  };
+
+})();
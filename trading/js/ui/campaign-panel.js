@@ -0,0 +1,194 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * CAMPAIGN PANEL — Chained Mission Objectives (Mission Command)
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Lists authored campaigns with their progress, the current objective, the
+ * branches ahead and the step history. Campaigns advances runs itself; the
+ * panel re-renders when a mission resolves or a step changes.
+ *
+ * Dependencies:
+ *   - js/state/campaigns.js (Campaigns)
+ *   - js/state/progression.js (Progression, for rewards)
+ *
+ * Usage:
+ *   CampaignPanel.init('campaign-container')
+ *
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+(function() {
+  'use strict';
+
+  let container = null;
+  let notice = null;
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // HELPERS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  const escapeHtml = PARALLAX_UTILS.escapeHtml;
+
+  function fmtDate(ms) {
+    return ms ? new Date(ms).toISOString().slice(0, 16).replace('T', ' ') : '—';
+  }
+
+  function stepTitle(def, stepId) {
+    if (!stepId) return 'Campaign end';
+    const step = def.steps.find(s => s.id === stepId);
+    return step ? step.title || step.id : stepId;
+  }
+
+  function describeCondition(cond) {
+    if (!cond) return 'otherwise';
+    const parts = [];
+    if (cond.minAvgScore !== undefined) parts.push(`avg score ≥${cond.minAvgScore}`);
+    if (cond.minPnl !== undefined) parts.push(`P&L ≥ $${cond.minPnl}`);
+    return 'if ' + parts.join(' and ');
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // RENDERING
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function renderBranches(def, step) {
+    const branches = (step.next || []).map(b =>
+      `<li>${describeCondition(b.if)} → <span class="cp-locked">${escapeHtml(stepTitle(def, b.goto || null))}</span></li>`
+    );
+    if (!branches.length) branches.push('<li>→ <span class="cp-locked">Campaign end</span></li>');
+    if (step.onFail) {
+      branches.push(`<li class="cp-fail">damaged or score &lt;${step.onFail.below || 0} → ${escapeHtml(step.onFail.goto ? stepTitle(def, step.onFail.goto) : 'Campaign failed')}</li>`);
+    }
+    return `<ul class="cp-branches">${branches.join('')}</ul>`;
+  }
+
+  function renderHistory(def, run) {
+    if (!run || !run.history.length) return '';
+    const rows = run.history.slice().reverse().map(h => `
+      <tr>
+        <td>${fmtDate(h.at)}</td>
+        <td>${escapeHtml(stepTitle(def, h.step))}</td>
+        <td class="${h.result === 'COMPLETE' ? 'positive' : 'negative'}">${h.result}</td>
+        <td>${h.goto ? escapeHtml(stepTitle(def, h.goto)) : '—'}</td>
+        <td>${h.xp ? '+' + h.xp + ' XP' : ''}</td>
+      </tr>
+    `).join('');
+    return `
+      <table class="cp-history">
+        <thead><tr><th>Resolved</th><th>Step</th><th>Result</th><th>Next</th><th>Reward</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+
+  function renderCampaign(def) {
+    const p = Campaigns.progress(def.id);
+    const run = p.run;
+    const status = run ? run.status : 'AVAILABLE';
+    const percent = Math.round(p.percent * 100);
+    const reward = def.reward?.xp ? `${def.reward.xp} XP${def.reward.ticker ? ' to ' + def.reward.ticker : ''}` : '—';
+
+    let body = '';
+    if (p.step && (!run || run.status === 'ACTIVE')) {
+      const step = p.step;
+      const count = run ? ` · ${p.counted}/${p.required}` : '';
+      const stepReward = step.reward?.xp ? ` · +${step.reward.xp} XP` : '';
+      body = `
+        <div class="cp-step">
+          <div class="cp-step-title">${run ? 'Current' : 'First'} objective: ${escapeHtml(step.title || step.id)}${count}${stepReward}</div>
+          <div class="cp-objective">${escapeHtml(Campaigns.objectiveText(def, step))}</div>
+          ${step.brief ? `<div class="cp-brief">${escapeHtml(step.brief)}</div>` : ''}
+          ${renderBranches(def, step)}
+        </div>
+      `;
+    } else if (run) {
+      body = `<div class="cp-step cp-${status.toLowerCase()}">${status === 'COMPLETE' ? 'Campaign complete' : 'Campaign failed'} · ${run.xp} XP earned · ${fmtDate(run.finishedAt)}</div>`;
+    }
+
+    const action = run && run.status === 'ACTIVE'
+      ? `<button class="small danger" data-action="abandon" data-id="${def.id}">Abandon</button>`
+      : `<button class="small" data-action="start" data-id="${def.id}">${run ? 'Restart' : 'Start'}</button>`;
+    const steps = run ? `${p.stepsDone} step${p.stepsDone === 1 ? '' : 's'} done${p.stepsLeft ? ` · ≥${p.stepsLeft} to go` : ''}` : `${def.steps.length} steps`;
+
+    return `
+      <div class="cp-campaign">
+        <div class="cp-head">
+          <div>
+            <div class="cp-name">${escapeHtml(def.name)} <span class="cp-status cp-${status.toLowerCase()}">${status}</span></div>
+            ${def.description ? `<div class="cp-desc">${escapeHtml(def.description)}</div>` : ''}
+          </div>
+          ${action}
+        </div>
+        <div class="cp-progress"><div class="cp-progress-fill" style="width:${percent}%"></div></div>
+        <div class="cp-meta">${steps} · ${percent}% · Reward: ${reward}</div>
+        ${body}
+        ${renderHistory(def, run)}
+      </div>
+    `;
+  }
+
+  function render() {
+    if (!container) return;
+    const defs = Campaigns.getDefinitions();
+    const errors = Campaigns.getLoadErrors().map(e => `<div class="bt-hint" style="color:var(--red)">${escapeHtml(e)}</div>`).join('');
+    const note = notice ? `<div class="bt-hint">${escapeHtml(notice)}</div>` : '';
+
+    if (!defs.length) {
+      container.innerHTML = `<div class="empty-state">No campaigns found in data/campaigns/</div>${errors}`;
+      return;
+    }
+    container.innerHTML = note + defs.map(renderCampaign).join('') + errors;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // ACTIONS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function onClick(e) {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+    const id = btn.dataset.id;
+    notice = null;
+
+    if (btn.dataset.action === 'start') {
+      const result = Campaigns.start(id);
+      if (!result.ok) notice = result.error;
+    } else if (btn.dataset.action === 'abandon') {
+      const def = Campaigns.getDefinition(id);
+      if (!confirm(`Abandon ${def ? def.name : id}? Progress will be lost.`)) return;
+      Campaigns.abandon(id);
+    }
+    render();
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PUBLIC API
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  window.CampaignPanel = {
+    async init(containerId) {
+      container = document.getElementById(containerId);
+      if (!container) {
+        console.warn('CampaignPanel: Container not found:', containerId);
+        return;
+      }
+      container.addEventListener('click', onClick);
+
+      await Campaigns.load();
+      render();
+
+      if (window.PARALLAX_BUS) {
+        window.PARALLAX_BUS.on('mission:complete', render);
+        window.PARALLAX_BUS.on('mission:damaged', render);
+        window.PARALLAX_BUS.on('campaign:step', render);
+        window.PARALLAX_BUS.on('campaign:complete', ({ name, xp }) => {
+          notice = `${name} complete — ${xp} XP awarded`;
+          render();
+        });
+      }
+    },
+
+    refresh: render
+  };
+
+})();
@@ -0,0 +1,522 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * CHART DRAWINGS — Drawing tools and renderer for the telemetry price chart
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * - Toolbar (#drawing-toolbar): cursor · trendline · level · fib · rect · note
+ * - Pointer handling on the price canvas: two-point tools drag from the first
+ *   point to the second, levels and notes are single clicks
+ * - Cursor mode selects, moves and resizes drawings; Delete removes,
+ *   double-click edits a note
+ * - Chart.js plugin that paints the drawings of the current ticker/timeframe
+ *
+ * Dependencies:
+ *   - js/state/drawings.js (Drawings)
+ *   - Chart.js time scale on the target chart
+ *
+ * Usage:
+ *   ChartDrawings.init({
+ *     canvasId: 'price-chart',
+ *     getChart: () => priceChart,
+ *     getContext: () => ({ ticker: currentTicker, timeframe: currentTimeframe })
+ *   })
+ *   new Chart(canvas, { ..., plugins: [..., ChartDrawings.plugin] })
+ *
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+window.ChartDrawings = (function() {
+  'use strict';
+
+  const FONT = "'IBM Plex Mono', monospace";
+  const HIT_PX = 6;
+
+  const TOOL_TYPES = { trend: 'trendline', level: 'hline', fib: 'fib', rect: 'rect', note: 'text' };
+  const COLORS = {
+    trendline: '#47d4ff',
+    hline: '#ffb347',
+    fib: '#c89bff',
+    rect: '#33ff99',
+    text: '#e8f4f0'
+  };
+
+  let opts = null;
+  let canvas = null;
+  let toolbar = null;
+  let tool = 'cursor';
+  let selectedId = null;
+  let draft = null;      // { type, points } while a two-point tool is dragged
+  let drag = null;       // { id, index|null, origin, points } while moving in cursor mode
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // HELPERS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function context() {
+    return opts ? opts.getContext() : { ticker: null, timeframe: null };
+  }
+
+  function chart() {
+    return opts ? opts.getChart() : null;
+  }
+
+  function withAlpha(hex, a) {
+    const h = hex.replace('#', '');
+    const r = parseInt(h.slice(0, 2), 16), g = parseInt(h.slice(2, 4), 16), b = parseInt(h.slice(4, 6), 16);
+    return `rgba(${r},${g},${b},${a})`;
+  }
+
+  function toast(msg, level) {
+    if (window.showToast) window.showToast(msg, level);
+  }
+
+  function redraw() {
+    const c = chart();
+    if (c) c.draw();
+  }
+
+  function eventPos(e) {
+    const rect = canvas.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  }
+
+  function inArea(c, pos) {
+    const a = c.chartArea;
+    return pos.x >= a.left && pos.x <= a.right && pos.y >= a.top && pos.y <= a.bottom;
+  }
+
+  function toValue(c, pos) {
+    return { t: c.scales.x.getValueForPixel(pos.x), price: c.scales.y.getValueForPixel(pos.y) };
+  }
+
+  function toPixel(c, p) {
+    return { x: c.scales.x.getPixelForValue(p.t), y: c.scales.y.getPixelForValue(p.price) };
+  }
+
+  function distToSegment(p, a, b) {
+    const dx = b.x - a.x, dy = b.y - a.y;
+    const len2 = dx * dx + dy * dy;
+    const k = len2 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2)) : 0;
+    return Math.hypot(p.x - (a.x + k * dx), p.y - (a.y + k * dy));
+  }
+
+  // Points of a drawing as currently shown (drag preview wins over storage)
+  function pointsOf(d) {
+    return drag && drag.id === d.id ? drag.points : d.points;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // HIT TESTING
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Topmost drawing under the pointer → { drawing, index } (index = handle or null)
+   */
+  function hitTest(c, pos) {
+    const { ticker, timeframe } = context();
+    const list = Drawings.list(ticker, timeframe);
+    for (let i = list.length - 1; i >= 0; i--) {
+      const d = list[i];
+      const px = d.points.map(p => toPixel(c, p));
+
+      const handle = px.findIndex(p => Math.hypot(p.x - pos.x, p.y - pos.y) <= HIT_PX);
+      if (handle >= 0 && d.type !== 'hline') return { drawing: d, index: handle };
+
+      if (d.type === 'hline' && Math.abs(px[0].y - pos.y) <= HIT_PX) return { drawing: d, index: null };
+      if (d.type === 'trendline' && distToSegment(pos, px[0], px[1]) <= HIT_PX) return { drawing: d, index: null };
+      if (d.type === 'text') {
+        const w = d.text.length * 6.5 + 8;
+        if (pos.x >= px[0].x - 4 && pos.x <= px[0].x + w && pos.y >= px[0].y - 14 && pos.y <= px[0].y + 4) {
+          return { drawing: d, index: null };
+        }
+      }
+      if (d.type === 'rect' || d.type === 'fib') {
+        const left = Math.min(px[0].x, px[1].x), right = Math.max(px[0].x, px[1].x);
+        const top = Math.min(px[0].y, px[1].y), bottom = Math.max(px[0].y, px[1].y);
+        if (pos.x >= left - HIT_PX && pos.x <= right + HIT_PX && pos.y >= top - HIT_PX && pos.y <= bottom + HIT_PX) {
+          return { drawing: d, index: null };
+        }
+      }
+    }
+    return null;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // POINTER HANDLING
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function onPointerDown(e) {
+    const c = chart();
+    if (!c || e.button !== 0) return;
+    const pos = eventPos(e);
+    if (!inArea(c, pos)) return;
+    const value = toValue(c, pos);
+    const { ticker, timeframe } = context();
+
+    if (tool === 'cursor') {
+      const hit = hitTest(c, pos);
+      select(hit ? hit.drawing.id : null);
+      if (hit) {
+        drag = { id: hit.drawing.id, index: hit.index, origin: value, start: hit.drawing.points, points: hit.drawing.points };
+        canvas.setPointerCapture(e.pointerId);
+      }
+      return;
+    }
+
+    const type = TOOL_TYPES[tool];
+    if (type === 'hline' || type === 'text') {
+      let text;
+      if (type === 'text') {
+        text = prompt('Note text');
+        if (!text) return;
+      }
+      commitAdd(ticker, timeframe, { type, points: [value], color: COLORS[type], text });
+      return;
+    }
+
+    draft = { type, points: [value, value], color: COLORS[type] };
+    canvas.setPointerCapture(e.pointerId);
+    redraw();
+  }
+
+  function onPointerMove(e) {
+    const c = chart();
+    if (!c) return;
+    const pos = eventPos(e);
+
+    if (draft) {
+      draft.points = [draft.points[0], toValue(c, pos)];
+      redraw();
+      return;
+    }
+    if (drag) {
+      const value = toValue(c, pos);
+      const dt = value.t - drag.origin.t, dp = value.price - drag.origin.price;
+      drag.points = drag.start.map((p, i) => {
+        if (drag.index === null) return { t: p.t + dt, price: p.price + dp };
+        return i === drag.index ? value : p;
+      });
+      redraw();
+      return;
+    }
+    if (tool === 'cursor') {
+      canvas.style.cursor = inArea(c, pos) && hitTest(c, pos) ? 'move' : '';
+    }
+  }
+
+  function onPointerUp() {
+    const { ticker, timeframe } = context();
+
+    if (draft) {
+      const d = draft;
+      draft = null;
+      const c = chart();
+      const [a, b] = c ? d.points.map(p => toPixel(c, p)) : [];
+      // A click without a drag is too small to keep
+      if (a && Math.hypot(a.x - b.x, a.y - b.y) > 4) commitAdd(ticker, timeframe, d);
+      redraw();
+      return;
+    }
+    if (drag) {
+      const d = drag;
+      drag = null;
+      const moved = d.points.some((p, i) => p.t !== d.start[i].t || p.price !== d.start[i].price);
+      if (moved) {
+        const res = Drawings.update(ticker, timeframe, d.id, { points: d.points });
+        if (!res.ok) toast(res.error, 'warning');
+      }
+      redraw();
+    }
+  }
+
+  function onDoubleClick(e) {
+    const c = chart();
+    if (!c || tool !== 'cursor') return;
+    const hit = hitTest(c, eventPos(e));
+    if (!hit || hit.drawing.type !== 'text') return;
+    const text = prompt('Edit note', hit.drawing.text);
+    if (text === null) return;
+    const { ticker, timeframe } = context();
+    const res = text.trim()
+      ? Drawings.update(ticker, timeframe, hit.drawing.id, { text })
+      : { ok: Drawings.remove(ticker, timeframe, hit.drawing.id) };
+    if (!res.ok) toast(res.error, 'warning');
+  }
+
+  function onKeyDown(e) {
+    if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable]')) return;
+    if (e.key === 'Escape' && (draft || tool !== 'cursor')) {
+      draft = null;
+      setTool('cursor');
+      redraw();
+    }
+    if ((e.key === 'Delete' || e.key === 'Backspace') && selectedId) {
+      e.preventDefault();
+      removeSelected();
+    }
+  }
+
+  function commitAdd(ticker, timeframe, raw) {
+    const res = Drawings.add(ticker, timeframe, raw);
+    if (!res.ok) {
+      toast(res.error, 'warning');
+      return;
+    }
+    setTool('cursor');
+    select(res.drawing.id);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // TOOLBAR
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function setTool(next) {
+    tool = TOOL_TYPES[next] ? next : 'cursor';
+    if (canvas) canvas.style.cursor = tool === 'cursor' ? '' : 'crosshair';
+    if (toolbar) {
+      toolbar.querySelectorAll('[data-draw-tool]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.drawTool === tool);
+      });
+    }
+  }
+
+  function select(id) {
+    selectedId = id;
+    renderSelection();
+    redraw();
+  }
+
+  function renderSelection() {
+    if (!toolbar) return;
+    const { ticker, timeframe } = context();
+    const d = selectedId ? Drawings.get(ticker, timeframe, selectedId) : null;
+    if (!d) selectedId = null;
+    const arm = toolbar.querySelector('[data-draw-action="arm"]');
+    const del = toolbar.querySelector('[data-draw-action="delete"]');
+    if (arm) {
+      arm.hidden = !d || d.type !== 'hline';
+      arm.classList.toggle('active', !!(d && d.alertRuleId));
+      arm.title = d && d.alertRuleId ? 'Disarm alert on this level' : 'Arm a price alert on this level';
+    }
+    if (del) del.hidden = !d;
+  }
+
+  function removeSelected() {
+    const { ticker, timeframe } = context();
+    if (selectedId) Drawings.remove(ticker, timeframe, selectedId);
+    select(null);
+  }
+
+  function toggleAlert() {
+    const { ticker, timeframe } = context();
+    const d = selectedId ? Drawings.get(ticker, timeframe, selectedId) : null;
+    if (!d) return;
+    if (d.alertRuleId) {
+      Drawings.disarmAlert(ticker, timeframe, d.id);
+      toast(`Alert disarmed at $${d.points[0].price.toFixed(2)}`);
+      return;
+    }
+    const res = Drawings.armAlert(ticker, timeframe, d.id);
+    toast(res.ok ? `Alert armed: ${ticker} crosses $${d.points[0].price.toFixed(2)}` : res.error, res.ok ? 'info' : 'warning');
+  }
+
+  function bindToolbar(el) {
+    el.addEventListener('click', (e) => {
+      const btn = e.target.closest('button');
+      if (!btn) return;
+      if (btn.dataset.drawTool) setTool(btn.dataset.drawTool === tool ? 'cursor' : btn.dataset.drawTool);
+      if (btn.dataset.drawAction === 'arm') toggleAlert();
+      if (btn.dataset.drawAction === 'delete') removeSelected();
+      if (btn.dataset.drawAction === 'clear') {
+        const { ticker, timeframe } = context();
+        if (!Drawings.list(ticker, timeframe).length) return;
+        if (confirm(`Remove every drawing on ${ticker} ${timeframe === '1D' ? '1D' : timeframe + 'M'}?`)) {
+          Drawings.clear(ticker, timeframe);
+          select(null);
+        }
+      }
+    });
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // RENDERING
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function label(ctx, text, x, y, color, align) {
+    ctx.font = `10px ${FONT}`;
+    ctx.textAlign = align || 'left';
+    ctx.textBaseline = 'bottom';
+    ctx.fillStyle = color;
+    ctx.fillText(text, x, y - 2);
+  }
+
+  function drawHandles(ctx, px, color) {
+    ctx.fillStyle = '#0a0c0f';
+    ctx.strokeStyle = color;
+    ctx.setLineDash([]);
+    px.forEach(p => {
+      ctx.beginPath();
+      ctx.rect(p.x - 3, p.y - 3, 6, 6);
+      ctx.fill();
+      ctx.stroke();
+    });
+  }
+
+  function drawOne(c, ctx, d, selected) {
+    const area = c.chartArea;
+    const px = pointsOf(d).map(p => toPixel(c, p));
+    const color = d.color;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = selected ? 2 : 1.3;
+    ctx.setLineDash([]);
+
+    switch (d.type) {
+      case 'trendline':
+        ctx.beginPath();
+        ctx.moveTo(px[0].x, px[0].y);
+        ctx.lineTo(px[1].x, px[1].y);
+        ctx.stroke();
+        break;
+
+      case 'hline': {
+        const price = pointsOf(d)[0].price;
+        if (!d.alertRuleId) ctx.setLineDash([6, 4]);
+        ctx.beginPath();
+        ctx.moveTo(area.left, px[0].y);
+        ctx.lineTo(area.right, px[0].y);
+        ctx.stroke();
+        label(ctx, `${d.alertRuleId ? '⚑ ' : ''}$${price.toFixed(2)}`, area.right - 4, px[0].y, color, 'right');
+        break;
+      }
+
+      case 'fib': {
+        const left = Math.min(px[0].x, px[1].x), right = Math.max(px[0].x, px[1].x);
+        const levels = Drawings.fibLevels({ points: pointsOf(d) });
+        ctx.setLineDash([2, 3]);
+        ctx.beginPath();
+        ctx.moveTo(px[0].x, px[0].y);
+        ctx.lineTo(px[1].x, px[1].y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        levels.forEach((lvl, i) => {
+          const y = c.scales.y.getPixelForValue(lvl.price);
+          if (i < levels.length - 1) {
+            const yNext = c.scales.y.getPixelForValue(levels[i + 1].price);
+            ctx.fillStyle = withAlpha(color, i % 2 ? 0.04 : 0.08);
+            ctx.fillRect(left, Math.min(y, yNext), right - left, Math.abs(yNext - y));
+          }
+          ctx.strokeStyle = withAlpha(color, lvl.ratio === 0.5 || lvl.ratio === 0.618 ? 0.9 : 0.55);
+          ctx.beginPath();
+          ctx.moveTo(left, y);
+          ctx.lineTo(right, y);
+          ctx.stroke();
+          label(ctx, `${(lvl.ratio * 100).toFixed(1)}%  $${lvl.price.toFixed(2)}`, left + 2, y, color);
+        });
+        break;
+      }
+
+      case 'rect': {
+        const x = Math.min(px[0].x, px[1].x), y = Math.min(px[0].y, px[1].y);
+        const w = Math.abs(px[1].x - px[0].x), h = Math.abs(px[1].y - px[0].y);
+        ctx.fillStyle = withAlpha(color, 0.08);
+        ctx.fillRect(x, y, w, h);
+        ctx.strokeRect(x, y, w, h);
+        break;
+      }
+
+      case 'text':
+        ctx.font = `11px ${FONT}`;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'bottom';
+        ctx.fillStyle = 'rgba(10, 12, 15, 0.75)';
+        ctx.fillRect(px[0].x - 3, px[0].y - 15, ctx.measureText(d.text).width + 6, 16);
+        ctx.fillStyle = color;
+        ctx.fillText(d.text, px[0].x, px[0].y);
+        if (selected) {
+          ctx.strokeRect(px[0].x - 3, px[0].y - 15, ctx.measureText(d.text).width + 6, 16);
+        }
+        break;
+    }
+
+    if (selected && d.type !== 'hline' && d.type !== 'text') drawHandles(ctx, px, color);
+  }
+
+  const plugin = {
+    id: 'chartDrawingsPlugin',
+
+    afterDatasetsDraw(c) {
+      if (!opts || !window.Drawings || c.canvas !== canvas) return;
+      const { ticker, timeframe } = context();
+      const list = Drawings.list(ticker, timeframe);
+      if (!list.length && !draft) return;
+
+      const ctx = c.ctx;
+      const area = c.chartArea;
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(area.left, area.top, area.right - area.left, area.bottom - area.top);
+      ctx.clip();
+      list.forEach(d => drawOne(c, ctx, d, d.id === selectedId));
+      if (draft) drawOne(c, ctx, { ...draft, id: '_draft' }, true);
+      ctx.restore();
+    }
+  };
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // INIT
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Bind to a chart canvas and the drawing toolbar
+   * @param {Object} options - { canvasId, toolbarId?, getChart, getContext }
+   */
+  function init(options) {
+    if (!window.Drawings) {
+      console.warn('[ChartDrawings] Drawings not loaded');
+      return;
+    }
+    opts = options;
+    canvas = document.getElementById(options.canvasId);
+    toolbar = document.getElementById(options.toolbarId || 'drawing-toolbar');
+    if (!canvas) return;
+
+    canvas.addEventListener('pointerdown', onPointerDown);
+    canvas.addEventListener('pointermove', onPointerMove);
+    canvas.addEventListener('pointerup', onPointerUp);
+    canvas.addEventListener('pointercancel', onPointerUp);
+    canvas.addEventListener('dblclick', onDoubleClick);
+    document.addEventListener('keydown', onKeyDown);
+    if (toolbar) bindToolbar(toolbar);
+    setTool('cursor');
+    renderSelection();
+
+    if (window.PARALLAX_BUS) {
+      PARALLAX_BUS.on('drawings:change', () => {
+        renderSelection();
+        redraw();
+      });
+    }
+  }
+
+  /**
+   * Drop selection / half-finished drawings (ticker or timeframe switch)
+   */
+  function reset() {
+    draft = null;
+    drag = null;
+    selectedId = null;
+    renderSelection();
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PUBLIC API
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  return {
+    init,
+    reset,
+    setTool,
+    plugin
+  };
+
+})();
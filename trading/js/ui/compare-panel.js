@@ -0,0 +1,158 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * COMPARE PANEL — Ticker picker and relative-strength table for compare mode
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Sits under the price chart while telemetry is in comparison mode. The
+ * chart itself is drawn by app.js from Comparison.build(); this panel owns
+ * the settings (which tickers, rebase vs %) and the table.
+ *
+ * Settings persist in Store.compare: { tickers: [..], scale: 'rebase'|'pct' }
+ *
+ * Events:
+ *   - compare:change { reason }
+ *
+ * Dependencies:
+ *   - js/core/store.js (Store)
+ *   - js/data/comparison.js (Comparison)
+ *
+ * Usage:
+ *   ComparePanel.getSettings()
+ *   ComparePanel.render('compare-panel', { result, available, current, missing, colors })
+ *
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+window.ComparePanel = (function() {
+  'use strict';
+
+  const MAX_TICKERS = 8;
+  const DEFAULTS = { tickers: ['LUNR', 'ASTS'], scale: 'rebase' };
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // SETTINGS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function getSettings() {
+    const saved = (window.Store && Store.get('compare')) || {};
+    return {
+      tickers: Array.isArray(saved.tickers) ? saved.tickers.slice(0, MAX_TICKERS) : DEFAULTS.tickers.slice(),
+      scale: saved.scale === 'pct' ? 'pct' : DEFAULTS.scale
+    };
+  }
+
+  function saveSettings(next, reason) {
+    if (window.Store) Store.set({ compare: next });
+    if (window.PARALLAX_BUS) PARALLAX_BUS.emit('compare:change', { reason });
+  }
+
+  function toggleTicker(ticker) {
+    const settings = getSettings();
+    const has = settings.tickers.includes(ticker);
+    if (!has && settings.tickers.length >= MAX_TICKERS) return false;
+    settings.tickers = has ? settings.tickers.filter(t => t !== ticker) : settings.tickers.concat(ticker);
+    saveSettings(settings, 'tickers');
+    return true;
+  }
+
+  function setScale(scale) {
+    const settings = getSettings();
+    settings.scale = scale === 'pct' ? 'pct' : 'rebase';
+    saveSettings(settings, 'scale');
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // RENDERING
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  const esc = PARALLAX_UTILS.escapeHtml;
+
+  function fmtPct(v) {
+    if (v === null || !Number.isFinite(v)) return '—';
+    return (v >= 0 ? '+' : '') + (v * 100).toFixed(1) + '%';
+  }
+
+  function fmtNum(v, digits) {
+    return v === null || !Number.isFinite(v) ? '—' : v.toFixed(digits);
+  }
+
+  function tone(v) {
+    return v === null ? '' : v >= 0 ? 'positive' : 'negative';
+  }
+
+  function renderControls(settings, available, current, colors) {
+    const benchmark = Comparison.BENCHMARK;
+    const chips = available.filter(t => t !== benchmark).map(t => {
+      const locked = t === current;
+      const on = locked || settings.tickers.includes(t);
+      return `<button class="compare-chip ${on ? 'active' : ''}" data-compare-ticker="${esc(t)}"
+        style="--chip-color: ${colors[t] || '#33ff99'}" ${locked ? 'disabled title="Selected ticker"' : ''}>${esc(t)}</button>`;
+    }).join('');
+    return `
+      <div class="compare-controls">
+        <div class="compare-chips">${chips}<span class="compare-chip benchmark active" title="Benchmark">${benchmark}</span></div>
+        <div class="control-group">
+          <button class="ctrl-btn ${settings.scale === 'rebase' ? 'active' : ''}" data-compare-scale="rebase" title="Rebased to 100">=100</button>
+          <button class="ctrl-btn ${settings.scale === 'pct' ? 'active' : ''}" data-compare-scale="pct" title="% change">%</button>
+        </div>
+      </div>`;
+  }
+
+  function renderTable(result, missing, colors) {
+    const rows = result.table.map(r => `
+      <tr class="${r.isBenchmark ? 'compare-benchmark' : ''}">
+        <td style="color: ${r.isBenchmark ? 'var(--text)' : colors[r.ticker] || '#33ff99'}"${r.partial ? ` title="Listed ${new Date(r.since).toISOString().slice(0, 10)}; returns measured from then"` : ''}>${esc(r.ticker)}${r.partial ? '*' : ''}</td>
+        <td class="${tone(r.ret)}">${fmtPct(r.ret)}</td>
+        <td class="${tone(r.excess)}">${r.isBenchmark ? '—' : fmtPct(r.excess)}</td>
+        <td>${r.isBenchmark ? '100' : fmtNum(r.rs, 1)}</td>
+        <td>${fmtNum(r.beta, 2)}</td>
+        <td>${fmtNum(r.corr, 2)}</td>
+        <td class="negative">${fmtPct(r.maxDrawdown)}</td>
+        <td class="compare-trend ${(r.trend || '').toLowerCase()}">${r.trend || '—'}</td>
+      </tr>`).join('');
+    const note = missing.length ? `<div class="compare-note">No candles for ${missing.map(esc).join(', ')}</div>` : '';
+    return `
+      <table class="data-table compare-table">
+        <thead><tr>
+          <th>Ticker</th><th>Return</th><th>vs ${esc(result.benchmark)}</th><th title="Relative strength: ticker growth / benchmark growth × 100">RS</th>
+          <th>Beta</th><th>Corr</th><th>Max DD</th><th title="RS line, last third vs middle third of the window">RS Trend</th>
+        </tr></thead>
+        <tbody>${rows}</tbody>
+      </table>${note}`;
+  }
+
+  /**
+   * @param {string} containerId
+   * @param {Object} view - { result, available: [ticker], current, missing: [ticker], colors }
+   */
+  function render(containerId, view) {
+    const el = document.getElementById(containerId);
+    if (!el || !window.Comparison) return;
+    const settings = getSettings();
+    el.innerHTML = renderControls(settings, view.available, view.current, view.colors)
+      + renderTable(view.result, view.missing || [], view.colors);
+
+    el.querySelectorAll('[data-compare-ticker]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        if (!toggleTicker(btn.dataset.compareTicker) && window.showToast) {
+          window.showToast(`Compare up to ${MAX_TICKERS} tickers`, 'warning');
+        }
+      });
+    });
+    el.querySelectorAll('[data-compare-scale]').forEach(btn => {
+      btn.addEventListener('click', () => setScale(btn.dataset.compareScale));
+    });
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PUBLIC API
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  return {
+    getSettings,
+    toggleTicker,
+    setScale,
+    render
+  };
+
+})();
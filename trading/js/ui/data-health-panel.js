@@ -0,0 +1,166 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * DATA HEALTH PANEL
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Integrity report for every data file loaded this session: which files
+ * failed to load or validate, and why. Opened from the status-strip health
+ * indicator next to the data freshness stamp.
+ *
+ * Dependencies:
+ *   - js/data/data-schema.js (DataSchema)
+ *
+ * Usage:
+ *   DataHealthPanel.open()
+ *   DataHealthPanel.close()
+ *
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+window.DataHealthPanel = (function() {
+  'use strict';
+
+  let overlay = null;
+  let unsubscribe = null;
+
+  const KIND_LABELS = {
+    candles: 'Candles',
+    index: 'Index',
+    stats: 'Stats',
+    market: 'Market summary',
+    options: 'Options summary',
+    manifest: '45m manifest',
+    campaign: 'Campaign'
+  };
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // HELPERS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  const esc = PARALLAX_UTILS.escapeHtml;
+
+  function $(sel) {
+    return overlay ? overlay.querySelector(sel) : null;
+  }
+
+  function hasSchema() {
+    return typeof DataSchema !== 'undefined';
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // DOM
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function createOverlay() {
+    const el = document.createElement('div');
+    el.id = 'data-health-overlay';
+    el.className = 'console-dialog-overlay';
+    el.setAttribute('role', 'dialog');
+    el.setAttribute('aria-modal', 'true');
+    el.setAttribute('aria-label', 'Data health');
+
+    el.innerHTML = `
+      <div class="console-dialog-backdrop" data-action="close"></div>
+      <div class="console-dialog-panel wide">
+        <div class="console-dialog-header">
+          <h2 class="console-dialog-title">⛨ DATA HEALTH</h2>
+          <button class="console-dialog-close" data-action="close" aria-label="Close">×</button>
+        </div>
+        <div class="console-dialog-body">
+          <div class="pi-status" id="data-health-summary"></div>
+          <div class="ledger-section">
+            <div class="ledger-section-title">FILES LOADED THIS SESSION</div>
+            <div id="data-health-files"></div>
+          </div>
+        </div>
+        <div class="console-dialog-footer">
+          <span class="data-health-hint">Full sweep of data/: node scripts/check-data.js</span>
+          <button class="console-btn" data-action="close">CLOSE</button>
+        </div>
+      </div>
+    `;
+
+    el.addEventListener('click', (e) => {
+      const target = e.target.closest('[data-action]');
+      if (target && target.dataset.action === 'close') close();
+    });
+
+    el.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') close();
+    });
+
+    document.body.appendChild(el);
+    return el;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // RENDERING
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function renderIssues(entry) {
+    const lines = entry.errors.map(m => `<li class="data-health-error">${esc(m)}</li>`)
+      .concat(entry.warnings.map(m => `<li class="data-health-warning">${esc(m)}</li>`));
+    return lines.length ? `<ul class="data-health-issues">${lines.join('')}</ul>` : '—';
+  }
+
+  function render() {
+    if (!overlay) return;
+
+    const totals = DataSchema.getTotals();
+    const summary = $('#data-health-summary');
+    if (!totals.sources) {
+      summary.textContent = 'No data files loaded yet';
+      summary.className = 'pi-status';
+    } else if (totals.failing) {
+      summary.textContent = `${totals.failing} of ${totals.sources} file(s) failing · ${totals.errors} error(s) · ${totals.warnings} warning(s) — affected ships fall back to flat telemetry`;
+      summary.className = 'pi-status error';
+    } else {
+      summary.textContent = `${totals.sources} file(s) valid · ${totals.warnings} warning(s)`;
+      summary.className = 'pi-status ok';
+    }
+
+    const report = DataSchema.getReport();
+    $('#data-health-files').innerHTML = report.length ? `
+      <table class="data-table">
+        <thead><tr><th></th><th>File</th><th>Type</th><th>Issues</th></tr></thead>
+        <tbody>${report.map(e => `
+          <tr class="data-health-row ${e.ok ? (e.warnings.length ? 'warn' : 'ok') : 'fail'}">
+          <td>${e.ok ? (e.warnings.length ? '!' : '✓') : '✗'}</td>
+          <td>${esc(e.source)}</td><td>${esc(KIND_LABELS[e.kind] || e.kind)}</td>
+          <td>${renderIssues(e)}</td></tr>
+        `).join('')}</tbody>
+      </table>` : '<div class="ledger-empty">Files are checked as they load</div>';
+  }
+
+  function open() {
+    if (!hasSchema()) {
+      console.warn('[DataHealthPanel] DataSchema not loaded');
+      return;
+    }
+    if (!overlay) overlay = createOverlay();
+    if (!unsubscribe && window.PARALLAX_BUS) {
+      unsubscribe = PARALLAX_BUS.on('data:health', render);
+    }
+    render();
+    overlay.classList.add('visible');
+    setTimeout(() => $('.console-dialog-close')?.focus(), 50);
+  }
+
+  function close() {
+    if (overlay) overlay.classList.remove('visible');
+    if (unsubscribe) {
+      unsubscribe();
+      unsubscribe = null;
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PUBLIC API
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  return {
+    open,
+    close
+  };
+
+})();
@@ -0,0 +1,350 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * EVENT STUDY PANEL — Catalyst reactions and seasonality
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Card in the Catalysts tab over EventStudy: average abnormal returns
+ * before / on / after each event, the CAAR path across the window,
+ * realized vol around events, the per-event table, and day-of-week /
+ * month-of-year seasonality. Past catalysts are logged from here into
+ * the EventLog.
+ *
+ * Dependencies:
+ *   - js/data/event-study.js (EventStudy)
+ *   - js/state/event-log.js (EventLog, eventlog:change event)
+ *
+ * Usage:
+ *   EventStudyPanel.init({ containerId, getTickers, getTicker, colors })
+ *   EventStudyPanel.show()   // first call runs the study
+ *
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+window.EventStudyPanel = (function() {
+  'use strict';
+
+  const SET_LABELS = { CATALYSTS: 'CATALYSTS', OPEX: 'OPEX', QOPEX: 'Q-OPEX' };
+  const WINDOWS = [3, 5, 10];
+  const MAX_ROWS = 24;
+
+  let opts = null;
+  let container = null;
+  let ticker = null;
+  let set = 'OPEX';
+  let win = 5;
+  let shown = false;
+  let followed = null;   // app ticker at the last show()
+  let runId = 0;
+  let formError = '';
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // HELPERS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  const esc = PARALLAX_UTILS.escapeHtml;
+
+  function $(sel) {
+    return container ? container.querySelector(sel) : null;
+  }
+
+  function pct(v, digits = 1) {
+    if (v === null || !Number.isFinite(v)) return '—';
+    return (v >= 0 ? '+' : '') + (v * 100).toFixed(digits) + '%';
+  }
+
+  // Annualized vol, unsigned
+  function vol(v) {
+    return Number.isFinite(v) ? Math.round(v * 100) + '%' : '—';
+  }
+
+  function tone(v) {
+    if (!Number.isFinite(v) || v === 0) return '';
+    return v > 0 ? 'up' : 'down';
+  }
+
+  function fmtDate(t) {
+    return new Date(t).toISOString().slice(0, 10);
+  }
+
+  // Mean return → cell tint, saturating at ±scale
+  function heat(v, scale) {
+    if (!Number.isFinite(v)) return 'transparent';
+    const a = Math.min(1, Math.abs(v) / scale) * 0.55;
+    return v >= 0 ? `rgba(51, 255, 153, ${a.toFixed(2)})` : `rgba(255, 107, 107, ${a.toFixed(2)})`;
+  }
+
+  function tickers() {
+    const list = (opts.getTickers ? opts.getTickers() : []).map(t => t.toUpperCase());
+    if (ticker && !list.includes(ticker)) list.unshift(ticker);
+    return list;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // RENDERING
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function renderShell() {
+    const color = (opts.colors || {})[ticker] || 'var(--text)';
+    container.innerHTML = `
+      <div class="study-panel">
+        <div class="study-controls">
+          <select class="study-ticker" data-role="ticker" style="color: ${color}" aria-label="Ticker">
+            ${tickers().map(t => `<option value="${esc(t)}" ${t === ticker ? 'selected' : ''}>${esc(t)}</option>`).join('')}
+          </select>
+          <div class="control-group">
+            ${Object.keys(SET_LABELS).map(s => `<button class="ctrl-btn ${s === set ? 'active' : ''}" data-set="${s}">${SET_LABELS[s]}</button>`).join('')}
+          </div>
+          <div class="control-group">
+            ${WINDOWS.map(w => `<button class="ctrl-btn ${w === win ? 'active' : ''}" data-window="${w}">±${w}D</button>`).join('')}
+          </div>
+        </div>
+        <div data-role="study"><div class="study-empty">Running event study…</div></div>
+        ${set === 'CATALYSTS' ? renderLog() : ''}
+        <div data-role="season"></div>
+      </div>
+    `;
+  }
+
+  function renderStat(label, value, sub, cls = '') {
+    return `
+      <div class="study-stat">
+        <div class="study-stat-label">${label}</div>
+        <div class="study-stat-value ${cls}">${value}</div>
+        ${sub ? `<div class="study-stat-sub">${sub}</div>` : ''}
+      </div>
+    `;
+  }
+
+  function renderCaar(res) {
+    const scale = Math.max(0.01, ...res.caar.map(Math.abs));
+    return res.offsets.map((k, i) => {
+      const v = res.caar[i];
+      const width = Math.min(50, Math.abs(v) / scale * 50);
+      const side = v >= 0 ? `left: 50%; width: ${width}%` : `left: ${50 - width}%; width: ${width}%`;
+      return `
+        <div class="study-caar-row ${k === 0 ? 'event-day' : ''}">
+          <span class="study-caar-offset">${k > 0 ? '+' + k : k}</span>
+          <div class="study-caar-bar"><div class="study-caar-fill ${tone(v)}" style="${side}"></div></div>
+          <span class="study-caar-value ${tone(res.aar[i])}" title="Average abnormal return that day">${pct(res.aar[i], 2)}</span>
+          <span class="study-caar-value ${tone(v)}" title="Cumulative from day −${res.pre}">${pct(v, 2)}</span>
+        </div>
+      `;
+    }).join('');
+  }
+
+  function renderEvents(res) {
+    const rows = res.events.slice().reverse().slice(0, MAX_ROWS).map(e => `
+      <tr>
+        <td>${fmtDate(e.date)}</td>
+        <td>${esc(e.label)}</td>
+        <td class="study-dim">${e.model}</td>
+        <td class="${tone(e.preCar)}">${pct(e.preCar)}</td>
+        <td class="${tone(e.day0)}">${pct(e.day0)}</td>
+        <td class="${tone(e.postCar)}">${pct(e.postCar)}</td>
+        <td class="study-dim">${vol(e.volPre)} → ${vol(e.volPost)}</td>
+      </tr>
+    `).join('');
+    const more = res.events.length > MAX_ROWS ? `<div class="study-empty">Latest ${MAX_ROWS} of ${res.events.length} events</div>` : '';
+    return `
+      <table class="data-table study-table">
+        <thead><tr><th>DATE</th><th>EVENT</th><th>MODEL</th><th>PRE</th><th>DAY 0</th><th>POST</th><th>VOL</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+      ${more}
+    `;
+  }
+
+  function renderStudy(res) {
+    const el = $('[data-role="study"]');
+    if (!el) return;
+    if (!res) {
+      el.innerHTML = `<div class="study-empty">No daily bars for ${esc(ticker)}</div>`;
+      return;
+    }
+    if (!res.n) {
+      const hint = set === 'CATALYSTS'
+        ? 'No dated past catalysts — log earnings prints or launches below'
+        : 'No events inside the daily history';
+      el.innerHTML = `<div class="study-empty">${hint}${res.pending ? ` · ${res.pending} pending` : ''}</div>`;
+      return;
+    }
+
+    const models = Object.entries(res.models).map(([m, c]) => `${m} ${c}`).join(' / ');
+    el.innerHTML = `
+      <div class="study-meta">
+        ${res.n} events · ±${res.pre}D window · model ${models}${res.pending ? ` · ${res.pending} pending` : ''} · abnormal vs ${EventStudy.BENCHMARK}
+      </div>
+      <div class="study-stats">
+        ${renderStat(`PRE (−${res.pre}…−1)`, pct(res.preCar), 'avg CAR run-up', tone(res.preCar))}
+        ${renderStat('DAY 0', pct(res.day0), 'avg abnormal return', tone(res.day0))}
+        ${renderStat(`POST (+1…+${res.post})`, pct(res.postCar), 'avg CAR drift', tone(res.postCar))}
+        ${renderStat('HIT RATE', Math.round(res.hitRate * 100) + '%', `CAR 0…+${res.post} &gt; 0 · t ${Number.isFinite(res.tStat) ? res.tStat.toFixed(2) : '—'}`)}
+        ${renderStat('REALIZED VOL', `${vol(res.volPre)} → ${vol(res.volPost)}`, `pre → post · base ${vol(res.volBase)}`)}
+      </div>
+      <div class="study-grid">
+        <div>
+          <div class="study-section-title">// CAAR PATH <span class="study-dim">AAR · CAAR</span></div>
+          ${renderCaar(res)}
+        </div>
+        <div>
+          <div class="study-section-title">// EVENTS</div>
+          ${renderEvents(res)}
+        </div>
+      </div>
+    `;
+  }
+
+  function renderSeasonRow(buckets, scale) {
+    return `
+      <tr>${buckets.map(b => `<th>${b.label}</th>`).join('')}</tr>
+      <tr>${buckets.map(b => `<td style="background: ${heat(b.mean, scale)}" title="${b.n} samples">${b.n ? pct(b.mean, 2) : '—'}</td>`).join('')}</tr>
+      <tr class="study-dim">${buckets.map(b => `<td>${b.n ? Math.round(b.hitRate * 100) + '% · ' + b.n : ''}</td>`).join('')}</tr>
+    `;
+  }
+
+  function renderSeason(bars) {
+    const el = $('[data-role="season"]');
+    if (!el) return;
+    if (!bars || bars.length < 2) {
+      el.innerHTML = '';
+      return;
+    }
+    const s = EventStudy.seasonality(bars);
+    el.innerHTML = `
+      <div class="study-section-title">// DAY OF WEEK <span class="study-dim">mean daily return · hit rate · n</span></div>
+      <table class="study-season">${renderSeasonRow(s.weekdays, 0.005)}</table>
+      <div class="study-section-title">// MONTH OF YEAR <span class="study-dim">mean monthly return · hit rate · years</span></div>
+      <div class="study-season-wrap"><table class="study-season">${renderSeasonRow(s.months, 0.1)}</table></div>
+    `;
+  }
+
+  function renderLog() {
+    const events = window.EventLog ? EventLog.list(ticker) : [];
+    const kinds = window.EventLog ? EventLog.KINDS : ['OTHER'];
+    const list = events.length
+      ? events.slice().reverse().map(e => `
+          <div class="study-log-item">
+            <span>${fmtDate(e.date)}</span>
+            <span class="study-dim">${e.kind}</span>
+            <span class="study-log-label">${esc(e.label)}</span>
+            <button class="study-log-remove" data-remove="${esc(e.id)}" title="Remove">×</button>
+          </div>
+        `).join('')
+      : '<div class="study-empty">No events logged for ' + esc(ticker) + '</div>';
+
+    return `
+      <div class="study-log">
+        <div class="study-section-title">// EVENT LOG</div>
+        <form class="study-log-form" data-role="log-form">
+          <input type="date" name="date" required aria-label="Event date">
+          <select name="kind" aria-label="Event kind">${kinds.map(k => `<option value="${k}">${k}</option>`).join('')}</select>
+          <input type="text" name="label" maxlength="80" placeholder="Q3 earnings, launch…" required aria-label="Event label">
+          <button type="submit" class="ctrl-btn">ADD</button>
+        </form>
+        ${formError ? `<div class="pi-status error">${esc(formError)}</div>` : ''}
+        ${list}
+      </div>
+    `;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // ACTIONS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  async function refresh() {
+    if (!container || !window.EventStudy) return;
+    const id = ++runId;
+    renderShell();
+    const [res, bars] = await Promise.all([
+      EventStudy.run(ticker, set, { pre: win, post: win }),
+      EventStudy.loadDaily(ticker)
+    ]);
+    // A newer selection started while this one was loading
+    if (id !== runId) return;
+    renderStudy(res);
+    renderSeason(bars);
+  }
+
+  function onClick(e) {
+    const btn = e.target.closest('button');
+    if (!btn) return;
+    if (btn.dataset.set) {
+      set = btn.dataset.set;
+      formError = '';
+      refresh();
+    } else if (btn.dataset.window) {
+      win = parseInt(btn.dataset.window, 10);
+      refresh();
+    } else if (btn.dataset.remove && window.EventLog) {
+      EventLog.remove(btn.dataset.remove);
+    }
+  }
+
+  function onChange(e) {
+    if (e.target.dataset.role !== 'ticker') return;
+    ticker = e.target.value;
+    formError = '';
+    refresh();
+  }
+
+  function onSubmit(e) {
+    if (e.target.dataset.role !== 'log-form') return;
+    e.preventDefault();
+    if (!window.EventLog) return;
+    const form = e.target;
+    const res = EventLog.add({
+      ticker,
+      date: form.elements.date.value,
+      kind: form.elements.kind.value,
+      label: form.elements.label.value
+    });
+    formError = res.ok ? '' : res.error;
+    // Success re-renders through eventlog:change
+    if (!res.ok) refresh();
+  }
+
+  /**
+   * Follow the active ticker and (re)run the study
+   */
+  function show() {
+    if (!container) return;
+    const current = opts.getTicker ? opts.getTicker() : null;
+    if (!shown || (current && current !== followed)) {
+      followed = current;
+      ticker = (current || tickers()[0] || EventStudy.BENCHMARK).toUpperCase();
+      shown = true;
+      refresh();
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PUBLIC API
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  return {
+    /**
+     * @param {Object} options - { containerId, getTickers, getTicker, colors }
+     */
+    init(options = {}) {
+      opts = options;
+      container = document.getElementById(options.containerId);
+      if (!container) {
+        console.warn('EventStudyPanel: Container not found:', options.containerId);
+        return;
+      }
+      container.addEventListener('click', onClick);
+      container.addEventListener('change', onChange);
+      container.addEventListener('submit', onSubmit);
+      if (window.PARALLAX_BUS) {
+        window.PARALLAX_BUS.on('eventlog:change', detail => {
+          if (shown && set === 'CATALYSTS' && detail.ticker === ticker) refresh();
+        });
+      }
+      // Catalysts tab opened from the URL hash before init
+      if (container.closest('.tab-panel.active')) show();
+    },
+
+    show,
+    refresh
+  };
+})();
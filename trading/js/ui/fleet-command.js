@@ -10,6 +10,7 @@
  *   - js/data/ship-data.js (SHIP_SPRITES, SHIP_CLASSES)
  *   - js/data/ticker-profiles.js (TICKER_PROFILES)
  *   - js/ui/shipBrief.js (openShipBrief)
+ *   - window.getOptionBook (app.js, optional) for live option greeks
  * 
  * ═══════════════════════════════════════════════════════════════════════════
  */
@@ -81,6 +82,24 @@
     return 'standby';
   }
   
+  /**
+   * Live greeks row for a ticker's option position (window.getOptionBook in app.js)
+   */
+  function renderGreeksRow(ticker) {
+    if (typeof window.getOptionBook !== 'function') return '';
+    const pos = window.getOptionBook().find(p => p.ticker === ticker);
+    if (!pos || !pos.model) return '';
+    const g = pos.model.dollarGreeks;
+    const fmt = v => (v >= 0 ? '+' : '-') + '$' + Math.abs(v).toFixed(0);
+    return `
+          <div class="vessel-greeks" title="${pos.structure} ${pos.strikes} · ${pos.model.daysToExpiry}d · HV ${(pos.model.vol * 100).toFixed(0)}%${pos.iv ? ` · IV ${(pos.iv * 100).toFixed(0)}%` : ''}">
+            <span class="vessel-greeks-label">OPT</span>
+            <span>Δ ${pos.greeks.delta.toFixed(2)}</span>
+            <span>Θ ${fmt(g.theta)}/d</span>
+            <span>V ${fmt(g.vega)}</span>
+          </div>`;
+  }
+  
   /**
    * Render a single vessel card
    */
@@ -153,6 +172,7 @@
               <span class="vessel-pnl-percent ${pnlClass}">${pnlPct}</span>
             </div>
           </div>
+          ${renderGreeksRow(ticker)}
         </div>
       </div>
     `;
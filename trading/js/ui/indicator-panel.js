@@ -0,0 +1,287 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * INDICATOR PANEL — Picker dialog + chart plumbing for the Indicators registry
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * - Console dialog to switch indicators on/off and tune their params
+ * - Chart.js datasets for overlay indicators (merged into the price chart)
+ * - One small Chart.js pane per enabled sub-pane indicator
+ *
+ * Dependencies:
+ *   - js/data/indicators.js (Indicators)
+ *   - Chart.js (loaded lazily by app.js ChartLoader)
+ *
+ * Usage:
+ *   IndicatorPanel.open()
+ *   IndicatorPanel.overlayDatasets(fullBars, visibleCount)
+ *   IndicatorPanel.renderPanes('indicator-panes', fullBars, visibleCount, labels)
+ *
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+window.IndicatorPanel = (function() {
+  'use strict';
+
+  let overlay = null;
+  let unsubscribe = null;
+  const paneCharts = [];
+
+  const FONT = "'IBM Plex Mono', monospace";
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // HELPERS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  const esc = PARALLAX_UTILS.escapeHtml;
+
+  function $(sel) {
+    return overlay ? overlay.querySelector(sel) : null;
+  }
+
+  function withAlpha(hex, a) {
+    const h = hex.replace('#', '');
+    const r = parseInt(h.slice(0, 2), 16), g = parseInt(h.slice(2, 4), 16), b = parseInt(h.slice(4, 6), 16);
+    return `rgba(${r},${g},${b},${a})`;
+  }
+
+  function fmtValue(v) {
+    if (!Number.isFinite(v)) return '—';
+    const abs = Math.abs(v);
+    if (abs >= 1e9) return (v / 1e9).toFixed(2) + 'B';
+    if (abs >= 1e6) return (v / 1e6).toFixed(2) + 'M';
+    if (abs >= 1e3) return (v / 1e3).toFixed(1) + 'K';
+    return v.toFixed(2);
+  }
+
+  /**
+   * Chart.js line datasets for one indicator result, visible tail only.
+   * fillTo uses relative targets ('-2') so the datasets can sit anywhere.
+   */
+  function toDatasets(result, count) {
+    const indexOf = {};
+    result.series.forEach((s, i) => { indexOf[s.key] = i; });
+    return result.series.map((s, i) => ({
+      label: s.label,
+      data: s.values.slice(-count),
+      borderColor: s.color,
+      borderWidth: 1.2,
+      borderDash: s.dash || [],
+      pointRadius: 0,
+      tension: 0.1,
+      spanGaps: false,
+      fill: s.fillTo && indexOf[s.fillTo] !== undefined ? String(indexOf[s.fillTo] - i) : false,
+      backgroundColor: withAlpha(s.color, 0.07),
+      isIndicator: true
+    }));
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // CHART PLUMBING
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Datasets for every enabled overlay indicator
+   * @param {Array} bars - full series (warm-up included)
+   * @param {number} count - visible bars (tail of `bars`)
+   */
+  function overlayDatasets(bars, count) {
+    if (!window.Indicators) return [];
+    return Indicators.computeEnabled(bars, 'overlay').flatMap(result => toDatasets(result, count));
+  }
+
+  function destroyPanes() {
+    while (paneCharts.length) paneCharts.pop().destroy();
+  }
+
+  /**
+   * Render one pane per enabled sub-pane indicator
+   * @param {string} containerId
+   * @param {Array} bars - full series
+   * @param {number} count - visible bars
+   * @param {Array<Date>} labels - x labels of the visible bars
+   */
+  function renderPanes(containerId, bars, count, labels) {
+    const container = document.getElementById(containerId);
+    if (!container || !window.Indicators || typeof Chart === 'undefined') return;
+    destroyPanes();
+
+    const results = Indicators.computeEnabled(bars, 'sub');
+    container.hidden = !results.length;
+    container.innerHTML = results.map(r => `
+      <div class="indicator-pane" data-indicator="${esc(r.id)}">
+        <div class="indicator-pane-label">
+          ${r.series.map(s => `<span style="color:${s.color}">${esc(s.label)} ${fmtValue(s.values[s.values.length - 1])}</span>`).join('')}
+          <button class="indicator-pane-close" data-remove="${esc(r.id)}" aria-label="Remove ${esc(r.name)}">×</button>
+        </div>
+        <canvas></canvas>
+      </div>
+    `).join('');
+
+    results.forEach(r => {
+      const canvas = container.querySelector(`[data-indicator="${r.id}"] canvas`);
+      const levels = (r.levels || []).map(level => ({
+        label: 'level',
+        data: labels.map(() => level),
+        borderColor: 'rgba(90, 112, 104, 0.5)',
+        borderWidth: 1,
+        borderDash: [3, 3],
+        pointRadius: 0,
+        fill: false
+      }));
+      paneCharts.push(new Chart(canvas, {
+        type: 'line',
+        data: { labels, datasets: toDatasets(r, count).concat(levels) },
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          animation: false,
+          interaction: { mode: 'index', intersect: false },
+          plugins: {
+            legend: { display: false },
+            tooltip: {
+              backgroundColor: 'rgba(10, 12, 15, 0.92)',
+              bodyFont: { family: FONT, size: 10 },
+              titleFont: { family: FONT, size: 10 },
+              filter: item => item.dataset.label !== 'level',
+              callbacks: { label: item => `${item.dataset.label} ${fmtValue(item.parsed.y)}` }
+            }
+          },
+          scales: {
+            x: { type: 'time', display: false },
+            y: {
+              position: 'right',
+              min: r.range ? r.range[0] : undefined,
+              max: r.range ? r.range[1] : undefined,
+              grid: { color: 'rgba(51, 255, 153, 0.05)' },
+              ticks: { color: '#5a7068', font: { family: FONT, size: 9 }, maxTicksLimit: 3, callback: fmtValue }
+            }
+          }
+        }
+      }));
+    });
+
+    container.querySelectorAll('[data-remove]').forEach(btn => {
+      btn.addEventListener('click', () => Indicators.setEnabled(btn.dataset.remove, false));
+    });
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PICKER DIALOG
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function createOverlay() {
+    const el = document.createElement('div');
+    el.id = 'indicator-overlay';
+    el.className = 'console-dialog-overlay';
+    el.setAttribute('role', 'dialog');
+    el.setAttribute('aria-modal', 'true');
+    el.setAttribute('aria-label', 'Indicators');
+
+    el.innerHTML = `
+      <div class="console-dialog-backdrop" data-action="close"></div>
+      <div class="console-dialog-panel wide">
+        <div class="console-dialog-header">
+          <h2 class="console-dialog-title">∿ SENSOR ARRAY</h2>
+          <button class="console-dialog-close" data-action="close" aria-label="Close">×</button>
+        </div>
+        <div class="console-dialog-body">
+          <div class="ledger-section">
+            <div class="ledger-section-title">PRICE OVERLAYS</div>
+            <div id="indicator-list-overlay"></div>
+          </div>
+          <div class="ledger-section">
+            <div class="ledger-section-title">SUB-PANES</div>
+            <div id="indicator-list-sub"></div>
+          </div>
+        </div>
+        <div class="console-dialog-footer">
+          <button class="console-btn" data-action="close">DONE</button>
+        </div>
+      </div>
+    `;
+
+    el.addEventListener('click', (e) => {
+      const target = e.target.closest('[data-action]');
+      if (!target) return;
+      if (target.dataset.action === 'close') close();
+      if (target.dataset.action === 'reset') Indicators.resetParams(target.dataset.id);
+    });
+
+    el.addEventListener('change', (e) => {
+      const input = e.target;
+      if (input.matches('[data-toggle]')) Indicators.setEnabled(input.dataset.toggle, input.checked);
+      if (input.matches('[data-param]')) {
+        const [id, key] = input.dataset.param.split('.');
+        Indicators.setParams(id, { [key]: input.value });
+      }
+    });
+
+    el.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') close();
+    });
+
+    document.body.appendChild(el);
+    return el;
+  }
+
+  function renderRow(def) {
+    const params = Indicators.getParams(def.id);
+    const inputs = Object.entries(def.params).map(([key, spec]) => `
+      <label class="indicator-param">${esc(spec.label || key)}
+        <input type="number" data-param="${esc(def.id)}.${esc(key)}" value="${params[key]}"
+          min="${spec.min ?? ''}" max="${spec.max ?? ''}" step="${spec.step || 1}">
+      </label>
+    `).join('');
+    return `
+      <div class="indicator-row">
+        <label class="indicator-name">
+          <input type="checkbox" data-toggle="${esc(def.id)}" ${Indicators.isEnabled(def.id) ? 'checked' : ''}>
+          ${esc(def.name)}
+        </label>
+        <div class="indicator-params">${inputs}</div>
+        ${inputs ? `<button class="ledger-remove" data-action="reset" data-id="${esc(def.id)}" title="Reset to defaults">↺</button>` : ''}
+      </div>
+    `;
+  }
+
+  function render() {
+    if (!overlay) return;
+    const defs = Indicators.list();
+    $('#indicator-list-overlay').innerHTML = defs.filter(d => d.pane === 'overlay').map(renderRow).join('');
+    $('#indicator-list-sub').innerHTML = defs.filter(d => d.pane === 'sub').map(renderRow).join('');
+  }
+
+  function open() {
+    if (!window.Indicators) {
+      console.warn('[IndicatorPanel] Indicators not loaded');
+      return;
+    }
+    if (!overlay) overlay = createOverlay();
+    if (!unsubscribe && window.PARALLAX_BUS) {
+      unsubscribe = PARALLAX_BUS.on('indicators:change', render);
+    }
+    render();
+    overlay.classList.add('visible');
+    setTimeout(() => $('[data-toggle]')?.focus(), 50);
+  }
+
+  function close() {
+    if (overlay) overlay.classList.remove('visible');
+    if (unsubscribe) {
+      unsubscribe();
+      unsubscribe = null;
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PUBLIC API
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  return {
+    open,
+    close,
+    overlayDatasets,
+    renderPanes
+  };
+
+})();
@@ -0,0 +1,295 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * LEDGER PANEL
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Quartermaster's log: record trades / splits / dividends, pick the lot
+ * method, and inspect open lots and realized closes derived by Ledger.
+ *
+ * Usage:
+ *   LedgerPanel.open()
+ *   LedgerPanel.close()
+ *
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+window.LedgerPanel = (function() {
+  'use strict';
+
+  let overlay = null;
+  let unsubscribe = null;
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // HELPERS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  const esc = PARALLAX_UTILS.escapeHtml;
+
+  function fmtMoney(n, signed) {
+    if (!Number.isFinite(n)) return '—';
+    const sign = signed ? (n >= 0 ? '+' : '−') : (n < 0 ? '−' : '');
+    return sign + '$' + Math.abs(n).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  }
+
+  function fmtDate(ts) {
+    return new Date(ts).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: '2-digit' });
+  }
+
+  function fmtShares(n) {
+    return (+n.toFixed(4)).toLocaleString();
+  }
+
+  function pnlClass(n) {
+    return n >= 0 ? 'pnl-positive' : 'pnl-negative';
+  }
+
+  function $(sel) {
+    return overlay ? overlay.querySelector(sel) : null;
+  }
+
+  function describeEntry(e) {
+    if (e.type === 'SPLIT') return `${e.ratio}:1 split`;
+    if (e.type === 'DIVIDEND') return `${fmtMoney(e.amount)} dividend`;
+    return `${fmtShares(e.shares)} @ ${fmtMoney(e.price)}` + (e.fees ? ` · fees ${fmtMoney(e.fees)}` : '');
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // DOM
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function createOverlay() {
+    const el = document.createElement('div');
+    el.id = 'ledger-overlay';
+    el.className = 'console-dialog-overlay';
+    el.setAttribute('role', 'dialog');
+    el.setAttribute('aria-modal', 'true');
+    el.setAttribute('aria-label', 'Trade ledger');
+
+    const today = new Date().toISOString().slice(0, 10);
+
+    el.innerHTML = `
+      <div class="console-dialog-backdrop" data-action="close"></div>
+      <div class="console-dialog-panel wide">
+        <div class="console-dialog-header">
+          <h2 class="console-dialog-title">▤ QUARTERMASTER LEDGER</h2>
+          <button class="console-dialog-close" data-action="close" aria-label="Close">×</button>
+        </div>
+        <div class="console-dialog-body">
+          <div class="ledger-summary" id="ledger-summary"></div>
+
+          <form class="ledger-form" id="ledger-form" autocomplete="off">
+            <select name="type">
+              <option value="BUY">BUY</option>
+              <option value="SELL">SELL</option>
+              <option value="SPLIT">SPLIT</option>
+              <option value="DIVIDEND">DIVIDEND</option>
+            </select>
+            <input name="ticker" placeholder="TICKER" maxlength="10" required>
+            <input name="date" type="date" value="${today}" required>
+            <input name="shares" type="number" step="any" min="0" placeholder="Shares" data-for="BUY SELL">
+            <input name="price" type="number" step="any" min="0" placeholder="Price" data-for="BUY SELL">
+            <input name="fees" type="number" step="any" min="0" placeholder="Fees" data-for="BUY SELL">
+            <input name="ratio" type="number" step="any" min="0" placeholder="Ratio (2 = 2:1)" data-for="SPLIT">
+            <input name="amount" type="number" step="any" placeholder="Cash amount" data-for="DIVIDEND">
+            <select name="lotId" data-for="SELL" title="Specific lot (SPECIFIC method)">
+              <option value="">Lot: by method</option>
+            </select>
+            <button type="submit" class="console-btn primary">LOG ENTRY</button>
+          </form>
+          <div class="pi-status" id="ledger-status"></div>
+
+          <div class="ledger-section">
+            <div class="ledger-section-title">OPEN LOTS</div>
+            <div id="ledger-lots"></div>
+          </div>
+          <div class="ledger-section">
+            <div class="ledger-section-title">REALIZED CLOSES</div>
+            <div id="ledger-realized"></div>
+          </div>
+          <div class="ledger-section">
+            <div class="ledger-section-title">ENTRIES</div>
+            <div id="ledger-entries"></div>
+          </div>
+        </div>
+        <div class="console-dialog-footer">
+          <label class="ledger-method">Lot method
+            <select id="ledger-method">
+              ${Ledger.METHODS.map(m => `<option value="${m}">${m}</option>`).join('')}
+            </select>
+          </label>
+          <button class="console-btn" data-action="clear">CLEAR LEDGER</button>
+        </div>
+      </div>
+    `;
+
+    el.addEventListener('click', (e) => {
+      const target = e.target.closest('[data-action]');
+      if (!target) return;
+      const action = target.dataset.action;
+      if (action === 'close') close();
+      if (action === 'clear' && confirm('Clear every ledger entry?')) Ledger.clear();
+      if (action === 'remove') Ledger.removeEntry(target.dataset.id);
+    });
+
+    el.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') close();
+    });
+
+    const form = el.querySelector('#ledger-form');
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      submitEntry(form);
+    });
+    form.type.addEventListener('change', () => syncFormFields(form));
+    form.ticker.addEventListener('change', () => syncLotOptions(form));
+
+    el.querySelector('#ledger-method').addEventListener('change', (e) => {
+      Ledger.setMethod(e.target.value);
+    });
+
+    document.body.appendChild(el);
+    syncFormFields(form);
+    return el;
+  }
+
+  function syncFormFields(form) {
+    const type = form.type.value;
+    form.querySelectorAll('[data-for]').forEach(input => {
+      input.hidden = !input.dataset.for.split(' ').includes(type);
+    });
+    form.lotId.hidden = type !== 'SELL' || Ledger.getMethod() !== 'SPECIFIC';
+    syncLotOptions(form);
+  }
+
+  function syncLotOptions(form) {
+    const lots = Ledger.getLots(form.ticker.value);
+    form.lotId.innerHTML = '<option value="">Lot: by method</option>' + lots.map(l =>
+      `<option value="${esc(l.id)}">${fmtDate(l.date)} · ${fmtShares(l.shares)} @ ${fmtMoney(l.costPerShare)}</option>`
+    ).join('');
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // ACTIONS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function setStatus(msg, tone) {
+    const el = $('#ledger-status');
+    if (!el) return;
+    el.textContent = msg || '';
+    el.className = 'pi-status' + (tone ? ' ' + tone : '');
+  }
+
+  function submitEntry(form) {
+    const type = form.type.value;
+    const raw = {
+      type,
+      ticker: form.ticker.value,
+      // Date inputs are local calendar days; anchor at noon to avoid TZ drift
+      date: Date.parse(form.date.value + 'T12:00:00'),
+      shares: form.shares.value,
+      price: form.price.value,
+      fees: form.fees.value,
+      ratio: form.ratio.value,
+      amount: form.amount.value
+    };
+    if (type === 'SELL' && form.lotId.value) {
+      raw.lots = [{ lotId: form.lotId.value, shares: raw.shares }];
+    }
+
+    const res = Ledger.addEntry(raw);
+    if (!res.ok) {
+      setStatus(res.error, 'error');
+      return;
+    }
+
+    const realizedPnl = (res.realized || []).reduce((s, r) => s + r.pnl, 0);
+    setStatus(`Logged ${res.entry.type} ${res.entry.ticker}` +
+      (res.entry.type === 'SELL' ? ` · realized ${fmtMoney(realizedPnl, true)}` : ''), 'ok');
+    form.shares.value = '';
+    form.price.value = '';
+    form.fees.value = '';
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // RENDERING
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function render() {
+    if (!overlay) return;
+    const book = Ledger.derive();
+    const totals = Ledger.getTotals();
+
+    $('#ledger-method').value = Ledger.getMethod();
+    syncFormFields($('#ledger-form'));
+
+    $('#ledger-summary').innerHTML = `
+      <div class="ledger-stat"><span>OPEN COST</span><b>${fmtMoney(totals.openCost)}</b></div>
+      <div class="ledger-stat"><span>REALIZED</span><b class="${pnlClass(totals.realized)}">${fmtMoney(totals.realized, true)}</b></div>
+      <div class="ledger-stat"><span>DIVIDENDS</span><b>${fmtMoney(totals.dividends)}</b></div>
+      <div class="ledger-stat"><span>METHOD</span><b>${book.method}</b></div>
+    ` + book.warnings.map(w => `<div class="ledger-warning">⚠ ${esc(w)}</div>`).join('');
+
+    const lots = Object.values(book.lots).flat().sort((a, b) => a.ticker.localeCompare(b.ticker) || a.date - b.date);
+    $('#ledger-lots').innerHTML = lots.length ? `
+      <table class="data-table">
+        <thead><tr><th>Ticker</th><th>Opened</th><th>Shares</th><th>Cost / Sh</th><th>Basis</th></tr></thead>
+        <tbody>${lots.map(l => `
+          <tr><td>${esc(l.ticker)}</td><td>${fmtDate(l.date)}</td><td>${fmtShares(l.shares)}</td>
+          <td>${fmtMoney(l.costPerShare)}</td><td>${fmtMoney(l.shares * l.costPerShare)}</td></tr>
+        `).join('')}</tbody>
+      </table>` : '<div class="ledger-empty">No open lots</div>';
+
+    const closes = book.realized.slice().reverse().slice(0, 50);
+    $('#ledger-realized').innerHTML = closes.length ? `
+      <table class="data-table">
+        <thead><tr><th>Ticker</th><th>Closed</th><th>Shares</th><th>Held</th><th>Proceeds</th><th>P&L</th></tr></thead>
+        <tbody>${closes.map(r => `
+          <tr><td>${esc(r.ticker)}</td><td>${fmtDate(r.date)}</td><td>${fmtShares(r.shares)}</td>
+          <td>${r.holdingDays}d</td><td>${fmtMoney(r.proceeds)}</td>
+          <td class="${pnlClass(r.pnl)}">${fmtMoney(r.pnl, true)}</td></tr>
+        `).join('')}</tbody>
+      </table>` : '<div class="ledger-empty">No closed lots</div>';
+
+    const entries = Ledger.getEntries().reverse();
+    $('#ledger-entries').innerHTML = entries.length ? `
+      <table class="data-table">
+        <thead><tr><th>Date</th><th>Type</th><th>Ticker</th><th>Detail</th><th></th></tr></thead>
+        <tbody>${entries.map(e => `
+          <tr><td>${fmtDate(e.date)}</td><td>${e.type}</td><td>${esc(e.ticker)}</td><td>${esc(describeEntry(e))}</td>
+          <td><button class="ledger-remove" data-action="remove" data-id="${esc(e.id)}" aria-label="Remove entry">×</button></td></tr>
+        `).join('')}</tbody>
+      </table>` : '<div class="ledger-empty">Ledger empty — log a trade or import a transaction CSV</div>';
+  }
+
+  function open() {
+    if (!window.Ledger) {
+      console.warn('[LedgerPanel] Ledger not loaded');
+      return;
+    }
+    if (!overlay) overlay = createOverlay();
+    if (!unsubscribe && window.PARALLAX_BUS) {
+      unsubscribe = PARALLAX_BUS.on('ledger:change', render);
+    }
+    render();
+    overlay.classList.add('visible');
+    setTimeout(() => $('#ledger-form input[name="ticker"]')?.focus(), 50);
+  }
+
+  function close() {
+    if (overlay) overlay.classList.remove('visible');
+    if (unsubscribe) {
+      unsubscribe();
+      unsubscribe = null;
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PUBLIC API
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  return {
+    open,
+    close
+  };
+
+})();
@@ -0,0 +1,418 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * MISSION REPLAY — Bar-by-bar Mission Playback (Mission Command)
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Reloads a resolved or aborted mission's bar window through IndicatorLoader
+ * and plays it back: candles with the A–F band ladders and the kernel line,
+ * a timeline of every log trigger and support intervention, and the running
+ * window features and trade P&L at the cursor. Scrub with the slider, step
+ * with ◀ ▶ (or the arrow keys), play/pause with the button or space.
+ *
+ * Dependencies:
+ *   - js/data/indicator-loader.js (IndicatorLoader)
+ *   - js/mission-system.js (MissionSystem.buildReplay)
+ *
+ * Usage:
+ *   MissionReplay.init('replay-backdrop')
+ *   MissionReplay.open(missionId)
+ *
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+(function() {
+  'use strict';
+
+  const W = 800;
+  const PRICE_H = 260;
+  const TRACK_H = 44;
+  const SPEEDS = [1, 4, 16];           // bars per second
+  const RECENT_EVENTS = 8;
+  const LADDERS = {
+    A: '#33ff99', B: '#47d4ff', C: '#8899ff', D: '#cc88ff', E: '#ffaa33', F: '#ff4444'
+  };
+  const KIND_COLORS = { WARN: '#ffaa33', EVENT: '#33ff99', INFO: '#47d4ff' };
+
+  let backdrop = null;
+  let mission = null;
+  let replay = null;
+  let cursor = 0;
+  let speed = SPEEDS[0];
+  let timer = null;
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // HELPERS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function el(id) {
+    return document.getElementById(id);
+  }
+
+  function fmtTime(sec) {
+    return new Date(sec * 1000).toISOString().slice(0, 16).replace('T', ' ');
+  }
+
+  function pct(x, digits = 1) {
+    return Number.isFinite(x) ? (x >= 0 ? '+' : '') + (x * 100).toFixed(digits) + '%' : '—';
+  }
+
+  function money(x) {
+    if (!Number.isFinite(x)) return '—';
+    return (x < 0 ? '-$' : '+$') + Math.round(Math.abs(x)).toLocaleString();
+  }
+
+  const escapeHtml = PARALLAX_UTILS.escapeHtml;
+
+  // Price range of the window plus any band values within one range of it
+  function priceScale(rows) {
+    let lo = Infinity;
+    let hi = -Infinity;
+    rows.forEach(r => {
+      lo = Math.min(lo, r.low);
+      hi = Math.max(hi, r.high);
+    });
+    const span = hi - lo || hi * 0.01 || 1;
+    rows.forEach(r => {
+      Object.keys(LADDERS).forEach(g => {
+        for (let n = 1; n <= 5; n++) {
+          const v = r[g + n];
+          if (Number.isFinite(v) && v > lo - span && v < hi + span) {
+            lo = Math.min(lo, v);
+            hi = Math.max(hi, v);
+          }
+        }
+      });
+    });
+    return { lo, hi, y: v => PRICE_H - ((v - lo) / (hi - lo || 1)) * (PRICE_H - 12) - 6 };
+  }
+
+  function xOf(i) {
+    const n = replay.rows.length;
+    return n > 1 ? (i + 0.5) * (W / n) : W / 2;
+  }
+
+  function linePath(rows, key, y) {
+    let d = '';
+    let pen = false;
+    rows.forEach((r, i) => {
+      const v = r[key];
+      if (!Number.isFinite(v)) {
+        pen = false;
+        return;
+      }
+      d += `${pen ? 'L' : 'M'}${xOf(i).toFixed(1)},${y(v).toFixed(1)}`;
+      pen = true;
+    });
+    return d;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // RENDERING
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function renderChart() {
+    const rows = replay.rows;
+    const scale = priceScale(rows);
+    const y = scale.y;
+    const bodyW = Math.max(1, (W / rows.length) * 0.6);
+
+    const ladders = Object.entries(LADDERS).map(([g, color]) => {
+      const paths = [1, 2, 3, 4, 5].map(n => linePath(rows, g + n, y)).filter(Boolean);
+      return paths.map(d => `<path d="${d}" class="mr-band" stroke="${color}" />`).join('');
+    }).join('');
+
+    const candles = rows.map((r, i) => {
+      const x = xOf(i);
+      const up = r.close >= r.open;
+      const top = y(Math.max(r.open, r.close));
+      const h = Math.max(1, Math.abs(y(r.open) - y(r.close)));
+      return `<g class="${up ? 'mr-up' : 'mr-down'}">` +
+        `<line x1="${x.toFixed(1)}" y1="${y(r.high).toFixed(1)}" x2="${x.toFixed(1)}" y2="${y(r.low).toFixed(1)}" />` +
+        `<rect x="${(x - bodyW / 2).toFixed(1)}" y="${top.toFixed(1)}" width="${bodyW.toFixed(1)}" height="${h.toFixed(1)}" /></g>`;
+    }).join('');
+
+    const stopOffset = replay.stopIndex - replay.startIndex;
+    const aborted = replay.stopIndex < replay.endIndex
+      ? `<rect x="${xOf(stopOffset).toFixed(1)}" y="0" width="${(W - xOf(stopOffset)).toFixed(1)}" height="${PRICE_H}" class="mr-aborted" />
+         <line x1="${xOf(stopOffset).toFixed(1)}" y1="0" x2="${xOf(stopOffset).toFixed(1)}" y2="${PRICE_H}" class="mr-abort-line" />`
+      : '';
+
+    el('mr-chart').innerHTML = `
+      <svg class="mr-svg" viewBox="0 0 ${W} ${PRICE_H}" preserveAspectRatio="none">
+        ${ladders}
+        <path d="${linePath(rows, 'kernelRegression', y)}" class="mr-kernel" />
+        ${candles}
+        ${aborted}
+        <rect id="mr-future" x="0" y="0" width="0" height="${PRICE_H}" class="mr-future" />
+        <line id="mr-cursor" x1="0" y1="0" x2="0" y2="${PRICE_H}" class="mr-cursor" />
+      </svg>
+      <div class="mr-scale"><span>$${scale.hi.toFixed(2)}</span><span>$${scale.lo.toFixed(2)}</span></div>
+    `;
+  }
+
+  // One row of ticks per source: triggers, support interventions, stored logs
+  function renderTrack() {
+    const rowY = [8, 22, 36];
+    const marks = replay.frames.map((f, i) => {
+      const x = xOf(i).toFixed(1);
+      let out = '';
+      f.triggers.forEach(t => {
+        out += `<line x1="${x}" y1="${rowY[0] - 5}" x2="${x}" y2="${rowY[0] + 5}" stroke="${KIND_COLORS[t.kind] || '#888'}" class="mr-tick" />`;
+      });
+      if (f.interventions.length) {
+        out += `<rect x="${(x - 3.5).toFixed(1)}" y="${rowY[1] - 3.5}" width="7" height="7" transform="rotate(45 ${x} ${rowY[1]})" class="mr-intervention" />`;
+      }
+      if (f.logs.length) {
+        out += `<circle cx="${x}" cy="${rowY[2]}" r="3" fill="${KIND_COLORS[f.logs[f.logs.length - 1].kind] || '#888'}" />`;
+      }
+      return out;
+    }).join('');
+
+    el('mr-track').innerHTML = `
+      <svg class="mr-svg mr-track-svg" viewBox="0 0 ${W} ${TRACK_H}" preserveAspectRatio="none">
+        ${marks}
+        <line id="mr-track-cursor" x1="0" y1="0" x2="0" y2="${TRACK_H}" class="mr-cursor" />
+      </svg>
+      <div class="mr-track-legend"><span>│ triggers</span><span>◆ support</span><span>● mission log</span></div>
+    `;
+  }
+
+  function eventLines(frame) {
+    const lines = [];
+    frame.triggers.forEach(t => lines.push({ kind: t.kind, msg: t.msg }));
+    frame.interventions.forEach(iv => lines.push({ kind: 'SUPPORT', msg: `${iv.role}: ${iv.msg}` }));
+    return lines;
+  }
+
+  function renderCursor() {
+    const frame = replay.frames[cursor];
+    const bar = replay.rows[cursor];
+    const x = xOf(cursor).toFixed(1);
+    const futureX = xOf(cursor) + W / replay.rows.length / 2;
+
+    el('mr-cursor').setAttribute('x1', x);
+    el('mr-cursor').setAttribute('x2', x);
+    el('mr-track-cursor').setAttribute('x1', x);
+    el('mr-track-cursor').setAttribute('x2', x);
+    el('mr-future').setAttribute('x', futureX.toFixed(1));
+    el('mr-future').setAttribute('width', Math.max(0, W - futureX).toFixed(1));
+    el('mr-scrub').value = cursor;
+    el('mr-play').textContent = timer ? '❚❚' : '▶';
+
+    const f = frame.features;
+    const bars = replay.frames.length - 1;
+    el('mr-position').textContent = `Bar ${cursor} / ${bars} · ${fmtTime(frame.time)}`;
+
+    el('mr-stats').innerHTML = `
+      <div><span>O/H/L/C</span>$${bar.open.toFixed(2)} / $${bar.high.toFixed(2)} / $${bar.low.toFixed(2)} / $${bar.close.toFixed(2)}</div>
+      <div><span>Kernel</span>${Number.isFinite(bar.kernelRegression) ? '$' + bar.kernelRegression.toFixed(2) : '—'}</div>
+      <div><span>Envelope</span>${f.envelopePos === null ? '—' : (f.envelopePos * 100).toFixed(0) + '%'}</div>
+      <div><span>Return</span><b class="${f.returnPct >= 0 ? 'positive' : 'negative'}">${pct(f.returnPct)}</b></div>
+      <div><span>Max drawdown</span><b class="${f.maxDrawdown > 0.05 ? 'negative' : ''}">${pct(-f.maxDrawdown)}</b></div>
+      <div><span>Chop (flips)</span>${f.chop}</div>
+      <div><span>Extremes</span>${f.extremes}</div>
+      <div><span>Flow avg</span>${f.flowAvg.toFixed(2)}x</div>
+      ${frame.pnl !== null ? `<div><span>${escapeHtml(mission.structure.name)}</span><b class="${frame.pnl >= 0 ? 'positive' : 'negative'}">${money(frame.pnl)}</b></div>` : ''}
+    `;
+
+    // This bar's triggers and logs, then the most recent ones before it
+    const here = eventLines(frame).concat(frame.logs.map(l => ({ kind: l.kind, msg: l.msg, logged: true })));
+    const recent = [];
+    for (let i = cursor - 1; i >= 0 && recent.length < RECENT_EVENTS; i--) {
+      const lines = eventLines(replay.frames[i]).concat(replay.frames[i].logs.map(l => ({ kind: l.kind, msg: l.msg, logged: true })));
+      lines.forEach(line => {
+        if (recent.length < RECENT_EVENTS) recent.push({ ...line, index: i });
+      });
+    }
+    const row = (line, index) => `
+      <div class="log-entry mr-event${line.logged ? ' logged' : ''}"${index !== undefined ? ` data-index="${index}"` : ''}>
+        <span class="log-kind ${line.kind}">${index !== undefined ? '-' + (cursor - index) : line.kind}</span>
+        <span class="log-msg">${line.msg}</span>
+      </div>
+    `;
+    el('mr-events').innerHTML =
+      (here.length ? here.map(l => row(l)).join('') : '<div class="mr-quiet">No triggers on this bar</div>') +
+      (recent.length ? `<div class="mr-subhead">Earlier (bars back)</div>${recent.map(l => row(l, l.index)).join('')}` : '');
+  }
+
+  function renderShell() {
+    const o = mission.outcome || {};
+    const status = mission.status === 'DAMAGED' ? 'DAMAGED' : `Grade ${o.grade || '—'} (${o.score ?? '—'}/100)`;
+    const aborted = replay.stopIndex < replay.endIndex
+      ? ` · aborted at bar ${replay.stopIndex - replay.startIndex} of ${replay.endIndex - replay.startIndex}`
+      : '';
+
+    backdrop.querySelector('.mr-modal').innerHTML = `
+      <div class="mr-head">
+        <div>
+          <div class="mr-title">${mission.typeName} · ${escapeHtml(MissionSystem.displayTicker(mission))}</div>
+          <div class="mr-sub">${status} · ${fmtTime(replay.rows[0].time)} → ${fmtTime(replay.rows[replay.rows.length - 1].time)}${aborted}</div>
+        </div>
+        <button class="small" id="mr-close">Close</button>
+      </div>
+      <div class="mr-body">
+        <div class="mr-main">
+          <div id="mr-chart" class="mr-chart"></div>
+          <div id="mr-track" class="mr-track"></div>
+          <input type="range" id="mr-scrub" class="mr-scrub" min="0" max="${replay.frames.length - 1}" step="1" value="0">
+          <div class="mr-controls">
+            <button class="small" id="mr-first" title="First bar">⏮</button>
+            <button class="small" id="mr-back" title="Previous bar (←)">◀</button>
+            <button class="small" id="mr-play" title="Play / pause (space)">▶</button>
+            <button class="small" id="mr-fwd" title="Next bar (→)">▶▶</button>
+            <button class="small" id="mr-last" title="Last bar">⏭</button>
+            <select id="mr-speed">${SPEEDS.map(s => `<option value="${s}"${s === speed ? ' selected' : ''}>${s} bar${s === 1 ? '' : 's'}/s</option>`).join('')}</select>
+            <span class="mr-position" id="mr-position"></span>
+          </div>
+        </div>
+        <div class="mr-side">
+          <div class="detail-label">At Cursor</div>
+          <div class="mr-stats" id="mr-stats"></div>
+          <div class="detail-label">Events</div>
+          <div class="log-feed mr-events" id="mr-events"></div>
+        </div>
+      </div>
+    `;
+
+    el('mr-close').addEventListener('click', close);
+    el('mr-first').addEventListener('click', () => seek(0));
+    el('mr-back').addEventListener('click', () => step(-1));
+    el('mr-play').addEventListener('click', togglePlay);
+    el('mr-fwd').addEventListener('click', () => step(1));
+    el('mr-last').addEventListener('click', () => seek(replay.frames.length - 1));
+    el('mr-scrub').addEventListener('input', e => {
+      pause();
+      seek(parseInt(e.target.value, 10));
+    });
+    el('mr-speed').addEventListener('change', e => {
+      speed = parseInt(e.target.value, 10);
+      if (timer) {
+        pause();
+        play();
+      }
+    });
+    el('mr-events').addEventListener('click', e => {
+      const item = e.target.closest('[data-index]');
+      if (item) seek(parseInt(item.dataset.index, 10));
+    });
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PLAYBACK
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function seek(index) {
+    if (!replay) return;
+    cursor = Math.max(0, Math.min(replay.frames.length - 1, index));
+    renderCursor();
+  }
+
+  function step(delta) {
+    pause();
+    seek(cursor + delta);
+  }
+
+  function play() {
+    if (!replay || timer) return;
+    if (cursor >= replay.frames.length - 1) cursor = 0;
+    timer = setInterval(() => {
+      if (cursor >= replay.frames.length - 1) {
+        pause();
+        return;
+      }
+      seek(cursor + 1);
+    }, 1000 / speed);
+    renderCursor();
+  }
+
+  function pause() {
+    if (!timer) return;
+    clearInterval(timer);
+    timer = null;
+    if (replay) renderCursor();
+  }
+
+  function togglePlay() {
+    if (timer) pause();
+    else play();
+  }
+
+  function onKey(e) {
+    if (!replay || !backdrop.classList.contains('open')) return;
+    if (e.key === 'Escape') close();
+    else if (e.key === 'ArrowLeft') step(-1);
+    else if (e.key === 'ArrowRight') step(1);
+    else if (e.key === ' ') togglePlay();
+    else return;
+    e.preventDefault();
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // OPEN / CLOSE
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  async function open(missionId) {
+    if (!backdrop) return;
+    pause();
+    mission = MissionSystem.getMission(missionId);
+    replay = null;
+    const modal = backdrop.querySelector('.mr-modal');
+    backdrop.classList.add('open');
+
+    if (!mission) {
+      modal.innerHTML = '<div class="empty-state">Mission not found</div>';
+      return;
+    }
+    modal.innerHTML = `<div class="loading">Loading ${escapeHtml(MissionSystem.displayTicker(mission))} bars...</div>`;
+
+    let result;
+    try {
+      const tickerData = await IndicatorLoader.loadTicker(mission.ticker);
+      result = MissionSystem.buildReplay(mission, tickerData);
+    } catch (e) {
+      result = { ok: false, error: e.message };
+    }
+    if (!result.ok) {
+      modal.innerHTML = `<div class="empty-state" style="color:var(--red)">${escapeHtml(result.error)}</div><button class="small" id="mr-close">Close</button>`;
+      el('mr-close').addEventListener('click', close);
+      return;
+    }
+
+    replay = result.replay;
+    cursor = 0;
+    renderShell();
+    renderChart();
+    renderTrack();
+    renderCursor();
+  }
+
+  function close() {
+    pause();
+    replay = null;
+    mission = null;
+    if (backdrop) backdrop.classList.remove('open');
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PUBLIC API
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  window.MissionReplay = {
+    init(backdropId) {
+      backdrop = document.getElementById(backdropId);
+      if (!backdrop) {
+        console.warn('MissionReplay: Container not found:', backdropId);
+        return;
+      }
+      backdrop.addEventListener('click', e => {
+        if (e.target === backdrop) close();
+      });
+      document.addEventListener('keydown', onKey);
+    },
+
+    open,
+    close,
+    seek
+  };
+
+})();
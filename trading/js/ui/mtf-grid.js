@@ -0,0 +1,290 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * MTF GRID — Multi-timeframe "bridge screens" for one ticker
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * 2x2 grid of small price charts: daily, 45m, 15m and weekly bars resampled
+ * from the daily file. Hovering any pane moves a shared crosshair time
+ * across all four; clicking (or hovering) a pane focuses it and hands its
+ * MACD series to the caller (the MACD panel / orbit follows focus).
+ *
+ * Dependencies:
+ *   - Chart.js (loaded lazily by app.js ChartLoader)
+ *   - Indicators.math (js/data/indicators.js) for the weekly MACD
+ *
+ * Usage:
+ *   MtfGrid.render('mtf-grid', {
+ *     ticker, data, color, rangeDays,
+ *     onFocus: (pane) => { ...pane.bars }  // bars carry macd/signal/hist
+ *   })
+ *   MtfGrid.destroy()
+ *   MtfGrid.weekly(dailyBars)
+ *
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+window.MtfGrid = (function() {
+  'use strict';
+
+  const FONT = "'IBM Plex Mono', monospace";
+  const MIN_BARS = 30;
+  const WEEK_MS = 7 * 86400000;
+
+  const PANES = [
+    { id: '1D', label: 'DAILY', series: d => d.daily },
+    { id: '45', label: '45M', series: d => d.intraday },
+    { id: '15', label: '15M', series: d => d.intraday15 },
+    { id: '1W', label: 'WEEKLY', series: d => weekly(d.daily) }
+  ];
+
+  let charts = [];        // [{ pane, chart, bars }]
+  let hoverT = null;      // shared crosshair time (ms)
+  let focusedId = '1D';
+  let onFocus = null;
+  let containerEl = null;
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // RESAMPLING
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Standard 12/26/9 MACD onto bars that lack it (null until the EMAs seed)
+   */
+  function withMacd(bars) {
+    const { ema } = Indicators.math;
+    const closes = bars.map(b => b.c);
+    const fast = ema(closes, 12), slow = ema(closes, 26);
+    const macd = fast.map((f, i) => (f !== null && slow[i] !== null ? f - slow[i] : null));
+    const signal = ema(macd, 9);
+    return bars.map((b, i) => ({
+      ...b,
+      macd: macd[i],
+      signal: signal[i],
+      hist: macd[i] !== null && signal[i] !== null ? macd[i] - signal[i] : null
+    }));
+  }
+
+  /**
+   * Daily bars → weekly bars (weeks start Monday UTC; t = first session)
+   */
+  function weekly(daily) {
+    if (!Array.isArray(daily) || !daily.length) return [];
+    const weeks = [];
+    let cur = null, curKey = null;
+    daily.forEach(b => {
+      const d = new Date(b.t);
+      const key = Math.floor((b.t - ((d.getUTCDay() + 6) % 7) * 86400000) / 86400000);
+      if (key !== curKey) {
+        cur = { t: b.t, o: b.o, h: b.h, l: b.l, c: b.c, v: b.v || 0 };
+        weeks.push(cur);
+        curKey = key;
+      } else {
+        cur.h = Math.max(cur.h, b.h);
+        cur.l = Math.min(cur.l, b.l);
+        cur.c = b.c;
+        cur.v += b.v || 0;
+      }
+    });
+    return withMacd(weeks);
+  }
+
+  function windowed(bars, rangeDays) {
+    if (!bars.length) return bars;
+    const cutoff = bars[bars.length - 1].t - rangeDays * 86400000;
+    const inRange = bars.filter(b => b.t > cutoff);
+    return inRange.length >= MIN_BARS ? inRange : bars.slice(-MIN_BARS);
+  }
+
+  // Last bar at or before t (weekly bars are stamped at the week's start)
+  function indexAt(bars, t) {
+    let lo = 0, hi = bars.length - 1, found = -1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (bars[mid].t <= t) { found = mid; lo = mid + 1; } else hi = mid - 1;
+    }
+    return found;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // CROSSHAIR
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  const crosshairPlugin = {
+    id: 'mtfCrosshair',
+
+    afterDatasetsDraw(chart) {
+      const entry = charts.find(c => c.chart === chart);
+      if (!entry || hoverT === null) return;
+      const { bars } = entry;
+      const idx = indexAt(bars, hoverT);
+      if (idx < 0 || hoverT > bars[bars.length - 1].t + WEEK_MS) return;
+
+      const area = chart.chartArea;
+      const x = chart.scales.x.getPixelForValue(hoverT);
+      const y = chart.scales.y.getPixelForValue(bars[idx].c);
+      if (x < area.left || x > area.right) return;
+
+      const ctx = chart.ctx;
+      ctx.save();
+      ctx.strokeStyle = 'rgba(232, 244, 240, 0.35)';
+      ctx.lineWidth = 1;
+      ctx.setLineDash([3, 3]);
+      ctx.beginPath();
+      ctx.moveTo(x, area.top);
+      ctx.lineTo(x, area.bottom);
+      ctx.moveTo(area.left, y);
+      ctx.lineTo(area.right, y);
+      ctx.stroke();
+      ctx.setLineDash([]);
+      ctx.fillStyle = '#e8f4f0';
+      ctx.beginPath();
+      ctx.arc(chart.scales.x.getPixelForValue(bars[idx].t), y, 2.5, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.restore();
+    }
+  };
+
+  function fmtTime(t, paneId) {
+    const d = new Date(t);
+    const date = d.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    if (paneId === '1D' || paneId === '1W') return date;
+    return date + ' ' + d.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false });
+  }
+
+  function updateReadouts() {
+    charts.forEach(({ pane, bars }) => {
+      const el = containerEl && containerEl.querySelector(`[data-pane="${pane.id}"] .mtf-readout`);
+      if (!el || !bars.length) return;
+      let idx = hoverT === null ? bars.length - 1 : indexAt(bars, hoverT);
+      if (hoverT !== null && hoverT > bars[bars.length - 1].t + WEEK_MS) idx = -1;
+      if (idx < 0) {
+        el.textContent = '— out of range —';
+        return;
+      }
+      const b = bars[idx];
+      const trend = b.hist >= 0 ? '▲' : '▼';
+      el.innerHTML = `${fmtTime(b.t, pane.id)} · $${b.c.toFixed(2)} <span class="${b.hist >= 0 ? 'positive' : 'negative'}">${trend} MACD</span>`;
+    });
+  }
+
+  function setHover(t) {
+    hoverT = t;
+    charts.forEach(({ chart }) => chart.draw());
+    updateReadouts();
+  }
+
+  function focus(id) {
+    const entry = charts.find(c => c.pane.id === id);
+    if (!entry) return;
+    focusedId = id;
+    if (containerEl) {
+      containerEl.querySelectorAll('.mtf-pane').forEach(el => el.classList.toggle('focused', el.dataset.pane === id));
+    }
+    if (onFocus) onFocus({ id, label: entry.pane.label, bars: entry.bars });
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // RENDER
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function destroy() {
+    charts.forEach(({ chart }) => chart.destroy());
+    charts = [];
+    hoverT = null;
+  }
+
+  /**
+   * @param {string} containerId
+   * @param {Object} opts - { ticker, data, color, rangeDays, onFocus }
+   */
+  function render(containerId, opts) {
+    containerEl = document.getElementById(containerId);
+    if (!containerEl || typeof Chart === 'undefined' || !opts.data) return;
+    destroy();
+    onFocus = opts.onFocus || null;
+    const color = opts.color || '#33ff99';
+
+    const panes = PANES.map(pane => ({ pane, bars: windowed(pane.series(opts.data) || [], opts.rangeDays) }));
+    if (!panes.some(p => p.pane.id === focusedId && p.bars.length)) focusedId = '1D';
+
+    containerEl.innerHTML = panes.map(({ pane, bars }) => {
+      const first = bars[0], last = bars[bars.length - 1];
+      const chg = first && last ? (last.c / first.c - 1) * 100 : null;
+      return `
+        <div class="mtf-pane ${pane.id === focusedId ? 'focused' : ''}" data-pane="${pane.id}" tabindex="0">
+          <div class="mtf-pane-header">
+            <span class="mtf-pane-label">${opts.ticker} · ${pane.label}</span>
+            ${chg === null ? '' : `<span class="${chg >= 0 ? 'positive' : 'negative'}">${chg >= 0 ? '+' : ''}${chg.toFixed(1)}%</span>`}
+            <span class="mtf-readout"></span>
+          </div>
+          <div class="mtf-pane-chart">${bars.length ? '<canvas></canvas>' : '<div class="mtf-empty">NO DATA</div>'}</div>
+        </div>`;
+    }).join('');
+
+    panes.forEach(({ pane, bars }) => {
+      if (!bars.length) return;
+      const paneEl = containerEl.querySelector(`[data-pane="${pane.id}"]`);
+      const chart = new Chart(paneEl.querySelector('canvas'), {
+        type: 'line',
+        data: {
+          labels: bars.map(b => new Date(b.t)),
+          datasets: [{
+            data: bars.map(b => b.c),
+            borderColor: color,
+            borderWidth: 1.3,
+            pointRadius: 0,
+            tension: 0.1,
+            fill: false
+          }]
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          animation: false,
+          events: ['mousemove', 'mouseout', 'click', 'touchstart', 'touchmove'],
+          plugins: { legend: { display: false }, tooltip: { enabled: false } },
+          onHover: (e, _items, c) => {
+            const area = c.chartArea;
+            if (e.x < area.left || e.x > area.right) return;
+            setHover(c.scales.x.getValueForPixel(e.x));
+          },
+          onClick: () => focus(pane.id),
+          scales: {
+            x: {
+              type: 'time',
+              grid: { color: 'rgba(51, 255, 153, 0.04)' },
+              ticks: { color: '#3a4a44', font: { family: FONT, size: 9 }, maxTicksLimit: 4 }
+            },
+            y: {
+              position: 'right',
+              grid: { color: 'rgba(51, 255, 153, 0.04)' },
+              ticks: { color: '#5a7068', font: { family: FONT, size: 9 }, maxTicksLimit: 4, callback: v => '$' + v.toFixed(v < 10 ? 2 : 0) }
+            }
+          }
+        },
+        plugins: [crosshairPlugin]
+      });
+      charts.push({ pane, chart, bars });
+
+      paneEl.addEventListener('mouseleave', () => setHover(null));
+      paneEl.addEventListener('mouseenter', () => { if (focusedId !== pane.id) focus(pane.id); });
+      paneEl.addEventListener('focus', () => focus(pane.id));
+    });
+
+    updateReadouts();
+    focus(focusedId);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PUBLIC API
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  return {
+    render,
+    destroy,
+    focus,
+    weekly,
+    getFocused: () => focusedId
+  };
+
+})();
@@ -0,0 +1,343 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * PORTFOLIO IMPORT DIALOG
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Cargo manifest uplink: load a broker CSV, confirm the column mapping,
+ * preview the resulting fleet and commit it to Portfolio.
+ *
+ * Flow:
+ *   1. Pick / paste CSV  → BrokerCSV.parse + detectPreset + detectKind
+ *   2. Adjust mapping    → BrokerCSV.suggestMapping (editable selects)
+ *   3. Preview + import  → BrokerCSV.toPositions → Portfolio.importPositions
+ *                          (transaction exports replace the Ledger instead)
+ *
+ * Usage:
+ *   PortfolioImportUI.open()
+ *   PortfolioImportUI.close()
+ *
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+window.PortfolioImportUI = (function() {
+  'use strict';
+
+  let overlay = null;
+  let table = null;      // { headers, rows }
+  let fileName = '';
+  let preset = 'generic';
+  let kind = 'positions';
+  let mapping = {};
+  let lastResult = null;
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // HELPERS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  const esc = PARALLAX_UTILS.escapeHtml;
+
+  function fmtMoney(n) {
+    return Number.isFinite(n) ? '$' + n.toFixed(2) : '—';
+  }
+
+  function $(sel) {
+    return overlay ? overlay.querySelector(sel) : null;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // DOM
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function createOverlay() {
+    const el = document.createElement('div');
+    el.id = 'portfolio-import-overlay';
+    el.className = 'console-dialog-overlay';
+    el.setAttribute('role', 'dialog');
+    el.setAttribute('aria-modal', 'true');
+    el.setAttribute('aria-label', 'Import portfolio');
+
+    const presetOptions = Object.entries(BrokerCSV.BROKER_PRESETS)
+      .map(([id, p]) => `<option value="${id}">${esc(p.label)}</option>`).join('');
+
+    el.innerHTML = `
+      <div class="console-dialog-backdrop" data-action="close"></div>
+      <div class="console-dialog-panel">
+        <div class="console-dialog-header">
+          <h2 class="console-dialog-title">⇪ CARGO MANIFEST UPLINK</h2>
+          <button class="console-dialog-close" data-action="close" aria-label="Close">×</button>
+        </div>
+        <div class="console-dialog-body">
+          <div class="pi-source">
+            <label class="pi-file">
+              <input type="file" accept=".csv,text/csv" id="pi-file-input">
+              <span>SELECT BROKER CSV</span>
+            </label>
+            <span class="pi-file-name" id="pi-file-name">No file loaded</span>
+          </div>
+          <textarea class="pi-paste" id="pi-paste" rows="3" placeholder="…or paste CSV text here"></textarea>
+          <div class="pi-controls">
+            <label>Broker
+              <select id="pi-preset">${presetOptions}</select>
+            </label>
+            <label>Export type
+              <select id="pi-kind">
+                <option value="positions">Positions</option>
+                <option value="transactions">Transactions</option>
+              </select>
+            </label>
+          </div>
+          <div class="pi-mapping" id="pi-mapping"></div>
+          <div class="pi-status" id="pi-status"></div>
+          <div class="pi-preview" id="pi-preview"></div>
+        </div>
+        <div class="console-dialog-footer">
+          <span class="pi-source-meta" id="pi-source-meta"></span>
+          <button class="console-btn" data-action="revert">REVERT TO DEMO</button>
+          <button class="console-btn primary" data-action="import" disabled>IMPORT FLEET</button>
+        </div>
+      </div>
+    `;
+
+    el.addEventListener('click', (e) => {
+      const action = e.target.closest('[data-action]')?.dataset.action;
+      if (action === 'close') close();
+      if (action === 'import') commit();
+      if (action === 'revert') revert();
+    });
+
+    el.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') close();
+    });
+
+    el.querySelector('#pi-file-input').addEventListener('change', handleFile);
+    el.querySelector('#pi-paste').addEventListener('input', (e) => {
+      if (e.target.value.trim()) loadText(e.target.value, 'pasted text');
+    });
+    el.querySelector('#pi-preset').addEventListener('change', (e) => {
+      preset = e.target.value;
+      mapping = BrokerCSV.suggestMapping(table ? table.headers : [], kind, preset);
+      renderMapping();
+      renderPreview();
+    });
+    el.querySelector('#pi-kind').addEventListener('change', (e) => {
+      kind = e.target.value;
+      mapping = BrokerCSV.suggestMapping(table ? table.headers : [], kind, preset);
+      renderMapping();
+      renderPreview();
+    });
+
+    document.body.appendChild(el);
+    return el;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // LOADING
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function handleFile(e) {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => loadText(String(reader.result || ''), file.name);
+    reader.onerror = () => setStatus('Could not read ' + file.name, 'error');
+    reader.readAsText(file);
+  }
+
+  function loadText(text, name) {
+    table = BrokerCSV.parse(text);
+    fileName = name;
+
+    if (!table.headers.length || !table.rows.length) {
+      setStatus('No rows found in ' + name, 'error');
+      table = null;
+      renderMapping();
+      renderPreview();
+      return;
+    }
+
+    preset = BrokerCSV.detectPreset(table.headers);
+    kind = BrokerCSV.detectKind(table.headers);
+    mapping = BrokerCSV.suggestMapping(table.headers, kind, preset);
+
+    $('#pi-file-name').textContent = `${name} · ${table.rows.length} rows`;
+    $('#pi-preset').value = preset;
+    $('#pi-kind').value = kind;
+
+    renderMapping();
+    renderPreview();
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // RENDERING
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function setStatus(msg, tone) {
+    const el = $('#pi-status');
+    if (!el) return;
+    el.textContent = msg || '';
+    el.className = 'pi-status' + (tone ? ' ' + tone : '');
+  }
+
+  function renderMapping() {
+    const el = $('#pi-mapping');
+    if (!el) return;
+    if (!table) {
+      el.innerHTML = '';
+      return;
+    }
+
+    const options = ['<option value="">— not mapped —</option>']
+      .concat(table.headers.map(h => `<option value="${esc(h)}">${esc(h)}</option>`)).join('');
+
+    el.innerHTML = BrokerCSV.FIELDS[kind].map(f => `
+      <label class="pi-map-row">
+        <span class="pi-map-label">${esc(f.label)}${f.required ? ' *' : ''}</span>
+        <select data-field="${f.key}">${options}</select>
+      </label>
+    `).join('');
+
+    el.querySelectorAll('select[data-field]').forEach(sel => {
+      sel.value = mapping[sel.dataset.field] || '';
+      sel.addEventListener('change', () => {
+        mapping[sel.dataset.field] = sel.value || null;
+        renderPreview();
+      });
+    });
+  }
+
+  function renderPreview() {
+    const el = $('#pi-preview');
+    const importBtn = $('[data-action="import"]');
+    if (!el) return;
+
+    if (!table) {
+      el.innerHTML = '';
+      lastResult = null;
+      if (importBtn) importBtn.disabled = true;
+      return;
+    }
+
+    lastResult = BrokerCSV.toPositions(table.rows, mapping, kind);
+    if (importBtn) importBtn.disabled = !lastResult.ok;
+
+    if (!lastResult.ok) {
+      setStatus(lastResult.error, 'error');
+      el.innerHTML = '';
+      return;
+    }
+
+    const label = BrokerCSV.BROKER_PRESETS[preset]?.label || preset;
+    setStatus(`${label} ${kind}: ${lastResult.positions.length} ships detected` +
+      (lastResult.skipped ? ` · ${lastResult.skipped} rows skipped` : ''), 'ok');
+
+    el.innerHTML = `
+      <table class="data-table">
+        <thead><tr><th>Ticker</th><th>Shares</th><th>Entry</th><th>Current</th></tr></thead>
+        <tbody>
+          ${lastResult.positions.map(p => `
+            <tr>
+              <td>${esc(p.ticker)}</td>
+              <td>${+p.shares.toFixed(4)}</td>
+              <td>${fmtMoney(p.entry_price)}</td>
+              <td>${fmtMoney(p.current_price)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  function renderSourceMeta() {
+    const el = $('#pi-source-meta');
+    if (!el || !window.Portfolio) return;
+    const meta = Portfolio.getMeta();
+    // Snapshots carry their import time; the ledger shows its latest entry
+    const at = meta.importedAt || meta.lastEntryAt;
+    el.textContent = meta.isDemo
+      ? `ACTIVE: DEMO FLEET (${meta.count})`
+      : `ACTIVE: ${meta.source} (${meta.count}) · ${at ? new Date(at).toLocaleDateString() : '—'}`;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // ACTIONS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function commit() {
+    if (!lastResult || !lastResult.ok || !window.Portfolio) return;
+    const label = BrokerCSV.BROKER_PRESETS[preset]?.label || 'CSV';
+    const source = `${label} · ${fileName}`;
+    let res;
+
+    if (kind === 'transactions' && window.Ledger) {
+      // Trade history feeds the ledger so lots + realized P&L are derived;
+      // a reinvestment is a lot bought with its paired DIVIDEND entry
+      res = Ledger.replaceAll(lastResult.trades.map(tr => ({
+        type: tr.side === 'REINVEST' ? 'BUY' : tr.side,
+        ticker: tr.ticker,
+        date: tr.date,
+        shares: tr.shares,
+        price: tr.price,
+        fees: tr.fees,
+        amount: tr.amount
+      })), { source });
+    } else {
+      res = Portfolio.importPositions(lastResult.positions, { source });
+    }
+
+    if (!res.ok) {
+      setStatus(res.error, 'error');
+      return;
+    }
+
+    // Rows the store rejected on top of those the parser already skipped
+    const skipped = (lastResult.skipped || 0) + (res.skipped || 0);
+    const what = kind === 'transactions' && window.Ledger ? 'ledger entries' : 'positions';
+    const summary = `Imported ${res.count} ${what}` + (skipped ? ` · ${skipped} rows skipped` : '');
+    if (window.logTerminal) logTerminal('portfolio import: ' + summary.toLowerCase() + ' (' + source + ')');
+    if (window.MechSFX && window.UI_SOUND_ENABLED) MechSFX.success();
+
+    if (kind !== 'transactions' && window.Ledger && Ledger.hasEntries()) {
+      setStatus(summary + ' · snapshot saved, trade ledger still takes priority until cleared', 'ok');
+      return;
+    }
+    // Keep the dialog up so dropped rows are seen
+    if (skipped) {
+      setStatus(summary, 'ok');
+      renderSourceMeta();
+      return;
+    }
+    close();
+  }
+
+  function revert() {
+    if (!window.Portfolio) return;
+    Portfolio.clear();
+    renderSourceMeta();
+    setStatus(Portfolio.getMeta().isDemo ? 'Demo fleet restored' : 'Import cleared — trade ledger still active', 'ok');
+  }
+
+  function open() {
+    if (!window.BrokerCSV) {
+      console.warn('[PortfolioImport] BrokerCSV not loaded');
+      return;
+    }
+    if (!overlay) overlay = createOverlay();
+    renderSourceMeta();
+    overlay.classList.add('visible');
+    setTimeout(() => $('.console-dialog-close')?.focus(), 50);
+  }
+
+  function close() {
+    if (overlay) overlay.classList.remove('visible');
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PUBLIC API
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  return {
+    open,
+    close
+  };
+
+})();
@@ -0,0 +1,161 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * PROFILE PANEL
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Pilot profile backup: shows what is saved in this browser, downloads it
+ * as one JSON file and restores a previous export (then reloads).
+ *
+ * Dependencies:
+ *   - js/state/pilot-profile.js (PilotProfile)
+ *
+ * Usage:
+ *   ProfilePanel.open()
+ *   ProfilePanel.close()
+ *
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+window.ProfilePanel = (function() {
+  'use strict';
+
+  let overlay = null;
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // HELPERS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  const esc = PARALLAX_UTILS.escapeHtml;
+
+  function fmtBytes(n) {
+    return n >= 1024 ? (n / 1024).toFixed(1) + ' KB' : n + ' B';
+  }
+
+  function $(sel) {
+    return overlay ? overlay.querySelector(sel) : null;
+  }
+
+  function setStatus(msg, tone) {
+    const el = $('#profile-status');
+    if (!el) return;
+    el.textContent = msg || '';
+    el.className = 'pi-status' + (tone ? ' ' + tone : '');
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // DOM
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function createOverlay() {
+    const el = document.createElement('div');
+    el.id = 'profile-overlay';
+    el.className = 'console-dialog-overlay';
+    el.setAttribute('role', 'dialog');
+    el.setAttribute('aria-modal', 'true');
+    el.setAttribute('aria-label', 'Pilot profile');
+
+    el.innerHTML = `
+      <div class="console-dialog-backdrop" data-action="close"></div>
+      <div class="console-dialog-panel">
+        <div class="console-dialog-header">
+          <h2 class="console-dialog-title">◉ PILOT PROFILE</h2>
+          <button class="console-dialog-close" data-action="close" aria-label="Close">×</button>
+        </div>
+        <div class="console-dialog-body">
+          <div class="ledger-section">
+            <div class="ledger-section-title">SAVED IN THIS BROWSER</div>
+            <div id="profile-sections"></div>
+          </div>
+          <div class="pi-status" id="profile-status"></div>
+          <input type="file" accept=".json,application/json" id="profile-file-input" hidden>
+        </div>
+        <div class="console-dialog-footer">
+          <button class="console-btn" data-action="import">IMPORT…</button>
+          <button class="console-btn primary" data-action="export">EXPORT</button>
+        </div>
+      </div>
+    `;
+
+    el.addEventListener('click', (e) => {
+      const target = e.target.closest('[data-action]');
+      if (!target) return;
+      const action = target.dataset.action;
+      if (action === 'close') close();
+      if (action === 'export') {
+        const profile = PilotProfile.download();
+        setStatus(`Exported ${Object.keys(profile.sections).length} section(s)`, 'ok');
+      }
+      if (action === 'import') $('#profile-file-input').click();
+    });
+
+    el.querySelector('#profile-file-input').addEventListener('change', (e) => {
+      const file = e.target.files && e.target.files[0];
+      e.target.value = '';
+      if (file) importFile(file);
+    });
+
+    el.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') close();
+    });
+
+    document.body.appendChild(el);
+    return el;
+  }
+
+  function importFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+      if (!confirm('Replace the saved sections in this browser with the ones in this file?')) return;
+      const res = PilotProfile.importProfile(String(reader.result));
+      if (!res.ok) {
+        setStatus(res.error, 'error');
+        return;
+      }
+      setStatus(`Restored ${res.restored.join(', ')} — reloading…`, 'ok');
+      setTimeout(() => location.reload(), 800);
+    };
+    reader.onerror = () => setStatus('Could not read file', 'error');
+    reader.readAsText(file);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // RENDERING
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function render() {
+    if (!overlay) return;
+    const rows = PilotProfile.getSections();
+    $('#profile-sections').innerHTML = `
+      <table class="data-table">
+        <thead><tr><th>Section</th><th>Saved</th></tr></thead>
+        <tbody>${rows.map(s => `
+          <tr><td>${esc(s.label)}</td><td>${s.present ? fmtBytes(s.bytes) : '—'}</td></tr>
+        `).join('')}</tbody>
+      </table>`;
+  }
+
+  function open() {
+    if (!window.PilotProfile) {
+      console.warn('[ProfilePanel] PilotProfile not loaded');
+      return;
+    }
+    if (!overlay) overlay = createOverlay();
+    setStatus('');
+    render();
+    overlay.classList.add('visible');
+  }
+
+  function close() {
+    if (overlay) overlay.classList.remove('visible');
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PUBLIC API
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  return {
+    open,
+    close
+  };
+
+})();
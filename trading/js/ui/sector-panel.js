@@ -0,0 +1,349 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * SECTOR PANEL — Theme heatmap / treemap and sector index chart
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Console dialog that loads every themed ticker's daily bars and shows:
+ *   - a treemap of fleet exposure (theme → ticker), tiles sized by position
+ *     value and colored by return over the chosen range
+ *   - unheld themes as a heat strip
+ *   - equal- and position-weighted theme indices (table + chart)
+ *
+ * Dependencies:
+ *   - js/data/sectors.js (Sectors)
+ *   - Chart.js (loaded lazily by app.js ChartLoader)
+ *
+ * Usage:
+ *   SectorPanel.init({ themes, themeColors, colors, getPositions, loadSeries, getRange })
+ *   SectorPanel.open()
+ *
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+window.SectorPanel = (function() {
+  'use strict';
+
+  const FONT = "'IBM Plex Mono', monospace";
+  const RANGES = { '1M': 30, '3M': 90, '6M': 180, '1Y': 365, 'ALL': 9999 };
+
+  let opts = null;
+  let overlay = null;
+  let chart = null;
+  let range = '3M';
+  let weighting = 'equal';   // equal | weighted
+  let cache = null;          // { seriesMap, indices, exposure }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // HELPERS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  const esc = PARALLAX_UTILS.escapeHtml;
+
+  function $(sel) {
+    return overlay ? overlay.querySelector(sel) : null;
+  }
+
+  function fmtPct(v) {
+    if (v === null || !Number.isFinite(v)) return '—';
+    return (v >= 0 ? '+' : '') + (v * 100).toFixed(1) + '%';
+  }
+
+  function fmtUsd(v) {
+    return '$' + Math.round(v).toLocaleString();
+  }
+
+  // Green / red heat, saturating at ±30%
+  function heat(ret) {
+    if (ret === null || !Number.isFinite(ret)) return 'rgba(90, 112, 104, 0.18)';
+    const a = 0.12 + 0.6 * Math.min(1, Math.abs(ret) / 0.3);
+    return ret >= 0 ? `rgba(51, 255, 153, ${a.toFixed(2)})` : `rgba(255, 107, 107, ${a.toFixed(2)})`;
+  }
+
+  function rangeStart() {
+    const ends = Object.values(cache.seriesMap).map(s => s[s.length - 1].t);
+    return Math.max(...ends) - RANGES[range] * 86400000;
+  }
+
+  /**
+   * Binary-split treemap in percent units, items sorted by value desc
+   */
+  function treemap(items, x, y, w, h) {
+    if (!items.length) return [];
+    if (items.length === 1) return [{ ...items[0], x, y, w, h }];
+    const total = items.reduce((s, i) => s + i.value, 0);
+    let acc = items[0].value, k = 1;
+    while (k < items.length - 1 && acc + items[k].value <= total / 2) acc += items[k++].value;
+    const frac = total ? acc / total : 0.5;
+    const a = items.slice(0, k), b = items.slice(k);
+    if (w >= h) {
+      return treemap(a, x, y, w * frac, h).concat(treemap(b, x + w * frac, y, w * (1 - frac), h));
+    }
+    return treemap(a, x, y, w, h * frac).concat(treemap(b, x, y + h * frac, w, h * (1 - frac)));
+  }
+
+  function box(r) {
+    return `left:${r.x}%;top:${r.y}%;width:${r.w}%;height:${r.h}%`;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // DATA
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  async function load() {
+    const tickers = Object.keys(opts.themes);
+    const results = await Promise.allSettled(tickers.map(t => opts.loadSeries(t)));
+    const seriesMap = {};
+    results.forEach((res, i) => {
+      if (res.status === 'fulfilled' && res.value && Array.isArray(res.value.daily) && res.value.daily.length > 1) {
+        seriesMap[tickers[i]] = res.value.daily;
+      }
+    });
+    const exposure = Sectors.exposure(opts.getPositions(), opts.themes);
+    const weights = {};
+    exposure.forEach(e => e.tickers.forEach(t => { weights[t.ticker] = t.value; }));
+    cache = { seriesMap, exposure, indices: Sectors.buildIndices(opts.themes, seriesMap, weights) };
+  }
+
+  function themeReturn(theme, startT) {
+    const idx = cache.indices[theme];
+    if (!idx) return null;
+    const series = weighting === 'weighted' && idx.weighted ? idx.weighted : idx.equal;
+    return Sectors.rangeReturn(series, startT);
+  }
+
+  function tickerReturn(ticker, startT) {
+    return Sectors.rangeReturn(cache.seriesMap[ticker], startT);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // RENDERING
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function renderTreemap(startT) {
+    const held = cache.exposure;
+    if (!held.length) return '<div class="ledger-empty">No open positions to map.</div>';
+    const themes = treemap(held, 0, 0, 100, 100);
+    return `<div class="sector-treemap">${themes.map(t => {
+      const ret = themeReturn(t.theme, startT);
+      // Ticker tiles inside the theme tile, in the theme's own percent space
+      const inner = treemap(t.tickers, 0, 0, 100, 100).map(k => {
+        const kr = tickerReturn(k.ticker, startT);
+        return `<div class="sector-tile-ticker" style="${box(k)};background:${heat(kr)}" title="${esc(k.ticker)} · ${fmtUsd(k.value)} · ${fmtPct(kr)}">
+          <span style="color:${opts.colors[k.ticker] || 'var(--text)'}">${esc(k.ticker)}</span><em>${fmtPct(kr)}</em>
+        </div>`;
+      }).join('');
+      return `<div class="sector-tile" style="${box(t)}">
+        <div class="sector-tile-inner">${inner}</div>
+        <div class="sector-tile-label">${esc(t.theme)} · ${(t.weight * 100).toFixed(0)}% · <span class="${ret >= 0 ? 'positive' : 'negative'}">${fmtPct(ret)}</span></div>
+      </div>`;
+    }).join('')}</div>`;
+  }
+
+  function renderStrip(startT) {
+    const heldThemes = new Set(cache.exposure.map(e => e.theme));
+    const others = Object.keys(cache.indices).filter(t => !heldThemes.has(t));
+    if (!others.length) return '';
+    return `<div class="sector-strip">${others.map(theme => {
+      const ret = themeReturn(theme, startT);
+      return `<div class="sector-strip-tile" style="background:${heat(ret)}" title="${esc(cache.indices[theme].members.join(', '))}">
+        ${esc(theme)} <em>${fmtPct(ret)}</em></div>`;
+    }).join('')}</div>`;
+  }
+
+  function renderTable(startT) {
+    const expByTheme = {};
+    cache.exposure.forEach(e => { expByTheme[e.theme] = e; });
+    const rows = Object.values(cache.indices)
+      .map(idx => ({
+        idx,
+        exp: expByTheme[idx.theme],
+        ew: Sectors.rangeReturn(idx.equal, startT),
+        pw: idx.weighted ? Sectors.rangeReturn(idx.weighted, startT) : null
+      }))
+      .sort((a, b) => (b.exp ? b.exp.value : 0) - (a.exp ? a.exp.value : 0) || (b.ew ?? -Infinity) - (a.ew ?? -Infinity));
+    return `
+      <table class="data-table">
+        <thead><tr><th>Theme</th><th>Exposure</th><th>Weight</th><th>Equal-wt</th><th>Position-wt</th><th>Members</th></tr></thead>
+        <tbody>${rows.map(({ idx, exp, ew, pw }) => `
+          <tr>
+            <td>${esc(idx.theme)}</td>
+            <td>${exp ? fmtUsd(exp.value) : '—'}</td>
+            <td>${exp ? (exp.weight * 100).toFixed(1) + '%' : '—'}</td>
+            <td class="${ew >= 0 ? 'positive' : 'negative'}">${fmtPct(ew)}</td>
+            <td class="${pw === null ? '' : pw >= 0 ? 'positive' : 'negative'}">${fmtPct(pw)}</td>
+            <td class="sector-members">${idx.members.map(t => idx.held.includes(t) ? `<b>${esc(t)}</b>` : esc(t)).join(' ')}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>`;
+  }
+
+  const FALLBACK_COLORS = ['#33ff99', '#47d4ff', '#ffb347', '#ff6b9d', '#b388ff', '#ff6b6b', '#e8f4f0', '#8cb4ff', '#2de8a0'];
+
+  function renderChart(startT) {
+    const canvas = $('#sector-chart');
+    if (chart) {
+      chart.destroy();
+      chart = null;
+    }
+    if (!canvas || typeof Chart === 'undefined') return;
+    const datasets = Object.values(cache.indices).map((idx, i) => {
+      const series = weighting === 'weighted' && idx.weighted ? idx.weighted : idx.equal;
+      const from = Math.max(0, series.findIndex(p => p.t >= startT) - 1);
+      const slice = series.slice(from);
+      const base = slice.length ? slice[0].v : 1;
+      return {
+        label: idx.theme + (weighting === 'weighted' && !idx.weighted ? ' (EW)' : ''),
+        data: slice.map(p => ({ x: p.t, y: (p.v / base) * 100 })),
+        borderColor: (opts.themeColors && opts.themeColors[idx.theme]) || FALLBACK_COLORS[i % FALLBACK_COLORS.length],
+        borderWidth: 1.4,
+        pointRadius: 0,
+        tension: 0.1,
+        fill: false
+      };
+    });
+    chart = new Chart(canvas, {
+      type: 'line',
+      data: { datasets },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        interaction: { mode: 'nearest', axis: 'x', intersect: false },
+        plugins: {
+          legend: { position: 'top', labels: { boxWidth: 10, color: '#5a7068', font: { family: FONT, size: 9 } } },
+          tooltip: {
+            backgroundColor: 'rgba(10, 12, 15, 0.92)',
+            bodyFont: { family: FONT, size: 10 },
+            titleFont: { family: FONT, size: 10 },
+            callbacks: { label: item => `${item.dataset.label} ${item.parsed.y.toFixed(1)}` }
+          }
+        },
+        scales: {
+          x: { type: 'time', grid: { color: 'rgba(51, 255, 153, 0.05)' }, ticks: { color: '#3a4a44', font: { family: FONT, size: 9 }, maxTicksLimit: 6 } },
+          y: { position: 'right', grid: { color: 'rgba(51, 255, 153, 0.05)' }, ticks: { color: '#5a7068', font: { family: FONT, size: 9 } } }
+        }
+      }
+    });
+  }
+
+  function render() {
+    if (!overlay || !cache) return;
+    overlay.querySelectorAll('[data-sector-range]').forEach(b => b.classList.toggle('active', b.dataset.sectorRange === range));
+    overlay.querySelectorAll('[data-sector-weight]').forEach(b => b.classList.toggle('active', b.dataset.sectorWeight === weighting));
+    if (!Object.keys(cache.seriesMap).length) {
+      $('#sector-map').innerHTML = '<div class="ledger-empty">No daily data could be loaded.</div>';
+      return;
+    }
+    const startT = rangeStart();
+    $('#sector-map').innerHTML = renderTreemap(startT) + renderStrip(startT);
+    $('#sector-table').innerHTML = renderTable(startT);
+    renderChart(startT);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // DIALOG
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function createOverlay() {
+    const el = document.createElement('div');
+    el.id = 'sector-overlay';
+    el.className = 'console-dialog-overlay';
+    el.setAttribute('role', 'dialog');
+    el.setAttribute('aria-modal', 'true');
+    el.setAttribute('aria-label', 'Sector map');
+
+    el.innerHTML = `
+      <div class="console-dialog-backdrop" data-action="close"></div>
+      <div class="console-dialog-panel wide">
+        <div class="console-dialog-header">
+          <h2 class="console-dialog-title">▦ SECTOR MAP</h2>
+          <button class="console-dialog-close" data-action="close" aria-label="Close">×</button>
+        </div>
+        <div class="console-dialog-body">
+          <div class="sector-controls">
+            <div class="control-group">
+              ${Object.keys(RANGES).map(r => `<button class="ctrl-btn" data-sector-range="${r}">${r}</button>`).join('')}
+            </div>
+            <div class="control-group">
+              <button class="ctrl-btn" data-sector-weight="equal" title="Members equally weighted">EQUAL</button>
+              <button class="ctrl-btn" data-sector-weight="weighted" title="Members weighted by position value">POSITION</button>
+            </div>
+          </div>
+          <div class="ledger-section">
+            <div class="ledger-section-title">FLEET EXPOSURE · SIZE = VALUE · COLOR = RETURN</div>
+            <div id="sector-map"><div class="ledger-empty">Loading sector data…</div></div>
+          </div>
+          <div class="ledger-section">
+            <div class="ledger-section-title">THEME INDICES</div>
+            <div id="sector-table"></div>
+            <div class="sector-chart-wrap"><canvas id="sector-chart"></canvas></div>
+          </div>
+        </div>
+        <div class="console-dialog-footer">
+          <button class="console-btn" data-action="close">DONE</button>
+        </div>
+      </div>
+    `;
+
+    el.addEventListener('click', (e) => {
+      const target = e.target.closest('[data-action], [data-sector-range], [data-sector-weight]');
+      if (!target) return;
+      if (target.dataset.action === 'close') close();
+      if (target.dataset.sectorRange) {
+        range = target.dataset.sectorRange;
+        render();
+      }
+      if (target.dataset.sectorWeight) {
+        weighting = target.dataset.sectorWeight;
+        render();
+      }
+    });
+
+    el.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') close();
+    });
+
+    document.body.appendChild(el);
+    return el;
+  }
+
+  /**
+   * @param {Object} options - { themes, themeColors, colors, getPositions, loadSeries, getRange }
+   */
+  function init(options) {
+    opts = options;
+  }
+
+  async function open() {
+    if (!opts || !window.Sectors) {
+      console.warn('[SectorPanel] Not initialized');
+      return;
+    }
+    if (!overlay) overlay = createOverlay();
+    const current = opts.getRange ? opts.getRange() : null;
+    if (RANGES[current]) range = current;
+    overlay.classList.add('visible');
+    // Positions change between opens; candles are cached by the loader
+    await load();
+    render();
+  }
+
+  function close() {
+    if (overlay) overlay.classList.remove('visible');
+    if (chart) {
+      chart.destroy();
+      chart = null;
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PUBLIC API
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  return {
+    init,
+    open,
+    close
+  };
+
+})();
@@ -248,6 +248,32 @@ window.ShipBrief = (function() {
               </div>
             </div>
             
+            <!-- Event History (EventStudy over daily bars) -->
+            <div class="ship-brief-section" id="ship-brief-events-section" style="display: none;">
+              <div class="ship-brief-section-header">
+                <span class="ship-brief-marker">▸</span>
+                <span>EVENT HISTORY</span>
+              </div>
+              <div class="ship-brief-ops">
+                <div class="ship-brief-ops-item">
+                  <span class="ship-brief-ops-label">OPEX DRIFT ±5D</span>
+                  <span class="ship-brief-ops-value" id="ship-brief-opex">—</span>
+                </div>
+                <div class="ship-brief-ops-item">
+                  <span class="ship-brief-ops-label">CATALYST CAR</span>
+                  <span class="ship-brief-ops-value" id="ship-brief-catalysts">—</span>
+                </div>
+                <div class="ship-brief-ops-item">
+                  <span class="ship-brief-ops-label">BEST / WORST DAY</span>
+                  <span class="ship-brief-ops-value" id="ship-brief-weekday">—</span>
+                </div>
+                <div class="ship-brief-ops-item">
+                  <span class="ship-brief-ops-label" id="ship-brief-month-label">MONTH HISTORY</span>
+                  <span class="ship-brief-ops-value" id="ship-brief-month">—</span>
+                </div>
+              </div>
+            </div>
+            
             <!-- Observation Mode Notice -->
             <div class="ship-brief-notice" id="ship-brief-notice" style="display: none;">
               <span class="ship-brief-notice-icon">◎</span>
@@ -366,10 +392,11 @@ window.ShipBrief = (function() {
     
     // Get position data (check multiple sources)
     let position = null;
+    const fleetPositions = getFleetPositionList();
     
-    // Check DEMO_STOCK_POSITIONS (index.html)
-    if (window.DEMO_STOCK_POSITIONS) {
-      position = DEMO_STOCK_POSITIONS.find(p => p.ticker === ticker);
+    // Check active portfolio (imported CSV or demo fleet)
+    if (fleetPositions.length) {
+      position = fleetPositions.find(p => p.ticker === ticker);
     }
     
     // Check holdings from holdings manager if available
@@ -390,8 +417,8 @@ window.ShipBrief = (function() {
       data.hull = Math.max(10, Math.min(100, 50 + data.pnlPct * 2));
       
       // Cargo as % of total portfolio
-      if (window.DEMO_STOCK_POSITIONS) {
-        const totalShares = DEMO_STOCK_POSITIONS.reduce((s, p) => s + (p.shares || 0), 0);
+      if (fleetPositions.length) {
+        const totalShares = fleetPositions.reduce((s, p) => s + (p.shares || 0), 0);
         data.cargo = totalShares > 0 ? Math.round((data.shares / totalShares) * 100) : 0;
       } else {
         data.cargo = Math.min(100, data.shares);
@@ -418,13 +445,23 @@ window.ShipBrief = (function() {
     return data;
   }
   
+  /**
+   * Active stock positions (app.js resolves prices; Portfolio is the raw source)
+   */
+  function getFleetPositionList() {
+    if (typeof window.getFleetPositions === 'function') return window.getFleetPositions();
+    if (window.Portfolio) return Portfolio.getPositions();
+    return [];
+  }
+  
   function determineRole(ticker, data) {
     // Flagship: highest value position or RKLB
     if (ticker === 'RKLB') return 'FLAGSHIP';
     
     // Check if this is the highest value position
-    if (window.DEMO_STOCK_POSITIONS && data.hasPosition) {
-      const sorted = [...DEMO_STOCK_POSITIONS].sort((a, b) => 
+    const fleetPositions = getFleetPositionList();
+    if (fleetPositions.length && data.hasPosition) {
+      const sorted = [...fleetPositions].sort((a, b) => 
         (b.shares * b.current_price) - (a.shares * a.current_price)
       );
       if (sorted[0]?.ticker === ticker) return 'FLAGSHIP';
@@ -514,6 +551,9 @@ window.ShipBrief = (function() {
     // Telemetry Traits (language that mirrors data)
     updateTelemetryTraits(data.ticker);
     
+    // Event study + seasonality (async, daily bars)
+    updateEventHistory(data.ticker);
+    
     // Operations data
     if (data.hasPosition) {
       dialogEl.querySelector('#ship-brief-value').textContent = '$' + data.value.toLocaleString(undefined, { maximumFractionDigits: 0 });
@@ -609,6 +649,58 @@ window.ShipBrief = (function() {
     }
   }
   
+  /**
+   * Fill the event history section from EventStudy.summary — hidden when
+   * the module isn't loaded or the ticker has no daily bars
+   */
+  function updateEventHistory(ticker) {
+    const sectionEl = dialogEl.querySelector('#ship-brief-events-section');
+    if (!sectionEl) return;
+    sectionEl.style.display = 'none';
+    if (!window.EventStudy) return;
+    
+    const pct = v => Number.isFinite(v) ? (v >= 0 ? '+' : '') + (v * 100).toFixed(1) + '%' : '—';
+    const setValue = (id, text, v, title) => {
+      const el = dialogEl.querySelector(id);
+      el.textContent = text;
+      el.className = 'ship-brief-ops-value' + (Number.isFinite(v) && v !== 0 ? (v > 0 ? ' positive' : ' negative') : '');
+      el.title = title || '';
+    };
+    
+    EventStudy.summary(ticker).then(summary => {
+      // Dialog moved on to another ship while bars loaded
+      if (!summary || currentTicker !== ticker) return;
+      
+      const opex = summary.opex;
+      if (opex && opex.n) {
+        setValue('#ship-brief-opex', pct(opex.postCar) + ' POST', opex.postCar,
+          `${opex.n} expirations · pre ${pct(opex.preCar)} · day 0 ${pct(opex.day0)} · ${Math.round(opex.hitRate * 100)}% positive`);
+      } else {
+        setValue('#ship-brief-opex', '—');
+      }
+      
+      const cat = summary.catalysts;
+      if (cat) {
+        setValue('#ship-brief-catalysts', pct(cat.car) + ' · ' + cat.n + ' EVT', cat.car,
+          `Avg CAR day 0…+${cat.post} · vol ${Math.round(cat.volPre * 100)}% → ${Math.round(cat.volPost * 100)}%`);
+      } else {
+        setValue('#ship-brief-catalysts', 'NONE LOGGED', null, 'Log past catalysts in the Catalysts tab');
+      }
+      
+      const best = summary.bestDay;
+      const worst = summary.worstDay;
+      setValue('#ship-brief-weekday', best && worst ? best.label + ' / ' + worst.label : '—', null,
+        best && worst ? `${best.label} ${pct(best.mean)} · ${worst.label} ${pct(worst.mean)} avg daily` : '');
+      
+      const month = summary.month;
+      dialogEl.querySelector('#ship-brief-month-label').textContent = (month ? month.label : 'MONTH') + ' HISTORY';
+      setValue('#ship-brief-month', month ? pct(month.mean) + ' · ' + Math.round(month.hitRate * 100) + '% UP' : '—',
+        month ? month.mean : null, month ? `${month.n} years of ${month.label}` : '');
+      
+      sectionEl.style.display = '';
+    });
+  }
+  
   /**
    * Update telemetry traits section with descriptive language
    * Shows traits as words, not numbers - making telemetry visible through language
@@ -0,0 +1,386 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * SIZING PANEL — Position size from account risk and volatility
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Console dialog over PositionSizing: equity, risk per trade and a stop
+ * (ATR multiple, percent, or a drawn / typed chart level) give the share
+ * and contract count, dollar risk and the resulting portfolio heat. Entry
+ * and ATR are pre-filled from the ticker's daily bars.
+ *
+ * A sized plan can be pushed into the what-if simulator or carried to
+ * mission launch (saved in Store.sizing, read by derivatives.html).
+ *
+ * Dependencies:
+ *   - js/data/position-sizing.js (PositionSizing)
+ *   - js/state/drawings.js (Drawings, optional — hline stop levels)
+ *
+ * Usage:
+ *   SizingPanel.init({ getTicker, getTimeframe, getPositions, loadSeries, onSimulate, onMission })
+ *   SizingPanel.open('RKLB')
+ *
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+window.SizingPanel = (function() {
+  'use strict';
+
+  const METHOD_LABELS = { ATR: 'ATR ×', PERCENT: 'PERCENT', LEVEL: 'CHART LEVEL' };
+
+  let opts = null;
+  let overlay = null;
+  let ticker = null;
+  let atr = null;
+  let lastClose = null;
+  let bookValue = 0;
+  let atrByTicker = {};
+  let result = null;
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // HELPERS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  const esc = PARALLAX_UTILS.escapeHtml;
+
+  function $(sel) {
+    return overlay ? overlay.querySelector(sel) : null;
+  }
+
+  function fmtUsd(v, digits = 0) {
+    if (!Number.isFinite(v)) return '—';
+    return (v < 0 ? '-$' : '$') + Math.abs(v).toLocaleString(undefined, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+  }
+
+  function num(name) {
+    const el = $(`[name="${name}"]`);
+    const v = el ? parseFloat(el.value) : NaN;
+    return Number.isFinite(v) ? v : null;
+  }
+
+  // Horizontal levels drawn on this ticker's charts
+  function drawnLevels() {
+    if (!window.Drawings) return [];
+    const tfs = ['1D'];
+    const tf = opts.getTimeframe ? opts.getTimeframe() : null;
+    if (tf && tf !== '1D') tfs.push(tf);
+    const seen = new Set();
+    return tfs.flatMap(t => Drawings.list(ticker, t))
+      .filter(d => d.type === 'hline')
+      .map(d => d.points[0].price)
+      .filter(p => {
+        const key = p.toFixed(2);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .sort((a, b) => b - a);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // DATA
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  async function dailyBars(t) {
+    try {
+      const data = await opts.loadSeries(t);
+      return data && Array.isArray(data.daily) ? data.daily : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  async function load() {
+    const bars = await dailyBars(ticker);
+    atr = PositionSizing.atr(bars);
+    lastClose = bars.length ? bars[bars.length - 1].c : null;
+
+    // Fleet ATRs for heat (series are cached by the loader)
+    const positions = opts.getPositions();
+    bookValue = positions.reduce((s, p) => s + (p.shares || 0) * (p.current_price || 0), 0);
+    atrByTicker = {};
+    const tickers = [...new Set(positions.map(p => p.ticker))];
+    const series = await Promise.all(tickers.map(dailyBars));
+    tickers.forEach((t, i) => { atrByTicker[t] = PositionSizing.atr(series[i]); });
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // RENDERING
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function stat(label, value, cls, title) {
+    return `<div class="perf-stat" ${title ? `title="${esc(title)}"` : ''}>
+      <div class="perf-stat-label">${label}</div>
+      <div class="perf-stat-value ${cls || ''}">${value}</div>
+    </div>`;
+  }
+
+  function renderForm() {
+    const s = PositionSizing.getSettings();
+    const equity = s.equity || Math.round(bookValue) || '';
+    const levels = drawnLevels();
+
+    $('#sizing-title').textContent = `⚖ POSITION SIZING · ${ticker}`;
+    $('#sizing-form').innerHTML = `
+      <select name="side" title="Direction">
+        <option value="LONG">LONG</option>
+        <option value="SHORT">SHORT</option>
+      </select>
+      <input name="entry" type="number" step="any" min="0" value="${lastClose ? lastClose.toFixed(2) : ''}" placeholder="Entry" title="Entry price (last daily close)">
+      <input name="equity" type="number" step="any" min="0" value="${equity}" placeholder="Equity" title="Account equity${s.equity ? '' : ' (fleet market value)'}">
+      <input name="riskPct" type="number" step="0.1" min="0" max="100" value="${s.riskPct}" placeholder="Risk %" title="Max risk per trade, % of equity">
+      <input name="premium" type="number" step="any" min="0" placeholder="Option premium" title="Optional — premium per share; long premium is the contract's max loss">
+    `;
+    $('#sizing-profiles').innerHTML = Object.entries(PositionSizing.PROFILES).map(([k, v]) =>
+      `<button class="ctrl-btn ${v === s.riskPct ? 'active' : ''}" data-profile="${v}" title="${v}% per trade">${k}</button>`
+    ).join('');
+    $('#sizing-methods').innerHTML = PositionSizing.METHODS.map(m =>
+      `<button class="ctrl-btn ${m === s.method ? 'active' : ''}" data-method="${m}">${METHOD_LABELS[m]}</button>`
+    ).join('');
+    $('#sizing-stop').innerHTML = `
+      <input name="atrMult" type="number" step="0.1" min="0" value="${s.atrMult}" data-for="ATR" title="ATR(14) multiple">
+      <span class="sizing-hint" data-for="ATR">ATR(14) ${atr ? '$' + atr.toFixed(2) + ' · ' + (lastClose ? (atr / lastClose * 100).toFixed(1) + '% of price' : '') : 'unavailable'}</span>
+      <input name="stopPct" type="number" step="0.5" min="0" max="100" value="${s.stopPct}" data-for="PERCENT" title="Stop distance, % of entry">
+      <select name="levelPick" data-for="LEVEL" title="Levels drawn on the chart">
+        <option value="">${levels.length ? 'Drawn levels…' : 'No drawn levels'}</option>
+        ${levels.map(p => `<option value="${p}">$${p.toFixed(2)}</option>`).join('')}
+      </select>
+      <input name="stopLevel" type="number" step="any" min="0" data-for="LEVEL" placeholder="Stop price" title="Stop price">
+    `;
+    showMethodFields(s.method);
+  }
+
+  function showMethodFields(method) {
+    overlay.querySelectorAll('#sizing-stop [data-for]').forEach(el => {
+      el.hidden = el.dataset.for !== method;
+    });
+  }
+
+  function renderResult() {
+    const el = $('#sizing-result');
+    const s = PositionSizing.getSettings();
+    result = PositionSizing.compute({
+      ticker,
+      side: $('[name="side"]').value,
+      entry: num('entry'),
+      equity: num('equity'),
+      riskPct: num('riskPct'),
+      premium: num('premium'),
+      method: s.method,
+      atr,
+      atrMult: num('atrMult'),
+      stopPct: num('stopPct'),
+      stopLevel: num('stopLevel')
+    });
+    ['save', 'simulate', 'mission'].forEach(a => { $(`[data-action="${a}"]`).disabled = !result.ok || !result.plan.shares; });
+
+    if (!result.ok) {
+      el.innerHTML = `<div class="pi-status error">${esc(result.error)}</div>`;
+      $('#sizing-heat').innerHTML = '';
+      return;
+    }
+
+    const p = result.plan;
+    const heat = PositionSizing.heat(opts.getPositions(), {
+      equity: p.equity,
+      atrByTicker,
+      method: s.method,
+      atrMult: num('atrMult') || s.atrMult,
+      stopPct: num('stopPct') || s.stopPct,
+      maxHeatPct: s.maxHeatPct
+    }, p);
+
+    el.innerHTML = `
+      <div class="perf-stats">
+        ${stat('SHARES', p.shares.toLocaleString(), '', `${p.side} ${p.shares} @ $${p.entry.toFixed(2)}`)}
+        ${stat('CONTRACTS', p.contracts === null ? '—' : p.contracts, '', p.premium ? `${fmtUsd(p.contractRisk)} premium at risk` : 'Enter an option premium')}
+        ${stat('DOLLAR RISK', fmtUsd(p.dollarRisk), 'negative', `${(p.dollarRisk / p.equity * 100).toFixed(2)}% of equity`)}
+        ${stat('POSITION', fmtUsd(p.positionValue), '', `${(p.positionValue / p.equity * 100).toFixed(1)}% of equity`)}
+        ${stat('STOP', '$' + p.stop.toFixed(2), '', `${p.stopPct.toFixed(1)}% from entry` + (atr ? ` · ${(p.stopDistance / atr).toFixed(1)} ATR` : ''))}
+      </div>
+      ${result.warnings.map(w => `<div class="pi-status error">${esc(w)}</div>`).join('')}
+    `;
+    renderHeat(heat);
+  }
+
+  function renderHeat(h) {
+    const el = $('#sizing-heat');
+    if (h.totalPct === null) {
+      el.innerHTML = '';
+      return;
+    }
+    const scale = Math.max(h.maxHeatPct * 1.5, h.totalPct);
+    const openW = Math.min(100, h.openPct / scale * 100);
+    const addW = Math.min(100 - openW, (h.totalPct - h.openPct) / scale * 100);
+    el.innerHTML = `
+      <div class="sizing-heat-head">
+        <span>PORTFOLIO HEAT</span>
+        <span class="${h.over ? 'negative' : ''}">${h.openPct.toFixed(1)}% → ${h.totalPct.toFixed(1)}% / ${h.maxHeatPct}% max</span>
+      </div>
+      <div class="sizing-heat-bar">
+        <span class="sizing-heat-open" style="width:${openW.toFixed(1)}%"></span>
+        <span class="sizing-heat-new ${h.over ? 'over' : ''}" style="width:${addW.toFixed(1)}%"></span>
+        <span class="sizing-heat-max" style="left:${(h.maxHeatPct / scale * 100).toFixed(1)}%"></span>
+      </div>
+      <div class="ledger-empty">
+        Open risk ${fmtUsd(h.open)} across ${h.positions.length} positions at the same stop rule${h.unknown.length ? ` · no ATR for ${esc(h.unknown.join(', '))}` : ''}
+      </div>
+    `;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // DIALOG
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  // Persist what was typed so the next open starts from it
+  function persistInputs() {
+    const patch = {};
+    ['riskPct', 'atrMult', 'stopPct'].forEach(k => {
+      const v = num(k);
+      if (v !== null && v > 0) patch[k] = v;
+    });
+    const equity = num('equity');
+    // Equity equal to the fleet value stays "follow the fleet"
+    patch.equity = equity && Math.round(equity) !== Math.round(bookValue) ? equity : null;
+    PositionSizing.saveSettings(patch);
+  }
+
+  function setStatus(msg, cls) {
+    const el = $('#sizing-status');
+    el.className = 'pi-status' + (cls ? ' ' + cls : '');
+    el.textContent = msg;
+  }
+
+  function handleAction(action) {
+    if (action === 'close') return close();
+    if (!result || !result.ok) return;
+    persistInputs();
+    PositionSizing.savePlan(result.plan);
+    if (action === 'save') setStatus(`Plan saved for ${ticker} — mission launch will use it`, 'ok');
+    if (action === 'simulate') {
+      if (opts.onSimulate) opts.onSimulate(result.plan);
+      close();
+    }
+    if (action === 'mission' && opts.onMission) opts.onMission(result.plan);
+  }
+
+  function createOverlay() {
+    const el = document.createElement('div');
+    el.id = 'sizing-overlay';
+    el.className = 'console-dialog-overlay';
+    el.setAttribute('role', 'dialog');
+    el.setAttribute('aria-modal', 'true');
+    el.setAttribute('aria-label', 'Position sizing');
+
+    el.innerHTML = `
+      <div class="console-dialog-backdrop" data-action="close"></div>
+      <div class="console-dialog-panel wide">
+        <div class="console-dialog-header">
+          <h2 class="console-dialog-title" id="sizing-title">⚖ POSITION SIZING</h2>
+          <button class="console-dialog-close" data-action="close" aria-label="Close">×</button>
+        </div>
+        <div class="console-dialog-body">
+          <div class="ledger-section">
+            <div class="ledger-section-title">ACCOUNT RISK</div>
+            <form class="ledger-form" id="sizing-form" autocomplete="off"></form>
+            <div class="control-group" id="sizing-profiles"></div>
+          </div>
+          <div class="ledger-section">
+            <div class="ledger-section-title">STOP</div>
+            <div class="control-group" id="sizing-methods"></div>
+            <div class="ledger-form" id="sizing-stop"></div>
+          </div>
+          <div class="ledger-section">
+            <div class="ledger-section-title">SIZE</div>
+            <div id="sizing-result"></div>
+            <div id="sizing-heat"></div>
+          </div>
+          <div class="pi-status" id="sizing-status"></div>
+        </div>
+        <div class="console-dialog-footer">
+          <button class="console-btn" data-action="save" disabled>SAVE PLAN</button>
+          <button class="console-btn" data-action="simulate" disabled title="Fill the P&amp;L simulator with this size and stop">→ SIMULATOR</button>
+          <button class="console-btn primary" data-action="mission" disabled title="Carry this plan into Mission Command">→ MISSION</button>
+          <button class="console-btn" data-action="close">DONE</button>
+        </div>
+      </div>
+    `;
+
+    el.addEventListener('click', (e) => {
+      const target = e.target.closest('[data-action], [data-profile], [data-method]');
+      if (!target) return;
+      if (target.dataset.action) return handleAction(target.dataset.action);
+      if (target.dataset.profile) {
+        $('[name="riskPct"]').value = target.dataset.profile;
+        el.querySelectorAll('[data-profile]').forEach(b => b.classList.toggle('active', b === target));
+      }
+      if (target.dataset.method) {
+        PositionSizing.saveSettings({ method: target.dataset.method });
+        el.querySelectorAll('[data-method]').forEach(b => b.classList.toggle('active', b === target));
+        showMethodFields(target.dataset.method);
+      }
+      renderResult();
+    });
+
+    el.addEventListener('input', (e) => {
+      if (e.target.name === 'riskPct') {
+        el.querySelectorAll('[data-profile]').forEach(b => b.classList.toggle('active', parseFloat(b.dataset.profile) === num('riskPct')));
+      }
+      renderResult();
+    });
+
+    el.addEventListener('change', (e) => {
+      if (e.target.name === 'levelPick' && e.target.value) {
+        $('[name="stopLevel"]').value = parseFloat(e.target.value).toFixed(2);
+      }
+      renderResult();
+    });
+
+    el.addEventListener('submit', (e) => e.preventDefault());
+
+    el.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') close();
+    });
+
+    document.body.appendChild(el);
+    return el;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PUBLIC API
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * @param {Object} options - { getTicker, getTimeframe, getPositions, loadSeries, onSimulate(plan), onMission(plan) }
+   */
+  function init(options) {
+    opts = options;
+  }
+
+  async function open(forTicker) {
+    if (!opts || !window.PositionSizing) {
+      console.warn('[SizingPanel] Not initialized');
+      return;
+    }
+    if (!overlay) overlay = createOverlay();
+    ticker = (forTicker || opts.getTicker()).toUpperCase();
+    setStatus('');
+    overlay.classList.add('visible');
+    await load();
+    renderForm();
+    renderResult();
+  }
+
+  function close() {
+    if (!overlay) return;
+    if (result && result.ok) persistInputs();
+    overlay.classList.remove('visible');
+  }
+
+  return {
+    init,
+    open,
+    close,
+    getResult: () => result
+  };
+
+})();
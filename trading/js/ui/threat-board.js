@@ -0,0 +1,154 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * THREAT BOARD — Portfolio Risk Panel
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Renders the latest Risk report: threat level, VaR / CVaR (historical and
+ * parametric), beta vs XAR, max drawdown and the fleet correlation matrix.
+ *
+ * Dependencies:
+ *   - js/data/risk.js (Risk, risk:update event)
+ *
+ * Usage:
+ *   ThreatBoard.init('threat-board-container')
+ *   ThreatBoard.render(report)
+ *
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+(function() {
+  'use strict';
+
+  let container = null;
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // HELPERS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function pct(x, digits = 1) {
+    return Number.isFinite(x) ? (x * 100).toFixed(digits) + '%' : '—';
+  }
+
+  function money(x) {
+    return Number.isFinite(x) ? '$' + Math.round(x).toLocaleString() : '—';
+  }
+
+  function threatLabel(score) {
+    if (score >= 75) return { label: 'RED ALERT', tone: 'critical' };
+    if (score >= 50) return { label: 'ELEVATED', tone: 'elevated' };
+    if (score >= 25) return { label: 'GUARDED', tone: 'guarded' };
+    return { label: 'CLEAR', tone: 'clear' };
+  }
+
+  // Correlation → cell tint (green = diversifying, red = moving together)
+  function corrColor(c) {
+    const a = Math.min(1, Math.abs(c));
+    return c >= 0 ? `rgba(255, 107, 107, ${(a * 0.6).toFixed(2)})` : `rgba(51, 255, 153, ${(a * 0.6).toFixed(2)})`;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // RENDERING
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function renderStat(label, value, sub) {
+    return `
+      <div class="threat-stat">
+        <div class="threat-stat-label">${label}</div>
+        <div class="threat-stat-value">${value}</div>
+        ${sub ? `<div class="threat-stat-sub">${sub}</div>` : ''}
+      </div>
+    `;
+  }
+
+  function renderMatrix(corr) {
+    const head = corr.tickers.map(t => `<th>${t}</th>`).join('');
+    const rows = corr.tickers.map((t, i) => `
+      <tr><th>${t}</th>${corr.matrix[i].map(c => `<td style="background: ${corrColor(c)}">${c.toFixed(2)}</td>`).join('')}</tr>
+    `).join('');
+    return `<table class="threat-matrix"><thead><tr><th></th>${head}</tr></thead><tbody>${rows}</tbody></table>`;
+  }
+
+  function renderBetas(report) {
+    return report.tickers
+      .slice()
+      .sort((a, b) => report.betas[b] - report.betas[a])
+      .map(t => {
+        const b = report.betas[t];
+        const width = Math.min(100, Math.abs(b) / 3 * 100);
+        return `
+          <div class="threat-beta-row">
+            <span class="threat-beta-ticker">${t}</span>
+            <div class="threat-beta-bar"><div class="threat-beta-fill ${b > 1.5 ? 'hot' : ''}" style="width: ${width}%"></div></div>
+            <span class="threat-beta-value">${b.toFixed(2)}</span>
+          </div>
+        `;
+      }).join('');
+  }
+
+  function render(report) {
+    if (!container) return;
+
+    if (!report) {
+      container.innerHTML = '<div class="threat-empty">Threat assessment pending — awaiting timeseries uplink</div>';
+      return;
+    }
+
+    const threat = threatLabel(report.score);
+    const conf = Math.round(report.confidence * 100);
+    const dd = report.drawdown;
+
+    container.innerHTML = `
+      <div class="threat-board">
+        <div class="threat-level ${threat.tone}">
+          <div class="threat-level-score">${report.score}</div>
+          <div>
+            <div class="threat-level-label">${threat.label}</div>
+            <div class="threat-level-meta">${report.days} sessions to ${report.asOf} · book ${money(report.bookValue)}</div>
+          </div>
+        </div>
+
+        <div class="threat-stats">
+          ${renderStat(`VaR ${conf}% · 1D`, pct(report.var.historical), `hist · ${money(report.varDollars)}`)}
+          ${renderStat(`VaR ${conf}% · PARAM`, pct(report.var.parametric), 'gaussian')}
+          ${renderStat(`CVaR ${conf}%`, pct(report.cvar.historical), `hist · ${money(report.cvarDollars)}`)}
+          ${renderStat(`CVaR ${conf}% · PARAM`, pct(report.cvar.parametric), 'gaussian')}
+          ${renderStat('BETA vs XAR', report.portfolioBeta.toFixed(2), `vol ${pct(report.volAnnual, 0)} ann.`)}
+          ${renderStat('MAX DRAWDOWN', pct(-dd.max), dd.peakDate ? `${dd.peakDate} → ${dd.troughDate}` : '')}
+        </div>
+
+        <div class="threat-grid">
+          <div class="threat-section">
+            <div class="threat-section-title">// CORRELATION MATRIX</div>
+            <div class="threat-matrix-wrap">${renderMatrix(report.correlation)}</div>
+          </div>
+          <div class="threat-section">
+            <div class="threat-section-title">// BETA vs ${window.Risk ? Risk.BENCHMARK : 'XAR'}</div>
+            ${renderBetas(report)}
+            ${report.missing.length ? `<div class="threat-empty">No timeseries: ${report.missing.join(', ')}</div>` : ''}
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PUBLIC API
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  window.ThreatBoard = {
+    init(containerId) {
+      container = document.getElementById(containerId);
+      if (!container) {
+        console.warn('ThreatBoard: Container not found:', containerId);
+        return;
+      }
+      render(window.Risk ? Risk.getLastReport() : null);
+      if (window.PARALLAX_BUS) {
+        window.PARALLAX_BUS.on('risk:update', render);
+      }
+    },
+
+    render
+  };
+
+})();
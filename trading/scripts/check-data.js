@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * DATA INTEGRITY CHECK
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Runs the browser's DataSchema validators over every JSON file in data/
+ * and prints a health report. Exits non-zero when any file has errors, so
+ * it can gate a data refresh (run it after ingest-market-data.js).
+ *
+ * Checks:
+ *   data/{t}.json, data/timeseries/{t}.json   candles: ordered, finite OHLC, h ≥ l, gaps
+ *   data/index.json, data/timeseries/index.json
+ *   data/stats.json                           plus: every listed ticker has a candle file
+ *   data/market_summaries/*.json, data/options_summaries/*.json
+ *   data/indicators/45m/manifest.json         plus: every listed CSV exists
+ *   data/campaigns/*.json                     plus: every file in index.json exists
+ *
+ * Usage:
+ *   node scripts/check-data.js [--data data] [--strict] [--json] [--quiet]
+ *     --strict   warnings also fail the check
+ *     --json     print the report as JSON
+ *     --quiet    only list files with issues
+ *
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const DataSchema = require('../js/data/data-schema.js');
+
+const MANIFEST_PATH = path.join('indicators', '45m', 'manifest.json');
+const CAMPAIGNS_DIR = 'campaigns';
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CLI
+// ═══════════════════════════════════════════════════════════════════════════
+
+function parseArgs(argv) {
+  const opts = { data: 'data', strict: false, json: false, quiet: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--data') opts.data = argv[++i];
+    else if (a === '--strict') opts.strict = true;
+    else if (a === '--json') opts.json = true;
+    else if (a === '--quiet') opts.quiet = true;
+    else if (a === '--help' || a === '-h') opts.help = true;
+    else throw new Error(`Unknown argument: ${a}`);
+  }
+  if (!opts.data) throw new Error('--data needs a directory');
+  return opts;
+}
+
+function usage() {
+  console.log('Usage: node scripts/check-data.js [--data data] [--strict] [--json] [--quiet]');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// FILE WALK
+// ═══════════════════════════════════════════════════════════════════════════
+
+function listJson(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort();
+}
+
+/**
+ * Every file to check, as { file, kind, opts }
+ * @param {string} root - data directory
+ */
+function collectTargets(root) {
+  const targets = [];
+
+  [root, path.join(root, 'timeseries')].forEach(dir => {
+    listJson(dir).forEach(f => {
+      const file = path.join(dir, f);
+      if (f === 'index.json') targets.push({ file, kind: 'index' });
+      else if (f === 'stats.json') targets.push({ file, kind: 'stats' });
+      else targets.push({ file, kind: 'candles', opts: { ticker: f.replace(/\.json$/, '').toUpperCase() } });
+    });
+  });
+
+  [['market_summaries', 'market'], ['options_summaries', 'options']].forEach(([sub, kind]) => {
+    listJson(path.join(root, sub)).forEach(f => {
+      targets.push({ file: path.join(root, sub, f), kind, opts: { ticker: f.replace(/\.json$/, '') } });
+    });
+  });
+
+  targets.push({ file: path.join(root, MANIFEST_PATH), kind: 'manifest', optional: true });
+
+  // index.json only lists campaign files; crossCheck verifies them
+  listJson(path.join(root, CAMPAIGNS_DIR)).forEach(f => {
+    if (f !== 'index.json') targets.push({ file: path.join(root, CAMPAIGNS_DIR, f), kind: 'campaign' });
+  });
+  return targets;
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CHECK
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Validate every file under root
+ * @param {string} root
+ * @returns {Array<{ file, kind, ok, errors, warnings, summary }>}
+ */
+function checkDataDir(root) {
+  const entries = collectTargets(root).map(target => {
+    const base = { file: path.relative(process.cwd(), target.file), kind: target.kind };
+    if (!fs.existsSync(target.file)) {
+      return target.optional
+        ? { ...base, ok: true, errors: [], warnings: ['Not present — features that need it are disabled'], summary: {} }
+        : { ...base, ok: false, errors: ['File missing'], warnings: [], summary: {} };
+    }
+    let data;
+    try {
+      data = readJson(target.file);
+    } catch (e) {
+      return { ...base, ok: false, errors: [`Unparseable JSON: ${e.message}`], warnings: [], summary: {}, data: null };
+    }
+    return { ...base, ...DataSchema.validate(target.kind, data, target.opts), data };
+  });
+
+  crossCheck(root, entries);
+  entries.forEach(e => delete e.data);
+  return entries;
+}
+
+/**
+ * Checks that span files: stats ↔ candle files, manifest ↔ CSVs,
+ * campaign index ↔ campaign files
+ */
+function crossCheck(root, entries) {
+  const stats = entries.find(e => e.kind === 'stats' && e.data);
+  if (stats && Array.isArray(stats.data.tickers)) {
+    const missing = stats.data.tickers.filter(t => !fs.existsSync(path.join(root, t.toLowerCase() + '.json')));
+    if (missing.length) stats.warnings.push(`No candle file for ${missing.join(', ')} — ship sparklines stay flat`);
+  }
+
+  const manifest = entries.find(e => e.kind === 'manifest' && e.data);
+  if (manifest && Array.isArray(manifest.data.tickers)) {
+    const dir = path.dirname(path.join(root, MANIFEST_PATH));
+    const missing = manifest.data.tickers.filter(t => t && t.file && !fs.existsSync(path.join(dir, t.file)));
+    if (missing.length) {
+      manifest.errors.push(`CSV missing for ${missing.map(t => t.ticker).join(', ')}`);
+      manifest.ok = false;
+    }
+  }
+
+  const indexFile = path.join(root, CAMPAIGNS_DIR, 'index.json');
+  if (fs.existsSync(indexFile)) {
+    const base = { file: path.relative(process.cwd(), indexFile), kind: 'campaign', ok: false, warnings: [], summary: {} };
+    let listed;
+    try {
+      listed = readJson(indexFile).campaigns;
+    } catch (e) {
+      entries.push({ ...base, errors: [`Unparseable JSON: ${e.message}`] });
+      return;
+    }
+    if (!Array.isArray(listed)) {
+      entries.push({ ...base, errors: ['campaigns is not an array of file names'] });
+      return;
+    }
+    const missing = listed.filter(f => !fs.existsSync(path.join(root, CAMPAIGNS_DIR, f)));
+    if (missing.length) entries.push({ ...base, errors: [`Listed campaign file missing: ${missing.join(', ')}`] });
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// REPORT
+// ═══════════════════════════════════════════════════════════════════════════
+
+function printReport(entries, opts, log = console.log) {
+  entries.forEach(e => {
+    const clean = !e.errors.length && !e.warnings.length;
+    if (opts.quiet && clean) return;
+    log(`${e.errors.length ? '✗' : e.warnings.length ? '!' : '✓'} ${e.file} (${e.kind})`);
+    e.errors.forEach(m => log('    error    ' + m));
+    e.warnings.forEach(m => log('    warning  ' + m));
+  });
+  const errors = entries.reduce((s, e) => s + e.errors.length, 0);
+  const warnings = entries.reduce((s, e) => s + e.warnings.length, 0);
+  const failing = entries.filter(e => !e.ok).length;
+  log(`\n${entries.length} file(s) · ${failing} failing · ${errors} error(s) · ${warnings} warning(s)`);
+  return { errors, warnings, failing };
+}
+
+function run(opts) {
+  if (!fs.existsSync(opts.data)) throw new Error(`Data directory not found: ${opts.data}`);
+  const entries = checkDataDir(opts.data);
+  let totals;
+  if (opts.json) {
+    totals = {
+      errors: entries.reduce((s, e) => s + e.errors.length, 0),
+      warnings: entries.reduce((s, e) => s + e.warnings.length, 0)
+    };
+    console.log(JSON.stringify({ files: entries, ...totals }, null, 2));
+  } else {
+    totals = printReport(entries, opts);
+  }
+  return totals.errors > 0 || (opts.strict && totals.warnings > 0) ? 1 : 0;
+}
+
+if (require.main === module) {
+  let opts;
+  try {
+    opts = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(e.message);
+    usage();
+    process.exit(1);
+  }
+  if (opts.help) {
+    usage();
+    process.exit(0);
+  }
+  try {
+    process.exit(run(opts));
+  } catch (e) {
+    console.error('✗ ' + e.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { collectTargets, checkDataDir, run };
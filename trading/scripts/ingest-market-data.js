@@ -0,0 +1,786 @@
+#!/usr/bin/env node
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * MARKET DATA INGESTION
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Offline pipeline: raw OHLCV CSVs → every static data file the app reads.
+ * Adding a ticker is one command; every number is derived from its bars.
+ *
+ * Input files (one per ticker × timeframe), any of:
+ *   RKLB_1D.csv   RKLB_45m.csv   RKLB_15m.csv
+ *   BATS_RKLB, 1D.csv   BATS_RKLB, 45_ccede.csv   (TradingView exports)
+ * Timeframes missing from the filename are inferred from bar spacing.
+ * Missing 45m bars are resampled from 15m, missing daily bars from either.
+ *
+ * CSV columns (case-insensitive): time|date|datetime|timestamp, open, high,
+ * low, close, volume. Extra indicator columns (Kernel Regression Estimate,
+ * A5, E5, Buy, Sell, StopBuy, StopSell) feed the market summaries when present;
+ * otherwise a proxy is computed from price and the summary lists it.
+ *
+ * Derived bar fields:
+ *   macd / signal / hist   EMA 12 − EMA 26, EMA 9 signal
+ *   g100 / g150 / g200     simple moving averages of close (null until warm)
+ *   cross                  signal value on bars where MACD crosses it
+ *
+ * Output:
+ *   data/{ticker}.json, data/timeseries/{ticker}.json   { ticker, daily, intraday, intraday15 }
+ *   data/index.json, data/timeseries/index.json       last 60 daily / 100 intraday bars
+ *   data/stats.json                                   price stats, merged with existing tickers
+ *   data/market_summaries/{TICKER}.json               telemetry enrichment metrics
+ *   js/data/raw-metrics.js                            window.RAW_METRICS for ShipTelemetry
+ *
+ * Usage:
+ *   node scripts/ingest-market-data.js path/to/csvs/ [--out data] [--heikin-ashi]
+ *   node scripts/ingest-market-data.js --rebuild [--out data]
+ *       (re-derive index / stats / summaries / raw metrics from data/{ticker}.json)
+ *   Options: --metrics-out js/data/raw-metrics.js   --tickers RKLB,LUNR
+ *
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const TIMEFRAMES = ['daily', 'intraday', 'intraday15'];
+const INTRADAY_MINUTES = { intraday: 45, intraday15: 15 };
+const INDEX_BARS = { daily: 60, intraday: 100 };
+const RETURN_WINDOWS = { return_1d: 1, return_1w: 5, return_1m: 21, return_3m: 63, return_6m: 126, return_1y: 252 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MARKET_TZ = 'America/New_York';
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CLI
+// ═══════════════════════════════════════════════════════════════════════════
+
+function parseArgs(argv) {
+  const opts = { input: null, out: 'data', metricsOut: 'js/data/raw-metrics.js', rebuild: false, heikinAshi: false, tickers: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--out') opts.out = argv[++i];
+    else if (arg === '--metrics-out') opts.metricsOut = argv[++i];
+    else if (arg === '--rebuild') opts.rebuild = true;
+    else if (arg === '--heikin-ashi') opts.heikinAshi = true;
+    else if (arg === '--tickers') opts.tickers = String(argv[++i] || '').split(',').map(t => t.trim().toUpperCase()).filter(Boolean);
+    else if (arg === '--help' || arg === '-h') opts.help = true;
+    else if (!arg.startsWith('--')) opts.input = arg;
+    else throw new Error(`Unknown option ${arg}`);
+  }
+  return opts;
+}
+
+function usage() {
+  console.log('Usage: node scripts/ingest-market-data.js path/to/csvs/ [--out data] [--heikin-ashi] [--tickers A,B]');
+  console.log('       node scripts/ingest-market-data.js --rebuild [--out data] [--metrics-out js/data/raw-metrics.js]');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CSV PARSING
+// ═══════════════════════════════════════════════════════════════════════════
+
+function splitCsvLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { cells.push(cell); cell = ''; }
+    else cell += ch;
+  }
+  cells.push(cell);
+  return cells.map(c => c.trim());
+}
+
+function parseTime(value) {
+  const num = Number(value);
+  if (value !== '' && Number.isFinite(num)) return num < 1e12 ? num * 1000 : num;
+  // Date-only and zone-less stamps are read as UTC
+  const iso = /^\d{4}-\d{2}-\d{2}$/.test(value) ? value + 'T00:00:00Z'
+    : /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2})?$/.test(value) ? value.replace(' ', 'T') + 'Z'
+    : value;
+  return Date.parse(iso);
+}
+
+/**
+ * Parse an OHLCV CSV into bars { t, o, h, l, c, v, extra }
+ * @returns {{ bars: Object[], skipped: number }}
+ */
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/).filter(l => l.trim());
+  if (lines.length < 2) return { bars: [], skipped: 0 };
+
+  const header = splitCsvLine(lines[0]);
+  const find = names => header.findIndex(h => names.includes(h.toLowerCase()));
+  const col = {
+    t: find(['time', 'date', 'datetime', 'timestamp']),
+    o: find(['open']),
+    h: find(['high']),
+    l: find(['low']),
+    c: find(['close']),
+    v: find(['volume', 'vol'])
+  };
+  const missing = Object.entries(col).filter(([k, i]) => i < 0 && k !== 'v').map(([k]) => k);
+  if (missing.length) throw new Error(`missing column(s): ${missing.join(', ')}`);
+  const known = new Set(Object.values(col));
+
+  const bars = [];
+  let skipped = 0;
+  for (const line of lines.slice(1)) {
+    const cells = splitCsvLine(line);
+    const bar = {
+      t: parseTime(cells[col.t]),
+      o: parseFloat(cells[col.o]),
+      h: parseFloat(cells[col.h]),
+      l: parseFloat(cells[col.l]),
+      c: parseFloat(cells[col.c]),
+      v: col.v >= 0 ? parseFloat(cells[col.v]) || 0 : 0
+    };
+    if (!Number.isFinite(bar.t) || ![bar.o, bar.h, bar.l, bar.c].every(x => Number.isFinite(x) && x > 0)) {
+      skipped++;
+      continue;
+    }
+    // Indicator columns ride along for the market summaries
+    const extra = {};
+    header.forEach((name, i) => {
+      if (known.has(i) || cells[i] === undefined || cells[i] === '') return;
+      const n = parseFloat(cells[i]);
+      if (Number.isFinite(n)) extra[name] = n;
+    });
+    if (Object.keys(extra).length) bar.extra = extra;
+    bars.push(bar);
+  }
+
+  // Oldest → newest, one bar per timestamp (last write wins)
+  const byTime = new Map();
+  bars.forEach(b => byTime.set(b.t, b));
+  return { bars: Array.from(byTime.values()).sort((a, b) => a.t - b.t), skipped };
+}
+
+/**
+ * Ticker + timeframe from a file name; timeframe may be null (inferred later)
+ */
+function parseFileName(file) {
+  const base = path.basename(file).replace(/\.csv$/i, '');
+  let tickerPart;
+  let tfPart;
+  if (base.includes(',')) {
+    // TradingView: "BATS_RKLB, 45_ccede"
+    const [left, right] = base.split(',');
+    tickerPart = left.split('_').pop();
+    tfPart = right.trim().split(/[_\s]/)[0];
+  } else {
+    [tickerPart, tfPart] = base.split(/[_\-. ]+/);
+  }
+  return { ticker: (tickerPart || '').toUpperCase(), timeframe: timeframeFromToken(tfPart) };
+}
+
+function timeframeFromToken(token) {
+  const t = String(token || '').toLowerCase();
+  if (/^(1?d|daily|1day|day)$/.test(t)) return 'daily';
+  if (/^(45|45m|45min|intraday)$/.test(t)) return 'intraday';
+  if (/^(15|15m|15min|intraday15)$/.test(t)) return 'intraday15';
+  return null;
+}
+
+function inferTimeframe(bars) {
+  const gaps = [];
+  for (let i = 1; i < bars.length && gaps.length < 200; i++) gaps.push(bars[i].t - bars[i - 1].t);
+  if (!gaps.length) return null;
+  const median = gaps.sort((a, b) => a - b)[Math.floor(gaps.length / 2)] / 60000;
+  if (median >= 20 * 60) return 'daily';
+  if (median >= 30) return 'intraday';
+  return 'intraday15';
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RESAMPLING
+// ═══════════════════════════════════════════════════════════════════════════
+
+const dayFormatter = new Intl.DateTimeFormat('en-CA', { timeZone: MARKET_TZ, year: 'numeric', month: '2-digit', day: '2-digit' });
+
+function sessionDay(ts) {
+  return dayFormatter.format(new Date(ts));
+}
+
+function mergeBars(group) {
+  const extra = group[group.length - 1].extra;
+  const bar = {
+    t: group[0].t,
+    o: group[0].o,
+    h: Math.max(...group.map(b => b.h)),
+    l: Math.min(...group.map(b => b.l)),
+    c: group[group.length - 1].c,
+    v: group.reduce((s, b) => s + b.v, 0)
+  };
+  if (extra) bar.extra = extra;
+  return bar;
+}
+
+/**
+ * Aggregate finer bars into `minutes`-wide buckets anchored at each session's
+ * first bar, or whole market-calendar days when minutes is null
+ */
+function resample(bars, minutes) {
+  const groups = new Map();
+  let sessionStart = null;
+  let currentDay = null;
+  bars.forEach(b => {
+    const day = sessionDay(b.t);
+    if (day !== currentDay) {
+      currentDay = day;
+      sessionStart = b.t;
+    }
+    const key = minutes ? `${day}#${Math.floor((b.t - sessionStart) / (minutes * 60000))}` : day;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(b);
+  });
+  return Array.from(groups.values()).map(mergeBars);
+}
+
+function heikinAshi(bars) {
+  const out = [];
+  bars.forEach((b, i) => {
+    const c = (b.o + b.h + b.l + b.c) / 4;
+    const o = i ? (out[i - 1].o + out[i - 1].c) / 2 : (b.o + b.c) / 2;
+    out.push({ ...b, o, h: Math.max(b.h, o, c), l: Math.min(b.l, o, c), c });
+  });
+  return out;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// INDICATORS
+// ═══════════════════════════════════════════════════════════════════════════
+
+function round(x, digits) {
+  if (!Number.isFinite(x)) return null;
+  const f = Math.pow(10, digits);
+  return Math.round(x * f) / f;
+}
+
+function ema(values, period) {
+  const k = 2 / (period + 1);
+  const out = [];
+  let prev = null;
+  values.forEach(v => {
+    prev = prev === null ? v : v * k + prev * (1 - k);
+    out.push(prev);
+  });
+  return out;
+}
+
+function sma(values, period) {
+  const out = [];
+  let sum = 0;
+  values.forEach((v, i) => {
+    sum += v;
+    if (i >= period) sum -= values[i - period];
+    out.push(i >= period - 1 ? sum / period : null);
+  });
+  return out;
+}
+
+/**
+ * Attach MACD (12/26/9), G-line SMAs (100/150/200) and cross markers
+ */
+function withIndicators(bars) {
+  const closes = bars.map(b => b.c);
+  const fast = ema(closes, 12);
+  const slow = ema(closes, 26);
+  const macd = closes.map((_, i) => fast[i] - slow[i]);
+  const signal = ema(macd, 9);
+  const g = { g100: sma(closes, 100), g150: sma(closes, 150), g200: sma(closes, 200) };
+
+  return bars.map((b, i) => {
+    const bar = {
+      t: b.t, o: b.o, h: b.h, l: b.l, c: b.c, v: b.v,
+      macd: round(macd[i], 4),
+      signal: round(signal[i], 4),
+      hist: round(macd[i] - signal[i], 4),
+      g100: round(g.g100[i], 2),
+      g150: round(g.g150[i], 2),
+      g200: round(g.g200[i], 2)
+    };
+    if (i > 0) {
+      const prevDiff = macd[i - 1] - signal[i - 1];
+      const diff = macd[i] - signal[i];
+      if ((prevDiff <= 0 && diff > 0) || (prevDiff >= 0 && diff < 0)) bar.cross = bar.signal;
+    }
+    return bar;
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// STATS
+// ═══════════════════════════════════════════════════════════════════════════
+
+function lastClose(series) {
+  return series && series.length ? series[series.length - 1].c : null;
+}
+
+function computeStats(ticker, series) {
+  const daily = series.daily || [];
+  const closes = daily.map(b => b.c);
+  const newest = daily.length ? daily[daily.length - 1].t : 0;
+  const year = daily.filter(b => b.t >= newest - 365 * DAY_MS).map(b => b.c);
+
+  const stats = {
+    current: round(lastClose(series.intraday) ?? lastClose(daily), 2),
+    high_52w: year.length ? round(Math.max(...year), 2) : null,
+    low_52w: year.length ? round(Math.min(...year), 2) : null
+  };
+  Object.entries(RETURN_WINDOWS).forEach(([key, n]) => {
+    const from = closes[closes.length - 1 - n];
+    stats[key] = from > 0 ? round((closes[closes.length - 1] / from - 1) * 100, 2) : null;
+  });
+  stats.ticker = ticker;
+  TIMEFRAMES.forEach(tf => { stats[`${tf}_count`] = (series[tf] || []).length; });
+  return stats;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// MARKET SUMMARIES (mirrors scripts/summarize-market-data.py)
+// ═══════════════════════════════════════════════════════════════════════════
+
+function mean(xs) {
+  return xs.length ? xs.reduce((s, x) => s + x, 0) / xs.length : 0;
+}
+
+function stdev(xs) {
+  if (xs.length < 2) return 0;
+  const m = mean(xs);
+  return Math.sqrt(xs.reduce((s, x) => s + (x - m) * (x - m), 0) / (xs.length - 1));
+}
+
+function extraOf(bar, name) {
+  return bar.extra && Number.isFinite(bar.extra[name]) ? bar.extra[name] : null;
+}
+
+// Causal Gaussian-weighted kernel estimate (proxy for the Kernel Regression column)
+function kernelProxy(bars, i, bandwidth = 8, lookback = 25) {
+  let num = 0;
+  let den = 0;
+  for (let j = Math.max(0, i - lookback); j <= i; j++) {
+    const w = Math.exp(-((i - j) ** 2) / (2 * bandwidth * bandwidth));
+    num += w * bars[j].c;
+    den += w;
+  }
+  return num / den;
+}
+
+function kernelRespect(bars, proxies) {
+  if (bars.length < 10) return 0.5;
+  const hasColumn = bars.some(b => extraOf(b, 'Kernel Regression Estimate') !== null);
+  if (!hasColumn) proxies.push('kernel');
+  let respect = 0;
+  let total = 0;
+  bars.forEach((b, i) => {
+    const kernel = hasColumn ? extraOf(b, 'Kernel Regression Estimate') : kernelProxy(bars, i);
+    if (!kernel) return;
+    total++;
+    if (Math.abs(b.c - kernel) / kernel < 0.02) respect++;
+  });
+  return total ? respect / total : 0.5;
+}
+
+function bandCompression(bars, proxies) {
+  if (bars.length < 10) return 0.5;
+  const hasColumns = bars.some(b => extraOf(b, 'A5') !== null && extraOf(b, 'E5') !== null);
+  const widths = [];
+  if (hasColumns) {
+    bars.forEach(b => {
+      const a5 = extraOf(b, 'A5');
+      const e5 = extraOf(b, 'E5');
+      if (a5 !== null && e5 !== null) widths.push(Math.abs(a5 - e5) / b.c);
+    });
+  } else {
+    // Bollinger (20, 2σ) width as the band proxy
+    proxies.push('bands');
+    for (let i = 19; i < bars.length; i++) {
+      const closes = bars.slice(i - 19, i + 1).map(b => b.c);
+      widths.push(4 * stdev(closes) / bars[i].c);
+    }
+  }
+  if (!widths.length) return 0.5;
+  return round(1 - Math.min(1, mean(widths) / 0.25), 3);
+}
+
+function signalFollowThrough(bars, proxies) {
+  if (bars.length < 20) return 0.5;
+  const hasColumns = bars.some(b => extraOf(b, 'Buy') !== null || extraOf(b, 'Sell') !== null);
+  if (!hasColumns) proxies.push('signals');
+  let signals = 0;
+  let successes = 0;
+  for (let i = 0; i < bars.length - 5; i++) {
+    const future = bars.slice(i + 1, i + 6).map(b => b.c);
+    let buy;
+    let sell;
+    if (hasColumns) {
+      buy = extraOf(bars[i], 'Buy') === 1;
+      sell = extraOf(bars[i], 'Sell') === 1;
+    } else {
+      // MACD crosses stand in for Buy / Sell markers
+      buy = bars[i].cross !== undefined && bars[i].hist > 0;
+      sell = bars[i].cross !== undefined && bars[i].hist < 0;
+    }
+    if (buy) {
+      signals++;
+      if (Math.max(...future) > bars[i].c * 1.005) successes++;
+    }
+    if (sell) {
+      signals++;
+      if (Math.min(...future) < bars[i].c * 0.995) successes++;
+    }
+  }
+  return signals ? round(successes / signals, 3) : 0.5;
+}
+
+function stopHuntFrequency(bars, proxies) {
+  if (bars.length < 10) return 0.3;
+  const hasColumns = bars.some(b => extraOf(b, 'StopBuy') !== null || extraOf(b, 'StopSell') !== null);
+  let stops = 0;
+  if (hasColumns) {
+    bars.forEach(b => {
+      if (extraOf(b, 'StopBuy') === 1) stops++;
+      if (extraOf(b, 'StopSell') === 1) stops++;
+    });
+  } else {
+    // Wick through the prior 20-bar range that closes back inside it
+    proxies.push('stops');
+    for (let i = 20; i < bars.length; i++) {
+      const prior = bars.slice(i - 20, i);
+      const low = Math.min(...prior.map(b => b.l));
+      const high = Math.max(...prior.map(b => b.h));
+      if (bars[i].l < low && bars[i].c > low) stops++;
+      if (bars[i].h > high && bars[i].c < high) stops++;
+    }
+  }
+  return round(Math.min(1, stops / bars.length / 0.2), 3);
+}
+
+function volumeReliability(bars) {
+  const volumes = bars.map(b => b.v).filter(v => v > 0);
+  if (volumes.length < 10) return 0.5;
+  const avg = mean(volumes);
+  const cv = avg > 0 ? stdev(volumes) / avg : 1;
+  return round(1 - Math.min(1, cv / 1.5), 3);
+}
+
+function macdPersistence(bars) {
+  if (bars.length < 20) return 0.5;
+  const streaks = [];
+  let sign = null;
+  let streak = 0;
+  bars.forEach(b => {
+    if (!Number.isFinite(b.hist)) return;
+    const s = b.hist > 0 ? 1 : -1;
+    if (s === sign) streak++;
+    else {
+      if (sign !== null) streaks.push(streak);
+      sign = s;
+      streak = 1;
+    }
+  });
+  if (streak) streaks.push(streak);
+  return streaks.length ? round(Math.min(1, mean(streaks) / 10), 3) : 0.5;
+}
+
+function volatilityFactor(bars) {
+  if (bars.length < 10) return 0.5;
+  const moves = [];
+  for (let i = 1; i < bars.length; i++) moves.push(Math.abs(bars[i].c / bars[i - 1].c - 1));
+  return moves.length < 5 ? 0.5 : round(Math.min(1, mean(moves) / 0.015), 3);
+}
+
+function summarizeTicker(ticker, bars) {
+  const proxies = [];
+  const summary = {
+    ticker,
+    dataPoints: bars.length,
+    lastUpdated: new Date().toISOString(),
+    kernelRespectPct: kernelRespect(bars, proxies),
+    bandCompression: bandCompression(bars, proxies),
+    signalFollowThrough: signalFollowThrough(bars, proxies),
+    stopHuntFrequency: stopHuntFrequency(bars, proxies),
+    volumeReliability: volumeReliability(bars),
+    macdPersistence: macdPersistence(bars),
+    volatilityFactor: volatilityFactor(bars)
+  };
+  summary.trendAdherence = round(summary.kernelRespectPct * 0.4 + summary.macdPersistence * 0.3 + summary.signalFollowThrough * 0.3, 3);
+  summary.chopSensitivity = round(summary.stopHuntFrequency * 0.5 + (1 - summary.bandCompression) * 0.3 + summary.volatilityFactor * 0.2, 3);
+  if (proxies.length) summary.proxies = proxies;
+  return summary;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RAW METRICS (ShipTelemetry inputs)
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Per-bar statistics over the 45m series (daily when there is no intraday)
+ */
+function computeRawMetrics(bars) {
+  const closes = bars.map(b => b.c).filter(c => c > 0);
+  if (closes.length < 30) return null;
+
+  const rets = [];
+  for (let i = 1; i < closes.length; i++) rets.push(closes[i] / closes[i - 1] - 1);
+  const vol = stdev(rets);
+  const avg = mean(rets);
+
+  let peak = closes[0];
+  let maxDd = 0;
+  closes.forEach(c => {
+    peak = Math.max(peak, c);
+    maxDd = Math.max(maxDd, 1 - c / peak);
+  });
+
+  // Path travelled per unit of net displacement (1 = straight line)
+  let path = 0;
+  for (let i = 1; i < closes.length; i++) path += Math.abs(closes[i] - closes[i - 1]);
+  const net = Math.abs(closes[closes.length - 1] - closes[0]);
+  const chopRatio = net > 0 ? Math.min(500, path / net) : 500;
+
+  // Share of MACD crosses that price follows ≥0.5% within 5 bars
+  let crosses = 0;
+  let followed = 0;
+  for (let i = 1; i < bars.length - 5; i++) {
+    if (bars[i].cross === undefined || !Number.isFinite(bars[i].hist)) continue;
+    crosses++;
+    const future = bars.slice(i + 1, i + 6).map(b => b.c);
+    if (bars[i].hist > 0 ? Math.max(...future) > bars[i].c * 1.005 : Math.min(...future) < bars[i].c * 0.995) followed++;
+  }
+
+  // Median / mean volume: spiky, event-driven volume pulls this down
+  const volumes = bars.map(b => b.v).filter(v => v > 0).sort((a, b) => a - b);
+  const volumeStability = volumes.length ? volumes[Math.floor(volumes.length / 2)] / mean(volumes) : null;
+
+  return {
+    volatility: round(vol, 4),
+    avgReturn: round(avg, 5),
+    maxDrawdown: round(-maxDd, 3),
+    trendStrength: vol ? round(Math.abs(avg) / vol * Math.sqrt(rets.length), 2) : 0,
+    chopRatio: round(chopRatio, 1),
+    signalClarity: crosses ? round(followed / crosses, 2) : null,
+    volumeStability: round(volumeStability, 2)
+  };
+}
+
+function writeRawMetricsModule(file, metrics, sourceNote) {
+  const body = Object.keys(metrics).sort().map(t => {
+    const fields = Object.entries(metrics[t]).map(([k, v]) => `      ${k}: ${v}`).join(',\n');
+    return `    ${t}: {\n${fields}\n    }`;
+  }).join(',\n');
+
+  const text = `/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * GENERATED RAW METRICS — do not edit by hand
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Built by scripts/ingest-market-data.js on ${new Date().toISOString().slice(0, 10)} from ${sourceNote}.
+ * ShipTelemetry prefers these over its built-in estimates.
+ *
+ *   volatility       stdev of per-bar returns
+ *   avgReturn        mean per-bar return
+ *   maxDrawdown      worst peak-to-trough close (negative fraction)
+ *   trendStrength    |mean| / stdev × √bars
+ *   chopRatio        close-to-close path length / net move (capped at 500)
+ *   signalClarity    share of MACD crosses followed ≥0.5% within 5 bars
+ *   volumeStability  median / mean bar volume
+ *
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+window.RAW_METRICS = (function() {
+  'use strict';
+
+  return {
+${body}
+  };
+
+})();
+`;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, text);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PIPELINE
+// ═══════════════════════════════════════════════════════════════════════════
+
+function readJson(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    return fallback;
+  }
+}
+
+function writeJson(file, data, pretty) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, pretty ? JSON.stringify(data, null, 2) : JSON.stringify(data));
+}
+
+/**
+ * Group CSVs by ticker → { TICKER: { daily, intraday, intraday15 } } of raw bars
+ */
+function loadCsvDir(dir, only, log) {
+  const files = fs.readdirSync(dir).filter(f => f.toLowerCase().endsWith('.csv')).sort();
+  if (!files.length) throw new Error(`No .csv files in ${dir}`);
+
+  const raw = {};
+  files.forEach(file => {
+    const meta = parseFileName(file);
+    if (!meta.ticker || (only && !only.includes(meta.ticker))) return;
+    let parsed;
+    try {
+      parsed = parseCsv(fs.readFileSync(path.join(dir, file), 'utf8'));
+    } catch (e) {
+      log(`  ✗ ${file}: ${e.message}`);
+      return;
+    }
+    const timeframe = meta.timeframe || inferTimeframe(parsed.bars);
+    if (!timeframe || !parsed.bars.length) {
+      log(`  ✗ ${file}: no usable bars`);
+      return;
+    }
+    raw[meta.ticker] = raw[meta.ticker] || {};
+    raw[meta.ticker][timeframe] = parsed.bars;
+    log(`  ✓ ${file} → ${meta.ticker} ${timeframe} (${parsed.bars.length} bars${parsed.skipped ? `, ${parsed.skipped} skipped` : ''})`);
+  });
+  return raw;
+}
+
+/**
+ * Fill missing timeframes by resampling, then derive indicators
+ */
+function buildSeries(ticker, raw, opts) {
+  const frames = { ...raw };
+  if (!frames.intraday && frames.intraday15) frames.intraday = resample(frames.intraday15, INTRADAY_MINUTES.intraday);
+  if (!frames.daily) {
+    const finest = frames.intraday15 || frames.intraday;
+    if (finest) frames.daily = resample(finest, null);
+  }
+
+  const series = { ticker };
+  TIMEFRAMES.forEach(tf => {
+    const bars = frames[tf] || [];
+    series[tf] = withIndicators(opts.heikinAshi ? heikinAshi(bars) : bars);
+  });
+  return { series, extras: frames.intraday || frames.daily || [] };
+}
+
+function run(opts, log = console.log) {
+  const out = opts.out;
+  let tickers;
+  const seriesByTicker = {};
+  const summaryBars = {};
+
+  if (opts.rebuild) {
+    tickers = fs.readdirSync(out)
+      .filter(f => /^[a-z0-9.\-]+\.json$/.test(f) && !['index.json', 'stats.json'].includes(f))
+      .map(f => f.replace(/\.json$/, '').toUpperCase())
+      .filter(t => !opts.tickers || opts.tickers.includes(t));
+    tickers.forEach(t => {
+      const data = readJson(path.join(out, t.toLowerCase() + '.json'), null);
+      if (!data || !Array.isArray(data.daily)) return;
+      seriesByTicker[t] = data;
+      summaryBars[t] = data.intraday && data.intraday.length ? data.intraday : data.daily;
+    });
+    log(`Rebuilding from ${Object.keys(seriesByTicker).length} data files in ${out}/`);
+  } else {
+    log(`Reading CSVs in ${opts.input}...`);
+    const raw = loadCsvDir(opts.input, opts.tickers, log);
+    Object.entries(raw).forEach(([t, frames]) => {
+      const { series, extras } = buildSeries(t, frames, opts);
+      seriesByTicker[t] = series;
+      // Summaries read the intraday series with any indicator columns re-attached
+      const extraByTime = new Map(extras.filter(b => b.extra).map(b => [b.t, b.extra]));
+      const base = series.intraday.length ? series.intraday : series.daily;
+      summaryBars[t] = base.map(b => (extraByTime.has(b.t) ? { ...b, extra: extraByTime.get(b.t) } : b));
+      writeJson(path.join(out, t.toLowerCase() + '.json'), series);
+      writeJson(path.join(out, 'timeseries', t.toLowerCase() + '.json'), series);
+    });
+  }
+
+  tickers = Object.keys(seriesByTicker);
+  if (!tickers.length) throw new Error('No tickers to process');
+
+  // Recent-bar index, merged over the existing one
+  ['index.json', path.join('timeseries', 'index.json')].forEach(rel => {
+    const file = path.join(out, rel);
+    const index = readJson(file, {});
+    tickers.forEach(t => {
+      index[t] = {
+        daily: seriesByTicker[t].daily.slice(-INDEX_BARS.daily),
+        intraday: (seriesByTicker[t].intraday || []).slice(-INDEX_BARS.intraday)
+      };
+    });
+    writeJson(file, index);
+  });
+
+  // stats.json keeps tickers this run did not touch
+  const statsFile = path.join(out, 'stats.json');
+  const stats = readJson(statsFile, { tickers: [], stats: {} });
+  tickers.forEach(t => {
+    stats.stats[t] = computeStats(t, seriesByTicker[t]);
+    if (!stats.tickers.includes(t)) stats.tickers.push(t);
+  });
+  stats.updated = new Date().toISOString();
+  writeJson(statsFile, stats, true);
+
+  const metrics = {};
+  tickers.forEach(t => {
+    writeJson(path.join(out, 'market_summaries', t + '.json'), summarizeTicker(t, summaryBars[t]), true);
+    const m = computeRawMetrics(summaryBars[t]);
+    if (m) metrics[t] = m;
+  });
+
+  // The generated module covers every ticker on disk, not just this run
+  if (opts.metricsOut) {
+    fs.readdirSync(out)
+      .filter(f => /^[a-z0-9.\-]+\.json$/.test(f) && !['index.json', 'stats.json'].includes(f))
+      .map(f => f.replace(/\.json$/, '').toUpperCase())
+      .filter(t => !metrics[t])
+      .forEach(t => {
+        const data = readJson(path.join(out, t.toLowerCase() + '.json'), null);
+        if (!data) return;
+        const m = computeRawMetrics(data.intraday && data.intraday.length ? data.intraday : data.daily || []);
+        if (m) metrics[t] = m;
+      });
+    writeRawMetricsModule(opts.metricsOut, metrics, `${out}/ 45m bars`);
+  }
+
+  log(`✓ ${tickers.length} ticker(s): ${tickers.join(', ')}`);
+  log(`  data → ${out}/  stats → ${statsFile}${opts.metricsOut ? `  metrics → ${opts.metricsOut}` : ''}`);
+  return { tickers, stats, metrics };
+}
+
+if (require.main === module) {
+  let opts;
+  try {
+    opts = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(e.message);
+    usage();
+    process.exit(1);
+  }
+  if (opts.help || (!opts.rebuild && !opts.input)) {
+    usage();
+    process.exit(opts.help ? 0 : 1);
+  }
+  try {
+    run(opts);
+  } catch (e) {
+    console.error('✗ ' + e.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { parseCsv, parseFileName, resample, withIndicators, computeStats, summarizeTicker, computeRawMetrics, run };
@@ -0,0 +1,93 @@
+/**
+ * BrokerCSV — export detection and reinvestment handling
+ *
+ * Run: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+function loadBrokerCSV() {
+  const ctx = { console };
+  ctx.window = ctx;
+  vm.createContext(ctx);
+  const src = fs.readFileSync(path.join(__dirname, '../js/data/broker-csv.js'), 'utf8');
+  vm.runInContext(src, ctx);
+  return ctx.BrokerCSV;
+}
+
+const BrokerCSV = loadBrokerCSV();
+
+function importCsv(text) {
+  const table = BrokerCSV.parse(text);
+  const preset = BrokerCSV.detectPreset(table.headers);
+  const kind = BrokerCSV.detectKind(table.headers);
+  const mapping = BrokerCSV.suggestMapping(table.headers, kind, preset);
+  return { preset, kind, result: BrokerCSV.toPositions(table.rows, mapping, kind) };
+}
+
+test('IBKR OpenPositions with a Side column is a positions export', () => {
+  const csv = [
+    'ClientAccountID,AssetClass,Symbol,Quantity,Side,MarkPrice,CostBasisPrice,CostBasisMoney,ReportDate',
+    'U123,STK,RKLB,100,Long,21.50,12.00,1200,20260115'
+  ].join('\n');
+  const { preset, kind, result } = importCsv(csv);
+  assert.equal(preset, 'ibkr');
+  assert.equal(kind, 'positions');
+  assert.ok(result.ok);
+  assert.equal(result.positions[0].ticker, 'RKLB');
+  assert.equal(result.positions[0].shares, 100);
+});
+
+test('IBKR Trades export is still detected as transactions', () => {
+  const csv = [
+    'ClientAccountID,AssetClass,Symbol,TradeDate,Buy/Sell,Quantity,TradePrice,IBCommission',
+    'U123,STK,RKLB,20260105,BUY,100,12.00,-1'
+  ].join('\n');
+  assert.equal(importCsv(csv).kind, 'transactions');
+});
+
+test('generic trade log with a side column is detected as transactions', () => {
+  assert.equal(BrokerCSV.detectKind(['Date', 'Side', 'Symbol', 'Qty', 'Price']), 'transactions');
+  assert.equal(BrokerCSV.detectKind(['Symbol', 'Qty', 'Side', 'Price']), 'positions');
+});
+
+test('reinvestment share legs are their own side; cash legs are dividends', () => {
+  assert.equal(BrokerCSV.parseSide('Reinvest Shares', 2), 'REINVEST');
+  assert.equal(BrokerCSV.parseSide('Reinvest Dividend', NaN), 'DIVIDEND');
+  assert.equal(BrokerCSV.parseSide('Buy', 2), 'BUY');
+});
+
+test('a reinvestment pairs with the export\'s own dividend row', () => {
+  const csv = [
+    'Date,Action,Symbol,Quantity,Price,Fees & Comm,Amount',
+    '01/05/2026,Buy,RTX,10,100.00,0,-1000.00',
+    '03/15/2026,Reinvest Dividend,RTX,,,,25.00',
+    '03/15/2026,Reinvest Shares,RTX,0.25,100.00,,-25.00'
+  ].join('\n');
+  const { kind, result } = importCsv(csv);
+  assert.equal(kind, 'transactions');
+  const dividends = result.trades.filter(t => t.side === 'DIVIDEND');
+  assert.equal(dividends.length, 1);
+  assert.equal(dividends[0].amount, 25);
+  assert.equal(result.trades.filter(t => t.side === 'REINVEST').length, 1);
+  assert.equal(result.positions[0].shares, 10.25);
+});
+
+test('a reinvestment without a dividend row gets a matching one', () => {
+  const csv = [
+    'Date,Action,Symbol,Quantity,Price,Amount',
+    '01/05/2026,Buy,GE,10,150.00,-1500.00',
+    '04/25/2026,Dividend Reinvestment,GE,0.1,160.00,-16.00'
+  ].join('\n');
+  const { result } = importCsv(csv);
+  const dividends = result.trades.filter(t => t.side === 'DIVIDEND');
+  assert.equal(dividends.length, 1);
+  assert.equal(dividends[0].amount, 16);
+  assert.equal(dividends[0].reinvested, true);
+  // Cost basis includes the reinvested lot at its purchase price
+  assert.ok(Math.abs(result.positions[0].entry_price - (1500 + 16) / 10.1) < 1e-9);
+});
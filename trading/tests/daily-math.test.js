@@ -0,0 +1,53 @@
+/**
+ * DailyMath — day alignment and return statistics
+ *
+ * Run: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+function loadDailyMath() {
+  const ctx = { console };
+  ctx.window = ctx;
+  vm.createContext(ctx);
+  const src = fs.readFileSync(path.join(__dirname, '../js/data/daily-math.js'), 'utf8');
+  vm.runInContext(src, ctx);
+  return ctx.DailyMath;
+}
+
+const DailyMath = loadDailyMath();
+
+test('midnight and market-open stamps of one session share a day', () => {
+  const midnight = Date.UTC(2026, 2, 16);
+  assert.equal(DailyMath.dayKey(midnight), DailyMath.dayKey(Date.UTC(2026, 2, 16, 13, 30)));
+  assert.equal(DailyMath.dayKey(midnight), DailyMath.dayKey(Date.UTC(2026, 2, 16, 14, 30)));
+  assert.equal(DailyMath.isoDay(Date.UTC(2026, 2, 16, 14, 30)), '2026-03-16');
+});
+
+test('daily returns skip bars without a positive close', () => {
+  const day = DailyMath.DAY_MS;
+  const rets = DailyMath.dailyReturns([
+    { t: 2 * day, c: 0 },
+    { t: 0, c: 100 },
+    { t: day, c: 110 },
+    { t: 3 * day, c: 99 }
+  ]);
+  assert.deepEqual(Array.from(rets, x => x.day), [1, 3]);
+  assert.ok(Math.abs(rets[0].r - 0.1) < 1e-12);
+  assert.ok(Math.abs(rets[1].r + 0.1) < 1e-12);
+  assert.equal(DailyMath.returnsByDay([{ t: 0, c: 100 }, { t: day, c: 110 }]).size, 1);
+});
+
+test('regression recovers a linear relation', () => {
+  const fit = DailyMath.regress([0.01, -0.02, 0.03, 0.005].map(x => [0.001 + 1.5 * x, x]));
+  assert.ok(Math.abs(fit.beta - 1.5) < 1e-12);
+  assert.ok(Math.abs(fit.alpha - 0.001) < 1e-12);
+  assert.ok(Math.abs(fit.corr - 1) < 1e-12);
+  assert.equal(DailyMath.regress([[0.01, 0], [0.02, 0]]).beta, null);
+  assert.equal(DailyMath.mean([]), null);
+  assert.equal(DailyMath.stdev([1]), null);
+});